@@ -1,347 +1,1131 @@
-const authService = require('../../backend/services/authService');
+// Vercel KV storage, with an in-memory fallback for local `vercel dev`.
+// Method names and signatures follow backend/database/service.js, so the
+// shared route table (backend/api/routes.js) can use either store.
+const { questionKey, questionKeysByType, isStaleReview, scheduleReview, isDueToday } = require('../../backend/services/reviewScheduler');
 
-let kv = null;
-try {
-    kv = require('@vercel/kv').kv;
-} catch (error) {
-    kv = null;
-}
+// A store backed by the given KV client (get/set/incr/del), or by in-memory
+// Maps when kv is null
+function createStorage(kv = null) {
+    const memory = {
+        counters: {
+            users: 0,
+            sessions: 0,
+            documents: 0,
+            reviewers: 0,
+            attempts: 0,
+            annotations: 0,
+            jobs: 0
+        },
+        usersByEmail: new Map(),
+        usersById: new Map(),
+        sessionsByToken: new Map(),
+        documentsById: new Map(),
+        documentIdsByUser: new Map(),
+        reviewersById: new Map(),
+        reviewerIdsByUser: new Map(),
+        quizByReviewer: new Map(),
+        attemptsByUser: new Map(),
+        outcomesByUserReviewer: new Map(),
+        reviewsByUserReviewer: new Map(),
+        annotationsByUserReviewer: new Map(),
+        annotationKeysById: new Map(),
+        versionsByReviewer: new Map(),
+        jobsById: new Map(),
+        jobIdsByUser: new Map()
+    };
 
-const memory = {
-    counters: {
-        users: 0,
-        sessions: 0,
-        documents: 0,
-        reviewers: 0,
-        attempts: 0
-    },
-    usersByEmail: new Map(),
-    sessionsByToken: new Map(),
-    documentsById: new Map(),
-    reviewersById: new Map(),
-    reviewerIdsByUser: new Map(),
-    quizByReviewer: new Map(),
-    attemptsByUser: new Map()
-};
-
-function nowISO() {
-    return new Date().toISOString();
-}
+    function nowISO() {
+        return new Date().toISOString();
+    }
 
-async function nextId(name) {
-    if (kv) {
-        return await kv.incr(`counter:${name}`);
+    async function nextId(name) {
+        if (kv) {
+            return await kv.incr(`counter:${name}`);
+        }
+        memory.counters[name] += 1;
+        return memory.counters[name];
     }
-    memory.counters[name] += 1;
-    return memory.counters[name];
-}
 
-function getAuthToken(req) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
-    return authHeader.slice(7);
-}
+    async function kvGetArray(key) {
+        const value = await kv.get(key);
+        return Array.isArray(value) ? value : [];
+    }
 
-async function kvGetArray(key) {
-    const value = await kv.get(key);
-    return Array.isArray(value) ? value : [];
-}
+    // Newest first
+    async function readAttempts(userId) {
+        return kv
+            ? await kvGetArray(`attempts:user:${userId}`)
+            : memory.attemptsByUser.get(userId) || [];
+    }
 
-const storage = {
-    usingKV: Boolean(kv),
-
-    async createUser(fullName, email, passwordHash) {
-        const userId = await nextId('users');
-        const user = {
-            id: userId,
-            full_name: fullName,
-            email,
-            password_hash: passwordHash,
-            created_at: nowISO(),
-            last_login: null
+    // Same fields as dbService.getQuizAttemptsByReviewer
+    function formatAttempt(attempt) {
+        return {
+            id: attempt.id,
+            userId: attempt.user_id,
+            reviewerId: attempt.reviewer_id,
+            quizType: attempt.quiz_type,
+            difficulty: attempt.difficulty,
+            totalQuestions: attempt.total_questions,
+            correctAnswers: attempt.correct_answers,
+            wrongAnswers: attempt.wrong_answers,
+            percentage: attempt.percentage,
+            timeTaken: attempt.time_taken,
+            completedAt: attempt.completed_at
         };
+    }
+
+    async function readAnnotations(key) {
+        return kv
+            ? await kvGetArray(`annotations:${key}`)
+            : memory.annotationsByUserReviewer.get(key) || [];
+    }
 
+    async function writeAnnotations(key, annotations) {
         if (kv) {
-            await kv.set(`user:email:${email}`, user);
-            await kv.set(`user:id:${userId}`, user);
-            return userId;
+            await kv.set(`annotations:${key}`, annotations);
+        } else {
+            memory.annotationsByUserReviewer.set(key, annotations);
         }
+    }
 
-        memory.usersByEmail.set(email, user);
-        return userId;
-    },
+    // Annotations are stored per user and reviewer; this finds the
+    // `${userId}:${reviewerId}` list an annotation ID belongs to
+    async function findAnnotationKey(id, userId) {
+        const indexed = kv
+            ? await kv.get(`annotation:${id}`)
+            : memory.annotationKeysById.get(id);
+        if (indexed) {
+            return indexed.startsWith(`${userId}:`) ? indexed : null;
+        }
+
+        // Annotations saved before the index existed
+        const reviewerIds = kv
+            ? await kvGetArray(`user:${userId}:reviewers`)
+            : memory.reviewerIdsByUser.get(userId) || [];
+        for (const reviewerId of reviewerIds) {
+            const key = `${userId}:${reviewerId}`;
+            const annotations = await readAnnotations(key);
+            if (annotations.some((annotation) => annotation.id === id)) return key;
+        }
+        return null;
+    }
+
+    // Drops scheduled reviews of questions a regenerated quiz set no longer has
+    async function pruneReviewSchedule(key, allQuestions) {
+        const schedule = kv
+            ? await kv.get(`reviews:${key}`)
+            : memory.reviewsByUserReviewer.get(key);
+        if (!schedule) return;
+
+        const keysByType = questionKeysByType(allQuestions);
+        const kept = {};
+        for (const [qKey, item] of Object.entries(schedule)) {
+            if (!isStaleReview(keysByType, item.quizType, qKey)) kept[qKey] = item;
+        }
 
-    async getUserByEmail(email) {
         if (kv) {
-            return await kv.get(`user:email:${email}`);
+            await kv.set(`reviews:${key}`, kept);
+        } else {
+            memory.reviewsByUserReviewer.set(key, kept);
         }
-        return memory.usersByEmail.get(email) || null;
-    },
+    }
+
+    // Jobs are stored already in dbService.formatJob's shape
+    async function readJob(id) {
+        const job = kv ? await kv.get(`job:${id}`) : memory.jobsById.get(id);
+        return job || null;
+    }
 
-    async updateLastLogin(userId) {
+    async function writeJob(job) {
+        job.updatedAt = nowISO();
         if (kv) {
-            const user = await kv.get(`user:id:${userId}`);
-            if (!user) return;
-            user.last_login = nowISO();
-            await kv.set(`user:id:${userId}`, user);
-            await kv.set(`user:email:${user.email}`, user);
-            return;
+            await kv.set(`job:${job.id}`, job);
+        } else {
+            memory.jobsById.set(job.id, job);
         }
+        return job;
+    }
+
+    return {
+        usingKV: Boolean(kv),
 
-        for (const [email, user] of memory.usersByEmail.entries()) {
-            if (user.id === userId) {
+        async createUser(fullName, email, passwordHash) {
+            const userId = await nextId('users');
+            const user = {
+                id: userId,
+                full_name: fullName,
+                email,
+                password_hash: passwordHash,
+                created_at: nowISO(),
+                last_login: null,
+                profile_image: null
+            };
+
+            if (kv) {
+                await kv.set(`user:email:${email}`, user);
+                await kv.set(`user:id:${userId}`, user);
+                return userId;
+            }
+
+            memory.usersByEmail.set(email, user);
+            memory.usersById.set(userId, user);
+            return userId;
+        },
+
+        async getUserByEmail(email) {
+            if (kv) {
+                return await kv.get(`user:email:${email}`);
+            }
+            return memory.usersByEmail.get(email) || null;
+        },
+
+        async getUserById(userId) {
+            if (kv) {
+                return await kv.get(`user:id:${userId}`);
+            }
+            return memory.usersById.get(userId) || null;
+        },
+
+        async updateLastLogin(userId) {
+            if (kv) {
+                const user = await kv.get(`user:id:${userId}`);
+                if (!user) return;
                 user.last_login = nowISO();
-                memory.usersByEmail.set(email, user);
-                break;
+                await kv.set(`user:id:${userId}`, user);
+                await kv.set(`user:email:${user.email}`, user);
+                return;
             }
-        }
-    },
-
-    async createSession(userId, sessionToken, expiresAt, user) {
-        const session = {
-            id: await nextId('sessions'),
-            user_id: userId,
-            session_token: sessionToken,
-            expires_at: expiresAt,
-            email: user.email,
-            full_name: user.full_name
-        };
 
-        if (kv) {
-            await kv.set(`session:${sessionToken}`, session, { ex: 60 * 60 * 24 });
+            const user = memory.usersById.get(userId);
+            if (user) user.last_login = nowISO();
+        },
+
+        // Same changes as the SQLite service; the email key moves with the email
+        async updateUser(userId, changes) {
+            const user = await this.getUserById(userId);
+            if (!user) return null;
+
+            const previousEmail = user.email;
+            const columns = {
+                fullName: 'full_name',
+                email: 'email',
+                passwordHash: 'password_hash',
+                profileImage: 'profile_image'
+            };
+            for (const [key, column] of Object.entries(columns)) {
+                if (changes[key] !== undefined) user[column] = changes[key];
+            }
+
+            if (kv) {
+                if (user.email !== previousEmail) await kv.del(`user:email:${previousEmail}`);
+                await kv.set(`user:id:${userId}`, user);
+                await kv.set(`user:email:${user.email}`, user);
+                return user;
+            }
+
+            memory.usersByEmail.delete(previousEmail);
+            memory.usersByEmail.set(user.email, user);
+            return user;
+        },
+
+        // Removes the user with everything they own, sessions included
+        async deleteUser(userId) {
+            const user = await this.getUserById(userId);
+            if (!user) return false;
+
+            const documentIds = kv
+                ? await kvGetArray(`user:${userId}:documents`)
+                : memory.documentIdsByUser.get(userId) || [];
+            for (const documentId of documentIds) {
+                await this.deleteDocument(documentId, userId);
+            }
+            const reviewerIds = kv
+                ? await kvGetArray(`user:${userId}:reviewers`)
+                : memory.reviewerIdsByUser.get(userId) || [];
+            for (const reviewerId of reviewerIds) {
+                await this.deleteReviewer(reviewerId, userId);
+            }
+
+            if (kv) {
+                for (const token of await kvGetArray(`user:${userId}:sessions`)) {
+                    await kv.del(`session:${token}`);
+                }
+                for (const jobId of await kvGetArray(`user:${userId}:jobs`)) {
+                    await kv.del(`job:${jobId}`);
+                }
+                await kv.del(`user:${userId}:sessions`);
+                await kv.del(`user:${userId}:jobs`);
+                await kv.del(`user:${userId}:documents`);
+                await kv.del(`user:${userId}:reviewers`);
+                await kv.del(`attempts:user:${userId}`);
+                await kv.del(`user:email:${user.email}`);
+                await kv.del(`user:id:${userId}`);
+                return true;
+            }
+
+            for (const [token, session] of memory.sessionsByToken.entries()) {
+                if (session.user_id === userId) memory.sessionsByToken.delete(token);
+            }
+            (memory.jobIdsByUser.get(userId) || []).forEach((jobId) => memory.jobsById.delete(jobId));
+            memory.jobIdsByUser.delete(userId);
+            memory.documentIdsByUser.delete(userId);
+            memory.reviewerIdsByUser.delete(userId);
+            memory.attemptsByUser.delete(userId);
+            memory.usersByEmail.delete(user.email);
+            memory.usersById.delete(userId);
+            return true;
+        },
+
+        async createSession(userId, sessionToken, expiresAt) {
+            const session = {
+                id: await nextId('sessions'),
+                user_id: userId,
+                session_token: sessionToken,
+                expires_at: expiresAt
+            };
+
+            if (kv) {
+                await kv.set(`session:${sessionToken}`, session, { ex: 60 * 60 * 24 });
+                // Lets deleteUser sign out every device
+                const listKey = `user:${userId}:sessions`;
+                const tokens = await kvGetArray(listKey);
+                await kv.set(listKey, [...tokens, sessionToken]);
+                return session.id;
+            }
+
+            memory.sessionsByToken.set(sessionToken, session);
             return session.id;
-        }
+        },
 
-        memory.sessionsByToken.set(sessionToken, session);
-        return session.id;
-    },
+        async getSessionByToken(sessionToken) {
+            const session = kv
+                ? await kv.get(`session:${sessionToken}`)
+                : memory.sessionsByToken.get(sessionToken);
 
-    async getSessionByToken(sessionToken) {
-        const session = kv
-            ? await kv.get(`session:${sessionToken}`)
-            : memory.sessionsByToken.get(sessionToken);
+            if (!session) return null;
+
+            if (new Date(session.expires_at).getTime() <= Date.now()) {
+                if (kv) {
+                    await kv.del(`session:${sessionToken}`);
+                } else {
+                    memory.sessionsByToken.delete(sessionToken);
+                }
+                return null;
+            }
 
-        if (!session) return null;
+            // Joined with the user, as the SQLite query does
+            const user = await this.getUserById(session.user_id);
+            if (!user) return null;
+            return { ...session, email: user.email, full_name: user.full_name };
+        },
 
-        if (new Date(session.expires_at).getTime() <= Date.now()) {
+        async deleteSession(sessionToken) {
             if (kv) {
                 await kv.del(`session:${sessionToken}`);
-            } else {
-                memory.sessionsByToken.delete(sessionToken);
+                return;
             }
-            return null;
-        }
+            memory.sessionsByToken.delete(sessionToken);
+        },
 
-        return session;
-    },
-
-    async deleteSession(sessionToken) {
-        if (kv) {
-            await kv.del(`session:${sessionToken}`);
-            return;
-        }
-        memory.sessionsByToken.delete(sessionToken);
-    },
-
-    async saveDocument(userId, title, originalText, fileType = 'text') {
-        const id = await nextId('documents');
-        const record = {
-            id,
-            user_id: userId,
-            title,
-            original_text: originalText,
-            file_type: fileType,
-            word_count: originalText.split(/\s+/).length,
-            upload_date: nowISO()
-        };
+        async saveDocument(userId, title, originalText, fileType = 'text') {
+            const id = await nextId('documents');
+            const record = {
+                id,
+                user_id: userId,
+                title,
+                original_text: originalText,
+                file_type: fileType,
+                word_count: originalText.split(/\s+/).length,
+                upload_date: nowISO()
+            };
 
-        if (kv) {
-            await kv.set(`document:${id}`, record);
-        } else {
-            memory.documentsById.set(id, record);
-        }
+            if (kv) {
+                await kv.set(`document:${id}`, record);
+                const listKey = `user:${userId}:documents`;
+                const ids = await kvGetArray(listKey);
+                ids.unshift(id);
+                await kv.set(listKey, ids);
+            } else {
+                memory.documentsById.set(id, record);
+                const current = memory.documentIdsByUser.get(userId) || [];
+                current.unshift(id);
+                memory.documentIdsByUser.set(userId, current);
+            }
 
-        return id;
-    },
-
-    async saveReviewer(userId, documentId, reviewerData) {
-        const id = await nextId('reviewers');
-        const record = {
-            id,
-            user_id: userId,
-            document_id: documentId,
-            title: reviewerData.title,
-            sections: reviewerData.sections,
-            concepts: reviewerData.concepts,
-            metadata: reviewerData.metadata,
-            original_text: reviewerData.originalText,
-            generated_at: nowISO()
-        };
+            return id;
+        },
 
-        if (kv) {
-            await kv.set(`reviewer:${id}`, record);
-            const listKey = `user:${userId}:reviewers`;
-            const ids = await kvGetArray(listKey);
-            ids.unshift(id);
-            await kv.set(listKey, ids);
-        } else {
-            memory.reviewersById.set(id, record);
-            const current = memory.reviewerIdsByUser.get(userId) || [];
-            current.unshift(id);
-            memory.reviewerIdsByUser.set(userId, current);
-        }
+        async getDocument(id, userId) {
+            const record = kv ? await kv.get(`document:${id}`) : memory.documentsById.get(id);
+            if (!record || record.user_id !== userId) return null;
+            return record;
+        },
 
-        return id;
-    },
+        async getAllDocuments(userId, limit = 50) {
+            const ids = kv
+                ? await kvGetArray(`user:${userId}:documents`)
+                : memory.documentIdsByUser.get(userId) || [];
 
-    async getAllReviewers(userId, limit = 50) {
-        if (kv) {
-            const ids = await kvGetArray(`user:${userId}:reviewers`);
-            const reviewers = [];
+            const documents = [];
             for (const id of ids.slice(0, limit)) {
-                const reviewer = await kv.get(`reviewer:${id}`);
-                if (reviewer) {
-                    reviewers.push({
-                        id: reviewer.id,
-                        title: reviewer.title,
-                        generated_at: reviewer.generated_at,
-                        word_count: reviewer.metadata?.wordCount || 0
+                const record = await this.getDocument(id, userId);
+                if (record) {
+                    documents.push({
+                        id: record.id,
+                        title: record.title,
+                        file_type: record.file_type,
+                        word_count: record.word_count,
+                        upload_date: record.upload_date
                     });
                 }
             }
-            return reviewers;
-        }
+            return documents;
+        },
+
+        // Also deletes the reviewers generated from it, as the SQLite cascade does
+        async deleteDocument(id, userId) {
+            const record = await this.getDocument(id, userId);
+            if (!record) return false;
+
+            const reviewerIds = kv
+                ? await kvGetArray(`user:${userId}:reviewers`)
+                : memory.reviewerIdsByUser.get(userId) || [];
+            for (const reviewerId of reviewerIds) {
+                const reviewer = kv ? await kv.get(`reviewer:${reviewerId}`) : memory.reviewersById.get(reviewerId);
+                if (reviewer && reviewer.document_id === id) await this.deleteReviewer(reviewerId, userId);
+            }
+
+            const listKey = `user:${userId}:documents`;
+            if (kv) {
+                await kv.del(`document:${id}`);
+                const ids = await kvGetArray(listKey);
+                await kv.set(listKey, ids.filter((existingId) => existingId !== id));
+            } else {
+                memory.documentsById.delete(id);
+                const ids = memory.documentIdsByUser.get(userId) || [];
+                memory.documentIdsByUser.set(userId, ids.filter((existingId) => existingId !== id));
+            }
+            return true;
+        },
+
+        async saveReviewer(userId, documentId, reviewerData) {
+            const id = await nextId('reviewers');
+            const record = {
+                id,
+                user_id: userId,
+                document_id: documentId,
+                title: reviewerData.title,
+                sections: reviewerData.sections,
+                concepts: reviewerData.concepts,
+                metadata: reviewerData.metadata,
+                original_text: reviewerData.originalText,
+                version: 1,
+                generated_at: nowISO(),
+                updated_at: null
+            };
+
+            if (kv) {
+                await kv.set(`reviewer:${id}`, record);
+                const listKey = `user:${userId}:reviewers`;
+                const ids = await kvGetArray(listKey);
+                ids.unshift(id);
+                await kv.set(listKey, ids);
+            } else {
+                memory.reviewersById.set(id, record);
+                const current = memory.reviewerIdsByUser.get(userId) || [];
+                current.unshift(id);
+                memory.reviewerIdsByUser.set(userId, current);
+            }
+
+            return id;
+        },
+
+        async getAllReviewers(userId, limit = 50) {
+            if (kv) {
+                const ids = await kvGetArray(`user:${userId}:reviewers`);
+                const reviewers = [];
+                for (const id of ids.slice(0, limit)) {
+                    const reviewer = await kv.get(`reviewer:${id}`);
+                    if (reviewer) {
+                        reviewers.push({
+                            id: reviewer.id,
+                            title: reviewer.title,
+                            generated_at: reviewer.generated_at,
+                            word_count: reviewer.metadata?.wordCount || 0
+                        });
+                    }
+                }
+                return reviewers;
+            }
+
+            const ids = memory.reviewerIdsByUser.get(userId) || [];
+            return ids.slice(0, limit).map((id) => {
+                const reviewer = memory.reviewersById.get(id);
+                return {
+                    id: reviewer.id,
+                    title: reviewer.title,
+                    generated_at: reviewer.generated_at,
+                    word_count: reviewer.metadata?.wordCount || 0
+                };
+            }).filter(Boolean);
+        },
+
+        async getReviewer(id, userId) {
+            const reviewer = kv ? await kv.get(`reviewer:${id}`) : memory.reviewersById.get(id);
+            if (!reviewer || reviewer.user_id !== userId) return null;
 
-        const ids = memory.reviewerIdsByUser.get(userId) || [];
-        return ids.slice(0, limit).map((id) => {
-            const reviewer = memory.reviewersById.get(id);
             return {
                 id: reviewer.id,
+                userId: reviewer.user_id,
+                documentId: reviewer.document_id,
                 title: reviewer.title,
-                generated_at: reviewer.generated_at,
-                word_count: reviewer.metadata?.wordCount || 0
+                sections: reviewer.sections,
+                concepts: reviewer.concepts,
+                metadata: reviewer.metadata,
+                originalText: reviewer.original_text,
+                version: reviewer.version || 1,
+                generatedAt: reviewer.generated_at,
+                updatedAt: reviewer.updated_at || null,
+                quizVersion: reviewer.quiz_version || null,
+                quizStale: Boolean(reviewer.quiz_version) && reviewer.quiz_version < (reviewer.version || 1)
             };
-        }).filter(Boolean);
-    },
+        },
 
-    async getReviewer(id, userId) {
-        const reviewer = kv ? await kv.get(`reviewer:${id}`) : memory.reviewersById.get(id);
-        if (!reviewer || reviewer.user_id !== userId) return null;
+        // Same contract as dbService.updateReviewer
+        async updateReviewer(id, userId, content, baseVersion = null) {
+            const reviewer = kv ? await kv.get(`reviewer:${id}`) : memory.reviewersById.get(id);
+            if (!reviewer || reviewer.user_id !== userId) return { status: 'not_found', reviewer: null };
 
-        return {
-            id: reviewer.id,
-            userId: reviewer.user_id,
-            documentId: reviewer.document_id,
-            title: reviewer.title,
-            sections: reviewer.sections,
-            concepts: reviewer.concepts,
-            metadata: reviewer.metadata,
-            originalText: reviewer.original_text,
-            generatedAt: reviewer.generated_at
-        };
-    },
+            const currentVersion = reviewer.version || 1;
+            if (baseVersion !== null && baseVersion !== currentVersion) {
+                return { status: 'conflict', reviewer: await this.getReviewer(id, userId) };
+            }
 
-    async deleteReviewer(id, userId) {
-        const reviewer = kv ? await kv.get(`reviewer:${id}`) : memory.reviewersById.get(id);
-        if (!reviewer || reviewer.user_id !== userId) return false;
+            const snapshot = {
+                version: currentVersion,
+                title: reviewer.title,
+                sections: reviewer.sections,
+                concepts: reviewer.concepts,
+                replacedAt: nowISO()
+            };
+            const updated = {
+                ...reviewer,
+                title: content.title,
+                sections: content.sections,
+                concepts: content.concepts,
+                version: currentVersion + 1,
+                updated_at: nowISO()
+            };
 
-        if (kv) {
-            await kv.del(`reviewer:${id}`);
-            await kv.del(`quiz:${id}`);
-            const listKey = `user:${userId}:reviewers`;
-            const ids = await kvGetArray(listKey);
-            await kv.set(listKey, ids.filter((existingId) => existingId !== id));
+            if (kv) {
+                const versions = await kvGetArray(`reviewer:${id}:versions`);
+                await kv.set(`reviewer:${id}:versions`, [snapshot, ...versions]);
+                await kv.set(`reviewer:${id}`, updated);
+            } else {
+                const versions = memory.versionsByReviewer.get(id) || [];
+                memory.versionsByReviewer.set(id, [snapshot, ...versions]);
+                memory.reviewersById.set(id, updated);
+            }
+
+            return { status: 'updated', reviewer: await this.getReviewer(id, userId) };
+        },
+
+        async getReviewerVersions(id, userId) {
+            const reviewer = await this.getReviewer(id, userId);
+            if (!reviewer) return [];
+
+            const versions = kv
+                ? await kvGetArray(`reviewer:${id}:versions`)
+                : memory.versionsByReviewer.get(id) || [];
+            return versions.map((snapshot) => ({
+                version: snapshot.version,
+                title: snapshot.title,
+                sectionCount: (snapshot.sections || []).length,
+                conceptCount: (snapshot.concepts || []).length,
+                replacedAt: snapshot.replacedAt
+            }));
+        },
+
+        async getReviewerVersion(id, userId, version) {
+            const reviewer = await this.getReviewer(id, userId);
+            if (!reviewer) return null;
+
+            const versions = kv
+                ? await kvGetArray(`reviewer:${id}:versions`)
+                : memory.versionsByReviewer.get(id) || [];
+            return versions.find((snapshot) => snapshot.version === version) || null;
+        },
+
+        async restoreReviewerVersion(id, userId, version, baseVersion = null) {
+            const snapshot = await this.getReviewerVersion(id, userId, version);
+            if (!snapshot) return { status: 'not_found', reviewer: null };
+            return await this.updateReviewer(id, userId, snapshot, baseVersion);
+        },
+
+        async updateReviewerMetadata(id, userId, patch) {
+            const reviewer = kv ? await kv.get(`reviewer:${id}`) : memory.reviewersById.get(id);
+            if (!reviewer || reviewer.user_id !== userId) return false;
+
+            const updated = { ...reviewer, metadata: { ...(reviewer.metadata || {}), ...patch } };
+            if (kv) {
+                await kv.set(`reviewer:${id}`, updated);
+            } else {
+                memory.reviewersById.set(id, updated);
+            }
             return true;
-        }
+        },
 
-        memory.reviewersById.delete(id);
-        memory.quizByReviewer.delete(id);
-        const ids = memory.reviewerIdsByUser.get(userId) || [];
-        memory.reviewerIdsByUser.set(userId, ids.filter((existingId) => existingId !== id));
-        return true;
-    },
+        async deleteReviewer(id, userId) {
+            const reviewer = kv ? await kv.get(`reviewer:${id}`) : memory.reviewersById.get(id);
+            if (!reviewer || reviewer.user_id !== userId) return false;
 
-    async saveQuizQuestions(reviewerId, allQuestions) {
-        if (kv) {
-            await kv.set(`quiz:${reviewerId}`, allQuestions);
+            const annotationIds = (await readAnnotations(`${userId}:${id}`)).map((annotation) => annotation.id);
+
+            if (kv) {
+                for (const annotationId of annotationIds) {
+                    await kv.del(`annotation:${annotationId}`);
+                }
+                await kv.del(`reviewer:${id}`);
+                await kv.del(`quiz:${id}`);
+                await kv.del(`reviews:${userId}:${id}`);
+                await kv.del(`outcomes:${userId}:${id}`);
+                await kv.del(`annotations:${userId}:${id}`);
+                await kv.del(`reviewer:${id}:versions`);
+                const listKey = `user:${userId}:reviewers`;
+                const ids = await kvGetArray(listKey);
+                await kv.set(listKey, ids.filter((existingId) => existingId !== id));
+                const attempts = await kvGetArray(`attempts:user:${userId}`);
+                await kv.set(`attempts:user:${userId}`, attempts.filter((attempt) => Number(attempt.reviewer_id) !== id));
+                return true;
+            }
+
+            annotationIds.forEach((annotationId) => memory.annotationKeysById.delete(annotationId));
+            memory.reviewersById.delete(id);
+            memory.quizByReviewer.delete(id);
+            memory.reviewsByUserReviewer.delete(`${userId}:${id}`);
+            memory.outcomesByUserReviewer.delete(`${userId}:${id}`);
+            memory.annotationsByUserReviewer.delete(`${userId}:${id}`);
+            memory.versionsByReviewer.delete(id);
+            const ids = memory.reviewerIdsByUser.get(userId) || [];
+            memory.reviewerIdsByUser.set(userId, ids.filter((existingId) => existingId !== id));
+            const attempts = memory.attemptsByUser.get(userId) || [];
+            memory.attemptsByUser.set(userId, attempts.filter((attempt) => Number(attempt.reviewer_id) !== id));
             return true;
-        }
-        memory.quizByReviewer.set(reviewerId, allQuestions);
-        return true;
-    },
+        },
 
-    async getQuizQuestions(reviewerId) {
-        if (kv) {
-            return await kv.get(`quiz:${reviewerId}`);
-        }
-        return memory.quizByReviewer.get(reviewerId) || null;
-    },
-
-    async saveQuizAttempt(userId, reviewerId, attemptData) {
-        const id = await nextId('attempts');
-        const attempt = {
-            id,
-            user_id: userId,
-            reviewer_id: reviewerId,
-            quiz_type: attemptData.quizType,
-            difficulty: attemptData.difficulty,
-            total_questions: attemptData.totalQuestions,
-            correct_answers: attemptData.correctAnswers,
-            wrong_answers: attemptData.wrongAnswers,
-            percentage: attemptData.percentage,
-            time_taken: attemptData.timeTaken,
-            completed_at: nowISO()
-        };
+        async saveQuizQuestions(reviewerId, allQuestions) {
+            // Remember which reviewer version the questions came from (see getReviewer)
+            const reviewer = kv ? await kv.get(`reviewer:${reviewerId}`) : memory.reviewersById.get(reviewerId);
+            const stamped = reviewer ? { ...reviewer, quiz_version: reviewer.version || 1 } : null;
 
-        if (kv) {
-            const key = `attempts:user:${userId}`;
-            const attempts = await kvGetArray(key);
+            if (kv) {
+                await kv.set(`quiz:${reviewerId}`, allQuestions);
+                if (stamped) await kv.set(`reviewer:${reviewerId}`, stamped);
+            } else {
+                memory.quizByReviewer.set(reviewerId, allQuestions);
+                if (stamped) memory.reviewersById.set(reviewerId, stamped);
+            }
+            if (reviewer) await pruneReviewSchedule(`${reviewer.user_id}:${reviewerId}`, allQuestions);
+            return true;
+        },
+
+        // Every quiz type is present, empty until questions are saved
+        async getQuizQuestions(reviewerId) {
+            const saved = (kv
+                ? await kv.get(`quiz:${reviewerId}`)
+                : memory.quizByReviewer.get(reviewerId)) || {};
+
+            const allQuestions = {
+                trueFalse: { easy: [], medium: [], hard: [] },
+                multipleChoice: { easy: [], medium: [], hard: [] },
+                identification: { easy: [], medium: [], hard: [] },
+                matching: { easy: { pairs: [] }, medium: { pairs: [] }, hard: { pairs: [] } },
+                cloze: { easy: [], medium: [], hard: [] },
+                sequence: { easy: [], medium: [], hard: [] }
+            };
+            for (const [quizType, difficulties] of Object.entries(saved)) {
+                allQuestions[quizType] = { ...(allQuestions[quizType] || {}), ...difficulties };
+            }
+            return allQuestions;
+        },
+
+        async saveQuizAttempt(userId, reviewerId, attemptData) {
+            const id = await nextId('attempts');
+            const attempt = {
+                id,
+                user_id: userId,
+                reviewer_id: reviewerId,
+                quiz_type: attemptData.quizType,
+                difficulty: attemptData.difficulty,
+                total_questions: attemptData.totalQuestions,
+                correct_answers: attemptData.correctAnswers,
+                wrong_answers: attemptData.wrongAnswers,
+                percentage: attemptData.percentage,
+                time_taken: attemptData.timeTaken,
+                user_answers: attemptData.userAnswers || [],
+                questions_used: attemptData.questionsUsed || [],
+                completed_at: nowISO()
+            };
+
+            if (kv) {
+                const key = `attempts:user:${userId}`;
+                const attempts = await kvGetArray(key);
+                attempts.unshift(attempt);
+                await kv.set(key, attempts);
+                return id;
+            }
+
+            const attempts = memory.attemptsByUser.get(userId) || [];
             attempts.unshift(attempt);
-            await kv.set(key, attempts);
+            memory.attemptsByUser.set(userId, attempts);
             return id;
-        }
+        },
 
-        const attempts = memory.attemptsByUser.get(userId) || [];
-        attempts.unshift(attempt);
-        memory.attemptsByUser.set(userId, attempts);
-        return id;
-    },
+        async getQuizAttempt(id, userId) {
+            const attempt = (await readAttempts(userId)).find((item) => item.id === id);
+            if (!attempt) return null;
 
-    async getStatistics(userId) {
-        if (kv) {
-            const reviewerIds = await kvGetArray(`user:${userId}:reviewers`);
-            const attempts = await kvGetArray(`attempts:user:${userId}`);
+            return {
+                ...formatAttempt(attempt),
+                userAnswers: attempt.user_answers || [],
+                questionsUsed: attempt.questions_used || []
+            };
+        },
+
+        async getQuizAttemptsByReviewer(reviewerId, userId, limit = 20) {
+            return (await readAttempts(userId))
+                .filter((attempt) => Number(attempt.reviewer_id) === Number(reviewerId))
+                .slice(0, limit)
+                .map(formatAttempt);
+        },
+
+        // Raw rows with the reviewer title, like the SQLite join
+        async getAllQuizAttempts(userId, limit = 50) {
+            const attempts = (await readAttempts(userId)).slice(0, limit);
+            const rows = [];
+            for (const attempt of attempts) {
+                const reviewer = await this.getReviewer(Number(attempt.reviewer_id), userId);
+                rows.push({ ...attempt, reviewer_title: reviewer ? reviewer.title : null });
+            }
+            return rows;
+        },
+
+        // Grouped by quiz type and difficulty
+        async getQuizStatistics(reviewerId, userId) {
+            const groups = new Map();
+            for (const attempt of await readAttempts(userId)) {
+                if (Number(attempt.reviewer_id) !== Number(reviewerId)) continue;
+
+                const key = `${attempt.quiz_type}:${attempt.difficulty}`;
+                const group = groups.get(key) || { quiz_type: attempt.quiz_type, difficulty: attempt.difficulty, scores: [] };
+                group.scores.push(attempt.percentage || 0);
+                groups.set(key, group);
+            }
+
+            return Array.from(groups.values()).map(({ scores, ...group }) => ({
+                ...group,
+                attempts: scores.length,
+                avg_percentage: scores.reduce((sum, score) => sum + score, 0) / scores.length,
+                best_percentage: Math.max(...scores),
+                worst_percentage: Math.min(...scores)
+            }));
+        },
+
+        async saveQuestionOutcomes(userId, reviewerId, attemptId, outcomes) {
+            const key = `${userId}:${reviewerId}`;
+            const answeredAt = nowISO();
+            const records = (outcomes || []).map((outcome) => ({
+                attempt_id: attemptId,
+                question_id: questionKey(outcome.quizType, outcome.question),
+                quiz_type: outcome.quizType,
+                difficulty: outcome.difficulty,
+                is_correct: outcome.correct ? 1 : 0,
+                user_answer: outcome.userAnswer === undefined ? null : outcome.userAnswer,
+                answered_at: answeredAt
+            }));
+
+            if (kv) {
+                const existing = await kvGetArray(`outcomes:${key}`);
+                await kv.set(`outcomes:${key}`, existing.concat(records));
+            } else {
+                const existing = memory.outcomesByUserReviewer.get(key) || [];
+                memory.outcomesByUserReviewer.set(key, existing.concat(records));
+            }
+            return true;
+        },
+
+        // Raw answer history, oldest first (account export)
+        async getQuestionOutcomes(userId, reviewerId) {
+            const key = `${userId}:${reviewerId}`;
+            const outcomes = kv
+                ? await kvGetArray(`outcomes:${key}`)
+                : memory.outcomesByUserReviewer.get(key) || [];
+
+            return outcomes.map((outcome) => ({
+                attemptId: outcome.attempt_id,
+                questionId: outcome.question_id,
+                quizType: outcome.quiz_type,
+                difficulty: outcome.difficulty,
+                correct: Boolean(outcome.is_correct),
+                userAnswer: outcome.user_answer === undefined ? null : outcome.user_answer,
+                answeredAt: outcome.answered_at
+            }));
+        },
+
+        // Adds history in getQuestionOutcomes' shape (account import)
+        async restoreQuestionOutcomes(userId, reviewerId, records) {
+            const key = `${userId}:${reviewerId}`;
+            const restored = (records || []).map((record) => ({
+                attempt_id: record.attemptId || null,
+                question_id: record.questionId,
+                quiz_type: record.quizType,
+                difficulty: record.difficulty,
+                is_correct: record.correct ? 1 : 0,
+                user_answer: record.userAnswer === undefined ? null : record.userAnswer,
+                answered_at: record.answeredAt || nowISO()
+            }));
+
+            if (kv) {
+                const existing = await kvGetArray(`outcomes:${key}`);
+                await kv.set(`outcomes:${key}`, existing.concat(restored));
+            } else {
+                const existing = memory.outcomesByUserReviewer.get(key) || [];
+                memory.outcomesByUserReviewer.set(key, existing.concat(restored));
+            }
+            return true;
+        },
+
+        async getQuestionStats(userId, reviewerId) {
+            const key = `${userId}:${reviewerId}`;
+            const outcomes = kv
+                ? await kvGetArray(`outcomes:${key}`)
+                : memory.outcomesByUserReviewer.get(key) || [];
+
+            const byQuestion = new Map();
+            for (const outcome of outcomes) {
+                const stats = byQuestion.get(outcome.question_id) || {
+                    questionId: outcome.question_id,
+                    quizType: outcome.quiz_type,
+                    difficulty: outcome.difficulty,
+                    attempts: 0,
+                    correct: 0,
+                    incorrect: 0,
+                    lastAnsweredAt: null
+                };
+                stats.attempts += 1;
+                stats.correct += outcome.is_correct;
+                stats.incorrect = stats.attempts - stats.correct;
+                if (!stats.lastAnsweredAt || outcome.answered_at > stats.lastAnsweredAt) {
+                    stats.lastAnsweredAt = outcome.answered_at;
+                }
+                byQuestion.set(outcome.question_id, stats);
+            }
+
+            return Array.from(byQuestion.values())
+                .sort((a, b) => (b.lastAnsweredAt || '').localeCompare(a.lastAnsweredAt || ''));
+        },
+
+        async updateReviewSchedule(userId, reviewerId, outcomes) {
+            const key = `${userId}:${reviewerId}`;
+            const schedule = kv
+                ? (await kv.get(`reviews:${key}`)) || {}
+                : memory.reviewsByUserReviewer.get(key) || {};
+
+            for (const outcome of outcomes || []) {
+                const qKey = questionKey(outcome.quizType, outcome.question);
+                const next = scheduleReview(schedule[qKey] || null, Boolean(outcome.correct));
+                schedule[qKey] = {
+                    key: qKey,
+                    quizType: outcome.quizType,
+                    difficulty: outcome.difficulty,
+                    question: outcome.question,
+                    ...next
+                };
+            }
+
+            if (kv) {
+                await kv.set(`reviews:${key}`, schedule);
+            } else {
+                memory.reviewsByUserReviewer.set(key, schedule);
+            }
+            return true;
+        },
+
+        // Every scheduled question, due or not (account export)
+        async getReviewSchedule(userId, reviewerId) {
+            const key = `${userId}:${reviewerId}`;
+            const schedule = kv
+                ? (await kv.get(`reviews:${key}`)) || {}
+                : memory.reviewsByUserReviewer.get(key) || {};
+
+            return Object.values(schedule).sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt));
+        },
+
+        // Writes items in getReviewSchedule's shape as they are (account import)
+        async restoreReviewSchedule(userId, reviewerId, items) {
+            const key = `${userId}:${reviewerId}`;
+            const schedule = kv
+                ? (await kv.get(`reviews:${key}`)) || {}
+                : memory.reviewsByUserReviewer.get(key) || {};
+
+            for (const item of items || []) {
+                schedule[item.key] = {
+                    key: item.key,
+                    quizType: item.quizType,
+                    difficulty: item.difficulty,
+                    question: item.question,
+                    easeFactor: item.easeFactor,
+                    intervalDays: item.intervalDays,
+                    repetitions: item.repetitions,
+                    lapses: item.lapses,
+                    dueAt: item.dueAt,
+                    lastReviewedAt: item.lastReviewedAt || null,
+                    lastResult: item.lastResult || null
+                };
+            }
+
+            if (kv) {
+                await kv.set(`reviews:${key}`, schedule);
+            } else {
+                memory.reviewsByUserReviewer.set(key, schedule);
+            }
+            return true;
+        },
+
+        async getReviewQueue(userId, reviewerId, limit = 50, now = new Date()) {
+            const key = `${userId}:${reviewerId}`;
+            const schedule = kv
+                ? (await kv.get(`reviews:${key}`)) || {}
+                : memory.reviewsByUserReviewer.get(key) || {};
+
+            return Object.values(schedule)
+                .filter((item) => isDueToday(item, now))
+                .sort((a, b) => new Date(a.dueAt) - new Date(b.dueAt) || a.easeFactor - b.easeFactor)
+                .slice(0, limit);
+        },
+
+        // Returns the new annotation ID (or the existing one for a repeated clientId)
+        async saveAnnotation(userId, reviewerId, annotationData) {
+            const key = `${userId}:${reviewerId}`;
+            const annotations = await readAnnotations(key);
+
+            const clientId = annotationData.clientId ? String(annotationData.clientId) : null;
+            const existing = clientId && annotations.find((annotation) => annotation.clientId === clientId);
+            if (existing) return existing.id;
+
+            const timestamp = nowISO();
+            const annotation = {
+                id: await nextId('annotations'),
+                reviewerId,
+                clientId,
+                type: annotationData.type || 'note',
+                text: annotationData.text || '',
+                data: annotationData.data || null,
+                sectionIndex: annotationData.sectionIndex || null,
+                conceptTerm: annotationData.conceptTerm || null,
+                version: 1,
+                deleted: false,
+                createdAt: timestamp,
+                updatedAt: timestamp
+            };
+
+            await writeAnnotations(key, [annotation, ...annotations]);
+            if (kv) {
+                await kv.set(`annotation:${annotation.id}`, key);
+            } else {
+                memory.annotationKeysById.set(annotation.id, key);
+            }
+            return annotation.id;
+        },
+
+        async getAnnotation(id, userId) {
+            const key = await findAnnotationKey(id, userId);
+            if (!key) return null;
+            const annotations = await readAnnotations(key);
+            return annotations.find((annotation) => annotation.id === id) || null;
+        },
+
+        // Includes deleted annotations (deleted: true) so devices can drop them
+        async getAnnotationsByReviewer(reviewerId, userId) {
+            return await readAnnotations(`${userId}:${reviewerId}`);
+        },
+
+        // Same contract as dbService.updateAnnotation
+        async updateAnnotation(id, userId, changes, baseVersion, reviewerId = null) {
+            const key = await findAnnotationKey(id, userId);
+            const annotations = key && (reviewerId === null || key === `${userId}:${reviewerId}`)
+                ? await readAnnotations(key)
+                : [];
+            const current = annotations.find((annotation) => annotation.id === id);
+
+            if (!current) return { status: 'not_found', annotation: null };
+            if (current.deleted || current.version !== baseVersion) {
+                return { status: 'conflict', annotation: current };
+            }
+
+            const updated = {
+                ...current,
+                text: changes.text !== undefined ? changes.text : current.text,
+                data: changes.data !== undefined ? changes.data : current.data,
+                version: current.version + 1,
+                updatedAt: nowISO()
+            };
+            await writeAnnotations(key, annotations.map((annotation) => (annotation.id === id ? updated : annotation)));
+            return { status: 'updated', annotation: updated };
+        },
+
+        // Soft delete - kept as a tombstone for other devices
+        async deleteAnnotation(id, userId, reviewerId = null) {
+            const key = await findAnnotationKey(id, userId);
+            const annotations = key && (reviewerId === null || key === `${userId}:${reviewerId}`)
+                ? await readAnnotations(key)
+                : [];
+            const current = annotations.find((annotation) => annotation.id === id);
+            if (!current || current.deleted) return false;
+
+            const tombstone = { ...current, deleted: true, version: current.version + 1, updatedAt: nowISO() };
+            await writeAnnotations(key, annotations.map((annotation) => (annotation.id === id ? tombstone : annotation)));
+            return true;
+        },
+
+        async createJob(userId, type, payload, options = {}) {
+            const jobId = await nextId('jobs');
+            await writeJob({
+                id: jobId,
+                userId,
+                type,
+                status: 'queued',
+                reviewerId: options.reviewerId || null,
+                payload,
+                result: null,
+                error: null,
+                progress: 0,
+                message: 'Waiting to start...',
+                partial: null,
+                attempts: 0,
+                maxAttempts: options.maxAttempts || 3,
+                createdAt: nowISO(),
+                startedAt: null,
+                completedAt: null
+            });
+
+            if (kv) {
+                const listKey = `user:${userId}:jobs`;
+                const ids = await kvGetArray(listKey);
+                await kv.set(listKey, [jobId, ...ids]);
+            } else {
+                const ids = memory.jobIdsByUser.get(userId) || [];
+                memory.jobIdsByUser.set(userId, [jobId, ...ids]);
+            }
+            return jobId;
+        },
+
+        async getJob(id, userId = null) {
+            const job = await readJob(id);
+            if (!job || (userId && job.userId !== userId)) return null;
+            return job;
+        },
+
+        async getActiveJob(userId, type, reviewerId) {
+            const ids = kv
+                ? await kvGetArray(`user:${userId}:jobs`)
+                : memory.jobIdsByUser.get(userId) || [];
+            for (const id of ids) {
+                const job = await readJob(id);
+                if (job && job.type === type && job.reviewerId === reviewerId
+                    && (job.status === 'queued' || job.status === 'running')) {
+                    return job;
+                }
+            }
+            return null;
+        },
+
+        async claimJob(id) {
+            const job = await readJob(id);
+            if (!job || job.status !== 'queued') return null;
+            job.status = 'running';
+            job.attempts += 1;
+            job.error = null;
+            job.startedAt = nowISO();
+            return await writeJob(job);
+        },
+
+        async updateJobProgress(id, progress, message = null, partial = null) {
+            const job = await readJob(id);
+            if (!job) return;
+            job.progress = progress;
+            if (message) job.message = message;
+            if (partial) job.partial = partial;
+            await writeJob(job);
+        },
+
+        async completeJob(id, result, reviewerId = null) {
+            const job = await readJob(id);
+            if (!job) return;
+            Object.assign(job, {
+                status: 'completed',
+                result,
+                reviewerId: reviewerId || job.reviewerId,
+                progress: 100,
+                message: 'Complete',
+                error: null,
+                completedAt: nowISO()
+            });
+            await writeJob(job);
+        },
+
+        // Nothing polls KV for queued jobs, so a retry only happens when the
+        // job is claimed again; inline jobs get a single attempt
+        async failJob(id, errorMessage, retryDelaySeconds = 10) {
+            const job = await readJob(id);
+            if (!job) return null;
+
+            if (job.attempts < job.maxAttempts) {
+                Object.assign(job, { status: 'queued', error: errorMessage, message: 'Retrying...' });
+            } else {
+                Object.assign(job, { status: 'failed', error: errorMessage, message: 'Failed', completedAt: nowISO() });
+            }
+            await writeJob(job);
+            return job.status;
+        },
+
+        async getStatistics(userId) {
+            const documentIds = kv
+                ? await kvGetArray(`user:${userId}:documents`)
+                : memory.documentIdsByUser.get(userId) || [];
+            const reviewerIds = kv
+                ? await kvGetArray(`user:${userId}:reviewers`)
+                : memory.reviewerIdsByUser.get(userId) || [];
+            const attempts = await readAttempts(userId);
             const sum = attempts.reduce((acc, item) => acc + (item.percentage || 0), 0);
+
+            let annotations = 0;
+            for (const reviewerId of reviewerIds) {
+                const list = await readAnnotations(`${userId}:${reviewerId}`);
+                annotations += list.filter((annotation) => !annotation.deleted).length;
+            }
+
             return {
-                documents: reviewerIds.length,
+                documents: documentIds.length,
                 reviewers: reviewerIds.length,
                 quizAttempts: attempts.length,
-                annotations: 0,
+                annotations,
                 avgQuizScore: attempts.length ? (sum / attempts.length) : 0
             };
         }
+    };
+}
 
-        const reviewers = memory.reviewerIdsByUser.get(userId) || [];
-        const attempts = memory.attemptsByUser.get(userId) || [];
-        const sum = attempts.reduce((acc, item) => acc + (item.percentage || 0), 0);
-        return {
-            documents: reviewers.length,
-            reviewers: reviewers.length,
-            quizAttempts: attempts.length,
-            annotations: 0,
-            avgQuizScore: attempts.length ? (sum / attempts.length) : 0
-        };
-    },
-
-    async getUserIdFromRequest(req) {
-        const token = getAuthToken(req);
-        if (!token) return null;
-        const session = await this.getSessionByToken(token);
-        return session ? session.user_id : null;
-    },
+let vercelKV = null;
+try {
+    vercelKV = require('@vercel/kv').kv;
+} catch (error) {
+    vercelKV = null;
+}
 
-    authService
-};
+const storage = createStorage(vercelKV);
+storage.createStorage = createStorage;
 
 module.exports = storage;
 
@@ -0,0 +1,203 @@
+// backend/api/router.js - Route Matching for the SciBrain API
+// Routes are declared once as { method, path, handler } with path parameters
+// (/reviewer/:id/versions/:version). The router matches method and path,
+// parses the JSON body, runs the handler and maps what it returns or throws
+// to a JSON response, so backend/server.js and the Vercel function behave
+// the same way.
+
+const BODY_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Thrown by handlers for an error response: { error: message, ...details }
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Returned by handlers for a status other than 200 or extra headers
+class Reply {
+    constructor(status, body, headers = {}) {
+        this.status = status;
+        this.body = body;
+        this.headers = headers;
+    }
+}
+
+function reply(status, body, headers = {}) {
+    return new Reply(status, body, headers);
+}
+
+// '/reviewer/:id' -> { regex: /^\/reviewer\/([^/]+)\/?$/, names: ['id'] }
+function compilePath(pattern) {
+    const names = [];
+    const source = pattern.split('/').map(part => {
+        if (part.startsWith(':')) {
+            names.push(part.slice(1));
+            return '([^/]+)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+// IDs are stored as numbers in both SQLite and KV
+function parseParam(value) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(value);
+    } catch (error) {
+        throw new HttpError(400, 'Invalid path parameter');
+    }
+    return /^\d+$/.test(decoded) ? Number(decoded) : decoded;
+}
+
+// Largest request body read, in bytes. Account archives are the biggest
+// bodies the API takes; Vercel caps bodies well below this on its own.
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+
+function bodyTooLarge() {
+    return new HttpError(413, `Request body must be ${MAX_BODY_BYTES / (1024 * 1024)} MB or smaller`);
+}
+
+// Stops collecting as soon as the body passes MAX_BODY_BYTES; the rest of
+// the upload is left to drain rather than buffered
+function readBody(req) {
+    const declared = Number(req.headers && req.headers['content-length']);
+    if (declared > MAX_BODY_BYTES) return Promise.reject(bodyTooLarge());
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let tooLarge = false;
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                tooLarge = true;
+                chunks.length = 0;
+                reject(bodyTooLarge());
+                return;
+            }
+            chunks.push(Buffer.from(chunk));
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        req.on('error', reject);
+    });
+}
+
+// Vercel may hand over an already parsed body; the local server never does
+async function parseJsonBody(req) {
+    let preParsed;
+    try {
+        preParsed = req.body;
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON body');
+    }
+
+    if (preParsed && typeof preParsed === 'object' && !Buffer.isBuffer(preParsed)) return preParsed;
+
+    const raw = preParsed !== undefined && preParsed !== null
+        ? preParsed.toString()
+        : await readBody(req);
+    if (Buffer.byteLength(raw) > MAX_BODY_BYTES) throw bodyTooLarge();
+
+    if (!raw.trim()) return {};
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON body');
+    }
+}
+
+// Last resort for the entry points: anything that escaped the router still
+// gets a response instead of an unhandled rejection
+function sendUnexpectedError(res, error) {
+    console.error('❌ Unhandled API error:', error);
+    if (res.headersSent) {
+        if (!res.writableEnded) res.end();
+        return;
+    }
+    sendJson(res, 500, { error: 'Internal server error' });
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    for (const [name, value] of Object.entries(headers)) {
+        res.setHeader(name, value);
+    }
+    res.end(JSON.stringify(payload));
+}
+
+// Returns handle(req, res, pathname, context); pathname excludes the /api
+// prefix and context is passed through to every handler
+function createRouter(routes) {
+    const compiled = routes.map(route => ({ ...route, ...compilePath(route.path) }));
+
+    return async function handle(req, res, pathname, context = {}) {
+        const candidates = compiled
+            .map(route => ({ route, match: route.regex.exec(pathname) }))
+            .filter(({ match }) => match);
+
+        if (candidates.length === 0) {
+            return sendJson(res, 404, { error: 'Not Found' });
+        }
+
+        const found = candidates.find(({ route }) => route.method === req.method);
+        if (!found) {
+            const allowed = [...new Set(candidates.map(({ route }) => route.method))];
+            return sendJson(res, 405, { error: 'Method Not Allowed' }, { Allow: allowed.join(', ') });
+        }
+
+        const { route, match } = found;
+
+        try {
+            const params = {};
+            route.names.forEach((name, index) => {
+                params[name] = parseParam(match[index + 1]);
+            });
+
+            const url = new URL(req.url || pathname, 'http://localhost');
+            const body = BODY_METHODS.has(req.method) ? await parseJsonBody(req) : {};
+            const result = await route.handler({
+                ...context,
+                req,
+                res,
+                params,
+                query: Object.fromEntries(url.searchParams),
+                body
+            });
+
+            // Handlers that stream write the response themselves
+            if (res.writableEnded || res.headersSent) return;
+
+            if (result instanceof Reply) {
+                return sendJson(res, result.status, result.body, result.headers);
+            }
+            return sendJson(res, 200, result === undefined ? { success: true } : result);
+        } catch (error) {
+            if (res.headersSent) {
+                console.error(`❌ ${req.method} ${pathname} failed after responding:`, error);
+                return res.writableEnded ? undefined : res.end();
+            }
+            if (error instanceof HttpError) {
+                return sendJson(res, error.status, { error: error.message, ...error.details });
+            }
+            console.error(`❌ ${req.method} ${pathname} failed:`, error);
+            return sendJson(res, 500, { error: error.message || 'Internal server error' });
+        }
+    };
+}
+
+module.exports = {
+    HttpError,
+    reply,
+    createRouter,
+    parseJsonBody,
+    sendJson,
+    sendUnexpectedError
+};
@@ -0,0 +1,697 @@
+// backend/api/routes.js - The SciBrain API Route Table
+// Every endpoint is declared here once and served by both deployments:
+// backend/server.js with the SQLite service (database/service.js) and
+// api/[...route].js with Vercel KV (api/_lib/storage.js). Handlers only call
+// storage methods both stores implement, and await each call so the
+// synchronous SQLite service and the async KV store are used the same way.
+
+const { generateReviewer, generateQuizQuestions, summarizeValidation } = require('../services/ollamaService');
+const { selectionFromRequest, hasProvider, listProviders } = require('../services/aiProviders');
+const authService = require('../services/authService');
+const { validateReviewerContent } = require('../services/aiSchemas');
+const { diffReviewers } = require('../services/reviewerDiff');
+const { exportAccount, validateArchive, importAccount } = require('../services/accountArchive');
+const { HttpError, reply, createRouter } = require('./router');
+const { assertStorageContract } = require('./storageContract');
+
+// ==================== //
+// Request Helpers
+// ==================== //
+
+function bearerToken(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.substring(7);
+}
+
+function requireStorage(ctx) {
+    if (!ctx.storage) throw new HttpError(503, 'Database not available');
+    return ctx.storage;
+}
+
+// Resolves the session token to a user ID, or rejects with 401
+async function requireUser(ctx) {
+    const storage = requireStorage(ctx);
+    const token = bearerToken(ctx.req);
+    if (!token) throw new HttpError(401, 'Unauthorized');
+
+    const session = await storage.getSessionByToken(token);
+    if (!session) throw new HttpError(401, 'Unauthorized');
+    return session.user_id;
+}
+
+async function requireReviewer(storage, reviewerId, userId) {
+    const reviewer = reviewerId ? await storage.getReviewer(reviewerId, userId) : null;
+    if (!reviewer) throw new HttpError(404, 'Reviewer not found');
+    return reviewer;
+}
+
+function aiOptionsFrom(body) {
+    const aiOptions = selectionFromRequest(body);
+    if (aiOptions.provider && !hasProvider(aiOptions.provider)) {
+        throw new HttpError(400, `Unknown AI provider: ${aiOptions.provider}`);
+    }
+    return aiOptions;
+}
+
+// 'updated' results carry the reviewer; the others become 404 / 409
+function reviewerUpdateResult(result, notFoundMessage) {
+    if (result.status === 'not_found') throw new HttpError(404, notFoundMessage);
+    if (result.status === 'conflict') {
+        throw new HttpError(409, 'Reviewer was changed since it was loaded', { reviewer: result.reviewer });
+    }
+    return result.reviewer;
+}
+
+async function saveGeneratedReviewer(storage, userId, body, reviewerData) {
+    const title = body.title || 'Untitled';
+    const text = body.text || '';
+    const documentId = await storage.saveDocument(userId, title, text, 'text');
+    const reviewerId = await storage.saveReviewer(userId, documentId, reviewerData);
+    console.log(`✅ Reviewer saved: Document ID ${documentId}, Reviewer ID ${reviewerId}`);
+
+    reviewerData.documentId = documentId;
+    reviewerData.reviewerId = reviewerId;
+    return reviewerData;
+}
+
+// ==================== //
+// Health & AI Providers
+// ==================== //
+
+function health(ctx) {
+    return { status: 'ok', ...ctx.describe() };
+}
+
+async function providers() {
+    return await listProviders();
+}
+
+// ==================== //
+// Authentication
+// ==================== //
+
+async function signup(ctx) {
+    const storage = requireStorage(ctx);
+    const { fullName, email, password } = ctx.body;
+
+    console.log('📝 Sign up request:', email);
+
+    if (!fullName || !email || !password) {
+        throw new HttpError(400, 'All fields are required');
+    }
+
+    const sanitizedFullName = authService.sanitizeInput(fullName);
+    const sanitizedEmail = authService.sanitizeInput(email).toLowerCase();
+
+    if (!authService.isValidEmail(sanitizedEmail)) {
+        throw new HttpError(400, 'Invalid email format');
+    }
+    if (await storage.getUserByEmail(sanitizedEmail)) {
+        throw new HttpError(409, 'User with this email already exists');
+    }
+
+    const passwordHash = authService.hashPassword(password);
+    const userId = await storage.createUser(sanitizedFullName, sanitizedEmail, passwordHash);
+
+    const sessionToken = authService.generateSessionToken();
+    await storage.createSession(userId, sessionToken, authService.generateSessionExpiry());
+
+    console.log(`✅ User created successfully: ${sanitizedEmail} (ID: ${userId})`);
+
+    return reply(201, {
+        success: true,
+        userId,
+        email: sanitizedEmail,
+        fullName: sanitizedFullName,
+        sessionToken
+    });
+}
+
+async function login(ctx) {
+    const storage = requireStorage(ctx);
+    const { email, password } = ctx.body;
+
+    console.log('🔐 Login attempt:', email);
+
+    if (!email || !password) {
+        throw new HttpError(400, 'Email and password are required');
+    }
+
+    const sanitizedEmail = authService.sanitizeInput(email).toLowerCase();
+    const user = await storage.getUserByEmail(sanitizedEmail);
+
+    if (!user || !authService.verifyPassword(password, user.password_hash)) {
+        throw new HttpError(401, 'Invalid email or password');
+    }
+
+    await storage.updateLastLogin(user.id);
+
+    const sessionToken = authService.generateSessionToken();
+    await storage.createSession(user.id, sessionToken, authService.generateSessionExpiry());
+
+    console.log(`✅ Login successful: ${sanitizedEmail} (ID: ${user.id})`);
+
+    return {
+        success: true,
+        userId: user.id,
+        email: user.email,
+        fullName: user.full_name,
+        sessionToken
+    };
+}
+
+async function logout(ctx) {
+    const storage = requireStorage(ctx);
+    const token = bearerToken(ctx.req);
+    if (token) {
+        await storage.deleteSession(token);
+        console.log('👋 User logged out');
+    }
+    return { success: true };
+}
+
+async function verify(ctx) {
+    const storage = requireStorage(ctx);
+    const token = bearerToken(ctx.req);
+    const session = token ? await storage.getSessionByToken(token) : null;
+
+    if (!session) return reply(401, { valid: false });
+
+    return {
+        valid: true,
+        userId: session.user_id,
+        email: session.email,
+        fullName: session.full_name
+    };
+}
+
+// ==================== //
+// Account
+// ==================== //
+
+// Profile images are stored inline as data URLs in users.profile_image
+const PROFILE_IMAGE_PATTERN = /^data:image\/(png|jpeg|gif|webp);base64,([A-Za-z0-9+/]+={0,2})$/;
+const MAX_PROFILE_IMAGE_BYTES = 256 * 1024;
+
+async function requireAccount(ctx) {
+    const userId = await requireUser(ctx);
+    const user = await ctx.storage.getUserById(userId);
+    if (!user) throw new HttpError(404, 'User not found');
+    return user;
+}
+
+function accountProfile(user) {
+    return {
+        userId: user.id,
+        fullName: user.full_name,
+        email: user.email,
+        profileImage: user.profile_image || null,
+        createdAt: user.created_at
+    };
+}
+
+async function getAccount(ctx) {
+    return accountProfile(await requireAccount(ctx));
+}
+
+// Only the fields sent are changed
+async function updateAccount(ctx) {
+    const user = await requireAccount(ctx);
+    const { fullName, email } = ctx.body;
+    const changes = {};
+
+    if (fullName !== undefined) {
+        const sanitizedFullName = authService.sanitizeInput(fullName);
+        if (typeof sanitizedFullName !== 'string' || !sanitizedFullName) {
+            throw new HttpError(400, 'Full name cannot be empty');
+        }
+        changes.fullName = sanitizedFullName;
+    }
+
+    if (email !== undefined) {
+        const sanitizedEmail = typeof email === 'string' ? authService.sanitizeInput(email).toLowerCase() : '';
+        if (!authService.isValidEmail(sanitizedEmail)) {
+            throw new HttpError(400, 'Invalid email format');
+        }
+        const existing = await ctx.storage.getUserByEmail(sanitizedEmail);
+        if (existing && existing.id !== user.id) {
+            throw new HttpError(409, 'User with this email already exists');
+        }
+        changes.email = sanitizedEmail;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        throw new HttpError(400, 'fullName or email is required');
+    }
+
+    const updated = await ctx.storage.updateUser(user.id, changes);
+    console.log(`✏️ Account updated: ID ${user.id} (${Object.keys(changes).join(', ')})`);
+    return accountProfile(updated);
+}
+
+// A wrong current password is 403, as for account deletion
+async function changePassword(ctx) {
+    const user = await requireAccount(ctx);
+    const { currentPassword, newPassword } = ctx.body;
+
+    if (!currentPassword || !newPassword) {
+        throw new HttpError(400, 'Current and new password are required');
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 6 || newPassword.length > 100) {
+        throw new HttpError(400, 'Password must be between 6 and 100 characters long');
+    }
+    if (!authService.verifyPassword(currentPassword, user.password_hash)) {
+        throw new HttpError(403, 'Current password is incorrect');
+    }
+
+    await ctx.storage.updateUser(user.id, { passwordHash: authService.hashPassword(newPassword) });
+    console.log(`🔑 Password changed: ID ${user.id}`);
+    return { success: true, message: 'Password changed' };
+}
+
+// Body: { image: 'data:image/png;base64,...' }
+async function uploadProfileImage(ctx) {
+    const user = await requireAccount(ctx);
+    const match = typeof ctx.body.image === 'string' ? PROFILE_IMAGE_PATTERN.exec(ctx.body.image) : null;
+
+    if (!match) {
+        throw new HttpError(400, 'image must be a PNG, JPEG, GIF or WebP data URL');
+    }
+    if (Buffer.byteLength(match[2], 'base64') > MAX_PROFILE_IMAGE_BYTES) {
+        throw new HttpError(413, `Profile image must be ${MAX_PROFILE_IMAGE_BYTES / 1024} KB or smaller`);
+    }
+
+    const updated = await ctx.storage.updateUser(user.id, { profileImage: ctx.body.image });
+    console.log(`🖼️ Profile image updated: ID ${user.id}`);
+    return accountProfile(updated);
+}
+
+async function removeProfileImage(ctx) {
+    const user = await requireAccount(ctx);
+    const updated = await ctx.storage.updateUser(user.id, { profileImage: null });
+    return accountProfile(updated);
+}
+
+async function exportAccountRoute(ctx) {
+    const userId = await requireUser(ctx);
+    const archive = await exportAccount(ctx.storage, userId);
+    if (!archive) throw new HttpError(404, 'User not found');
+
+    const filename = `scibrain-export-${archive.exportedAt.slice(0, 10)}.json`;
+    return reply(200, archive, { 'Content-Disposition': `attachment; filename="${filename}"` });
+}
+
+// The body is an archive from GET /account/export, from either deployment
+async function importAccountRoute(ctx) {
+    const userId = await requireUser(ctx);
+    const problem = validateArchive(ctx.body);
+    if (problem) throw new HttpError(400, problem);
+
+    const imported = await importAccount(ctx.storage, userId, ctx.body);
+    console.log(`📥 Account import for user ${userId}: ${imported.reviewers} reviewer(s), ${imported.quizAttempts} attempt(s)`);
+    return reply(201, { success: true, imported });
+}
+
+// Asks for the password again even with a valid session; a wrong one is 403
+// rather than 401 so the client does not treat it as a lapsed session
+async function deleteAccount(ctx) {
+    const user = await requireAccount(ctx);
+    const { password } = ctx.body;
+    if (!password) throw new HttpError(400, 'Password is required');
+
+    if (!authService.verifyPassword(password, user.password_hash)) {
+        throw new HttpError(403, 'Password is incorrect');
+    }
+
+    await ctx.storage.deleteUser(user.id);
+    console.log(`🗑️ Account deleted: ${user.email} (ID: ${user.id})`);
+    return { success: true, message: 'Account deleted' };
+}
+
+// ==================== //
+// Generation
+// ==================== //
+
+async function generateReviewerRoute(ctx) {
+    const userId = await requireUser(ctx);
+    const aiOptions = aiOptionsFrom(ctx.body);
+    const { text = '', title = 'Untitled', blocks } = ctx.body;
+
+    console.log(`📚 Generating reviewer for user ${userId}:`, title);
+
+    const reviewerData = await generateReviewer(text, title, null, aiOptions, blocks);
+    return await saveGeneratedReviewer(ctx.storage, userId, ctx.body, reviewerData);
+}
+
+// Newline-delimited JSON progress events, finishing with a "complete" event
+// that carries the saved reviewer
+async function streamReviewer(ctx) {
+    const userId = await requireUser(ctx);
+    const aiOptions = aiOptionsFrom(ctx.body);
+    const { res } = ctx;
+    const { text = '', title = 'Untitled', blocks } = ctx.body;
+
+    res.writeHead(200, {
+        'Content-Type': 'application/x-ndjson',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let clientGone = false;
+    res.on('close', () => { clientGone = true; });
+    const send = (event) => {
+        if (!clientGone) res.write(JSON.stringify(event) + '\n');
+    };
+
+    try {
+        console.log(`📚 Streaming reviewer generation for user ${userId}:`, title);
+
+        const reviewerData = await generateReviewer(text, title, send, aiOptions, blocks);
+        send({ type: 'phase', phase: 'saving', progress: 95, message: 'Saving reviewer...' });
+
+        await saveGeneratedReviewer(ctx.storage, userId, ctx.body, reviewerData);
+        send({ type: 'complete', progress: 100, reviewer: reviewerData });
+    } catch (error) {
+        console.error('❌ Error streaming reviewer generation:', error);
+        send({ type: 'error', error: error.message });
+    }
+    res.end();
+}
+
+async function generateQuestionsRoute(ctx) {
+    const userId = await requireUser(ctx);
+    const aiOptions = aiOptionsFrom(ctx.body);
+    const { text = '', concepts = [] } = ctx.body;
+    const reviewerId = Number(ctx.body.reviewerId) || null;
+
+    console.log('🎮 Generating quiz questions...');
+
+    const validation = [];
+    const questions = await generateQuizQuestions(text, concepts, aiOptions, validation);
+
+    // Only saved against the caller's own reviewer
+    if (reviewerId && await ctx.storage.getReviewer(reviewerId, userId)) {
+        await ctx.storage.saveQuizQuestions(reviewerId, questions);
+        await ctx.storage.updateReviewerMetadata(reviewerId, userId, { quizValidation: summarizeValidation(validation) });
+        console.log(`✅ Quiz questions saved for reviewer ${reviewerId}`);
+    }
+
+    return questions;
+}
+
+// ==================== //
+// Generation Jobs
+// ==================== //
+
+// The local server queues jobs for its worker; on Vercel they run inside the
+// POST request. Either way the job record is read back through storage.
+function requireJobs(ctx) {
+    requireStorage(ctx);
+    if (!ctx.jobs) throw new HttpError(503, 'Background jobs are not available');
+    return ctx.jobs;
+}
+
+async function createJob(ctx) {
+    const userId = await requireUser(ctx);
+    const jobs = requireJobs(ctx);
+    const { type } = ctx.body;
+
+    if (!jobs.isSupportedType(type)) {
+        throw new HttpError(400, `Unsupported job type: ${type}`);
+    }
+    const aiOptions = aiOptionsFrom(ctx.body);
+
+    let job;
+    if (type === 'reviewer') {
+        if (!ctx.body.text) throw new HttpError(400, 'text is required');
+        job = await jobs.enqueue(userId, 'reviewer', {
+            text: ctx.body.text,
+            title: ctx.body.title || 'Untitled',
+            blocks: ctx.body.blocks,
+            aiOptions
+        });
+    } else {
+        const reviewerId = parseInt(ctx.body.reviewerId);
+        const reviewer = await requireReviewer(ctx.storage, reviewerId, userId);
+
+        // Reattach to a job already working on this reviewer
+        job = await ctx.storage.getActiveJob(userId, 'quiz', reviewerId) || await jobs.enqueue(userId, 'quiz', {
+            text: ctx.body.text || reviewer.originalText,
+            concepts: ctx.body.concepts || reviewer.concepts,
+            aiOptions
+        }, { reviewerId });
+    }
+
+    return reply(202, jobs.toPublicJob(job));
+}
+
+async function getJob(ctx) {
+    const userId = await requireUser(ctx);
+    const jobs = requireJobs(ctx);
+    const job = await ctx.storage.getJob(ctx.params.id, userId);
+
+    if (!job) throw new HttpError(404, 'Job not found');
+    return jobs.toPublicJob(job);
+}
+
+// ==================== //
+// Reviewers
+// ==================== //
+
+async function listReviewers(ctx) {
+    const userId = await requireUser(ctx);
+    return await ctx.storage.getAllReviewers(userId);
+}
+
+async function getReviewer(ctx) {
+    const userId = await requireUser(ctx);
+    return await requireReviewer(ctx.storage, ctx.params.id, userId);
+}
+
+// Edit mode - the previous content is kept as a version
+async function updateReviewer(ctx) {
+    const userId = await requireUser(ctx);
+    const { title, sections, concepts, baseVersion } = ctx.body;
+
+    const problems = validateReviewerContent({ title, sections, concepts });
+    if (problems.length > 0) {
+        throw new HttpError(400, 'Invalid reviewer', { problems });
+    }
+
+    const result = await ctx.storage.updateReviewer(
+        ctx.params.id,
+        userId,
+        { title: title.trim(), sections, concepts },
+        Number.isInteger(baseVersion) ? baseVersion : null
+    );
+    return reviewerUpdateResult(result, 'Reviewer not found');
+}
+
+async function deleteReviewer(ctx) {
+    const userId = await requireUser(ctx);
+    if (!await ctx.storage.deleteReviewer(ctx.params.id, userId)) {
+        throw new HttpError(404, 'Reviewer not found');
+    }
+    return { success: true, message: 'Reviewer deleted' };
+}
+
+async function listReviewerVersions(ctx) {
+    const userId = await requireUser(ctx);
+    const reviewer = await requireReviewer(ctx.storage, ctx.params.id, userId);
+    const versions = await ctx.storage.getReviewerVersions(ctx.params.id, userId);
+
+    return {
+        reviewerId: ctx.params.id,
+        currentVersion: reviewer.version,
+        updatedAt: reviewer.updatedAt,
+        versions
+    };
+}
+
+// A version, with what changed between it and the current one
+async function getReviewerVersion(ctx) {
+    const userId = await requireUser(ctx);
+    const { id, version } = ctx.params;
+    const reviewer = await ctx.storage.getReviewer(id, userId);
+    const snapshot = reviewer ? await ctx.storage.getReviewerVersion(id, userId, version) : null;
+
+    if (!snapshot) throw new HttpError(404, 'Version not found');
+
+    return {
+        ...snapshot,
+        currentVersion: reviewer.version,
+        diff: diffReviewers(snapshot, reviewer)
+    };
+}
+
+// Saved as a new version
+async function restoreReviewerVersion(ctx) {
+    const userId = await requireUser(ctx);
+    const { baseVersion } = ctx.body;
+
+    const result = await ctx.storage.restoreReviewerVersion(
+        ctx.params.id,
+        userId,
+        ctx.params.version,
+        Number.isInteger(baseVersion) ? baseVersion : null
+    );
+    return reviewerUpdateResult(result, 'Version not found');
+}
+
+// ==================== //
+// Quizzes & Statistics
+// ==================== //
+
+async function getQuizQuestions(ctx) {
+    const userId = await requireUser(ctx);
+    await requireReviewer(ctx.storage, ctx.params.id, userId);
+    return await ctx.storage.getQuizQuestions(ctx.params.id) || {};
+}
+
+async function getStatistics(ctx) {
+    const userId = await requireUser(ctx);
+    return await ctx.storage.getStatistics(userId);
+}
+
+async function saveQuizAttempt(ctx) {
+    const userId = await requireUser(ctx);
+    const attemptData = ctx.body;
+    await requireReviewer(ctx.storage, attemptData.reviewerId, userId);
+
+    const attemptId = await ctx.storage.saveQuizAttempt(userId, attemptData.reviewerId, attemptData);
+
+    if (Array.isArray(attemptData.questionOutcomes) && attemptData.questionOutcomes.length > 0) {
+        await ctx.storage.saveQuestionOutcomes(userId, attemptData.reviewerId, attemptId, attemptData.questionOutcomes);
+        await ctx.storage.updateReviewSchedule(userId, attemptData.reviewerId, attemptData.questionOutcomes);
+    }
+
+    return { success: true, attemptId };
+}
+
+// Keyed by stable question ID
+async function getQuestionStats(ctx) {
+    const userId = await requireUser(ctx);
+    return await ctx.storage.getQuestionStats(userId, ctx.params.id);
+}
+
+// Questions due today for a reviewer
+async function getReviewQueue(ctx) {
+    const userId = await requireUser(ctx);
+    const reviewerId = ctx.params.id;
+    await requireReviewer(ctx.storage, reviewerId, userId);
+
+    const due = await ctx.storage.getReviewQueue(userId, reviewerId);
+    return { reviewerId, total: due.length, due };
+}
+
+// ==================== //
+// Annotations (highlights, notes, bookmarks)
+// ==================== //
+
+// Including deleted ones, for sync
+async function listAnnotations(ctx) {
+    const userId = await requireUser(ctx);
+    const { reviewerId } = ctx.params;
+    await requireReviewer(ctx.storage, reviewerId, userId);
+
+    const annotations = await ctx.storage.getAnnotationsByReviewer(reviewerId, userId);
+    return { reviewerId, annotations };
+}
+
+async function createAnnotation(ctx) {
+    const userId = await requireUser(ctx);
+    const { reviewerId } = ctx.params;
+    await requireReviewer(ctx.storage, reviewerId, userId);
+
+    if (!ctx.body.type) throw new HttpError(400, 'type is required');
+
+    const id = await ctx.storage.saveAnnotation(userId, reviewerId, ctx.body);
+    return reply(201, await ctx.storage.getAnnotation(id, userId));
+}
+
+// Rejected with 409 if it changed since baseVersion; an annotation that
+// belongs to a different reviewer than the path names is 404
+async function updateAnnotation(ctx) {
+    const userId = await requireUser(ctx);
+    const { reviewerId, id } = ctx.params;
+    const { text, data, baseVersion } = ctx.body;
+
+    if (!Number.isInteger(baseVersion)) throw new HttpError(400, 'baseVersion is required');
+
+    const result = await ctx.storage.updateAnnotation(id, userId, { text, data }, baseVersion, reviewerId);
+    if (result.status === 'not_found') throw new HttpError(404, 'Annotation not found');
+    if (result.status === 'conflict') throw new HttpError(409, 'Conflict', { annotation: result.annotation });
+    return result.annotation;
+}
+
+async function deleteAnnotation(ctx) {
+    const userId = await requireUser(ctx);
+    const { reviewerId, id } = ctx.params;
+    if (!await ctx.storage.deleteAnnotation(id, userId, reviewerId)) {
+        throw new HttpError(404, 'Annotation not found');
+    }
+    return { success: true, message: 'Annotation deleted' };
+}
+
+// ==================== //
+// Route Table
+// ==================== //
+
+const routes = [
+    { method: 'GET', path: '/health', handler: health },
+    { method: 'GET', path: '/providers', handler: providers },
+
+    { method: 'POST', path: '/auth/signup', handler: signup },
+    { method: 'POST', path: '/auth/login', handler: login },
+    { method: 'POST', path: '/auth/logout', handler: logout },
+    { method: 'GET', path: '/auth/verify', handler: verify },
+
+    { method: 'GET', path: '/account', handler: getAccount },
+    { method: 'PATCH', path: '/account', handler: updateAccount },
+    { method: 'PUT', path: '/account/password', handler: changePassword },
+    { method: 'PUT', path: '/account/profile-image', handler: uploadProfileImage },
+    { method: 'DELETE', path: '/account/profile-image', handler: removeProfileImage },
+    { method: 'GET', path: '/account/export', handler: exportAccountRoute },
+    { method: 'POST', path: '/account/import', handler: importAccountRoute },
+    { method: 'DELETE', path: '/account', handler: deleteAccount },
+
+    { method: 'POST', path: '/generate-reviewer', handler: generateReviewerRoute },
+    { method: 'POST', path: '/generate-reviewer/stream', handler: streamReviewer },
+    { method: 'POST', path: '/generate-questions', handler: generateQuestionsRoute },
+    { method: 'POST', path: '/jobs', handler: createJob },
+    { method: 'GET', path: '/jobs/:id', handler: getJob },
+
+    { method: 'GET', path: '/reviewers', handler: listReviewers },
+    { method: 'GET', path: '/reviewer/:id', handler: getReviewer },
+    { method: 'PUT', path: '/reviewer/:id', handler: updateReviewer },
+    { method: 'DELETE', path: '/reviewer/:id', handler: deleteReviewer },
+    { method: 'GET', path: '/reviewer/:id/versions', handler: listReviewerVersions },
+    { method: 'GET', path: '/reviewer/:id/versions/:version', handler: getReviewerVersion },
+    { method: 'POST', path: '/reviewer/:id/versions/:version/restore', handler: restoreReviewerVersion },
+
+    { method: 'GET', path: '/quiz-questions/:id', handler: getQuizQuestions },
+    { method: 'GET', path: '/statistics', handler: getStatistics },
+    { method: 'POST', path: '/quiz-attempt', handler: saveQuizAttempt },
+    { method: 'GET', path: '/question-stats/:id', handler: getQuestionStats },
+    { method: 'GET', path: '/review-queue/:id', handler: getReviewQueue },
+
+    { method: 'GET', path: '/annotations/:reviewerId', handler: listAnnotations },
+    { method: 'POST', path: '/annotations/:reviewerId', handler: createAnnotation },
+    { method: 'PUT', path: '/annotations/:reviewerId/:id', handler: updateAnnotation },
+    { method: 'DELETE', path: '/annotations/:reviewerId/:id', handler: deleteAnnotation }
+];
+
+// storage: the SQLite service or the KV store (null when unavailable)
+// jobs: the job queue, where background generation can run
+// describe: deployment details merged into GET /health
+function createApiHandler({ storage = null, jobs = null, describe = () => ({}) } = {}) {
+    if (storage) assertStorageContract(storage);
+    const handle = createRouter(routes);
+    return (req, res, pathname) => handle(req, res, pathname, { storage, jobs, describe });
+}
+
+module.exports = {
+    routes,
+    createApiHandler
+};
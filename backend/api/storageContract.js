@@ -0,0 +1,45 @@
+// backend/api/storageContract.js - The Storage Contract Shared by Both Deployments
+// The SQLite service (database/service.js), the Vercel KV store and its
+// in-memory fallback (api/_lib/storage.js) all implement these methods with
+// the same signatures and results. createApiHandler asserts the method set at
+// startup; scripts/checkStorage.js exercises the behaviour against scratch
+// stores. Run `npm run check:storage` in backend/ to check all three stores.
+
+// Every method may be synchronous (SQLite) or async (KV); callers await them
+const STORAGE_CONTRACT = {
+    users: ['createUser', 'getUserByEmail', 'getUserById', 'updateLastLogin', 'updateUser', 'deleteUser'],
+    sessions: ['createSession', 'getSessionByToken', 'deleteSession'],
+    documents: ['saveDocument', 'getDocument', 'getAllDocuments', 'deleteDocument'],
+    reviewers: [
+        'saveReviewer', 'getReviewer', 'getAllReviewers', 'updateReviewer', 'updateReviewerMetadata',
+        'getReviewerVersions', 'getReviewerVersion', 'restoreReviewerVersion', 'deleteReviewer'
+    ],
+    quizQuestions: ['saveQuizQuestions', 'getQuizQuestions'],
+    attempts: [
+        'saveQuizAttempt', 'getQuizAttempt', 'getQuizAttemptsByReviewer', 'getAllQuizAttempts',
+        'getQuizStatistics', 'saveQuestionOutcomes', 'getQuestionOutcomes', 'restoreQuestionOutcomes', 'getQuestionStats',
+        'updateReviewSchedule', 'getReviewSchedule', 'restoreReviewSchedule', 'getReviewQueue'
+    ],
+    annotations: ['saveAnnotation', 'getAnnotation', 'getAnnotationsByReviewer', 'updateAnnotation', 'deleteAnnotation'],
+    jobs: ['createJob', 'getJob', 'getActiveJob', 'claimJob', 'updateJobProgress', 'completeJob', 'failJob'],
+    statistics: ['getStatistics']
+};
+
+function missingStorageMethods(storage) {
+    return Object.values(STORAGE_CONTRACT)
+        .flat()
+        .filter(method => typeof storage[method] !== 'function');
+}
+
+function assertStorageContract(storage, name = 'storage') {
+    const missing = missingStorageMethods(storage);
+    if (missing.length > 0) {
+        throw new Error(`${name} does not implement the storage contract, missing: ${missing.join(', ')}`);
+    }
+}
+
+module.exports = {
+    STORAGE_CONTRACT,
+    missingStorageMethods,
+    assertStorageContract
+};
@@ -3,9 +3,31 @@ const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 
-const DB_PATH = path.join(__dirname, 'scibrain.db');
+const DB_PATH = process.env.SCIBRAIN_DB_PATH || path.join(__dirname, 'scibrain.db');
 const SCHEMA_PATH = path.join(__dirname, 'schema.sql');
 
+// Columns added to existing tables after their first release.
+// CREATE TABLE IF NOT EXISTS leaves older databases untouched, so they are added here.
+const COLUMN_MIGRATIONS = [
+    { table: 'annotations', column: 'client_id', definition: 'TEXT' },
+    { table: 'annotations', column: 'data', definition: 'TEXT' },
+    { table: 'annotations', column: 'version', definition: 'INTEGER DEFAULT 1' },
+    { table: 'annotations', column: 'deleted_at', definition: 'DATETIME' },
+    { table: 'reviewers', column: 'version', definition: 'INTEGER DEFAULT 1' },
+    { table: 'reviewers', column: 'updated_at', definition: 'DATETIME' },
+    { table: 'quiz_questions', column: 'reviewer_version', definition: 'INTEGER DEFAULT 1' }
+];
+
+function applyColumnMigrations(db) {
+    COLUMN_MIGRATIONS.forEach(({ table, column, definition }) => {
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+        if (!columns.some(existing => existing.name === column)) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`🔧 Added column ${table}.${column}`);
+        }
+    });
+}
+
 function initializeDatabase() {
     console.log('🗄️ Initializing SciBrain database...');
     
@@ -19,6 +41,7 @@ function initializeDatabase() {
         // Read and execute schema
         const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
         db.exec(schema);
+        applyColumnMigrations(db);
         
         console.log('✅ Database initialized successfully');
         console.log(`📍 Database location: ${DB_PATH}`);
@@ -42,7 +42,9 @@ CREATE TABLE IF NOT EXISTS reviewers (
     concepts TEXT NOT NULL, -- JSON
     metadata TEXT, -- JSON
     original_text TEXT,
+    version INTEGER DEFAULT 1, -- bumped on every edit; prior versions in reviewer_versions
     generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (document_id) REFERENCES documents(id) ON DELETE CASCADE
 );
@@ -53,9 +55,10 @@ CREATE TABLE IF NOT EXISTS reviewers (
 CREATE TABLE IF NOT EXISTS quiz_questions (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     reviewer_id INTEGER NOT NULL,
-    quiz_type TEXT NOT NULL, -- 'trueFalse', 'multipleChoice', 'identification', 'matching'
+    quiz_type TEXT NOT NULL, -- 'trueFalse', 'multipleChoice', 'identification', 'matching', 'cloze', 'sequence'
     difficulty TEXT NOT NULL, -- 'easy', 'medium', 'hard'
     questions TEXT NOT NULL, -- JSON array of questions
+    reviewer_version INTEGER DEFAULT 1, -- reviewer version the questions were generated from
     generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (reviewer_id) REFERENCES reviewers(id) ON DELETE CASCADE
 );
@@ -91,7 +94,11 @@ CREATE TABLE IF NOT EXISTS annotations (
     section_index INTEGER,
     concept_term TEXT,
     annotation_text TEXT NOT NULL,
-    annotation_type TEXT DEFAULT 'note', -- 'note', 'highlight', 'question'
+    annotation_type TEXT DEFAULT 'note', -- 'note', 'highlight', 'bookmark', 'question'
+    client_id TEXT, -- ID assigned by the device that created it
+    data TEXT, -- JSON: full annotation as stored by ReviewerPage
+    version INTEGER DEFAULT 1, -- bumped on every change, used to detect conflicts
+    deleted_at DATETIME, -- kept as a tombstone so other devices see the delete
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -110,6 +117,89 @@ CREATE TABLE IF NOT EXISTS sessions (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- ============================================
+-- Table 8: Question Reviews (Spaced Repetition Schedule)
+-- ============================================
+CREATE TABLE IF NOT EXISTS question_reviews (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    reviewer_id INTEGER NOT NULL,
+    question_key TEXT NOT NULL,
+    quiz_type TEXT NOT NULL, -- 'trueFalse', 'multipleChoice', 'identification', 'matching', 'cloze', 'sequence', 'flashcards'
+    difficulty TEXT NOT NULL,
+    question TEXT NOT NULL, -- JSON snapshot of the question as last answered
+    ease_factor REAL DEFAULT 2.5,
+    interval_days INTEGER DEFAULT 0,
+    repetitions INTEGER DEFAULT 0,
+    lapses INTEGER DEFAULT 0,
+    due_at DATETIME NOT NULL,
+    last_reviewed_at DATETIME,
+    last_result TEXT, -- 'correct', 'incorrect'
+    UNIQUE (user_id, reviewer_id, question_key),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewer_id) REFERENCES reviewers(id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Table 9: Question Outcomes (Per-Question Answer History)
+-- ============================================
+CREATE TABLE IF NOT EXISTS question_outcomes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    reviewer_id INTEGER NOT NULL,
+    attempt_id INTEGER,
+    question_id TEXT NOT NULL, -- stable ID assigned at generation
+    quiz_type TEXT NOT NULL,
+    difficulty TEXT NOT NULL,
+    is_correct INTEGER NOT NULL,
+    user_answer TEXT, -- JSON
+    answered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewer_id) REFERENCES reviewers(id) ON DELETE CASCADE,
+    FOREIGN KEY (attempt_id) REFERENCES quiz_attempts(id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Table 10: Generation Jobs (Background Reviewer/Quiz Generation)
+-- ============================================
+CREATE TABLE IF NOT EXISTS generation_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    type TEXT NOT NULL, -- 'reviewer', 'quiz'
+    status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+    reviewer_id INTEGER, -- reviewer the job generates for (quiz) or produced (reviewer)
+    payload TEXT NOT NULL, -- JSON input
+    result TEXT, -- JSON output
+    error TEXT,
+    progress INTEGER DEFAULT 0,
+    message TEXT,
+    partial TEXT, -- JSON, e.g. section titles finished so far
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_after DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    started_at DATETIME,
+    completed_at DATETIME,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- ============================================
+-- Table 11: Reviewer Versions (Edit History)
+-- ============================================
+CREATE TABLE IF NOT EXISTS reviewer_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reviewer_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    version INTEGER NOT NULL, -- the reviewer's version number before it was replaced
+    title TEXT NOT NULL,
+    sections TEXT NOT NULL, -- JSON
+    concepts TEXT NOT NULL, -- JSON
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP, -- when it was replaced
+    FOREIGN KEY (reviewer_id) REFERENCES reviewers(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
 -- ============================================
 -- Indexes for Performance
 -- ============================================
@@ -127,4 +217,11 @@ CREATE INDEX IF NOT EXISTS idx_quiz_attempts_completed_at ON quiz_attempts(compl
 CREATE INDEX IF NOT EXISTS idx_annotations_user_id ON annotations(user_id);
 CREATE INDEX IF NOT EXISTS idx_annotations_reviewer_id ON annotations(reviewer_id);
 CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(session_token);
-CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_question_reviews_user_reviewer ON question_reviews(user_id, reviewer_id);
+CREATE INDEX IF NOT EXISTS idx_question_reviews_due_at ON question_reviews(due_at);
+CREATE INDEX IF NOT EXISTS idx_question_outcomes_question ON question_outcomes(reviewer_id, question_id);
+CREATE INDEX IF NOT EXISTS idx_question_outcomes_user_id ON question_outcomes(user_id);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_status ON generation_jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_generation_jobs_user_id ON generation_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_reviewer_versions_reviewer ON reviewer_versions(reviewer_id, version);
\ No newline at end of file
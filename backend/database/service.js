@@ -1,8 +1,9 @@
 // backend/database/service.js - Database Service Layer (Updated with Authentication)
 const Database = require('better-sqlite3');
 const path = require('path');
+const { questionKey, questionKeysByType, isStaleReview, scheduleReview, endOfToday } = require('../services/reviewScheduler');
 
-const DB_PATH = path.join(__dirname, 'scibrain.db');
+const DB_PATH = process.env.SCIBRAIN_DB_PATH || path.join(__dirname, 'scibrain.db');
 
 class DatabaseService {
     constructor() {
@@ -66,6 +67,51 @@ class DatabaseService {
         stmt.run(userId);
     }
 
+    // changes may hold fullName, email, passwordHash and profileImage (null
+    // clears it); anything left out keeps its value. Returns the updated user.
+    updateUser(userId, changes) {
+        const db = this.connect();
+        const columns = {
+            fullName: 'full_name',
+            email: 'email',
+            passwordHash: 'password_hash',
+            profileImage: 'profile_image'
+        };
+        const fields = Object.keys(columns).filter(key => changes[key] !== undefined);
+        
+        if (fields.length > 0) {
+            const stmt = db.prepare(`
+                UPDATE users 
+                SET ${fields.map(key => `${columns[key]} = ?`).join(', ')} 
+                WHERE id = ?
+            `);
+            stmt.run(...fields.map(key => changes[key]), userId);
+        }
+        
+        return this.getUserById(userId) || null;
+    }
+
+    // Removes the user with everything they own, sessions included, so every
+    // device is signed out. Returns false if there was no such user.
+    deleteUser(userId) {
+        const db = this.connect();
+        
+        const remove = db.transaction(() => {
+            db.prepare('DELETE FROM quiz_questions WHERE reviewer_id IN (SELECT id FROM reviewers WHERE user_id = ?)').run(userId);
+            for (const table of [
+                'sessions', 'generation_jobs', 'question_outcomes', 'question_reviews', 'annotations',
+                'quiz_attempts', 'reviewer_versions', 'reviewers', 'documents'
+            ]) {
+                db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+            }
+            return db.prepare('DELETE FROM users WHERE id = ?').run(userId).changes > 0;
+        });
+        
+        const deleted = remove();
+        console.log(`🗑️ User deleted: ID ${userId}`);
+        return deleted;
+    }
+
     // ==================== //
     // SESSIONS
     // ==================== //
@@ -89,7 +135,7 @@ class DatabaseService {
             SELECT s.*, u.full_name, u.email 
             FROM sessions s
             JOIN users u ON s.user_id = u.id
-            WHERE s.session_token = ? AND s.expires_at > datetime('now')
+            WHERE s.session_token = ? AND datetime(s.expires_at) > datetime('now')
         `);
         return stmt.get(sessionToken);
     }
@@ -102,7 +148,7 @@ class DatabaseService {
 
     deleteExpiredSessions() {
         const db = this.connect();
-        const stmt = db.prepare(`DELETE FROM sessions WHERE expires_at <= datetime('now')`);
+        const stmt = db.prepare(`DELETE FROM sessions WHERE datetime(expires_at) <= datetime('now')`);
         const result = stmt.run();
         if (result.changes > 0) {
             console.log(`🗑️ Deleted ${result.changes} expired sessions`);
@@ -212,12 +258,132 @@ class DatabaseService {
                 concepts: JSON.parse(row.concepts),
                 metadata: JSON.parse(row.metadata),
                 originalText: row.original_text,
-                generatedAt: row.generated_at
+                version: row.version,
+                generatedAt: row.generated_at,
+                updatedAt: row.updated_at,
+                ...this.getQuizVersionStatus(row.id, row.version)
             };
         }
         return null;
     }
 
+    // Which reviewer version the saved quiz questions were generated from.
+    // quizStale is true once the reviewer has been edited since.
+    getQuizVersionStatus(reviewerId, reviewerVersion) {
+        const db = this.connect();
+        const row = db.prepare('SELECT MAX(reviewer_version) as quiz_version FROM quiz_questions WHERE reviewer_id = ?').get(reviewerId);
+        const quizVersion = row ? row.quiz_version : null;
+        return {
+            quizVersion,
+            quizStale: quizVersion !== null && quizVersion < reviewerVersion
+        };
+    }
+
+    // Replace a reviewer's title, sections and concepts, keeping the current
+    // content in reviewer_versions. When baseVersion is given and the reviewer
+    // has been saved since, nothing is changed and the current one is returned.
+    // Returns { status: 'updated' | 'conflict' | 'not_found', reviewer }
+    updateReviewer(id, userId, content, baseVersion = null) {
+        const db = this.connect();
+        
+        const update = db.transaction(() => {
+            const current = this.getReviewer(id, userId);
+            if (!current) {
+                return { status: 'not_found', reviewer: null };
+            }
+            if (baseVersion !== null && baseVersion !== current.version) {
+                return { status: 'conflict', reviewer: current };
+            }
+            
+            db.prepare(`
+                INSERT INTO reviewer_versions (reviewer_id, user_id, version, title, sections, concepts)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(
+                id,
+                userId,
+                current.version,
+                current.title,
+                JSON.stringify(current.sections),
+                JSON.stringify(current.concepts)
+            );
+            
+            db.prepare(`
+                UPDATE reviewers
+                SET title = ?, sections = ?, concepts = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND user_id = ?
+            `).run(
+                content.title,
+                JSON.stringify(content.sections),
+                JSON.stringify(content.concepts),
+                id,
+                userId
+            );
+            
+            return { status: 'updated', reviewer: this.getReviewer(id, userId) };
+        });
+        
+        const result = update();
+        if (result.status === 'updated') {
+            console.log(`✏️ Reviewer updated: ID ${id}, now version ${result.reviewer.version}`);
+        }
+        return result;
+    }
+
+    getReviewerVersions(id, userId) {
+        const db = this.connect();
+        const stmt = db.prepare(`
+            SELECT version, title, created_at,
+                json_array_length(sections) as section_count,
+                json_array_length(concepts) as concept_count
+            FROM reviewer_versions
+            WHERE reviewer_id = ? AND user_id = ?
+            ORDER BY version DESC
+        `);
+        return stmt.all(id, userId).map(row => ({
+            version: row.version,
+            title: row.title,
+            sectionCount: row.section_count,
+            conceptCount: row.concept_count,
+            replacedAt: row.created_at
+        }));
+    }
+
+    getReviewerVersion(id, userId, version) {
+        const db = this.connect();
+        const row = db.prepare(`
+            SELECT * FROM reviewer_versions
+            WHERE reviewer_id = ? AND user_id = ? AND version = ?
+        `).get(id, userId, version);
+        
+        if (!row) return null;
+        return {
+            version: row.version,
+            title: row.title,
+            sections: JSON.parse(row.sections),
+            concepts: JSON.parse(row.concepts),
+            replacedAt: row.created_at
+        };
+    }
+
+    // Restoring saves the old content as a new version, so it can be undone too
+    restoreReviewerVersion(id, userId, version, baseVersion = null) {
+        const snapshot = this.getReviewerVersion(id, userId, version);
+        if (!snapshot) {
+            return { status: 'not_found', reviewer: null };
+        }
+        return this.updateReviewer(id, userId, snapshot, baseVersion);
+    }
+
+    updateReviewerMetadata(reviewerId, userId, patch) {
+        const db = this.connect();
+        const row = db.prepare('SELECT metadata FROM reviewers WHERE id = ? AND user_id = ?').get(reviewerId, userId);
+        if (!row) return false;
+
+        const metadata = { ...(JSON.parse(row.metadata || '{}') || {}), ...patch };
+        db.prepare('UPDATE reviewers SET metadata = ? WHERE id = ?').run(JSON.stringify(metadata), reviewerId);
+        return true;
+    }
+
     getReviewerByDocumentId(documentId, userId) {
         const db = this.connect();
         const stmt = db.prepare(`
@@ -238,7 +404,10 @@ class DatabaseService {
                 concepts: JSON.parse(row.concepts),
                 metadata: JSON.parse(row.metadata),
                 originalText: row.original_text,
-                generatedAt: row.generated_at
+                version: row.version,
+                generatedAt: row.generated_at,
+                updatedAt: row.updated_at,
+                ...this.getQuizVersionStatus(row.id, row.version)
             };
         }
         return null;
@@ -275,19 +444,32 @@ class DatabaseService {
     saveQuizQuestions(reviewerId, allQuestions) {
         const db = this.connect();
         
+        // Questions remember the reviewer version they came from, so they can
+        // be flagged as stale once the reviewer is edited. A new set replaces
+        // the old one rather than mixing questions from different versions.
+        // Review schedules for questions the new set dropped go with them.
+        const clear = db.prepare('DELETE FROM quiz_questions WHERE reviewer_id = ?');
+        const scheduled = db.prepare('SELECT id, quiz_type, question_key FROM question_reviews WHERE reviewer_id = ?');
+        const unschedule = db.prepare('DELETE FROM question_reviews WHERE id = ?');
         const stmt = db.prepare(`
-            INSERT INTO quiz_questions (reviewer_id, quiz_type, difficulty, questions)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO quiz_questions (reviewer_id, quiz_type, difficulty, questions, reviewer_version)
+            VALUES (?, ?, ?, ?, COALESCE((SELECT version FROM reviewers WHERE id = ?), 1))
         `);
         
         const insertMany = db.transaction((questions) => {
+            clear.run(reviewerId);
+            const keysByType = questionKeysByType(questions);
+            for (const row of scheduled.all(reviewerId)) {
+                if (isStaleReview(keysByType, row.quiz_type, row.question_key)) unschedule.run(row.id);
+            }
             for (const [quizType, difficulties] of Object.entries(questions)) {
                 for (const [difficulty, questionData] of Object.entries(difficulties)) {
                     stmt.run(
                         reviewerId,
                         quizType,
                         difficulty,
-                        JSON.stringify(questionData)
+                        JSON.stringify(questionData),
+                        reviewerId
                     );
                 }
             }
@@ -311,7 +493,9 @@ class DatabaseService {
             trueFalse: { easy: [], medium: [], hard: [] },
             multipleChoice: { easy: [], medium: [], hard: [] },
             identification: { easy: [], medium: [], hard: [] },
-            matching: { easy: { pairs: [] }, medium: { pairs: [] }, hard: { pairs: [] } }
+            matching: { easy: { pairs: [] }, medium: { pairs: [] }, hard: { pairs: [] } },
+            cloze: { easy: [], medium: [], hard: [] },
+            sequence: { easy: [], medium: [], hard: [] }
         };
         
         rows.forEach(row => {
@@ -453,18 +637,456 @@ class DatabaseService {
         return stmt.all(reviewerId, userId);
     }
 
+    // ==================== //
+    // QUESTION OUTCOMES (Keyed by stable question ID)
+    // ==================== //
+    
+    saveQuestionOutcomes(userId, reviewerId, attemptId, outcomes) {
+        const db = this.connect();
+        
+        const stmt = db.prepare(`
+            INSERT INTO question_outcomes (
+                user_id, reviewer_id, attempt_id, question_id,
+                quiz_type, difficulty, is_correct, user_answer
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        
+        const insertMany = db.transaction((items) => {
+            for (const outcome of items) {
+                stmt.run(
+                    userId,
+                    reviewerId,
+                    attemptId,
+                    questionKey(outcome.quizType, outcome.question),
+                    outcome.quizType,
+                    outcome.difficulty,
+                    outcome.correct ? 1 : 0,
+                    JSON.stringify(outcome.userAnswer === undefined ? null : outcome.userAnswer)
+                );
+            }
+        });
+        
+        insertMany(outcomes || []);
+        return true;
+    }
+
+    // Raw answer history, oldest first (account export)
+    getQuestionOutcomes(userId, reviewerId) {
+        const db = this.connect();
+        const stmt = db.prepare(`
+            SELECT * FROM question_outcomes
+            WHERE user_id = ? AND reviewer_id = ?
+            ORDER BY answered_at ASC, id ASC
+        `);
+        
+        return stmt.all(userId, reviewerId).map(row => ({
+            attemptId: row.attempt_id,
+            questionId: row.question_id,
+            quizType: row.quiz_type,
+            difficulty: row.difficulty,
+            correct: Boolean(row.is_correct),
+            userAnswer: row.user_answer ? JSON.parse(row.user_answer) : null,
+            answeredAt: row.answered_at
+        }));
+    }
+
+    // Adds history in getQuestionOutcomes' shape (account import), keeping
+    // when each answer was given
+    restoreQuestionOutcomes(userId, reviewerId, records) {
+        const db = this.connect();
+        
+        const stmt = db.prepare(`
+            INSERT INTO question_outcomes (
+                user_id, reviewer_id, attempt_id, question_id,
+                quiz_type, difficulty, is_correct, user_answer, answered_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+        `);
+        
+        const insertMany = db.transaction((items) => {
+            for (const record of items) {
+                stmt.run(
+                    userId,
+                    reviewerId,
+                    record.attemptId || null,
+                    record.questionId,
+                    record.quizType,
+                    record.difficulty,
+                    record.correct ? 1 : 0,
+                    JSON.stringify(record.userAnswer === undefined ? null : record.userAnswer),
+                    record.answeredAt || null
+                );
+            }
+        });
+        
+        insertMany(records || []);
+        return true;
+    }
+
+    getQuestionStats(userId, reviewerId) {
+        const db = this.connect();
+        const stmt = db.prepare(`
+            SELECT 
+                question_id,
+                quiz_type,
+                difficulty,
+                COUNT(*) as attempts,
+                SUM(is_correct) as correct,
+                MAX(answered_at) as last_answered_at
+            FROM question_outcomes
+            WHERE user_id = ? AND reviewer_id = ?
+            GROUP BY question_id
+            ORDER BY last_answered_at DESC
+        `);
+        
+        return stmt.all(userId, reviewerId).map(row => ({
+            questionId: row.question_id,
+            quizType: row.quiz_type,
+            difficulty: row.difficulty,
+            attempts: row.attempts,
+            correct: row.correct,
+            incorrect: row.attempts - row.correct,
+            lastAnsweredAt: row.last_answered_at
+        }));
+    }
+
+    // ==================== //
+    // QUESTION REVIEWS (Spaced Repetition)
+    // ==================== //
+    
+    updateReviewSchedule(userId, reviewerId, outcomes) {
+        const db = this.connect();
+        
+        const selectStmt = db.prepare(`
+            SELECT * FROM question_reviews 
+            WHERE user_id = ? AND reviewer_id = ? AND question_key = ?
+        `);
+        
+        const upsertStmt = this.prepareReviewUpsert(db);
+        
+        const recordMany = db.transaction((items) => {
+            for (const outcome of items) {
+                const key = questionKey(outcome.quizType, outcome.question);
+                const row = selectStmt.get(userId, reviewerId, key);
+                
+                const previous = row ? {
+                    easeFactor: row.ease_factor,
+                    intervalDays: row.interval_days,
+                    repetitions: row.repetitions,
+                    lapses: row.lapses
+                } : null;
+                
+                const next = scheduleReview(previous, Boolean(outcome.correct));
+                
+                upsertStmt.run(
+                    userId,
+                    reviewerId,
+                    key,
+                    outcome.quizType,
+                    outcome.difficulty,
+                    JSON.stringify(outcome.question),
+                    next.easeFactor,
+                    next.intervalDays,
+                    next.repetitions,
+                    next.lapses,
+                    next.dueAt,
+                    next.lastReviewedAt,
+                    next.lastResult
+                );
+            }
+        });
+        
+        recordMany(outcomes || []);
+        console.log(`✅ Review schedule updated: ${(outcomes || []).length} questions for reviewer ${reviewerId}`);
+        return true;
+    }
+
+    // Every scheduled question, due or not (account export)
+    getReviewSchedule(userId, reviewerId) {
+        const db = this.connect();
+        const stmt = db.prepare(`
+            SELECT * FROM question_reviews 
+            WHERE user_id = ? AND reviewer_id = ?
+            ORDER BY due_at ASC
+        `);
+        
+        return stmt.all(userId, reviewerId).map(row => this.formatReview(row));
+    }
+
+    // Writes items in getReviewSchedule's shape as they are (account import)
+    restoreReviewSchedule(userId, reviewerId, items) {
+        const db = this.connect();
+        const upsertStmt = this.prepareReviewUpsert(db);
+        
+        const restoreMany = db.transaction((entries) => {
+            for (const item of entries) {
+                upsertStmt.run(
+                    userId,
+                    reviewerId,
+                    item.key,
+                    item.quizType,
+                    item.difficulty,
+                    JSON.stringify(item.question),
+                    item.easeFactor,
+                    item.intervalDays,
+                    item.repetitions,
+                    item.lapses,
+                    item.dueAt,
+                    item.lastReviewedAt || null,
+                    item.lastResult || null
+                );
+            }
+        });
+        
+        restoreMany(items || []);
+        return true;
+    }
+
+    prepareReviewUpsert(db) {
+        return db.prepare(`
+            INSERT INTO question_reviews (
+                user_id, reviewer_id, question_key, quiz_type, difficulty, question,
+                ease_factor, interval_days, repetitions, lapses,
+                due_at, last_reviewed_at, last_result
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (user_id, reviewer_id, question_key) DO UPDATE SET
+                question = excluded.question,
+                difficulty = excluded.difficulty,
+                ease_factor = excluded.ease_factor,
+                interval_days = excluded.interval_days,
+                repetitions = excluded.repetitions,
+                lapses = excluded.lapses,
+                due_at = excluded.due_at,
+                last_reviewed_at = excluded.last_reviewed_at,
+                last_result = excluded.last_result
+        `);
+    }
+
+    formatReview(row) {
+        return {
+            key: row.question_key,
+            quizType: row.quiz_type,
+            difficulty: row.difficulty,
+            question: JSON.parse(row.question),
+            easeFactor: row.ease_factor,
+            intervalDays: row.interval_days,
+            repetitions: row.repetitions,
+            lapses: row.lapses,
+            dueAt: row.due_at,
+            lastReviewedAt: row.last_reviewed_at,
+            lastResult: row.last_result
+        };
+    }
+
+    // Due on or before the end of `now`'s day
+    getReviewQueue(userId, reviewerId, limit = 50, now = new Date()) {
+        const db = this.connect();
+        const stmt = db.prepare(`
+            SELECT * FROM question_reviews 
+            WHERE user_id = ? AND reviewer_id = ? AND due_at <= ?
+            ORDER BY due_at ASC, ease_factor ASC
+            LIMIT ?
+        `);
+        
+        return stmt.all(userId, reviewerId, endOfToday(now).toISOString(), limit).map(row => this.formatReview(row));
+    }
+
+    // ==================== //
+    // GENERATION JOBS (Background Queue)
+    // ==================== //
+
+    formatJob(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            userId: row.user_id,
+            type: row.type,
+            status: row.status,
+            reviewerId: row.reviewer_id,
+            payload: JSON.parse(row.payload),
+            result: row.result ? JSON.parse(row.result) : null,
+            error: row.error,
+            progress: row.progress,
+            message: row.message,
+            partial: row.partial ? JSON.parse(row.partial) : null,
+            attempts: row.attempts,
+            maxAttempts: row.max_attempts,
+            createdAt: row.created_at,
+            startedAt: row.started_at,
+            completedAt: row.completed_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    createJob(userId, type, payload, options = {}) {
+        const db = this.connect();
+        const stmt = db.prepare(`
+            INSERT INTO generation_jobs (user_id, type, reviewer_id, payload, max_attempts, message)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        const result = stmt.run(
+            userId,
+            type,
+            options.reviewerId || null,
+            JSON.stringify(payload),
+            options.maxAttempts || 3,
+            'Waiting to start...'
+        );
+        console.log(`✅ Job queued: ID ${result.lastInsertRowid} (${type}) for user ${userId}`);
+        return result.lastInsertRowid;
+    }
+
+    getJob(id, userId = null) {
+        const db = this.connect();
+        const row = userId
+            ? db.prepare('SELECT * FROM generation_jobs WHERE id = ? AND user_id = ?').get(id, userId)
+            : db.prepare('SELECT * FROM generation_jobs WHERE id = ?').get(id);
+        return this.formatJob(row);
+    }
+
+    // Queued or running job of this type for a reviewer, so a page reload
+    // reattaches to it instead of starting the work again
+    getActiveJob(userId, type, reviewerId) {
+        const db = this.connect();
+        const row = db.prepare(`
+            SELECT * FROM generation_jobs
+            WHERE user_id = ? AND type = ? AND reviewer_id = ? AND status IN ('queued', 'running')
+            ORDER BY id DESC LIMIT 1
+        `).get(userId, type, reviewerId);
+        return this.formatJob(row);
+    }
+
+    // Mark one queued job running; null if it was not queued. Used where jobs
+    // run inside the request that created them instead of by the worker.
+    claimJob(id) {
+        const db = this.connect();
+        const result = db.prepare(`
+            UPDATE generation_jobs
+            SET status = 'running', attempts = attempts + 1, error = NULL,
+                started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status = 'queued'
+        `).run(id);
+        return result.changes > 0 ? this.getJob(id) : null;
+    }
+
+    // Atomically take the oldest runnable job and mark it running
+    claimNextJob() {
+        const db = this.connect();
+        const claim = db.transaction(() => {
+            const row = db.prepare(`
+                SELECT * FROM generation_jobs
+                WHERE status = 'queued' AND run_after <= CURRENT_TIMESTAMP
+                ORDER BY id ASC LIMIT 1
+            `).get();
+            if (!row) return null;
+
+            db.prepare(`
+                UPDATE generation_jobs
+                SET status = 'running', attempts = attempts + 1, error = NULL,
+                    started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(row.id);
+            return db.prepare('SELECT * FROM generation_jobs WHERE id = ?').get(row.id);
+        });
+        return this.formatJob(claim());
+    }
+
+    updateJobProgress(id, progress, message = null, partial = null) {
+        const db = this.connect();
+        db.prepare(`
+            UPDATE generation_jobs
+            SET progress = ?, message = COALESCE(?, message),
+                partial = COALESCE(?, partial), updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(progress, message, partial ? JSON.stringify(partial) : null, id);
+    }
+
+    completeJob(id, result, reviewerId = null) {
+        const db = this.connect();
+        db.prepare(`
+            UPDATE generation_jobs
+            SET status = 'completed', result = ?, reviewer_id = COALESCE(?, reviewer_id),
+                progress = 100, message = 'Complete', error = NULL,
+                completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(JSON.stringify(result), reviewerId, id);
+    }
+
+    // Requeue with a delay while attempts remain, otherwise mark failed
+    failJob(id, errorMessage, retryDelaySeconds = 10) {
+        const db = this.connect();
+        const job = db.prepare('SELECT attempts, max_attempts FROM generation_jobs WHERE id = ?').get(id);
+        if (!job) return null;
+
+        if (job.attempts < job.max_attempts) {
+            db.prepare(`
+                UPDATE generation_jobs
+                SET status = 'queued', error = ?, message = 'Retrying...',
+                    run_after = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).run(errorMessage, `+${retryDelaySeconds} seconds`, id);
+            return 'queued';
+        }
+
+        db.prepare(`
+            UPDATE generation_jobs
+            SET status = 'failed', error = ?, message = 'Failed',
+                completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `).run(errorMessage, id);
+        return 'failed';
+    }
+
+    // Jobs left "running" by a server that stopped mid-job go back in the queue
+    requeueInterruptedJobs() {
+        const db = this.connect();
+        const result = db.prepare(`
+            UPDATE generation_jobs
+            SET status = 'queued', message = 'Resuming after restart...', updated_at = CURRENT_TIMESTAMP
+            WHERE status = 'running'
+        `).run();
+        return result.changes;
+    }
+
     // ==================== //
     // ANNOTATIONS (Updated with user_id)
     // ==================== //
     
+    formatAnnotation(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            reviewerId: row.reviewer_id,
+            clientId: row.client_id,
+            type: row.annotation_type,
+            text: row.annotation_text,
+            data: row.data ? JSON.parse(row.data) : null,
+            sectionIndex: row.section_index,
+            conceptTerm: row.concept_term,
+            version: row.version,
+            deleted: Boolean(row.deleted_at),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Saving the same clientId twice returns the existing annotation, so a
+    // device can safely retry a create that may already have gone through
     saveAnnotation(userId, reviewerId, annotationData) {
         const db = this.connect();
         
+        if (annotationData.clientId) {
+            const existing = db.prepare(`
+                SELECT id FROM annotations
+                WHERE user_id = ? AND reviewer_id = ? AND client_id = ?
+            `).get(userId, reviewerId, String(annotationData.clientId));
+            if (existing) return existing.id;
+        }
+        
         const stmt = db.prepare(`
             INSERT INTO annotations (
                 user_id, reviewer_id, section_index, concept_term,
-                annotation_text, annotation_type
-            ) VALUES (?, ?, ?, ?, ?, ?)
+                annotation_text, annotation_type, client_id, data
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `);
         
         const result = stmt.run(
@@ -472,14 +1094,23 @@ class DatabaseService {
             reviewerId,
             annotationData.sectionIndex || null,
             annotationData.conceptTerm || null,
-            annotationData.text,
-            annotationData.type || 'note'
+            annotationData.text || '',
+            annotationData.type || 'note',
+            annotationData.clientId ? String(annotationData.clientId) : null,
+            annotationData.data ? JSON.stringify(annotationData.data) : null
         );
         
         console.log(`✅ Annotation saved: ID ${result.lastInsertRowid}`);
         return result.lastInsertRowid;
     }
 
+    getAnnotation(id, userId) {
+        const db = this.connect();
+        const stmt = db.prepare('SELECT * FROM annotations WHERE id = ? AND user_id = ?');
+        return this.formatAnnotation(stmt.get(id, userId));
+    }
+
+    // Includes deleted annotations (deleted: true) so devices can drop them
     getAnnotationsByReviewer(reviewerId, userId) {
         const db = this.connect();
         const stmt = db.prepare(`
@@ -487,24 +1118,52 @@ class DatabaseService {
             WHERE reviewer_id = ? AND user_id = ?
             ORDER BY created_at DESC
         `);
-        return stmt.all(reviewerId, userId);
+        return stmt.all(reviewerId, userId).map(row => this.formatAnnotation(row));
     }
 
-    updateAnnotation(id, userId, newText) {
+    // Only applies when baseVersion matches the stored version; otherwise the
+    // caller gets the current annotation back to resolve the conflict. With a
+    // reviewerId, an annotation on another reviewer counts as not found.
+    // Returns { status: 'updated' | 'conflict' | 'not_found', annotation }
+    updateAnnotation(id, userId, changes, baseVersion, reviewerId = null) {
         const db = this.connect();
-        const stmt = db.prepare(`
-            UPDATE annotations 
-            SET annotation_text = ?, updated_at = CURRENT_TIMESTAMP 
-            WHERE id = ? AND user_id = ?
-        `);
-        const result = stmt.run(newText, id, userId);
-        return result.changes > 0;
+        
+        const update = db.transaction(() => {
+            const current = this.getAnnotation(id, userId);
+            if (!current || (reviewerId !== null && current.reviewerId !== Number(reviewerId))) {
+                return { status: 'not_found', annotation: null };
+            }
+            if (current.deleted || current.version !== baseVersion) {
+                return { status: 'conflict', annotation: current };
+            }
+            
+            db.prepare(`
+                UPDATE annotations 
+                SET annotation_text = ?, data = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP 
+                WHERE id = ? AND user_id = ?
+            `).run(
+                changes.text !== undefined ? changes.text : current.text,
+                changes.data !== undefined ? JSON.stringify(changes.data) : JSON.stringify(current.data),
+                id,
+                userId
+            );
+            
+            return { status: 'updated', annotation: this.getAnnotation(id, userId) };
+        });
+        
+        return update();
     }
 
-    deleteAnnotation(id, userId) {
+    // Soft delete - the row stays as a tombstone for other devices
+    deleteAnnotation(id, userId, reviewerId = null) {
         const db = this.connect();
-        const stmt = db.prepare('DELETE FROM annotations WHERE id = ? AND user_id = ?');
-        const result = stmt.run(id, userId);
+        const stmt = db.prepare(`
+            UPDATE annotations
+            SET deleted_at = CURRENT_TIMESTAMP, version = version + 1, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+              AND (? IS NULL OR reviewer_id = ?)
+        `);
+        const result = stmt.run(id, userId, reviewerId, reviewerId);
         return result.changes > 0;
     }
 
@@ -518,9 +1177,13 @@ class DatabaseService {
         
         db.exec(`
             DELETE FROM sessions;
+            DELETE FROM generation_jobs;
+            DELETE FROM question_outcomes;
+            DELETE FROM question_reviews;
             DELETE FROM annotations;
             DELETE FROM quiz_attempts;
             DELETE FROM quiz_questions;
+            DELETE FROM reviewer_versions;
             DELETE FROM reviewers;
             DELETE FROM documents;
             DELETE FROM users;
@@ -537,7 +1200,7 @@ class DatabaseService {
             documents: db.prepare('SELECT COUNT(*) as count FROM documents WHERE user_id = ?').get(userId).count,
             reviewers: db.prepare('SELECT COUNT(*) as count FROM reviewers WHERE user_id = ?').get(userId).count,
             quizAttempts: db.prepare('SELECT COUNT(*) as count FROM quiz_attempts WHERE user_id = ?').get(userId).count,
-            annotations: db.prepare('SELECT COUNT(*) as count FROM annotations WHERE user_id = ?').get(userId).count,
+            annotations: db.prepare('SELECT COUNT(*) as count FROM annotations WHERE user_id = ? AND deleted_at IS NULL').get(userId).count,
             avgQuizScore: db.prepare('SELECT AVG(percentage) as avg FROM quiz_attempts WHERE user_id = ?').get(userId).avg || 0
         };
         
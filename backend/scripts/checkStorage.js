@@ -0,0 +1,498 @@
+// backend/scripts/checkStorage.js - Storage Contract Conformance Checks
+// Runs the same checks against the SQLite service (on a temporary database),
+// the KV store on a local stand-in for Vercel KV, and its in-memory fallback.
+// Development only: nothing at runtime loads this file.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { missingStorageMethods } = require('../api/storageContract');
+const { exportAccount, importAccount } = require('../services/accountArchive');
+
+// ==================== //
+// Local KV Stand-in
+// ==================== //
+
+// The subset of the @vercel/kv client the KV store uses. Values go through
+// JSON like they do in Redis, so shared references cannot hide bugs.
+function createLocalKV() {
+    const entries = new Map();
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return JSON.parse(entry.value);
+    };
+    const write = (key, value, options = {}) => {
+        entries.set(key, {
+            value: JSON.stringify(value),
+            expiresAt: options.ex ? Date.now() + options.ex * 1000 : null
+        });
+    };
+
+    return {
+        async get(key) {
+            return read(key);
+        },
+        async set(key, value, options) {
+            write(key, value, options);
+            return 'OK';
+        },
+        async incr(key) {
+            const next = (Number(read(key)) || 0) + 1;
+            write(key, next);
+            return next;
+        },
+        async del(key) {
+            return entries.delete(key) ? 1 : 0;
+        }
+    };
+}
+
+// ==================== //
+// Conformance Checks
+// ==================== //
+
+const SAMPLE_REVIEWER = {
+    title: 'Cell Biology',
+    sections: [{ title: 'Overview', level: 1, content: ['Mitochondria produce ATP.'] }],
+    concepts: [{ term: 'Mitochondria', definition: 'Organelles that produce ATP.' }],
+    metadata: { wordCount: 4 },
+    originalText: 'Mitochondria produce ATP.'
+};
+
+const SAMPLE_QUESTION = { id: 'tf_conformance', question: 'Mitochondria produce ATP.', answer: true };
+
+// Checks run in order and share state (the users, reviewer and so on they
+// create), so a failure early on usually fails the checks after it too
+const CHECKS = [
+    ['users: create and look up by email and ID', async (storage, state) => {
+        const stamp = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        state.email = `conformance-${stamp}@example.com`;
+        state.userId = await storage.createUser('Conformance User', state.email, 'salt:hash');
+        state.otherUserId = await storage.createUser('Other User', `other-${stamp}@example.com`, 'salt:hash');
+
+        const byEmail = await storage.getUserByEmail(state.email);
+        assert.strictEqual(byEmail.id, state.userId);
+        assert.strictEqual(byEmail.full_name, 'Conformance User');
+        assert.strictEqual(byEmail.password_hash, 'salt:hash');
+        assert.ok(!await storage.getUserByEmail(`missing-${stamp}@example.com`));
+
+        await storage.updateLastLogin(state.userId);
+        const byId = await storage.getUserById(state.userId);
+        assert.strictEqual(byId.email, state.email);
+        assert.ok(byId.last_login, 'last_login is set');
+    }],
+
+    ['sessions: tokens resolve to the user until deleted or expired', async (storage, state) => {
+        const token = `token-${state.email}`;
+        await storage.createSession(state.userId, token, new Date(Date.now() + 60 * 60 * 1000).toISOString());
+
+        const session = await storage.getSessionByToken(token);
+        assert.strictEqual(session.user_id, state.userId);
+        assert.strictEqual(session.email, state.email);
+        assert.strictEqual(session.full_name, 'Conformance User');
+
+        await storage.deleteSession(token);
+        assert.ok(!await storage.getSessionByToken(token), 'deleted session is gone');
+
+        const expired = `expired-${state.email}`;
+        await storage.createSession(state.userId, expired, new Date(Date.now() - 60 * 1000).toISOString());
+        assert.ok(!await storage.getSessionByToken(expired), 'expired session is rejected');
+    }],
+
+    ['documents: saved, listed and deleted per user', async (storage, state) => {
+        const id = await storage.saveDocument(state.userId, 'Scratch', 'one two three', 'text');
+
+        const document = await storage.getDocument(id, state.userId);
+        assert.strictEqual(document.title, 'Scratch');
+        assert.strictEqual(document.word_count, 3);
+        assert.ok(!await storage.getDocument(id, state.otherUserId), 'hidden from other users');
+
+        const listed = await storage.getAllDocuments(state.userId);
+        assert.deepStrictEqual(listed.map(item => item.id), [id]);
+        assert.deepStrictEqual(Object.keys(listed[0]).sort(), ['file_type', 'id', 'title', 'upload_date', 'word_count']);
+
+        assert.strictEqual(await storage.deleteDocument(id, state.otherUserId), false);
+        assert.strictEqual(await storage.deleteDocument(id, state.userId), true);
+        assert.ok(!await storage.getDocument(id, state.userId));
+        assert.deepStrictEqual(await storage.getAllDocuments(state.userId), []);
+    }],
+
+    ['reviewers: saved, edited with versions and restored', async (storage, state) => {
+        state.documentId = await storage.saveDocument(state.userId, SAMPLE_REVIEWER.title, SAMPLE_REVIEWER.originalText);
+        state.reviewerId = await storage.saveReviewer(state.userId, state.documentId, SAMPLE_REVIEWER);
+        const id = state.reviewerId;
+
+        const reviewer = await storage.getReviewer(id, state.userId);
+        assert.strictEqual(reviewer.title, SAMPLE_REVIEWER.title);
+        assert.strictEqual(reviewer.documentId, state.documentId);
+        assert.deepStrictEqual(reviewer.sections, SAMPLE_REVIEWER.sections);
+        assert.deepStrictEqual(reviewer.concepts, SAMPLE_REVIEWER.concepts);
+        assert.strictEqual(reviewer.version, 1);
+        assert.ok(!await storage.getReviewer(id, state.otherUserId), 'hidden from other users');
+
+        const listed = await storage.getAllReviewers(state.userId);
+        assert.deepStrictEqual(listed.map(item => item.id), [id]);
+        assert.strictEqual(listed[0].title, SAMPLE_REVIEWER.title);
+
+        const edited = { title: 'Cell Biology (edited)', sections: SAMPLE_REVIEWER.sections, concepts: [] };
+        const updated = await storage.updateReviewer(id, state.userId, edited, 1);
+        assert.strictEqual(updated.status, 'updated');
+        assert.strictEqual(updated.reviewer.version, 2);
+        assert.strictEqual(updated.reviewer.title, edited.title);
+
+        const stale = await storage.updateReviewer(id, state.userId, edited, 1);
+        assert.strictEqual(stale.status, 'conflict');
+        assert.strictEqual(stale.reviewer.version, 2);
+        assert.strictEqual((await storage.updateReviewer(id, state.otherUserId, edited, null)).status, 'not_found');
+
+        const versions = await storage.getReviewerVersions(id, state.userId);
+        assert.deepStrictEqual(versions.map(version => version.version), [1]);
+        assert.strictEqual((await storage.getReviewerVersion(id, state.userId, 1)).title, SAMPLE_REVIEWER.title);
+        assert.ok(!await storage.getReviewerVersion(id, state.userId, 5));
+
+        const restored = await storage.restoreReviewerVersion(id, state.userId, 1, 2);
+        assert.strictEqual(restored.status, 'updated');
+        assert.strictEqual(restored.reviewer.title, SAMPLE_REVIEWER.title);
+        assert.strictEqual(restored.reviewer.version, 3);
+
+        await storage.updateReviewerMetadata(id, state.userId, { quizValidation: { checked: 1 } });
+        const patched = await storage.getReviewer(id, state.userId);
+        assert.deepStrictEqual(patched.metadata, { ...SAMPLE_REVIEWER.metadata, quizValidation: { checked: 1 } });
+    }],
+
+    ['quiz questions: saved per reviewer with every type present', async (storage, state) => {
+        await storage.saveQuizQuestions(state.reviewerId, { trueFalse: { easy: [SAMPLE_QUESTION] } });
+
+        const questions = await storage.getQuizQuestions(state.reviewerId);
+        assert.deepStrictEqual(questions.trueFalse.easy, [SAMPLE_QUESTION]);
+        assert.deepStrictEqual(questions.trueFalse.hard, []);
+        assert.deepStrictEqual(questions.matching.easy, { pairs: [] });
+        for (const quizType of ['multipleChoice', 'identification', 'cloze', 'sequence']) {
+            assert.deepStrictEqual(questions[quizType].medium, [], `${quizType} is present`);
+        }
+
+        const reviewer = await storage.getReviewer(state.reviewerId, state.userId);
+        assert.strictEqual(reviewer.quizVersion, reviewer.version);
+        assert.strictEqual(reviewer.quizStale, false);
+    }],
+
+    ['attempts: saved with outcomes, statistics and review schedule', async (storage, state) => {
+        const attempt = {
+            quizType: 'trueFalse',
+            difficulty: 'easy',
+            totalQuestions: 2,
+            correctAnswers: 1,
+            wrongAnswers: 1,
+            percentage: 50,
+            timeTaken: 30,
+            userAnswers: [true, false],
+            questionsUsed: [SAMPLE_QUESTION.id]
+        };
+        state.attemptId = await storage.saveQuizAttempt(state.userId, state.reviewerId, attempt);
+
+        const saved = await storage.getQuizAttempt(state.attemptId, state.userId);
+        assert.strictEqual(saved.reviewerId, state.reviewerId);
+        assert.strictEqual(saved.percentage, 50);
+        assert.deepStrictEqual(saved.userAnswers, attempt.userAnswers);
+        assert.deepStrictEqual(saved.questionsUsed, attempt.questionsUsed);
+        assert.ok(!await storage.getQuizAttempt(state.attemptId, state.otherUserId), 'hidden from other users');
+
+        const byReviewer = await storage.getQuizAttemptsByReviewer(state.reviewerId, state.userId);
+        assert.deepStrictEqual(byReviewer.map(item => item.id), [state.attemptId]);
+
+        const all = await storage.getAllQuizAttempts(state.userId);
+        assert.strictEqual(all.length, 1);
+        assert.strictEqual(all[0].reviewer_title, SAMPLE_REVIEWER.title);
+
+        const statistics = await storage.getQuizStatistics(state.reviewerId, state.userId);
+        assert.strictEqual(statistics.length, 1);
+        assert.strictEqual(statistics[0].quiz_type, 'trueFalse');
+        assert.strictEqual(statistics[0].difficulty, 'easy');
+        assert.strictEqual(statistics[0].attempts, 1);
+        assert.strictEqual(statistics[0].avg_percentage, 50);
+
+        const outcomes = [{ quizType: 'trueFalse', difficulty: 'easy', question: SAMPLE_QUESTION, correct: false, userAnswer: false }];
+        await storage.saveQuestionOutcomes(state.userId, state.reviewerId, state.attemptId, outcomes);
+        await storage.updateReviewSchedule(state.userId, state.reviewerId, outcomes);
+
+        const questionStats = await storage.getQuestionStats(state.userId, state.reviewerId);
+        assert.strictEqual(questionStats.length, 1);
+        assert.strictEqual(questionStats[0].questionId, SAMPLE_QUESTION.id);
+        assert.strictEqual(questionStats[0].attempts, 1);
+        assert.strictEqual(questionStats[0].incorrect, 1);
+
+        // A missed question comes back tomorrow, not today
+        assert.deepStrictEqual(await storage.getReviewQueue(state.userId, state.reviewerId), []);
+    }],
+
+    ['account archive: answer history and review schedule round-trip', async (storage, state) => {
+        const archive = await exportAccount(storage, state.userId);
+        assert.strictEqual(archive.questionOutcomes.length, 1);
+        assert.strictEqual(archive.questionOutcomes[0].attemptId, state.attemptId);
+        assert.deepStrictEqual(archive.reviewSchedule.map(item => item.key), [SAMPLE_QUESTION.id]);
+
+        const importerId = await storage.createUser('Archive Importer', `importer-${state.email}`, 'salt:hash');
+        try {
+            const imported = await importAccount(storage, importerId, archive);
+            assert.strictEqual(imported.questionOutcomes, 1);
+            assert.strictEqual(imported.reviewSchedule, 1);
+
+            const [reviewer] = await storage.getAllReviewers(importerId);
+            const [attempt] = await storage.getAllQuizAttempts(importerId);
+            const outcomes = await storage.getQuestionOutcomes(importerId, reviewer.id);
+            assert.strictEqual(outcomes[0].attemptId, attempt.id, 'linked to the imported attempt');
+            assert.strictEqual(outcomes[0].answeredAt, archive.questionOutcomes[0].answeredAt);
+            assert.deepStrictEqual(
+                await storage.getReviewSchedule(importerId, reviewer.id),
+                archive.reviewSchedule.map(({ reviewerId, ...review }) => review)
+            );
+
+            const again = await importAccount(storage, importerId, archive);
+            assert.strictEqual(again.documents + again.reviewers + again.quizAttempts + again.questionOutcomes, 0, 'a repeated import adds nothing');
+            assert.strictEqual(again.skipped, 0);
+            assert.strictEqual((await storage.getAllReviewers(importerId)).length, 1);
+            assert.strictEqual((await storage.getAllDocuments(importerId)).length, 1);
+            assert.strictEqual((await storage.getQuestionOutcomes(importerId, reviewer.id)).length, 1);
+        } finally {
+            await storage.deleteUser(importerId);
+        }
+    }],
+
+    ['account archive: a failed import leaves nothing behind', async (storage, state) => {
+        const archive = await exportAccount(storage, state.userId);
+        const importerId = await storage.createUser('Failed Importer', `failed-${state.email}`, 'salt:hash');
+        const failing = Object.create(storage, {
+            restoreReviewSchedule: { value: async () => { throw new Error('write failed'); } }
+        });
+        try {
+            await assert.rejects(importAccount(failing, importerId, archive), /write failed/);
+            assert.deepStrictEqual(await storage.getAllReviewers(importerId), []);
+            assert.deepStrictEqual(await storage.getAllDocuments(importerId), []);
+            assert.deepStrictEqual(await storage.getAllQuizAttempts(importerId), []);
+
+            const retried = await importAccount(storage, importerId, archive);
+            assert.strictEqual(retried.reviewers, 1, 'nothing is mistaken for already imported');
+        } finally {
+            await storage.deleteUser(importerId);
+        }
+    }],
+
+    ['quiz questions: regenerating drops reviews of questions that are gone', async (storage, state) => {
+        const later = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+        const dueKeys = async () => (await storage.getReviewQueue(state.userId, state.reviewerId, 50, later)).map(item => item.key);
+        assert.deepStrictEqual(await dueKeys(), [SAMPLE_QUESTION.id]);
+
+        const replacement = { id: 'tf_replacement', question: 'Ribosomes make proteins.', answer: true };
+        await storage.saveQuizQuestions(state.reviewerId, { trueFalse: { easy: [SAMPLE_QUESTION, replacement] } });
+        assert.deepStrictEqual(await dueKeys(), [SAMPLE_QUESTION.id], 'kept while the question is still in the set');
+
+        await storage.saveQuizQuestions(state.reviewerId, { trueFalse: { easy: [replacement] } });
+        assert.deepStrictEqual(await dueKeys(), []);
+    }],
+
+    ['annotations: versioned updates and soft deletes', async (storage, state) => {
+        const data = { type: 'note', text: 'Remember ATP', clientId: 'device-1', sectionIndex: 0 };
+        const id = await storage.saveAnnotation(state.userId, state.reviewerId, data);
+        assert.strictEqual(await storage.saveAnnotation(state.userId, state.reviewerId, data), id, 'clientId is idempotent');
+
+        const annotation = await storage.getAnnotation(id, state.userId);
+        assert.strictEqual(annotation.text, 'Remember ATP');
+        assert.strictEqual(annotation.type, 'note');
+        assert.strictEqual(annotation.clientId, 'device-1');
+        assert.strictEqual(annotation.version, 1);
+        assert.strictEqual(annotation.deleted, false);
+        assert.ok(!await storage.getAnnotation(id, state.otherUserId), 'hidden from other users');
+
+        const updated = await storage.updateAnnotation(id, state.userId, { text: 'ATP comes from mitochondria' }, 1);
+        assert.strictEqual(updated.status, 'updated');
+        assert.strictEqual(updated.annotation.version, 2);
+        assert.strictEqual(updated.annotation.text, 'ATP comes from mitochondria');
+        assert.strictEqual((await storage.updateAnnotation(id, state.userId, { text: 'stale' }, 1)).status, 'conflict');
+        assert.strictEqual((await storage.updateAnnotation(id, state.otherUserId, { text: 'x' }, 2)).status, 'not_found');
+        assert.strictEqual((await storage.updateAnnotation(id, state.userId, { text: 'x' }, 2, state.reviewerId + 1000)).status, 'not_found', 'scoped to the reviewer');
+        assert.strictEqual((await storage.updateAnnotation(id, state.userId, { text: 'x' }, 1, String(state.reviewerId))).status, 'conflict', 'reviewerId may come from a path');
+
+        const secondId = await storage.saveAnnotation(state.userId, state.reviewerId, { type: 'bookmark' });
+        assert.strictEqual(await storage.deleteAnnotation(secondId, state.otherUserId), false);
+        assert.strictEqual(await storage.deleteAnnotation(secondId, state.userId, state.reviewerId + 1000), false, 'scoped to the reviewer');
+        assert.strictEqual(await storage.deleteAnnotation(secondId, state.userId), true);
+        assert.strictEqual(await storage.deleteAnnotation(secondId, state.userId), false);
+
+        const listed = await storage.getAnnotationsByReviewer(state.reviewerId, state.userId);
+        assert.strictEqual(listed.length, 2);
+        assert.strictEqual(listed.find(item => item.id === secondId).deleted, true, 'deleted annotations stay as tombstones');
+    }],
+
+    ['statistics: counts match what was saved', async (storage, state) => {
+        const statistics = await storage.getStatistics(state.userId);
+        assert.deepStrictEqual(statistics, {
+            documents: 1,
+            reviewers: 1,
+            quizAttempts: 1,
+            annotations: 1,
+            avgQuizScore: 50
+        });
+    }],
+
+    ['reviewers: deleting one removes its quiz data and attempts', async (storage, state) => {
+        assert.strictEqual(await storage.deleteReviewer(state.reviewerId, state.otherUserId), false);
+        assert.strictEqual(await storage.deleteReviewer(state.reviewerId, state.userId), true);
+        assert.ok(!await storage.getReviewer(state.reviewerId, state.userId));
+        assert.deepStrictEqual(await storage.getAllReviewers(state.userId), []);
+        assert.deepStrictEqual(await storage.getQuizAttemptsByReviewer(state.reviewerId, state.userId), []);
+        assert.deepStrictEqual(await storage.getAnnotationsByReviewer(state.reviewerId, state.userId), []);
+        assert.deepStrictEqual((await storage.getQuizQuestions(state.reviewerId)).trueFalse.easy, []);
+    }],
+
+    ['documents: deleting one removes the reviewers made from it', async (storage, state) => {
+        const reviewerId = await storage.saveReviewer(state.userId, state.documentId, SAMPLE_REVIEWER);
+        assert.strictEqual(await storage.deleteDocument(state.documentId, state.userId), true);
+        assert.ok(!await storage.getReviewer(reviewerId, state.userId));
+    }],
+
+    ['users: profile changes are saved and email lookups follow them', async (storage, state) => {
+        const newEmail = `renamed-${state.email}`;
+        const updated = await storage.updateUser(state.userId, {
+            fullName: 'Renamed User',
+            email: newEmail,
+            profileImage: 'data:image/png;base64,AAAA'
+        });
+        assert.strictEqual(updated.full_name, 'Renamed User');
+        assert.strictEqual(updated.password_hash, 'salt:hash', 'fields left out are kept');
+        assert.ok(!await storage.getUserByEmail(state.email), 'old email no longer resolves');
+        assert.strictEqual((await storage.getUserByEmail(newEmail)).id, state.userId);
+        state.email = newEmail;
+
+        await storage.updateUser(state.userId, { passwordHash: 'salt:changed', profileImage: null });
+        const byId = await storage.getUserById(state.userId);
+        assert.strictEqual(byId.password_hash, 'salt:changed');
+        assert.strictEqual(byId.profile_image, null);
+        assert.strictEqual((await storage.getUserByEmail(newEmail)).password_hash, 'salt:changed');
+        assert.strictEqual(await storage.updateUser(-1, { fullName: 'Nobody' }), null);
+    }],
+
+    ['jobs: claimed once, progressed, then completed or failed', async (storage, state) => {
+        const jobId = await storage.createJob(state.userId, 'quiz', { text: 'x' }, { reviewerId: 7, maxAttempts: 1 });
+        const queued = await storage.getJob(jobId, state.userId);
+        assert.strictEqual(queued.status, 'queued');
+        assert.deepStrictEqual(queued.payload, { text: 'x' });
+        assert.ok(!await storage.getJob(jobId, state.otherUserId), 'jobs are per user');
+        assert.strictEqual((await storage.getActiveJob(state.userId, 'quiz', 7)).id, jobId);
+
+        const running = await storage.claimJob(jobId);
+        assert.strictEqual(running.status, 'running');
+        assert.strictEqual(running.attempts, 1);
+        assert.ok(!await storage.claimJob(jobId), 'a running job cannot be claimed again');
+
+        await storage.updateJobProgress(jobId, 40, 'Halfway', { sections: ['Overview'] });
+        const progressed = await storage.getJob(jobId, state.userId);
+        assert.strictEqual(progressed.progress, 40);
+        assert.strictEqual(progressed.message, 'Halfway');
+        assert.deepStrictEqual(progressed.partial, { sections: ['Overview'] });
+
+        await storage.completeJob(jobId, { ok: true });
+        const completed = await storage.getJob(jobId, state.userId);
+        assert.strictEqual(completed.status, 'completed');
+        assert.deepStrictEqual(completed.result, { ok: true });
+        assert.strictEqual(completed.reviewerId, 7);
+        assert.ok(!await storage.getActiveJob(state.userId, 'quiz', 7), 'finished jobs are not active');
+
+        const failingId = await storage.createJob(state.userId, 'reviewer', {}, { maxAttempts: 1 });
+        await storage.claimJob(failingId);
+        assert.strictEqual(await storage.failJob(failingId, 'model offline'), 'failed');
+        assert.strictEqual((await storage.getJob(failingId)).error, 'model offline');
+    }],
+
+    ['users: deleting one removes their sessions and data only', async (storage, state) => {
+        const documentId = await storage.saveDocument(state.userId, 'Scratch', 'one two three', 'text');
+        await storage.saveReviewer(state.userId, documentId, SAMPLE_REVIEWER);
+        const token = `delete-${state.email}`;
+        await storage.createSession(state.userId, token, new Date(Date.now() + 60 * 60 * 1000).toISOString());
+        const otherDocumentId = await storage.saveDocument(state.otherUserId, 'Kept', 'four five', 'text');
+
+        assert.strictEqual(await storage.deleteUser(state.userId), true);
+        assert.ok(!await storage.getUserById(state.userId), 'user is gone by ID');
+        assert.ok(!await storage.getUserByEmail(state.email), 'user is gone by email');
+        assert.ok(!await storage.getSessionByToken(token), 'sessions are signed out');
+        assert.deepStrictEqual(await storage.getAllReviewers(state.userId), []);
+        assert.deepStrictEqual(await storage.getAllDocuments(state.userId), []);
+        assert.strictEqual(await storage.deleteUser(state.userId), false);
+
+        assert.ok(await storage.getUserById(state.otherUserId), 'other users are untouched');
+        assert.ok(await storage.getDocument(otherDocumentId, state.otherUserId));
+    }]
+];
+
+// Exercises the contract against a scratch store. Resolves to one
+// { name, ok, error } entry per check rather than stopping at the first failure.
+async function checkStorageConformance(storage) {
+    const missing = missingStorageMethods(storage);
+    if (missing.length > 0) {
+        return [{ name: 'contract: every method is implemented', ok: false, error: `missing: ${missing.join(', ')}` }];
+    }
+
+    const state = {};
+    const results = [];
+    for (const [name, check] of CHECKS) {
+        try {
+            await check(storage, state);
+            results.push({ name, ok: true });
+        } catch (error) {
+            results.push({ name, ok: false, error: error.message });
+        }
+    }
+    return results;
+}
+
+// `npm run check:storage` - checks the SQLite service against a
+// temporary database, then the KV store against a local stand-in and its
+// in-memory fallback
+async function runAllConformanceChecks() {
+    const dbPath = path.join(os.tmpdir(), `scibrain-conformance-${process.pid}.db`);
+    process.env.SCIBRAIN_DB_PATH = dbPath;
+
+    // Required only now: the database modules read SCIBRAIN_DB_PATH on load
+    const { initializeDatabase } = require('../database/init');
+    const dbService = require('../database/service');
+    const { createStorage } = require('../../api/_lib/storage');
+
+    initializeDatabase();
+
+    const stores = [
+        ['SQLite', dbService],
+        ['Vercel KV (local stand-in)', createStorage(createLocalKV())],
+        ['In-memory', createStorage(null)]
+    ];
+
+    let failures = 0;
+    try {
+        for (const [label, storage] of stores) {
+            const results = await checkStorageConformance(storage);
+            console.log(`\n📦 ${label}`);
+            results.forEach(result => {
+                console.log(`   ${result.ok ? '✅' : '❌'} ${result.name}${result.ok ? '' : ` - ${result.error}`}`);
+            });
+            failures += results.filter(result => !result.ok).length;
+        }
+    } finally {
+        dbService.close();
+        fs.rmSync(dbPath, { force: true });
+    }
+
+    console.log(failures === 0 ? '\n✅ All stores conform' : `\n❌ ${failures} check(s) failed`);
+    return failures === 0;
+}
+
+runAllConformanceChecks()
+    .then(ok => { process.exitCode = ok ? 0 : 1; })
+    .catch(error => {
+        console.error('❌ Conformance run failed:', error);
+        process.exitCode = 1;
+    });
@@ -3,8 +3,9 @@ const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { generateReviewer, generateQuizQuestions } = require('./services/ollamaService');
-const authService = require('./services/authService');
+const jobQueue = require('./services/jobQueue');
+const { createApiHandler } = require('./api/routes');
+const { sendUnexpectedError } = require('./api/router');
 
 // Database integration
 let dbService = null;
@@ -21,6 +22,9 @@ try {
     
     // Clean up expired sessions on startup
     dbService.deleteExpiredSessions();
+    
+    // Resume any queued generation jobs
+    jobQueue.start(dbService);
 } catch (error) {
     console.log('ℹ️ Database module not found - running without database support');
 }
@@ -54,24 +58,19 @@ const httpsOptions = {
 };
 
 // ==================== //
-// Helper Functions
+// API Routes (shared with the Vercel function, declared in api/routes.js)
 // ==================== //
-
-// Get userId from request (from session token in headers)
-function getUserIdFromRequest(req) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
-    
-    const sessionToken = authHeader.substring(7);
-    
-    try {
-        const session = dbService.getSessionByToken(sessionToken);
-        return session ? session.user_id : null;
-    } catch (error) {
-        console.error('Session verification error:', error);
-        return null;
-    }
-}
+const handleApiRequest = createApiHandler({
+    storage: dbAvailable ? dbService : null,
+    jobs: dbAvailable ? jobQueue : null,
+    describe: () => ({
+        message: 'SciBrain Backend Server with Authentication',
+        version: '10.1',
+        database: dbAvailable ? 'enabled' : 'disabled',
+        authentication: dbAvailable ? 'enabled' : 'disabled',
+        mobileSupport: true
+    })
+});
 
 // Create HTTPS server
 const server = https.createServer(httpsOptions, async (req, res) => {
@@ -100,7 +99,7 @@ const server = https.createServer(httpsOptions, async (req, res) => {
         res.setHeader('Access-Control-Allow-Origin', '*');
     }
     
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
     // Handle preflight
@@ -110,487 +109,18 @@ const server = https.createServer(httpsOptions, async (req, res) => {
         return;
     }
 
-    // Health check
-    if (req.url === '/api/health' && req.method === 'GET') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ 
-            status: 'ok', 
-            message: 'SciBrain Backend Server with Authentication',
-            version: '10.1',
-            database: dbAvailable ? 'enabled' : 'disabled',
-            authentication: dbAvailable ? 'enabled' : 'disabled',
-            mobileSupport: true
-        }));
-        return;
-    }
-
-    // ========================================
-    // AUTHENTICATION ENDPOINTS
-    // ========================================
-
-    // Sign Up
-    if (req.url === '/api/auth/signup' && req.method === 'POST') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        let body = '';
-        req.on('data', chunk => { body += chunk.toString(); });
-        req.on('end', async () => {
-            try {
-                const { fullName, email, password } = JSON.parse(body);
-                
-                console.log('📝 Sign up request:', email);
-                
-                if (!fullName || !email || !password) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'All fields are required' }));
-                    return;
-                }
-                
-                const sanitizedFullName = authService.sanitizeInput(fullName);
-                const sanitizedEmail = authService.sanitizeInput(email).toLowerCase();
-                
-                if (!authService.isValidEmail(sanitizedEmail)) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid email format' }));
-                    return;
-                }
-                
-                const existingUser = dbService.getUserByEmail(sanitizedEmail);
-                if (existingUser) {
-                    res.writeHead(409, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'User with this email already exists' }));
-                    return;
-                }
-                
-                const passwordHash = authService.hashPassword(password);
-                const userId = dbService.createUser(sanitizedFullName, sanitizedEmail, passwordHash);
-                
-                const sessionToken = authService.generateSessionToken();
-                const expiresAt = authService.generateSessionExpiry();
-                dbService.createSession(userId, sessionToken, expiresAt);
-                
-                console.log(`✅ User created successfully: ${sanitizedEmail} (ID: ${userId})`);
-                
-                res.writeHead(201, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: true,
-                    userId: userId,
-                    email: sanitizedEmail,
-                    fullName: sanitizedFullName,
-                    sessionToken: sessionToken
-                }));
-                
-            } catch (error) {
-                console.error('❌ Sign up error:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Failed to create account' }));
-            }
-        });
-        return;
-    }
-
-    // Login
-    if (req.url === '/api/auth/login' && req.method === 'POST') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        let body = '';
-        req.on('data', chunk => { body += chunk.toString(); });
-        req.on('end', async () => {
-            try {
-                const { email, password } = JSON.parse(body);
-                
-                console.log('🔐 Login attempt:', email);
-                
-                if (!email || !password) {
-                    res.writeHead(400, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Email and password are required' }));
-                    return;
-                }
-                
-                const sanitizedEmail = authService.sanitizeInput(email).toLowerCase();
-                const user = dbService.getUserByEmail(sanitizedEmail);
-                
-                if (!user) {
-                    res.writeHead(401, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid email or password' }));
-                    return;
-                }
-                
-                const passwordValid = authService.verifyPassword(password, user.password_hash);
-                if (!passwordValid) {
-                    res.writeHead(401, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify({ error: 'Invalid email or password' }));
-                    return;
-                }
-                
-                dbService.updateLastLogin(user.id);
-                
-                const sessionToken = authService.generateSessionToken();
-                const expiresAt = authService.generateSessionExpiry();
-                dbService.createSession(user.id, sessionToken, expiresAt);
-                
-                console.log(`✅ Login successful: ${sanitizedEmail} (ID: ${user.id})`);
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    success: true,
-                    userId: user.id,
-                    email: user.email,
-                    fullName: user.full_name,
-                    sessionToken: sessionToken
-                }));
-                
-            } catch (error) {
-                console.error('❌ Login error:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Login failed' }));
-            }
-        });
-        return;
-    }
-
-    // Logout
-    if (req.url === '/api/auth/logout' && req.method === 'POST') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const authHeader = req.headers.authorization;
-        if (authHeader && authHeader.startsWith('Bearer ')) {
-            const sessionToken = authHeader.substring(7);
-            dbService.deleteSession(sessionToken);
-            console.log('👋 User logged out');
-        }
-        
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
-        return;
-    }
-
-    // Verify Session
-    if (req.url === '/api/auth/verify' && req.method === 'GET') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ valid: false }));
-            return;
-        }
-
-        const sessionToken = authHeader.substring(7);
-        const session = dbService.getSessionByToken(sessionToken);
-        
-        if (session) {
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({
-                valid: true,
-                userId: session.user_id,
-                email: session.email,
-                fullName: session.full_name
-            }));
-        } else {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ valid: false }));
-        }
-        return;
-    }
-
-    // ========================================
-    // REVIEWER GENERATION ENDPOINTS (WITH AUTH)
-    // ========================================
-
-    // Generate Reviewer
-    if (req.url === '/api/generate-reviewer' && req.method === 'POST') {
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        let body = '';
-        req.on('data', chunk => { body += chunk.toString(); });
-        req.on('end', async () => {
-            try {
-                const { text, title } = JSON.parse(body);
-                
-                console.log(`📚 Generating reviewer for user ${userId}:`, title);
-                
-                const reviewerData = await generateReviewer(text, title);
-                
-                let documentId = Date.now();
-                let reviewerId = Date.now() + 1;
-                
-                if (dbAvailable && dbService) {
-                    try {
-                        documentId = dbService.saveDocument(userId, title, text, 'text');
-                        reviewerId = dbService.saveReviewer(userId, documentId, reviewerData);
-                        console.log(`✅ Reviewer saved to database: Document ID ${documentId}, Reviewer ID ${reviewerId}`);
-                    } catch (dbError) {
-                        console.warn('⚠️ Failed to save to database:', dbError.message);
-                    }
-                }
-                
-                reviewerData.documentId = documentId;
-                reviewerData.reviewerId = reviewerId;
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(reviewerData));
-                
-            } catch (error) {
-                console.error('❌ Error generating reviewer:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: error.message }));
-            }
-        });
-        return;
-    }
-
-    // Generate Quiz Questions
-    if (req.url === '/api/generate-questions' && req.method === 'POST') {
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        let body = '';
-        req.on('data', chunk => { body += chunk.toString(); });
-        req.on('end', async () => {
-            try {
-                const { text, concepts, reviewerId } = JSON.parse(body);
-                
-                console.log('🎮 Generating quiz questions...');
-                
-                const questions = await generateQuizQuestions(text, concepts);
-                
-                if (dbAvailable && dbService && reviewerId) {
-                    try {
-                        dbService.saveQuizQuestions(reviewerId, questions);
-                        console.log(`✅ Quiz questions saved for reviewer ${reviewerId}`);
-                    } catch (dbError) {
-                        console.warn('⚠️ Failed to save quiz questions:', dbError.message);
-                    }
-                }
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(questions));
-                
-            } catch (error) {
-                console.error('❌ Error generating questions:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: error.message }));
-            }
-        });
-        return;
-    }
-
-    // ========================================
-    // DATABASE ENDPOINTS (WITH AUTH)
-    // ========================================
-
-    // Get All Reviewers (User-specific)
-    if (req.url === '/api/reviewers' && req.method === 'GET') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        try {
-            const reviewers = dbService.getAllReviewers(userId);
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(reviewers));
-        } catch (error) {
-            console.error('❌ Error getting reviewers:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-        }
+    const { pathname } = new URL(req.url, 'https://localhost');
+    if (pathname !== '/api' && !pathname.startsWith('/api/')) {
+        res.writeHead(404);
+        res.end('Not Found');
         return;
     }
 
-    // Get Reviewer by ID
-    if (req.url.startsWith('/api/reviewer/') && req.method === 'GET') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        try {
-            const id = parseInt(req.url.split('/')[3]);
-            const reviewer = dbService.getReviewer(id, userId);
-            
-            if (reviewer) {
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify(reviewer));
-            } else {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Reviewer not found' }));
-            }
-        } catch (error) {
-            console.error('❌ Error getting reviewer:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-        }
-        return;
-    }
-
-    // Delete Reviewer
-    if (req.url.startsWith('/api/reviewer/') && req.method === 'DELETE') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        try {
-            const id = parseInt(req.url.split('/')[3]);
-            const success = dbService.deleteReviewer(id, userId);
-            
-            if (success) {
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, message: 'Reviewer deleted' }));
-            } else {
-                res.writeHead(404, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: 'Reviewer not found' }));
-            }
-        } catch (error) {
-            console.error('❌ Error deleting reviewer:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-        }
-        return;
-    }
-
-    // Get Quiz Questions
-    if (req.url.startsWith('/api/quiz-questions/') && req.method === 'GET') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        try {
-            const reviewerId = parseInt(req.url.split('/')[3]);
-            const questions = dbService.getQuizQuestions(reviewerId);
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(questions));
-        } catch (error) {
-            console.error('❌ Error getting quiz questions:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-        }
-        return;
-    }
-
-    // Get Statistics (User-specific)
-    if (req.url === '/api/statistics' && req.method === 'GET') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        try {
-            const stats = dbService.getStatistics(userId);
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify(stats));
-        } catch (error) {
-            console.error('❌ Error getting statistics:', error);
-            res.writeHead(500, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: error.message }));
-        }
-        return;
-    }
-
-    // Save Quiz Attempt
-    if (req.url === '/api/quiz-attempt' && req.method === 'POST') {
-        if (!dbAvailable) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Database not available' }));
-            return;
-        }
-
-        const userId = getUserIdFromRequest(req);
-        if (!userId) {
-            res.writeHead(401, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'Unauthorized' }));
-            return;
-        }
-
-        let body = '';
-        req.on('data', chunk => { body += chunk.toString(); });
-        req.on('end', async () => {
-            try {
-                const attemptData = JSON.parse(body);
-                const attemptId = dbService.saveQuizAttempt(userId, attemptData.reviewerId, attemptData);
-                
-                res.writeHead(200, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ success: true, attemptId: attemptId }));
-            } catch (error) {
-                console.error('❌ Error saving quiz attempt:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({ error: error.message }));
-            }
-        });
-        return;
+    try {
+        await handleApiRequest(req, res, pathname.slice('/api'.length) || '/');
+    } catch (error) {
+        sendUnexpectedError(res, error);
     }
-
-    // 404
-    res.writeHead(404);
-    res.end('Not Found');
 });
 
 const PORT = 3000;
@@ -623,14 +153,42 @@ server.listen(PORT, '0.0.0.0', () => {
         console.log('  POST /api/auth/logout      - Logout');
         console.log('  GET  /api/auth/verify      - Verify session');
         
+        console.log('\n📋 Account Endpoints (Auth Required):');
+        console.log('  GET  /api/account          - Get profile');
+        console.log('  PATCH /api/account         - Update full name and/or email');
+        console.log('  PUT  /api/account/password - Change password (current password required)');
+        console.log('  PUT  /api/account/profile-image - Upload profile image (data URL)');
+        console.log('  DELETE /api/account/profile-image - Remove profile image');
+        console.log('  GET  /api/account/export   - Download all account data (JSON)');
+        console.log('  POST /api/account/import   - Restore an exported archive');
+        console.log('  DELETE /api/account        - Delete account (password required)');
+        
+        console.log('\n📋 AI Endpoints:');
+        console.log('  GET  /api/providers        - List AI providers and health');
+        
         console.log('\n📋 Reviewer Endpoints (Auth Required):');
         console.log('  POST /api/generate-reviewer  - Generate reviewer');
+        console.log('  POST /api/generate-reviewer/stream - Generate reviewer (streamed progress)');
         console.log('  POST /api/generate-questions - Generate quiz questions');
+        console.log('  POST /api/jobs               - Queue reviewer/quiz generation job');
+        console.log('  GET  /api/jobs/:id           - Get generation job status');
         console.log('  GET  /api/reviewers          - Get all reviewers');
         console.log('  GET  /api/reviewer/:id       - Get specific reviewer');
+        console.log('  PUT  /api/reviewer/:id       - Edit reviewer (keeps previous version)');
         console.log('  DELETE /api/reviewer/:id     - Delete reviewer');
+        console.log('  GET  /api/reviewer/:id/versions          - List reviewer versions');
+        console.log('  GET  /api/reviewer/:id/versions/:v       - Get version with diff to current');
+        console.log('  POST /api/reviewer/:id/versions/:v/restore - Restore version');
         console.log('  GET  /api/quiz-questions/:id - Get quiz questions');
         console.log('  GET  /api/statistics         - Get user statistics');
         console.log('  POST /api/quiz-attempt       - Save quiz result');
+        console.log('  GET  /api/question-stats/:id - Get per-question statistics');
+        console.log('  GET  /api/review-queue/:id   - Get questions due for review');
+        
+        console.log('\n📋 Annotation Endpoints (Auth Required):');
+        console.log('  GET  /api/annotations/:reviewerId     - Get annotations (with deletions)');
+        console.log('  POST /api/annotations/:reviewerId     - Create annotation');
+        console.log('  PUT  /api/annotations/:reviewerId/:id - Update annotation (409 on conflict)');
+        console.log('  DELETE /api/annotations/:reviewerId/:id - Delete annotation');
     }
 });
\ No newline at end of file
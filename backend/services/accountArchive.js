@@ -0,0 +1,338 @@
+// backend/services/accountArchive.js - Account Export and Import Archive
+// Builds a portable snapshot of everything a user owns, and recreates it
+// under another account, using only storage contract methods - so an archive
+// exported from SQLite imports into Vercel KV and the other way round.
+// IDs in the archive are the ones the source store assigned; they only link
+// records to each other inside the archive and are remapped on import.
+
+const crypto = require('crypto');
+
+const ARCHIVE_FORMAT = 'scibrain-account';
+// Version 2 added per-question answer history and the review schedule
+const ARCHIVE_VERSION = 2;
+
+// List methods take a limit; an archive wants everything
+const ARCHIVE_LIMIT = 100000;
+
+// Matching sets are { pairs: [...] }, every other type is a plain array
+function hasQuestions(quizQuestions) {
+    return Object.values(quizQuestions || {}).some(byDifficulty =>
+        Object.values(byDifficulty || {}).some(set => {
+            const questions = Array.isArray(set) ? set : set && set.pairs;
+            return Array.isArray(questions) && questions.length > 0;
+        })
+    );
+}
+
+// Groups archive records under the new ID of their reviewer, passing the
+// source reviewer ID of the ones left out to skip
+function groupByReviewer(records, reviewerIds, skip) {
+    const grouped = new Map();
+    for (const { reviewerId: sourceId, ...record } of records || []) {
+        const reviewerId = reviewerIds.get(sourceId);
+        if (!reviewerId) {
+            skip(sourceId);
+            continue;
+        }
+        if (!grouped.has(reviewerId)) grouped.set(reviewerId, []);
+        grouped.get(reviewerId).push(record);
+    }
+    return grouped;
+}
+
+async function exportAccount(storage, userId) {
+    const user = await storage.getUserById(userId);
+    if (!user) return null;
+
+    const documents = [];
+    for (const { id } of await storage.getAllDocuments(userId, ARCHIVE_LIMIT)) {
+        const document = await storage.getDocument(id, userId);
+        if (!document) continue;
+        documents.push({
+            id: document.id,
+            title: document.title,
+            fileType: document.file_type,
+            wordCount: document.word_count,
+            uploadDate: document.upload_date,
+            originalText: document.original_text
+        });
+    }
+
+    const reviewers = [];
+    const quizQuestions = [];
+    const annotations = [];
+    const questionOutcomes = [];
+    const reviewSchedule = [];
+    for (const { id } of await storage.getAllReviewers(userId, ARCHIVE_LIMIT)) {
+        const reviewer = await storage.getReviewer(id, userId);
+        if (!reviewer) continue;
+        reviewers.push({
+            id: reviewer.id,
+            documentId: reviewer.documentId,
+            title: reviewer.title,
+            sections: reviewer.sections,
+            concepts: reviewer.concepts,
+            metadata: reviewer.metadata,
+            originalText: reviewer.originalText,
+            version: reviewer.version,
+            generatedAt: reviewer.generatedAt,
+            updatedAt: reviewer.updatedAt
+        });
+
+        const questions = await storage.getQuizQuestions(id);
+        if (hasQuestions(questions)) {
+            quizQuestions.push({ reviewerId: id, questions });
+        }
+
+        for (const annotation of await storage.getAnnotationsByReviewer(id, userId)) {
+            if (!annotation.deleted) annotations.push(annotation);
+        }
+
+        for (const outcome of await storage.getQuestionOutcomes(userId, id)) {
+            questionOutcomes.push({ reviewerId: id, ...outcome });
+        }
+        for (const review of await storage.getReviewSchedule(userId, id)) {
+            reviewSchedule.push({ reviewerId: id, ...review });
+        }
+    }
+
+    const quizAttempts = [];
+    for (const { id } of await storage.getAllQuizAttempts(userId, ARCHIVE_LIMIT)) {
+        const attempt = await storage.getQuizAttempt(id, userId);
+        if (!attempt) continue;
+        const { userId: _owner, ...portable } = attempt;
+        quizAttempts.push(portable);
+    }
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        user: {
+            fullName: user.full_name,
+            email: user.email,
+            createdAt: user.created_at
+        },
+        documents,
+        reviewers,
+        quizQuestions,
+        quizAttempts,
+        annotations,
+        questionOutcomes,
+        reviewSchedule
+    };
+}
+
+// Returns a message describing why the archive can't be imported, or null
+function validateArchive(archive) {
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+        return 'Archive must be a JSON object';
+    }
+    if (archive.format !== ARCHIVE_FORMAT) {
+        return 'Not a SciBrain export archive';
+    }
+    if (!Number.isInteger(archive.version) || archive.version > ARCHIVE_VERSION) {
+        return `Unsupported archive version: ${archive.version}`;
+    }
+    for (const key of ['documents', 'reviewers', 'quizQuestions', 'quizAttempts', 'annotations', 'questionOutcomes', 'reviewSchedule']) {
+        if (archive[key] !== undefined && !Array.isArray(archive[key])) {
+            return `${key} must be an array`;
+        }
+    }
+    const untitled = (archive.reviewers || []).findIndex(reviewer => !reviewer || !reviewer.title);
+    if (untitled !== -1) {
+        return `reviewers[${untitled}] is missing a title`;
+    }
+    return null;
+}
+
+// Identifies a reviewer across exports of the same account, so importing an
+// archive again can tell which reviewers it already brought in
+function importKey(archive, reviewer) {
+    const source = `${(archive.user && archive.user.email) || ''}|${reviewer.id}|${reviewer.generatedAt || ''}`;
+    return crypto.createHash('sha1').update(source).digest('hex').substring(0, 16);
+}
+
+function documentSignature(document) {
+    return JSON.stringify([document.title || 'Untitled', document.fileType || 'text', document.originalText || '']);
+}
+
+// What the account already has that an import could repeat: documents by
+// content, and reviewers by the import key they were brought in under
+async function existingRecords(storage, userId) {
+    const documentIds = new Map();
+    for (const { id } of await storage.getAllDocuments(userId, ARCHIVE_LIMIT)) {
+        const document = await storage.getDocument(id, userId);
+        if (!document) continue;
+        const signature = documentSignature({
+            title: document.title,
+            fileType: document.file_type,
+            originalText: document.original_text
+        });
+        if (!documentIds.has(signature)) documentIds.set(signature, id);
+    }
+
+    const importKeys = new Set();
+    for (const { id } of await storage.getAllReviewers(userId, ARCHIVE_LIMIT)) {
+        const reviewer = await storage.getReviewer(id, userId);
+        const key = reviewer && reviewer.metadata && reviewer.metadata.importedFrom;
+        if (key) importKeys.add(key);
+    }
+
+    return { documentIds, importKeys };
+}
+
+// Adds everything in the archive to the account alongside what is already
+// there. Records get new IDs and timestamps; anything pointing at a reviewer
+// that isn't in the archive is skipped. Resolves to counts per record type.
+// Lists are exported newest first, so they are imported oldest first to keep
+// the same order under the new account.
+// Importing the same archive again adds nothing: documents already in the
+// account are reused, and reviewers imported before are skipped along with
+// everything attached to them. If any write fails, what this import created
+// is deleted again before the error is rethrown.
+async function importAccount(storage, userId, archive) {
+    const created = { documents: [], reviewers: [] };
+    try {
+        return await importRecords(storage, userId, archive, created);
+    } catch (error) {
+        await rollBackImport(storage, userId, created);
+        throw error;
+    }
+}
+
+// Reviewers first: deleting one takes its quiz data, attempts, annotations
+// and answer history with it
+async function rollBackImport(storage, userId, created) {
+    try {
+        for (const id of created.reviewers) await storage.deleteReviewer(id, userId);
+        for (const id of created.documents) await storage.deleteDocument(id, userId);
+    } catch (error) {
+        console.error(`⚠️ Could not roll back account import for user ${userId}:`, error.message);
+    }
+}
+
+async function importRecords(storage, userId, archive, created) {
+    const existing = await existingRecords(storage, userId);
+    const documentIds = new Map();
+    const reviewerIds = new Map();
+    const attemptIds = new Map();
+    const imported = {
+        documents: 0, reviewers: 0, quizQuestions: 0, quizAttempts: 0, annotations: 0,
+        questionOutcomes: 0, reviewSchedule: 0, skipped: 0, alreadyImported: 0
+    };
+
+    // Records of a reviewer imported before are left out without counting
+    // as skipped; they came in with that reviewer
+    const previouslyImported = new Set();
+    const skip = (sourceReviewerId) => {
+        if (!previouslyImported.has(sourceReviewerId)) imported.skipped++;
+    };
+
+    for (const document of [...(archive.documents || [])].reverse()) {
+        const existingId = existing.documentIds.get(documentSignature(document));
+        if (existingId) {
+            documentIds.set(document.id, existingId);
+            imported.alreadyImported++;
+            continue;
+        }
+        const id = await storage.saveDocument(userId, document.title || 'Untitled', document.originalText || '', document.fileType || 'text');
+        created.documents.push(id);
+        documentIds.set(document.id, id);
+        imported.documents++;
+    }
+
+    for (const reviewer of [...archive.reviewers].reverse()) {
+        const key = importKey(archive, reviewer);
+        if (existing.importKeys.has(key)) {
+            previouslyImported.add(reviewer.id);
+            imported.alreadyImported++;
+            continue;
+        }
+        const id = await storage.saveReviewer(userId, documentIds.get(reviewer.documentId) || null, {
+            title: reviewer.title,
+            sections: reviewer.sections || [],
+            concepts: reviewer.concepts || [],
+            metadata: { ...(reviewer.metadata || {}), importedFrom: key },
+            originalText: reviewer.originalText || ''
+        });
+        created.reviewers.push(id);
+        reviewerIds.set(reviewer.id, id);
+        imported.reviewers++;
+    }
+
+    for (const entry of archive.quizQuestions || []) {
+        const reviewerId = reviewerIds.get(entry.reviewerId);
+        if (!reviewerId || !entry.questions) {
+            skip(entry.reviewerId);
+            continue;
+        }
+        await storage.saveQuizQuestions(reviewerId, entry.questions);
+        imported.quizQuestions++;
+    }
+
+    for (const attempt of [...(archive.quizAttempts || [])].reverse()) {
+        const reviewerId = reviewerIds.get(attempt.reviewerId);
+        if (!reviewerId) {
+            skip(attempt.reviewerId);
+            continue;
+        }
+        const id = await storage.saveQuizAttempt(userId, reviewerId, {
+            quizType: attempt.quizType,
+            difficulty: attempt.difficulty,
+            totalQuestions: attempt.totalQuestions,
+            correctAnswers: attempt.correctAnswers,
+            wrongAnswers: attempt.wrongAnswers,
+            percentage: attempt.percentage,
+            timeTaken: attempt.timeTaken,
+            userAnswers: attempt.userAnswers || [],
+            questionsUsed: attempt.questionsUsed || []
+        });
+        attemptIds.set(attempt.id, id);
+        imported.quizAttempts++;
+    }
+
+    for (const annotation of [...(archive.annotations || [])].reverse()) {
+        const reviewerId = reviewerIds.get(annotation.reviewerId);
+        if (!reviewerId || annotation.deleted) {
+            skip(annotation.reviewerId);
+            continue;
+        }
+        await storage.saveAnnotation(userId, reviewerId, {
+            type: annotation.type,
+            text: annotation.text,
+            data: annotation.data,
+            sectionIndex: annotation.sectionIndex,
+            conceptTerm: annotation.conceptTerm,
+            clientId: annotation.clientId
+        });
+        imported.annotations++;
+    }
+
+    // Answer history is exported oldest first already; an answer whose attempt
+    // isn't in the archive keeps its place in the history without one
+    const outcomesByReviewer = groupByReviewer(archive.questionOutcomes, reviewerIds, skip);
+    for (const [reviewerId, outcomes] of outcomesByReviewer) {
+        await storage.restoreQuestionOutcomes(userId, reviewerId, outcomes.map(outcome => ({
+            ...outcome,
+            attemptId: attemptIds.get(outcome.attemptId) || null
+        })));
+        imported.questionOutcomes += outcomes.length;
+    }
+
+    const reviewsByReviewer = groupByReviewer(archive.reviewSchedule, reviewerIds, skip);
+    for (const [reviewerId, reviews] of reviewsByReviewer) {
+        await storage.restoreReviewSchedule(userId, reviewerId, reviews);
+        imported.reviewSchedule += reviews.length;
+    }
+
+    return imported;
+}
+
+module.exports = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    exportAccount,
+    validateArchive,
+    importAccount
+};
@@ -0,0 +1,620 @@
+// backend/services/aiProviders.js - AI Provider Registry
+// Every text-generation backend implements the same small interface:
+//   generate(prompt, options)          -> full response text
+//   stream(prompt, options, onChunk)   -> full response text, onChunk per piece
+//   healthCheck()                      -> { healthy, models?, error? }
+// ollamaService asks the registry for a provider chain and falls back along
+// it when a provider errors.
+
+const AI_PROVIDER = (process.env.AI_PROVIDER || 'ollama').toLowerCase();
+const AI_FALLBACK = (process.env.AI_FALLBACK || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434/api/generate';
+const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.1:8b';
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const LLAMACPP_URL = (process.env.LLAMACPP_URL || 'http://localhost:8080').replace(/\/+$/, '');
+const LLAMACPP_MODEL = process.env.LLAMACPP_MODEL || 'default';
+
+const HEALTH_TIMEOUT_MS = 3000;
+
+const providers = new Map();
+
+// ==================== //
+// Shared helpers
+// ==================== //
+
+// Split a streamed HTTP body into lines and hand each complete one to onLine
+async function readLines(body, onLine) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(onLine);
+    }
+    onLine(buffer);
+}
+
+// Read a Server-Sent Events body, calling onData with each parsed "data:" payload
+async function readServerSentEvents(body, onData) {
+    await readLines(body, (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return;
+        const payload = trimmed.substring(5).trim();
+        if (!payload || payload === '[DONE]') return;
+        onData(JSON.parse(payload));
+    });
+}
+
+async function fetchWithTimeout(url, options = {}, timeoutMs = HEALTH_TIMEOUT_MS) {
+    return await fetch(url, { ...options, signal: AbortSignal.timeout(timeoutMs) });
+}
+
+// ==================== //
+// Ollama
+// ==================== //
+const ollamaProvider = {
+    name: 'ollama',
+    label: 'Ollama',
+    defaultModel: OLLAMA_MODEL,
+
+    isConfigured() {
+        return true;
+    },
+
+    buildBody(prompt, options, stream) {
+        const { model, temperature, num_predict, ...rest } = options;
+        return JSON.stringify({
+            model: model || OLLAMA_MODEL,
+            prompt: prompt,
+            stream: stream,
+            options: {
+                temperature: temperature || 0.7,
+                top_p: 0.9,
+                num_predict: num_predict || 4096,
+                ...rest
+            }
+        });
+    },
+
+    async generate(prompt, options = {}) {
+        const response = await fetch(OLLAMA_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: this.buildBody(prompt, options, false)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Ollama API error: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        return data.response;
+    },
+
+    async stream(prompt, options = {}, onChunk = () => {}) {
+        const response = await fetch(OLLAMA_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: this.buildBody(prompt, options, true)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Ollama API error: ${response.statusText}`);
+        }
+
+        // Newline-delimited JSON: {"response": "...", "done": false}
+        let fullText = '';
+        await readLines(response.body, (line) => {
+            if (!line.trim()) return;
+            const data = JSON.parse(line);
+            if (data.error) {
+                throw new Error(`Ollama API error: ${data.error}`);
+            }
+            if (data.response) {
+                fullText += data.response;
+                onChunk(data.response, fullText);
+            }
+        });
+
+        return fullText;
+    },
+
+    async healthCheck() {
+        const tagsUrl = new URL('/api/tags', OLLAMA_URL).toString();
+        const response = await fetchWithTimeout(tagsUrl);
+        if (!response.ok) {
+            return { healthy: false, error: `HTTP ${response.status}` };
+        }
+        const data = await response.json();
+        return { healthy: true, models: (data.models || []).map(m => m.name) };
+    }
+};
+
+// ==================== //
+// OpenAI-compatible (OpenAI, Groq, OpenRouter, LM Studio, vLLM...)
+// ==================== //
+const openaiProvider = {
+    name: 'openai',
+    label: 'OpenAI-compatible',
+    defaultModel: OPENAI_MODEL,
+
+    isConfigured() {
+        return Boolean(process.env.OPENAI_API_KEY);
+    },
+
+    async request(prompt, options, stream) {
+        if (!process.env.OPENAI_API_KEY) {
+            throw new Error('OPENAI_API_KEY is required for the openai provider');
+        }
+
+        const response = await fetch(OPENAI_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+            },
+            body: JSON.stringify({
+                model: options.model || OPENAI_MODEL,
+                temperature: options.temperature || 0.7,
+                stream: stream,
+                messages: [
+                    {
+                        role: 'user',
+                        content: prompt
+                    }
+                ]
+            })
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`OpenAI-compatible API error: ${response.status} ${errorText}`);
+        }
+
+        return response;
+    },
+
+    async generate(prompt, options = {}) {
+        const response = await this.request(prompt, options, false);
+        const data = await response.json();
+        const content = data?.choices?.[0]?.message?.content;
+        if (!content) {
+            throw new Error('No content returned from OpenAI-compatible API');
+        }
+        return content;
+    },
+
+    async stream(prompt, options = {}, onChunk = () => {}) {
+        const response = await this.request(prompt, options, true);
+
+        let fullText = '';
+        await readServerSentEvents(response.body, (data) => {
+            const content = data?.choices?.[0]?.delta?.content;
+            if (content) {
+                fullText += content;
+                onChunk(content, fullText);
+            }
+        });
+
+        if (!fullText) {
+            throw new Error('No content returned from OpenAI-compatible API');
+        }
+        return fullText;
+    },
+
+    async healthCheck() {
+        const modelsUrl = OPENAI_API_URL.replace(/\/chat\/completions\/?$/, '/models');
+        const response = await fetchWithTimeout(modelsUrl, {
+            headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }
+        });
+        if (!response.ok) {
+            return { healthy: false, error: `HTTP ${response.status}` };
+        }
+        const data = await response.json();
+        return { healthy: true, models: (data.data || []).map(m => m.id) };
+    }
+};
+
+// ==================== //
+// llama.cpp server (llama-server /completion endpoint)
+// ==================== //
+const llamaCppProvider = {
+    name: 'llamacpp',
+    label: 'llama.cpp server',
+    defaultModel: LLAMACPP_MODEL,
+
+    isConfigured() {
+        return Boolean(process.env.LLAMACPP_URL);
+    },
+
+    // llama-server answers with the model it has loaded; "model" picks one
+    // when it serves several (router mode). Left out when none was chosen,
+    // since the 'default' placeholder is not a model name.
+    async request(prompt, options, stream) {
+        const response = await fetch(`${LLAMACPP_URL}/completion`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: options.model || process.env.LLAMACPP_MODEL || undefined,
+                prompt: prompt,
+                temperature: options.temperature || 0.7,
+                top_p: 0.9,
+                n_predict: options.num_predict || 4096,
+                stream: stream
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`llama.cpp server error: ${response.status} ${response.statusText}`);
+        }
+
+        return response;
+    },
+
+    async generate(prompt, options = {}) {
+        const response = await this.request(prompt, options, false);
+        const data = await response.json();
+        return data.content || '';
+    },
+
+    async stream(prompt, options = {}, onChunk = () => {}) {
+        const response = await this.request(prompt, options, true);
+
+        let fullText = '';
+        await readServerSentEvents(response.body, (data) => {
+            if (data.content) {
+                fullText += data.content;
+                onChunk(data.content, fullText);
+            }
+        });
+
+        return fullText;
+    },
+
+    async healthCheck() {
+        const response = await fetchWithTimeout(`${LLAMACPP_URL}/health`);
+        if (!response.ok) {
+            return { healthy: false, error: `HTTP ${response.status}` };
+        }
+        return { healthy: true, models: [LLAMACPP_MODEL] };
+    }
+};
+
+// ==================== //
+// Offline mock - deterministic output built from the prompt's own text,
+// shaped like whatever JSON the prompt asks for. Lets the whole generation
+// pipeline run without a model (demos, CI, offline development).
+// ==================== //
+function extractPromptText(prompt) {
+    const match = prompt.match(/TEXT(?: TO ANALYZE)?:\s*([\s\S]*?)\n\s*\n(?:RESPOND|JSON format)/);
+    return (match ? match[1] : prompt).trim();
+}
+
+function splitSentences(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .split(/(?<=[.!?])\s+/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.split(' ').length >= 4);
+}
+
+function mockConcepts(sentences) {
+    const concepts = [];
+    const seen = new Set();
+
+    sentences.forEach(sentence => {
+        const match = sentence.match(/^(?:The |An? )?([A-Za-z][\w\s-]{2,40}?)\s+(?:is|are|refers to|means)\s+(.+?)[.!?]?$/);
+        if (!match) return;
+        const term = match[1].trim();
+        const key = term.toLowerCase();
+        if (seen.has(key)) return;
+        seen.add(key);
+        concepts.push({
+            term: term.charAt(0).toUpperCase() + term.slice(1),
+            definition: match[2].charAt(0).toUpperCase() + match[2].slice(1) + '.'
+        });
+    });
+
+    // Texts without "X is Y" sentences still get concepts from capitalized terms
+    if (concepts.length < 4) {
+        sentences.forEach(sentence => {
+            const term = (sentence.match(/\b[A-Z][a-z]{3,}\b/g) || []).find(word => !seen.has(word.toLowerCase()));
+            if (!term) return;
+            seen.add(term.toLowerCase());
+            concepts.push({ term, definition: sentence });
+        });
+    }
+
+    return concepts;
+}
+
+function mockSections(sentences) {
+    const sectionCount = Math.max(1, Math.min(4, Math.ceil(sentences.length / 3)));
+    const perSection = Math.ceil(sentences.length / sectionCount) || 1;
+    const sections = [];
+
+    for (let i = 0; i < sectionCount; i++) {
+        const chunk = sentences.slice(i * perSection, (i + 1) * perSection);
+        if (chunk.length === 0) break;
+        const title = chunk[0].split(' ').slice(0, 5).join(' ').replace(/[.,;:!?]+$/, '');
+        sections.push({
+            title: title,
+            level: 1,
+            content: [chunk[0], ...chunk.slice(1).map(sentence => `BULLET ${sentence}`)]
+        });
+    }
+
+    return sections;
+}
+
+function mockTrueFalse(sentences, count) {
+    return sentences.slice(0, count).map((sentence, index) => {
+        const negated = sentence.replace(/\b(is|are|can|does|has)\b/, '$1 not');
+        const makeFalse = index % 2 === 1 && negated !== sentence;
+        return {
+            question: makeFalse ? negated : sentence,
+            answer: !makeFalse,
+            explanation: makeFalse ? `False. ${sentence}` : `True. ${sentence}`
+        };
+    });
+}
+
+function mockMultipleChoice(concepts, count) {
+    if (concepts.length === 0) return [];
+    const fillers = ['None of the above', 'All of the above', 'Not stated in the text'];
+    const terms = concepts.map(c => c.term);
+    while (terms.length < 4) terms.push(fillers[terms.length - 1] || `Option ${terms.length + 1}`);
+
+    return concepts.slice(0, count).map((concept, index) => {
+        const distractors = terms.filter(term => term !== concept.term).slice(index % 3, (index % 3) + 3);
+        while (distractors.length < 3) distractors.push(fillers[distractors.length]);
+        const correctIndex = index % 4;
+        const options = [...distractors];
+        options.splice(correctIndex, 0, concept.term);
+        return {
+            question: `Which term matches this description: ${concept.definition}`,
+            options: options,
+            correctIndex: correctIndex,
+            explanation: `${concept.term}: ${concept.definition}`
+        };
+    });
+}
+
+// "The stages of mitosis are prophase, metaphase, anaphase and telophase."
+// becomes one ordered sequence; sentences without a 3-8 item list are skipped
+function mockSequences(sentences, count) {
+    const sequences = [];
+
+    sentences.forEach(sentence => {
+        const match = sentence.match(/^(.+?)\s+(?:are|is|include|includes)\s+(.+?)[.!?]?$/i);
+        if (!match) return;
+
+        const steps = match[2]
+            .split(/,\s*(?:and\s+|then\s+)?|\s+(?:and|then)\s+/)
+            .map(step => step.trim())
+            .filter(Boolean);
+        if (steps.length < 3 || steps.length > 8 || new Set(steps).size !== steps.length) return;
+
+        const subject = match[1].replace(/^(the|a|an)\s+/i, '');
+        sequences.push({
+            question: `Put the ${subject} in order.`,
+            steps: steps.map(step => step.charAt(0).toUpperCase() + step.slice(1)),
+            explanation: sentence
+        });
+    });
+
+    return sequences.slice(0, count);
+}
+
+function mockResponse(prompt) {
+    const sentences = splitSentences(extractPromptText(prompt));
+    const count = parseInt((prompt.match(/(?:EXACTLY|up to) (\d+)/) || [])[1], 10) || 10;
+
+    if (prompt.includes('"steps"')) {
+        return JSON.stringify(mockSequences(sentences, count), null, 2);
+    }
+    if (prompt.includes('"options"')) {
+        return JSON.stringify(mockMultipleChoice(mockConcepts(sentences), count), null, 2);
+    }
+    if (prompt.includes('"answer": true')) {
+        return JSON.stringify(mockTrueFalse(sentences, count), null, 2);
+    }
+    if (prompt.includes('"term"')) {
+        return JSON.stringify(mockConcepts(sentences).slice(0, 20), null, 2);
+    }
+    if (prompt.includes('"title"')) {
+        return JSON.stringify(mockSections(sentences), null, 2);
+    }
+    return sentences.slice(0, 3).join(' ');
+}
+
+const mockProvider = {
+    name: 'mock',
+    label: 'Offline mock',
+    defaultModel: 'mock',
+
+    isConfigured() {
+        return true;
+    },
+
+    async generate(prompt) {
+        return mockResponse(prompt);
+    },
+
+    async stream(prompt, options = {}, onChunk = () => {}) {
+        const text = mockResponse(prompt);
+        let fullText = '';
+        for (let i = 0; i < text.length; i += 40) {
+            const piece = text.substring(i, i + 40);
+            fullText += piece;
+            onChunk(piece, fullText);
+        }
+        return fullText;
+    },
+
+    async healthCheck() {
+        return { healthy: true, models: ['mock'] };
+    }
+};
+
+// ==================== //
+// Registry
+// ==================== //
+function registerProvider(provider) {
+    for (const method of ['generate', 'stream', 'healthCheck', 'isConfigured']) {
+        if (typeof provider[method] !== 'function') {
+            throw new Error(`AI provider "${provider.name}" is missing ${method}()`);
+        }
+    }
+    providers.set(provider.name, provider);
+    return provider;
+}
+
+function getProvider(name) {
+    return providers.get(String(name || '').toLowerCase()) || null;
+}
+
+function hasProvider(name) {
+    return providers.has(String(name || '').toLowerCase());
+}
+
+// Ordered, de-duplicated list of providers to try for one request. The
+// requested (or default) provider always comes first; fallbacks that are not
+// configured are skipped.
+function resolveProviderChain(selection = {}) {
+    const primary = (selection.provider || AI_PROVIDER).toLowerCase();
+    if (!hasProvider(primary)) {
+        throw new Error(`Unknown AI provider: ${primary}`);
+    }
+
+    let fallback = selection.fallback !== undefined ? selection.fallback : AI_FALLBACK;
+    if (typeof fallback === 'string') fallback = fallback.split(',');
+    if (!Array.isArray(fallback)) fallback = [];
+
+    const names = [primary, ...fallback.map(name => String(name).trim().toLowerCase())];
+    const chain = [];
+    names.forEach((name, index) => {
+        const provider = getProvider(name);
+        if (!provider || chain.includes(provider)) return;
+        if (index > 0 && !provider.isConfigured()) return;
+        chain.push(provider);
+    });
+
+    return chain;
+}
+
+// Keep only the provider-selection fields of a request body
+function selectionFromRequest(body = {}) {
+    const selection = {};
+    if (body.provider) selection.provider = String(body.provider).toLowerCase();
+    if (body.model) selection.model = String(body.model);
+    if (body.fallback !== undefined) selection.fallback = body.fallback;
+    return selection;
+}
+
+// Run one call along the provider chain. The requested model only applies to
+// the first provider; fallbacks use their own default model.
+async function runWithFallback(options, call) {
+    const { provider, model, fallback, ...generation } = options;
+    const chain = resolveProviderChain({ provider, fallback });
+    const errors = [];
+
+    for (let i = 0; i < chain.length; i++) {
+        const current = chain[i];
+        try {
+            return await call(current, { ...generation, model: i === 0 ? model : undefined });
+        } catch (error) {
+            if (error.noFallback) throw error;
+            errors.push(`${current.name}: ${error.message}`);
+            if (i < chain.length - 1) {
+                console.warn(`⚠️ AI provider "${current.name}" failed, trying "${chain[i + 1].name}":`, error.message);
+            }
+        }
+    }
+
+    throw new Error(`All AI providers failed (${errors.join('; ')})`);
+}
+
+async function callAI(prompt, options = {}) {
+    return await runWithFallback(options, (provider, generation) => provider.generate(prompt, generation));
+}
+
+// Streaming only falls back while nothing has been emitted - once a provider
+// has produced text the listener has already seen it, so its error is final
+async function streamAI(prompt, options = {}, onChunk = () => {}) {
+    return await runWithFallback(options, async (provider, generation) => {
+        let started = false;
+        try {
+            return await provider.stream(prompt, generation, (chunk, fullText) => {
+                started = true;
+                onChunk(chunk, fullText);
+            });
+        } catch (error) {
+            if (started) error.noFallback = true;
+            throw error;
+        }
+    });
+}
+
+// Describe every registered provider and whether it is reachable
+// A bad AI_PROVIDER is reported in `error` rather than thrown, since this
+// is where it gets diagnosed
+async function listProviders() {
+    let defaultChain = [];
+    let configError = null;
+    try {
+        defaultChain = resolveProviderChain().map(provider => provider.name);
+    } catch (error) {
+        configError = error.message;
+    }
+
+    const results = await Promise.all([...providers.values()].map(async (provider) => {
+        const info = {
+            name: provider.name,
+            label: provider.label,
+            defaultModel: provider.defaultModel,
+            configured: provider.isConfigured(),
+            healthy: false
+        };
+
+        if (!info.configured) return info;
+
+        try {
+            Object.assign(info, await provider.healthCheck());
+        } catch (error) {
+            info.error = error.message;
+        }
+        return info;
+    }));
+
+    const listing = {
+        default: AI_PROVIDER,
+        fallback: defaultChain.slice(1),
+        providers: results
+    };
+    if (configError) listing.error = `AI_PROVIDER is misconfigured: ${configError}`;
+    return listing;
+}
+
+registerProvider(ollamaProvider);
+registerProvider(openaiProvider);
+registerProvider(llamaCppProvider);
+registerProvider(mockProvider);
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    hasProvider,
+    resolveProviderChain,
+    selectionFromRequest,
+    callAI,
+    streamAI,
+    listProviders
+};
@@ -0,0 +1,256 @@
+// backend/services/aiSchemas.js - Declared Schemas for AI Output
+// Every generation step declares the shape of one item it expects from the
+// model (a small JSON Schema subset). Items are validated one by one so a
+// bad item can be re-prompted on its own instead of silently dropped.
+
+const SCHEMAS = {
+    sections: {
+        type: 'object',
+        required: ['title', 'content'],
+        properties: {
+            title: { type: 'string', minLength: 1, maxLength: 150 },
+            level: { type: 'integer', minimum: 1, maximum: 3 },
+            content: { type: 'array', minItems: 1, items: { type: 'string' } }
+        }
+    },
+    concepts: {
+        type: 'object',
+        required: ['term', 'definition'],
+        properties: {
+            term: { type: 'string', minLength: 1, maxLength: 100 },
+            definition: { type: 'string', minLength: 5 }
+        }
+    },
+    trueFalse: {
+        type: 'object',
+        required: ['question', 'answer', 'explanation'],
+        properties: {
+            question: { type: 'string', minLength: 5 },
+            answer: { type: 'boolean' },
+            explanation: { type: 'string' }
+        }
+    },
+    multipleChoice: {
+        type: 'object',
+        required: ['question', 'options', 'correctIndex'],
+        properties: {
+            question: { type: 'string', minLength: 5 },
+            options: {
+                type: 'array',
+                minItems: 4,
+                maxItems: 4,
+                uniqueItems: true,
+                items: { type: 'string', minLength: 1 }
+            },
+            correctIndex: { type: 'integer', minimum: 0, maximum: 3 },
+            explanation: { type: 'string' }
+        }
+    },
+    identification: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+            question: { type: 'string', minLength: 5 },
+            answer: { type: 'string', minLength: 1 },
+            hint: { type: 'string' }
+        }
+    },
+    cloze: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+            question: { type: 'string', minLength: 5, pattern: '_{5}' },
+            answer: { type: 'string', minLength: 1 },
+            hint: { type: 'string' }
+        }
+    },
+    sequence: {
+        type: 'object',
+        required: ['question', 'steps'],
+        properties: {
+            question: { type: 'string', minLength: 5 },
+            steps: {
+                type: 'array',
+                minItems: 3,
+                maxItems: 8,
+                uniqueItems: true,
+                items: { type: 'string', minLength: 1, maxLength: 150 }
+            },
+            explanation: { type: 'string' },
+            hint: { type: 'string' }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+}
+
+// Validate a value against a schema, returning a list of readable problems
+function validateValue(schema, value, path = '') {
+    const label = path || 'item';
+
+    if (!matchesType(value, schema.type)) {
+        return [`${label}: expected ${schema.type}, got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+
+    if (schema.type === 'string') {
+        const length = value.trim().length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            errors.push(schema.minLength === 1 ? `${label}: must not be empty` : `${label}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            errors.push(`${label}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${label}: must match /${schema.pattern}/`);
+        }
+    }
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${label}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${label}: must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.minItems !== undefined && schema.minItems === schema.maxItems && value.length !== schema.minItems) {
+            errors.push(`${label}: expected exactly ${schema.minItems} items, got ${value.length}`);
+        } else {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${label}: expected at least ${schema.minItems} items, got ${value.length}`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${label}: expected at most ${schema.maxItems} items, got ${value.length}`);
+            }
+        }
+        if (schema.uniqueItems) {
+            const normalized = value.map(v => (typeof v === 'string' ? v.trim().toLowerCase() : JSON.stringify(v)));
+            if (new Set(normalized).size !== normalized.length) {
+                errors.push(`${label}: items must all be different`);
+            }
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateValue(schema.items, item, `${label}[${i}]`));
+            });
+        }
+    }
+
+    if (schema.type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) {
+                errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] === undefined || value[key] === null) return;
+            errors.push(...validateValue(propertySchema, value[key], path ? `${path}.${key}` : key));
+        });
+    }
+
+    return errors;
+}
+
+function getSchema(kind) {
+    const schema = SCHEMAS[kind];
+    if (!schema) {
+        throw new Error(`No schema declared for "${kind}"`);
+    }
+    return schema;
+}
+
+function validateItem(kind, item) {
+    return validateValue(getSchema(kind), item);
+}
+
+// Split items into those that pass and those that need fixing
+function validateItems(kind, items) {
+    const valid = [];
+    const invalid = [];
+
+    items.forEach((item, index) => {
+        const errors = validateItem(kind, item);
+        if (errors.length === 0) {
+            valid.push(item);
+        } else {
+            invalid.push({ index, item, errors });
+        }
+    });
+
+    return { valid, invalid };
+}
+
+// Check a hand-edited reviewer against the same shapes generated ones must
+// have. Returns a list of problems, empty when it can be saved.
+function validateReviewerContent({ title, sections, concepts }) {
+    const problems = [];
+
+    if (typeof title !== 'string' || !title.trim()) {
+        problems.push('title: must not be empty');
+    }
+    if (!Array.isArray(sections) || sections.length === 0) {
+        problems.push('sections: at least one section is required');
+    } else {
+        validateItems('sections', sections).invalid.forEach(({ index, errors }) => {
+            errors.forEach(error => problems.push(`sections[${index}].${error}`));
+        });
+    }
+    if (!Array.isArray(concepts)) {
+        problems.push('concepts: expected array');
+    } else {
+        validateItems('concepts', concepts).invalid.forEach(({ index, errors }) => {
+            errors.forEach(error => problems.push(`concepts[${index}].${error}`));
+        });
+    }
+
+    return problems;
+}
+
+// Field each corrected item carries back, naming the listed item it fixes, so
+// replies are matched by key even if the model drops or reorders items
+const REPAIR_KEY = '_repair';
+
+// Prompt asking the model to correct only the listed items. Entries carry
+// either a parsed item or the raw text of one that was not valid JSON.
+function buildRepairPrompt(kind, entries) {
+    const itemList = entries.map((entry, i) => {
+        const shown = entry.raw !== undefined ? entry.raw : JSON.stringify(entry.item);
+        return `${i + 1}. ${shown}\n   Problems: ${entry.errors.join('; ')}`;
+    }).join('\n\n');
+
+    return `Some items in your previous response did not match the required format. Fix ONLY the items listed below.
+
+REQUIRED FORMAT FOR EACH ITEM (JSON Schema):
+${JSON.stringify(getSchema(kind), null, 2)}
+
+ITEMS TO FIX:
+${itemList}
+
+RESPOND WITH ONLY a JSON array containing exactly ${entries.length} corrected item${entries.length === 1 ? '' : 's'}.
+Each corrected item MUST include "${REPAIR_KEY}": the number of the item it fixes (e.g. "${REPAIR_KEY}": 1).
+CRITICAL: Start with [ and end with ]. Keep the meaning of each item; only fix what the problems describe.`;
+}
+
+module.exports = {
+    SCHEMAS,
+    validateItem,
+    validateItems,
+    validateReviewerContent,
+    REPAIR_KEY,
+    buildRepairPrompt
+};
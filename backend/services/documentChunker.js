@@ -0,0 +1,191 @@
+// backend/services/documentChunker.js - Document Chunking for Map-Reduce Generation
+// Splits a document along the sections ContentAnalyzer.detectSections finds
+// (the same detector the UploadPage uses), packs them into prompt-sized
+// chunks, and provides the helpers to merge per-chunk results back together.
+const { ContentAnalyzer } = require('../../src/pages/UploadPage/contentprocessor');
+
+// Detected sections, each with its plain text. Falls back to paragraph
+// splitting if the analyzer finds nothing usable. With document blocks, a
+// section opened by one of the file's own headings keeps that heading as a
+// "#" line (sectionText) so prompts still see the outline.
+function detectDocumentSections(text, blocks = null) {
+    let sections = [];
+
+    try {
+        const analyzer = new ContentAnalyzer(text, blocks);
+        const headings = new Set((blocks || [])
+            .filter(block => block.type === 'heading')
+            .map(block => block.text.trim().toLowerCase()));
+
+        sections = analyzer.detectSections().map(section => ({
+            title: section.title,
+            heading: headings.has(section.title.trim().toLowerCase())
+                ? `${'#'.repeat(section.level || 1)} ${section.title}`
+                : null,
+            text: section.content.join('\n')
+        }));
+    } catch (error) {
+        console.warn('⚠️ Section detection failed, splitting by paragraph:', error.message);
+    }
+
+    sections = sections.filter(section => section.text.trim());
+    if (sections.length === 0) {
+        sections = [{ title: 'Content', text: text }];
+    }
+    return sections;
+}
+
+// Break a section that is too large for one chunk at paragraph, then
+// sentence boundaries
+function splitOversizedSection(section, maxChars) {
+    if (section.text.length <= maxChars) return [section];
+
+    const pieces = section.text
+        .split(/\n+/)
+        .flatMap(paragraph => paragraph.length <= maxChars
+            ? [paragraph]
+            : paragraph.split(/(?<=[.!?])\s+/));
+
+    const parts = [];
+    let current = '';
+    pieces.forEach(piece => {
+        if (current && current.length + piece.length + 1 > maxChars) {
+            parts.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${piece}` : piece.substring(0, maxChars);
+    });
+    if (current) parts.push(current);
+
+    return parts.map((partText, index) => ({
+        title: parts.length > 1 ? `${section.title} (part ${index + 1})` : section.title,
+        heading: section.heading,
+        text: partText
+    }));
+}
+
+// Pack consecutive sections into at most maxChunks chunks of roughly equal
+// size. A chunk may exceed maxChars when maxChunks forces it; prompts then
+// use excerptChunk so every member section is still represented.
+// blocks: the document's structure (DocumentBlocks) when the upload had one
+function chunkDocument(text, { maxChars = 10000, maxChunks = 12, blocks = null } = {}) {
+    const sections = detectDocumentSections(text, blocks)
+        .flatMap(section => splitOversizedSection(section, maxChars));
+
+    const totalChars = sections.reduce((sum, section) => sum + section.text.length, 0);
+    const chunkCount = Math.max(1, Math.min(maxChunks, Math.ceil(totalChars / maxChars)));
+    const targetChars = Math.ceil(totalChars / chunkCount);
+
+    const chunks = [];
+    let current = null;
+
+    sections.forEach(section => {
+        const remaining = chunkCount - chunks.length;
+        if (current && current.length + section.text.length > targetChars && remaining > 1) {
+            chunks.push(current);
+            current = null;
+        }
+        if (!current) {
+            current = { index: chunks.length, sections: [], length: 0 };
+        }
+        current.sections.push(section);
+        current.length += section.text.length;
+    });
+    if (current) chunks.push(current);
+
+    return chunks.map(chunk => ({
+        index: chunk.index,
+        sections: chunk.sections,
+        text: chunk.sections.map(section => sectionText(section)).join('\n\n')
+    }));
+}
+
+function sectionText(section, maxChars = Infinity) {
+    const text = section.text.substring(0, maxChars);
+    return section.heading ? `${section.heading}\n${text}` : text;
+}
+
+// Chunk text limited to maxChars, taking an equal share from each member
+// section instead of only the beginning
+function excerptChunk(chunk, maxChars) {
+    if (chunk.text.length <= maxChars) return chunk.text;
+
+    const share = Math.floor(maxChars / chunk.sections.length);
+    return chunk.sections
+        .map(section => sectionText(section, share))
+        .join('\n\n');
+}
+
+// Title of the chunk section that shares the most significant words with
+// the given text - used to record where a generated item came from
+function findSourceSection(chunk, text) {
+    if (chunk.sections.length === 1) return chunk.sections[0].title;
+
+    const words = String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 4);
+
+    let best = chunk.sections[0];
+    let bestScore = -1;
+    chunk.sections.forEach(section => {
+        const sectionText = section.text.toLowerCase();
+        const score = words.filter(word => sectionText.includes(word)).length;
+        if (score > bestScore) {
+            best = section;
+            bestScore = score;
+        }
+    });
+
+    return best.title;
+}
+
+function sourceFor(chunk, text) {
+    return { chunk: chunk.index, section: findSourceSection(chunk, text) };
+}
+
+// Split a total count across chunks as evenly as possible
+function distributeCount(total, chunkCount) {
+    const base = Math.floor(total / chunkCount);
+    const remainder = total % chunkCount;
+    return Array.from({ length: chunkCount }, (_, i) => base + (i < remainder ? 1 : 0));
+}
+
+// Round-robin across chunks so a capped list covers the whole document
+function interleaveByChunk(items, limit = Infinity) {
+    const byChunk = new Map();
+    items.forEach(item => {
+        const chunk = item.source ? item.source.chunk : 0;
+        if (!byChunk.has(chunk)) byChunk.set(chunk, []);
+        byChunk.get(chunk).push(item);
+    });
+
+    const queues = [...byChunk.keys()].sort((a, b) => a - b).map(chunk => byChunk.get(chunk));
+    const result = [];
+    while (result.length < limit && queues.some(queue => queue.length)) {
+        queues.forEach(queue => {
+            if (queue.length && result.length < limit) result.push(queue.shift());
+        });
+    }
+    return result;
+}
+
+// Drop items whose key (normalized) was already seen
+function dedupeBy(items, getKey) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = String(getKey(item) || '').toLowerCase().replace(/\s+/g, ' ').trim();
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+module.exports = {
+    chunkDocument,
+    excerptChunk,
+    sourceFor,
+    distributeCount,
+    interleaveByChunk,
+    dedupeBy
+};
@@ -0,0 +1,189 @@
+// backend/services/jobQueue.js - Background Generation Job Queue
+// Reviewer and quiz generation run here instead of inside the HTTP request,
+// so the work finishes (and is saved) even if the browser navigates away.
+// Jobs live in the generation_jobs table; one worker processes them in order
+// because a local model can only serve one generation at a time anyway.
+// Where no process outlives the response (Vercel), InlineJobRunner keeps the
+// same job records in KV but runs each job inside the request that creates it.
+const { generateReviewer, generateQuizQuestions, summarizeValidation } = require('./ollamaService');
+
+const POLL_INTERVAL_MS = 2000;
+const RETRY_DELAY_SECONDS = 10;
+const PROGRESS_WRITE_INTERVAL_MS = 1000;
+
+class JobQueue {
+    constructor() {
+        this.storage = null;
+        this.timer = null;
+        this.busy = false;
+
+        this.handlers = {
+            reviewer: (job, progress) => this.runReviewerJob(job, progress),
+            quiz: (job, progress) => this.runQuizJob(job, progress)
+        };
+    }
+
+    // Start polling for queued jobs
+    start(dbService) {
+        this.storage = dbService;
+
+        const resumed = dbService.requeueInterruptedJobs();
+        if (resumed > 0) {
+            console.log(`🔄 Requeued ${resumed} interrupted generation job(s)`);
+        }
+
+        this.schedule(0);
+        console.log('✅ Generation job worker started');
+    }
+
+    // Job as returned to clients - the payload holds the full document text
+    toPublicJob(job) {
+        if (!job) return null;
+        const { payload, userId, ...publicJob } = job;
+        return publicJob;
+    }
+
+    isSupportedType(type) {
+        return Object.prototype.hasOwnProperty.call(this.handlers, type);
+    }
+
+    enqueue(userId, type, payload, options = {}) {
+        const jobId = this.storage.createJob(userId, type, payload, options);
+        this.wake();
+        return this.storage.getJob(jobId, userId);
+    }
+
+    // Process the next job right away instead of waiting for the next poll
+    wake() {
+        if (!this.busy) this.schedule(0);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    async tick() {
+        if (this.busy || !this.storage) return;
+        this.busy = true;
+
+        let job = null;
+        try {
+            job = this.storage.claimNextJob();
+            if (job) {
+                await this.runJob(job);
+            }
+        } catch (error) {
+            console.error('❌ Job worker error:', error);
+        } finally {
+            this.busy = false;
+            // Keep draining while there is work, otherwise poll
+            this.schedule(job ? 0 : POLL_INTERVAL_MS);
+        }
+    }
+
+    async runJob(job) {
+        console.log(`⚙️ Running job ${job.id} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+
+        try {
+            const handler = this.handlers[job.type];
+            if (!handler) {
+                throw new Error(`Unknown job type: ${job.type}`);
+            }
+
+            const { result, reviewerId } = await handler(job, this.createProgressReporter(job));
+            await this.storage.completeJob(job.id, result, reviewerId);
+            console.log(`✅ Job ${job.id} completed`);
+        } catch (error) {
+            const status = await this.storage.failJob(job.id, error.message, RETRY_DELAY_SECONDS * job.attempts);
+            console.error(`❌ Job ${job.id} failed (${status === 'queued' ? 'will retry' : 'giving up'}):`, error.message);
+        }
+    }
+
+    // Progress callback that writes to the job record. Phase changes and new
+    // sections are written immediately, plain progress ticks at most once a second.
+    createProgressReporter(job) {
+        const partial = { sections: [] };
+        let lastWrite = 0;
+
+        return (event) => {
+            const now = Date.now();
+
+            if (event.type === 'section') {
+                partial.sections.push(event.section?.title || `Section ${event.index + 1}`);
+            } else if (event.type === 'progress' && now - lastWrite < PROGRESS_WRITE_INTERVAL_MS) {
+                return;
+            } else if (event.type === 'concept') {
+                return;
+            }
+
+            lastWrite = now;
+            const warn = (error) => console.warn(`⚠️ Failed to record progress for job ${job.id}:`, error.message);
+            try {
+                // KV writes are async; progress is best-effort either way
+                Promise.resolve(this.storage.updateJobProgress(
+                    job.id,
+                    event.progress !== undefined ? event.progress : job.progress,
+                    event.message || null,
+                    partial.sections.length ? partial : null
+                )).catch(warn);
+                if (event.progress !== undefined) job.progress = event.progress;
+            } catch (error) {
+                warn(error);
+            }
+        };
+    }
+
+    async runReviewerJob(job, progress) {
+        const { text, title, aiOptions, blocks } = job.payload;
+
+        const reviewerData = await generateReviewer(text, title, progress, aiOptions || {}, blocks);
+
+        progress({ type: 'phase', phase: 'saving', progress: 95, message: 'Saving reviewer...' });
+        const documentId = await this.storage.saveDocument(job.userId, title, text, 'text');
+        const reviewerId = await this.storage.saveReviewer(job.userId, documentId, reviewerData);
+
+        reviewerData.documentId = documentId;
+        reviewerData.reviewerId = reviewerId;
+
+        return { result: { reviewer: reviewerData }, reviewerId };
+    }
+
+    async runQuizJob(job, progress) {
+        const { text, concepts, aiOptions } = job.payload;
+
+        progress({ type: 'phase', phase: 'questions', progress: 10, message: 'Generating quiz questions...' });
+        const validation = [];
+        const questions = await generateQuizQuestions(text, concepts, aiOptions || {}, validation);
+
+        progress({ type: 'phase', phase: 'saving', progress: 95, message: 'Saving quiz questions...' });
+        await this.storage.saveQuizQuestions(job.reviewerId, questions);
+        await this.storage.updateReviewerMetadata(job.reviewerId, job.userId, { quizValidation: summarizeValidation(validation) });
+
+        return { result: { reviewerId: job.reviewerId, questions }, reviewerId: job.reviewerId };
+    }
+}
+
+// Runs each job to completion (one attempt) before enqueue resolves, so the
+// job record is already final when POST /api/jobs responds. Clients follow
+// it through GET /api/jobs/:id exactly as they do on the local server.
+class InlineJobRunner extends JobQueue {
+    constructor(storage) {
+        super();
+        this.storage = storage;
+    }
+
+    async enqueue(userId, type, payload, options = {}) {
+        const jobId = await this.storage.createJob(userId, type, payload, { ...options, maxAttempts: 1 });
+        const job = await this.storage.claimJob(jobId);
+        if (job) await this.runJob(job);
+        return await this.storage.getJob(jobId, userId);
+    }
+
+    wake() {}
+}
+
+const jobQueue = new JobQueue();
+jobQueue.createInlineJobRunner = (storage) => new InlineJobRunner(storage);
+
+module.exports = jobQueue;
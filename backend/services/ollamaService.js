@@ -1,180 +1,344 @@
 // backend/services/ollamaService.js - COMPLETE IMPROVED VERSION
 // Fixes: JSON parsing errors, token limits, auto-repair for truncated responses
 
-const AI_PROVIDER = (process.env.AI_PROVIDER || 'ollama').toLowerCase();
-const OLLAMA_URL = process.env.OLLAMA_URL || 'http://localhost:11434/api/generate';
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.1:8b';
-const OPENAI_API_URL = process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
-const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
-
-// Helper function to call Ollama
-async function callOllama(prompt, options = {}) {
-    if (AI_PROVIDER === 'openai') {
-        if (!process.env.OPENAI_API_KEY) {
-            throw new Error('OPENAI_API_KEY is required when AI_PROVIDER=openai');
-        }
+const crypto = require('crypto');
+const { callAI, streamAI } = require('./aiProviders');
+const { validateItem, validateItems, REPAIR_KEY, buildRepairPrompt } = require('./aiSchemas');
+const { chunkDocument, excerptChunk, sourceFor, distributeCount, interleaveByChunk, dedupeBy } = require('./documentChunker');
+const { DocumentBlocks, ScienceNotation, SciencePatternDetector, ContentAnalyzer, QuestionGenerator } = require('../../src/pages/UploadPage/contentprocessor');
 
-        const response = await fetch(OPENAI_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: OPENAI_MODEL,
-                temperature: options.temperature || 0.7,
-                messages: [
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ]
-            })
-        });
+// Walk a (possibly unfinished) JSON array and return the raw text of every
+// complete top-level object, plus whatever incomplete object trails it
+function scanJsonArray(text) {
+    const objects = [];
+    let start = text.indexOf('[');
+    if (start === -1) {
+        // A lone object or list of objects without the surrounding array
+        start = text.indexOf('{') - 1;
+        if (start < -1) return { objects, closed: false, tail: '' };
+    }
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let objectStart = -1;
+    let closed = false;
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`OpenAI-compatible API error: ${response.status} ${errorText}`);
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (char === '\\') {
+                escaped = true;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
         }
 
-        const data = await response.json();
-        const content = data?.choices?.[0]?.message?.content;
-        if (!content) {
-            throw new Error('No content returned from OpenAI-compatible API');
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            if (depth === 0) objectStart = i;
+            depth++;
+        } else if (char === '}') {
+            depth--;
+            if (depth === 0 && objectStart !== -1) {
+                objects.push(text.substring(objectStart, i + 1));
+                objectStart = -1;
+            }
+        } else if (char === ']' && depth === 0) {
+            closed = true;
+            break;
         }
-        return content;
     }
 
-    const response = await fetch(OLLAMA_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            model: OLLAMA_MODEL,
-            prompt: prompt,
-            stream: false,
-            options: {
-                temperature: options.temperature || 0.7,
-                top_p: 0.9,
-                num_predict: options.num_predict || 4096,
-                ...options
-            }
-        })
+    const tail = objectStart !== -1 ? text.substring(objectStart).trim() : '';
+    return { objects, closed, tail };
+}
+
+function parseObjectText(raw) {
+    return JSON.parse(raw.replace(/,(\s*[}\]])/g, '$1'));
+}
+
+// Pull every complete top-level object out of a JSON array that is still
+// being streamed, so finished items can be shown before the array closes
+function extractCompleteItems(partialText) {
+    const items = [];
+    scanJsonArray(partialText).objects.forEach(raw => {
+        try {
+            items.push(parseObjectText(raw));
+        } catch (error) {
+            // Malformed item - validation reports and re-prompts it later
+        }
     });
+    return items;
+}
+
+// Parse a model response into items. Nothing is dropped silently: objects
+// that are not valid JSON and an object cut off by truncation come back in
+// `malformed` with their raw text so they can be re-prompted.
+function parseAIItems(text, context = 'response') {
+    console.log(`📥 Raw AI ${context} length:`, text.length);
 
-    if (!response.ok) {
-        throw new Error(`Ollama API error: ${response.statusText}`);
+    const cleaned = text.trim().replace(/```json\s*/gi, '').replace(/```\s*/g, '');
+    const { objects, closed, tail } = scanJsonArray(cleaned);
+
+    if (objects.length === 0 && !tail) {
+        console.error(`❌ Failed to parse AI ${context}: no JSON items found`);
+        console.error('Problematic text (first 1000 chars):', text.substring(0, 1000));
+        throw new Error(`Invalid JSON in ${context}: no JSON items found`);
+    }
+
+    const items = [];
+    const malformed = [];
+    objects.forEach(raw => {
+        try {
+            items.push(parseObjectText(raw));
+        } catch (error) {
+            malformed.push({ raw, errors: [`not valid JSON (${error.message})`] });
+        }
+    });
+
+    if (tail) {
+        malformed.push({ raw: tail, errors: ['incomplete item - the response was cut off'] });
     }
 
-    const data = await response.json();
-    return data.response;
+    const truncated = Boolean(tail) || !closed;
+    console.log(`✅ Parsed ${context} JSON - ${items.length} items${malformed.length ? `, ${malformed.length} malformed` : ''}${truncated ? ' (truncated)' : ''}`);
+    return { items, malformed, truncated };
 }
 
-// IMPROVED JSON parser with auto-repair and better error handling
-function parseAIResponse(text, context = 'response') {
-    try {
-        console.log(`📥 Raw AI ${context} length:`, text.length);
-        
-        let cleaned = text.trim();
-        
-        // Remove markdown code blocks
-        cleaned = cleaned.replace(/```json\s*/gi, '').replace(/```\s*/g, '');
-        
-        // Find JSON boundaries more accurately
-        const arrayStart = cleaned.indexOf('[');
-        const objectStart = cleaned.indexOf('{');
-        
-        let jsonStart = -1;
-        if (arrayStart !== -1 && objectStart !== -1) {
-            jsonStart = Math.min(arrayStart, objectStart);
-        } else if (arrayStart !== -1) {
-            jsonStart = arrayStart;
-        } else if (objectStart !== -1) {
-            jsonStart = objectStart;
-        }
-        
-        if (jsonStart === -1) {
-            throw new Error('No JSON structure found in response');
+// Validate a response against the step's schema and re-prompt for only the
+// invalid items, at most MAX_REPAIR_ATTEMPTS times. Returns the valid items
+// in their original order and a report for the reviewer/quiz metadata.
+const MAX_REPAIR_ATTEMPTS = 2;
+
+async function parseAndValidate(responseText, kind, context, aiOptions = {}, details = {}) {
+    const { items, malformed, truncated } = parseAIItems(responseText, context);
+
+    // One slot per item the model attempted, in response order
+    const slots = items.map(item => ({ item, errors: validateItem(kind, item) }));
+    malformed.forEach(entry => slots.push({ raw: entry.raw, errors: entry.errors }));
+
+    const initialInvalid = slots.filter(slot => slot.errors.length > 0);
+    const firstErrors = initialInvalid.map(slot => slot.errors.join('; '));
+    let attempts = 0;
+    let repaired = 0;
+
+    while (attempts < MAX_REPAIR_ATTEMPTS) {
+        const pending = slots.filter(slot => slot.errors.length > 0);
+        if (pending.length === 0) break;
+        attempts++;
+
+        console.warn(`🔧 Re-prompting ${pending.length} invalid ${context} item(s) (attempt ${attempts}/${MAX_REPAIR_ATTEMPTS})`);
+        try {
+            const repairResponse = await callAI(buildRepairPrompt(kind, pending), {
+                ...aiOptions,
+                temperature: 0.2,
+                num_predict: 2048
+            });
+            // Fixes name the item they replace (its number in the repair
+            // prompt); unkeyed or duplicate replies are ignored
+            const fixes = new Map();
+            parseAIItems(repairResponse, `${context}-repair`).items.forEach(fix => {
+                const key = Number(fix && fix[REPAIR_KEY]);
+                if (!Number.isInteger(key) || fixes.has(key)) return;
+                const { [REPAIR_KEY]: _key, ...item } = fix;
+                fixes.set(key, item);
+            });
+
+            pending.forEach((slot, i) => {
+                const fix = fixes.get(i + 1);
+                if (!fix) return;
+                const errors = validateItem(kind, fix);
+                if (errors.length === 0) {
+                    slot.item = fix;
+                    slot.raw = undefined;
+                    slot.errors = [];
+                    repaired++;
+                } else {
+                    slot.item = fix;
+                    slot.raw = undefined;
+                    slot.errors = errors;
+                }
+            });
+        } catch (error) {
+            console.error(`⚠️ Repair of ${context} failed:`, error.message);
         }
-        
-        // Find the matching closing bracket
-        let jsonEnd = -1;
-        if (cleaned[jsonStart] === '[') {
-            jsonEnd = cleaned.lastIndexOf(']');
-            
-            // AUTO-REPAIR: If no closing bracket found, add it
-            if (jsonEnd === -1 || jsonEnd <= jsonStart) {
-                console.warn('⚠️ No closing ] found, attempting to add it...');
-                cleaned = cleaned + '\n]';
-                jsonEnd = cleaned.lastIndexOf(']');
-            }
-        } else {
-            jsonEnd = cleaned.lastIndexOf('}');
-            
-            // AUTO-REPAIR: If no closing brace found, add it
-            if (jsonEnd === -1 || jsonEnd <= jsonStart) {
-                console.warn('⚠️ No closing } found, attempting to add it...');
-                cleaned = cleaned + '\n}';
-                jsonEnd = cleaned.lastIndexOf('}');
+    }
+
+    const validItems = slots.filter(slot => slot.errors.length === 0).map(slot => slot.item);
+    const dropped = slots.length - validItems.length;
+
+    const report = {
+        step: context,
+        ...details,
+        received: slots.length,
+        valid: validItems.length,
+        invalid: initialInvalid.length,
+        repaired,
+        dropped,
+        truncated,
+        attempts,
+        errors: firstErrors.slice(0, 10)
+    };
+
+    if (dropped > 0) {
+        console.warn(`⚠️ Dropped ${dropped} invalid ${context} item(s) after ${attempts} repair attempt(s)`);
+    }
+
+    return { items: validItems, report };
+}
+
+// Keep only reports worth surfacing and total them up for metadata
+function summarizeValidation(reports) {
+    const flagged = reports.filter(report =>
+        report.invalid > 0 || report.truncated || report.error
+    );
+
+    return {
+        checkedAt: new Date().toISOString(),
+        steps: reports.length,
+        itemsReceived: reports.reduce((sum, r) => sum + (r.received || 0), 0),
+        itemsInvalid: reports.reduce((sum, r) => sum + (r.invalid || 0), 0),
+        itemsRepaired: reports.reduce((sum, r) => sum + (r.repaired || 0), 0),
+        itemsDropped: reports.reduce((sum, r) => sum + (r.dropped || 0), 0),
+        failedSteps: reports.filter(r => r.error).length,
+        issues: flagged
+    };
+}
+
+// Convert the prompt's line markers into the bullets ReviewerPage renders
+// Markers become list syntax, and formulas the model wrote as plain text
+// (H2O, ->, x^2) get the same notation as the source document
+function formatSectionContent(section) {
+    return {
+        ...section,
+        content: (section.content || []).map(line => {
+            if (typeof line !== 'string') return line;
+            return ScienceNotation.normalize(line)
+                .replace(/^BULLET\s+/i, '• ')
+                .replace(/^NUM(\d+)\.\s+/i, '$1. ')
+                .replace(/^ARROW\s+/i, '> ');
+        })
+    };
+}
+
+// Call the model, streaming when a progress listener is attached. While
+// streaming, progress moves through [from, to] as text arrives and each
+// completed array item is handed to onItem.
+async function callWithProgress(prompt, options, progress) {
+    if (!progress.emit) {
+        return await callAI(prompt, options);
+    }
+
+    const { emit, phase, from, to, onItem } = progress;
+    const expectedChars = (options.num_predict || 4096) * 3;
+    let emittedItems = 0;
+    let lastProgress = from;
+
+    return await streamAI(prompt, options, (chunk, fullText) => {
+        const current = Math.min(to - 1, Math.round(from + (to - from) * (fullText.length / expectedChars)));
+
+        if (onItem) {
+            const items = extractCompleteItems(fullText);
+            for (; emittedItems < items.length; emittedItems++) {
+                onItem(items[emittedItems], emittedItems);
             }
         }
-        
-        if (jsonEnd === -1 || jsonEnd <= jsonStart) {
-            throw new Error('No valid JSON end found even after repair attempt');
+
+        if (current > lastProgress) {
+            lastProgress = current;
+            emit({ type: 'progress', phase, progress: current, receivedChars: fullText.length });
         }
-        
-        cleaned = cleaned.substring(jsonStart, jsonEnd + 1);
-        
-        // Fix common JSON issues
-        cleaned = cleaned
-            .replace(/,(\s*[}\]])/g, '$1') // Remove trailing commas
-            .replace(/"\s*:\s*"([^"]*?)"/g, (match, content) => match);
-        
-        // AUTO-REPAIR: Try to fix incomplete last object
-        if (cleaned.includes('{') && !cleaned.trim().endsWith('}]') && !cleaned.trim().endsWith('}')) {
-            const lastObjectStart = cleaned.lastIndexOf('{');
-            const lastObjectEnd = cleaned.indexOf('}', lastObjectStart);
-            
-            if (lastObjectEnd === -1) {
-                console.warn('⚠️ Incomplete last object detected, truncating...');
-                cleaned = cleaned.substring(0, lastObjectStart);
-                if (!cleaned.trim().endsWith(']')) {
-                    cleaned = cleaned + '\n]';
-                }
-            }
+    });
+}
+
+// Reviewer chunks follow the original 10k-character prompt budget; quiz
+// prompts use smaller excerpts so fewer, larger chunks keep call counts sane
+const REVIEWER_CHUNK_CHARS = 10000;
+const REVIEWER_MAX_CHUNKS = 12;
+const QUIZ_CHUNK_CHARS = 5000;
+const QUIZ_MAX_CHUNKS = 4;
+// Derived from the document's reactions and formulas, per quiz type
+const FORMULA_QUESTION_LIMIT = 4;
+const CLOZE_QUESTION_LIMIT = 15;
+const SEQUENCE_QUESTION_LIMIT = 8;
+const MAX_CONCEPTS = 40;
+
+// Merge sections that different chunks gave the same title
+function mergeSections(sections) {
+    const merged = [];
+    const byTitle = new Map();
+
+    sections.forEach(section => {
+        const key = String(section.title || '').toLowerCase().trim();
+        const existing = byTitle.get(key);
+        if (existing) {
+            const lines = new Set(existing.content);
+            section.content.forEach(line => {
+                if (!lines.has(line)) existing.content.push(line);
+            });
+            return;
         }
-        
-        const parsed = JSON.parse(cleaned);
-        console.log(`✅ Successfully parsed ${context} JSON - ${Array.isArray(parsed) ? parsed.length : 'object'} items`);
-        return parsed;
-        
-    } catch (error) {
-        console.error(`❌ Failed to parse AI ${context}:`, error.message);
-        console.error('Problematic text (first 1000 chars):', text.substring(0, 1000));
-        throw new Error(`Invalid JSON in ${context}: ${error.message}`);
-    }
+        const copy = { ...section, content: [...section.content] };
+        byTitle.set(key, copy);
+        merged.push(copy);
+    });
+
+    return merged;
 }
 
-// ============================================
-// PHASE 1: Generate Reviewer ONLY (Fast)
-// ============================================
-async function generateReviewer(text, title) {
+// aiOptions selects the provider for this request: { provider, model, fallback }
+// blocks: the document's structure (DocumentBlocks) when the upload had one
+async function generateReviewer(text, title, onProgress = null, aiOptions = {}, blocks = null) {
     console.log('🤖 Phase 1: Generating REVIEWER ONLY (fast load)...');
 
     let sections = [];
     let concepts = [];
+    const validation = [];
+
+    const emit = onProgress ? (event) => {
+        try {
+            onProgress(event);
+        } catch (error) {
+            console.warn('⚠️ Progress listener failed:', error.message);
+        }
+    } : null;
+
+    // Blocks come straight from the request body
+    blocks = DocumentBlocks.sanitize(blocks);
+
+    // Long documents are processed chunk by chunk (map) and merged (reduce)
+    // so content past the first prompt-sized window is not dropped
+    const chunks = chunkDocument(text, { maxChars: REVIEWER_CHUNK_CHARS, maxChunks: REVIEWER_MAX_CHUNKS, blocks });
+    const multiChunk = chunks.length > 1;
+    const layoutNote = blocks
+        ? `The text keeps the layout of the original file: lines starting with "#" are its headings ("##" is a subheading), "•" lines and numbered lines are list items, and table rows list their cells separated by ";". Base your sections on these headings.\n\n`
+        : '';
+    const partLabel = (chunk) => multiChunk ? ` (part ${chunk.index + 1} of ${chunks.length})` : '';
+    console.log(`📑 Document split into ${chunks.length} chunk(s)`);
 
     // Generate sections
-    try {
-        console.log('Step 1/2: Analyzing content structure...');
-        const sectionsPrompt = `You are a science education expert. Analyze this scientific text and break it into 4-6 logical sections.
+    console.log('Step 1/2: Analyzing content structure...');
+    const sectionSpan = 40 / chunks.length;
+    for (const chunk of chunks) {
+        const from = Math.round(5 + chunk.index * sectionSpan);
+        const to = Math.round(5 + (chunk.index + 1) * sectionSpan);
+
+        try {
+            const sectionsPrompt = `You are a science education expert. Analyze this scientific text and break it into ${multiChunk ? '2-4' : '4-6'} logical sections.
 
 For EACH section, provide detailed content using these markers:
 - Use "BULLET " for bullet points
 - Use "NUM1. ", "NUM2. " for numbered lists
 - Use "ARROW " for key highlights
 
-TEXT TO ANALYZE:
-${text.substring(0, 10000)}
+${layoutNote}TEXT TO ANALYZE:
+${excerptChunk(chunk, REVIEWER_CHUNK_CHARS)}
 
 RESPOND WITH ONLY THIS JSON (no additional text before or after):
 [
@@ -193,33 +357,51 @@ RESPOND WITH ONLY THIS JSON (no additional text before or after):
 
 CRITICAL: Start your response with [ and end with ]. No other text. Each section must have DIFFERENT content. Include 4-8 items per section.`;
 
-        const sectionsResponse = await callOllama(sectionsPrompt, { temperature: 0.4, num_predict: 4096 });
-        sections = parseAIResponse(sectionsResponse, 'sections');
-        
-        sections = sections.map(section => ({
-            ...section,
-            content: section.content.map(line => {
-                if (typeof line !== 'string') return line;
-                return line
-                    .replace(/^BULLET\s+/i, '• ')
-                    .replace(/^NUM(\d+)\.\s+/i, '$1. ')
-                    .replace(/^ARROW\s+/i, '> ');
-            })
-        }));
-        
-        console.log(`✅ Generated ${sections.length} sections`);
-    } catch (error) {
-        console.error('⚠️ Section generation failed:', error.message);
-        sections = [{ title: "Overview", level: 1, content: [text.substring(0, 500)] }];
+            if (emit) emit({ type: 'phase', phase: 'sections', progress: from, chunk: chunk.index, chunks: chunks.length, message: `Extracting sections${partLabel(chunk)}...` });
+
+            const streamedBefore = sections.length;
+            const sectionsResponse = await callWithProgress(sectionsPrompt, { ...aiOptions, temperature: 0.4, num_predict: 4096 }, {
+                emit,
+                phase: 'sections',
+                from,
+                to,
+                onItem: (section, index) => emit({ type: 'section', index: streamedBefore + index, section: formatSectionContent(section) })
+            });
+
+            if (emit) emit({ type: 'phase', phase: 'repair', progress: to, message: 'Checking section structure...' });
+            const { items, report } = await parseAndValidate(sectionsResponse, 'sections', 'sections', aiOptions, { chunk: chunk.index });
+            validation.push(report);
+            const chunkSections = items
+                .map(formatSectionContent)
+                .map(section => ({ ...section, source: sourceFor(chunk, `${section.title} ${(section.content || []).join(' ')}`) }));
+
+            sections.push(...chunkSections);
+            console.log(`✅ Generated ${chunkSections.length} sections${partLabel(chunk)}`);
+        } catch (error) {
+            console.error(`⚠️ Section generation failed${partLabel(chunk)}:`, error.message);
+            validation.push({ step: 'sections', chunk: chunk.index, error: error.message, fallback: true });
+            sections.push(...chunk.sections.map(section => ({
+                title: multiChunk || section.heading ? section.title : 'Overview',
+                level: 1,
+                content: [section.text.substring(0, 500)],
+                source: { chunk: chunk.index, section: section.title }
+            })));
+        }
     }
+    sections = mergeSections(sections);
 
     // Extract concepts
-    try {
-        console.log('Step 2/2: Extracting key concepts...');
-        const conceptsPrompt = `Extract 15-20 unique scientific concepts from this text.
+    console.log('Step 2/2: Extracting key concepts...');
+    const conceptSpan = 35 / chunks.length;
+    for (const chunk of chunks) {
+        const from = Math.round(50 + chunk.index * conceptSpan);
+        const to = Math.round(50 + (chunk.index + 1) * conceptSpan);
+
+        try {
+            const conceptsPrompt = `Extract ${multiChunk ? '8-12' : '15-20'} unique scientific concepts from this text.
 
 TEXT:
-${text.substring(0, 8000)}
+${excerptChunk(chunk, 8000)}
 
 RESPOND WITH ONLY THIS JSON (no additional text before or after):
 [
@@ -235,22 +417,35 @@ RESPOND WITH ONLY THIS JSON (no additional text before or after):
 
 CRITICAL: Start with [ and end with ]. No text before or after. Each concept must be DIFFERENT. Clear definitions.`;
 
-        const conceptsResponse = await callOllama(conceptsPrompt, { temperature: 0.3, num_predict: 4096 });
-        concepts = parseAIResponse(conceptsResponse, 'concepts');
-        
-        const seenTerms = new Set();
-        concepts = concepts.filter(c => {
-            const termLower = c.term.toLowerCase();
-            if (seenTerms.has(termLower)) return false;
-            seenTerms.add(termLower);
-            return true;
-        });
-        
-        console.log(`✅ Extracted ${concepts.length} unique concepts`);
-    } catch (error) {
-        console.error('⚠️ Concept extraction failed:', error.message);
+            if (emit) emit({ type: 'phase', phase: 'concepts', progress: from, chunk: chunk.index, chunks: chunks.length, message: `Extracting key concepts${partLabel(chunk)}...` });
+
+            const streamedBefore = concepts.length;
+            const conceptsResponse = await callWithProgress(conceptsPrompt, { ...aiOptions, temperature: 0.3, num_predict: 4096 }, {
+                emit,
+                phase: 'concepts',
+                from,
+                to,
+                onItem: (concept, index) => emit({ type: 'concept', index: streamedBefore + index, concept })
+            });
+
+            if (emit) emit({ type: 'phase', phase: 'repair', progress: to, message: 'Checking concept structure...' });
+            const { items, report } = await parseAndValidate(conceptsResponse, 'concepts', 'concepts', aiOptions, { chunk: chunk.index });
+            validation.push(report);
+            const chunkConcepts = items
+                .map(c => ({ ...c, source: sourceFor(chunk, `${c.term} ${c.definition}`) }));
+
+            concepts.push(...chunkConcepts);
+        } catch (error) {
+            console.error(`⚠️ Concept extraction failed${partLabel(chunk)}:`, error.message);
+            validation.push({ step: 'concepts', chunk: chunk.index, error: error.message, fallback: true });
+        }
+    }
+
+    concepts = interleaveByChunk(dedupeBy(concepts, c => c.term), MAX_CONCEPTS);
+    if (concepts.length === 0) {
         concepts = extractBasicConcepts(text);
     }
+    console.log(`✅ Extracted ${concepts.length} unique concepts`);
 
     const reviewerData = {
         title,
@@ -259,14 +454,16 @@ CRITICAL: Start with [ and end with ]. No text before or after. Each concept mus
             level: section.level || 1,
             content: section.content,
             summary: section.content[0] || '',
-            rawContent: section.content.join(' ')
+            rawContent: section.content.join(' '),
+            source: section.source
         })),
         concepts: concepts.map((c, i) => ({
             term: c.term,
             definition: c.definition,
             confidence: 0.95 - (i * 0.02),
             type: 'ai-extracted',
-            occurrences: Math.floor(Math.random() * 5) + 2
+            occurrences: Math.floor(Math.random() * 5) + 2,
+            source: c.source
         })),
         metadata: {
             wordCount: text.split(/\s+/).length,
@@ -274,38 +471,31 @@ CRITICAL: Start with [ and end with ]. No text before or after. Each concept mus
             paragraphCount: text.split(/\n\n+/).length,
             estimatedReadTime: Math.ceil(text.split(/\s+/).length / 200),
             generatedAt: new Date().toISOString(),
-            processingVersion: '7.0-improved-json-parsing'
+            chunkCount: chunks.length,
+            validation: summarizeValidation(validation),
+            processingVersion: '8.1-schema-validated'
         },
         originalText: text
     };
 
+    if (emit) emit({ type: 'phase', phase: 'finalizing', progress: 90, message: 'Assembling reviewer...' });
+
     console.log('✅ Phase 1 Complete! Reviewer ready.');
     return reviewerData;
 }
 
 // ============================================
-// PHASE 2: Generate Quiz Questions (QUEUED)
-// Each quiz type generated sequentially
+// Quiz prompts - one builder per type and difficulty, given the number of
+// questions to ask for and the chunk excerpt to ask about
 // ============================================
-async function generateQuizQuestions(text, concepts) {
-    console.log('🎮 Phase 2: Generating QUIZ QUESTIONS (QUEUED - one at a time)...');
+const TRUE_FALSE_PROMPTS = {
+    easy: {
+        total: 15,
+        textLimit: 5000,
+        temperature: 0.3,
+        build: (count, text) => `Create EXACTLY ${count} true/false questions about this scientific text. Make them straightforward and obvious.
 
-    const allQuestions = {
-        trueFalse: { easy: [], medium: [], hard: [] },
-        multipleChoice: { easy: [], medium: [], hard: [] },
-        identification: { easy: [], medium: [], hard: [] },
-        matching: { easy: [], medium: [], hard: [] }
-    };
-
-    // ========================================
-    // STEP 1: TRUE/FALSE Questions (3 difficulties)
-    // ========================================
-    console.log('📝 Step 1/4: Generating True/False questions...');
-    try {
-        // EASY
-        const tfEasyPrompt = `Create EXACTLY 15 true/false questions about this scientific text. Make them straightforward and obvious.
-
-TEXT: ${text.substring(0, 5000)}
+TEXT: ${text}
 
 RESPOND WITH ONLY THIS JSON (no text before or after):
 [
@@ -315,19 +505,18 @@ RESPOND WITH ONLY THIS JSON (no text before or after):
 
 CRITICAL RULES:
 - Start with [ and end with ]
-- Exactly 15 questions
+- Exactly ${count} questions
 - "answer" must be true or false (boolean, not string)
 - No commas after the last item
-- Double-check your JSON syntax`;
-        
-        const tfEasy = await callOllama(tfEasyPrompt, { temperature: 0.3, num_predict: 4096 });
-        const parsedEasy = parseAIResponse(tfEasy, 'tf-easy');
-        allQuestions.trueFalse.easy = Array.isArray(parsedEasy) ? parsedEasy.slice(0, 15) : [];
+- Double-check your JSON syntax`
+    },
+    medium: {
+        total: 12,
+        textLimit: 5000,
+        temperature: 0.4,
+        build: (count, text) => `Create EXACTLY ${count} true/false questions about this scientific text. Require some thought and understanding.
 
-        // MEDIUM
-        const tfMediumPrompt = `Create EXACTLY 12 true/false questions about this scientific text. Require some thought and understanding.
-
-TEXT: ${text.substring(0, 5000)}
+TEXT: ${text}
 
 RESPOND WITH ONLY THIS JSON (no text before or after):
 [
@@ -337,19 +526,19 @@ RESPOND WITH ONLY THIS JSON (no text before or after):
 
 CRITICAL RULES:
 - Start with [ and end with ]
-- Exactly 12 questions
+- Exactly ${count} questions
 - "answer" must be true or false (boolean)
 - Make questions require deeper understanding
-- No commas after last items`;
-        
-        const tfMedium = await callOllama(tfMediumPrompt, { temperature: 0.4, num_predict: 4096 });
-        const parsedMedium = parseAIResponse(tfMedium, 'tf-medium');
-        allQuestions.trueFalse.medium = Array.isArray(parsedMedium) ? parsedMedium.slice(0, 12) : [];
+- No commas after last items`
+    },
+    // Shorter prompt to avoid truncation
+    hard: {
+        total: 10,
+        textLimit: 4000,
+        temperature: 0.4,
+        build: (count, text) => `Create EXACTLY ${count} challenging true/false questions.
 
-        // HARD - IMPROVED: Shorter prompt to avoid truncation
-        const tfHardPrompt = `Create EXACTLY 10 challenging true/false questions.
-
-TEXT: ${text.substring(0, 4000)}
+TEXT: ${text}
 
 JSON format (MUST end with ]):
 [
@@ -357,39 +546,18 @@ JSON format (MUST end with ]):
   {"question": "Tricky question", "answer": true, "explanation": "Why it's true"}
 ]
 
-CRITICAL: Boolean answer (true/false), no trailing commas, END WITH ]`;
-        
-        const tfHard = await callOllama(tfHardPrompt, { temperature: 0.4, num_predict: 4096 });
-        const parsedHard = parseAIResponse(tfHard, 'tf-hard');
-        allQuestions.trueFalse.hard = Array.isArray(parsedHard) ? parsedHard.slice(0, 10) : [];
-
-        console.log(`✅ T/F Complete: Easy=${allQuestions.trueFalse.easy.length}, Medium=${allQuestions.trueFalse.medium.length}, Hard=${allQuestions.trueFalse.hard.length}`);
-        
-        // Ensure minimum questions with fallback
-        if (allQuestions.trueFalse.easy.length < 5) {
-            allQuestions.trueFalse.easy = [...allQuestions.trueFalse.easy, ...generateFallbackTF(concepts).easy].slice(0, 15);
-        }
-        if (allQuestions.trueFalse.medium.length < 5) {
-            allQuestions.trueFalse.medium = [...allQuestions.trueFalse.medium, ...generateFallbackTF(concepts).medium].slice(0, 12);
-        }
-        if (allQuestions.trueFalse.hard.length < 5) {
-            allQuestions.trueFalse.hard = [...allQuestions.trueFalse.hard, ...generateFallbackTF(concepts).hard].slice(0, 10);
-        }
-        
-    } catch (error) {
-        console.error('⚠️ T/F generation failed:', error.message);
-        allQuestions.trueFalse = generateFallbackTF(concepts);
+CRITICAL: Boolean answer (true/false), no trailing commas, END WITH ]`
     }
+};
 
-    // ========================================
-    // STEP 2: MULTIPLE CHOICE Questions (3 difficulties)
-    // ========================================
-    console.log('📝 Step 2/4: Generating Multiple Choice questions...');
-    try {
-        // EASY
-        const mcEasyPrompt = `Create EXACTLY 15 multiple choice questions with 4 options each. Make correct answer obvious.
+const MULTIPLE_CHOICE_PROMPTS = {
+    easy: {
+        total: 15,
+        textLimit: 5000,
+        temperature: 0.3,
+        build: (count, text) => `Create EXACTLY ${count} multiple choice questions with 4 options each. Make correct answer obvious.
 
-TEXT: ${text.substring(0, 5000)}
+TEXT: ${text}
 
 RESPOND WITH ONLY THIS JSON (no text before or after):
 [
@@ -403,19 +571,18 @@ RESPOND WITH ONLY THIS JSON (no text before or after):
 
 CRITICAL RULES:
 - Start with [ and end with ]
-- Exactly 15 questions
+- Exactly ${count} questions
 - Each question has exactly 4 options in "options" array
 - "correctIndex" is 0, 1, 2, or 3 (number, not string)
-- No trailing commas`;
-        
-        const mcEasy = await callOllama(mcEasyPrompt, { temperature: 0.3, num_predict: 4096 });
-        const parsedMCEasy = parseAIResponse(mcEasy, 'mc-easy');
-        allQuestions.multipleChoice.easy = Array.isArray(parsedMCEasy) ? parsedMCEasy.slice(0, 15) : [];
+- No trailing commas`
+    },
+    medium: {
+        total: 12,
+        textLimit: 5000,
+        temperature: 0.4,
+        build: (count, text) => `Create EXACTLY ${count} multiple choice questions with 4 plausible options each.
 
-        // MEDIUM
-        const mcMediumPrompt = `Create EXACTLY 12 multiple choice questions with 4 plausible options each.
-
-TEXT: ${text.substring(0, 5000)}
+TEXT: ${text}
 
 RESPOND WITH ONLY THIS JSON (no text before or after):
 [
@@ -428,19 +595,18 @@ RESPOND WITH ONLY THIS JSON (no text before or after):
 ]
 
 CRITICAL RULES:
-- Exactly 12 questions
+- Exactly ${count} questions
 - 4 plausible options each
 - "correctIndex" is a number (0-3)
-- Make distractors believable`;
-        
-        const mcMedium = await callOllama(mcMediumPrompt, { temperature: 0.4, num_predict: 4096 });
-        const parsedMCMedium = parseAIResponse(mcMedium, 'mc-medium');
-        allQuestions.multipleChoice.medium = Array.isArray(parsedMCMedium) ? parsedMCMedium.slice(0, 12) : [];
+- Make distractors believable`
+    },
+    hard: {
+        total: 10,
+        textLimit: 4000,
+        temperature: 0.4,
+        build: (count, text) => `Create EXACTLY ${count} challenging multiple choice questions with very similar options.
 
-        // HARD
-        const mcHardPrompt = `Create EXACTLY 10 challenging multiple choice questions with very similar options.
-
-TEXT: ${text.substring(0, 4000)}
+TEXT: ${text}
 
 RESPOND WITH ONLY THIS JSON (no text before or after):
 [
@@ -453,26 +619,140 @@ RESPOND WITH ONLY THIS JSON (no text before or after):
 ]
 
 CRITICAL RULES:
-- Exactly 10 questions
+- Exactly ${count} questions
 - All 4 options should be very similar
 - "correctIndex" is a number
-- No trailing commas`;
+- No trailing commas`
+    }
+};
+
+// One config for every difficulty - they share sequences and differ only
+// in the hint
+const SEQUENCE_PROMPT = {
+    total: SEQUENCE_QUESTION_LIMIT,
+    textLimit: 5000,
+    temperature: 0.3,
+    build: (count, text) => `Find up to ${count} processes in the text whose steps happen in a fixed order (like the stages of mitosis or the water cycle).
+
+TEXT: ${text}
+
+RESPOND WITH ONLY THIS JSON (no text before or after):
+[
+  {
+    "question": "Put the stages of mitosis in order.",
+    "steps": ["Prophase", "Metaphase", "Anaphase", "Telophase"],
+    "explanation": "Why the steps happen in this order"
+  }
+]
+
+CRITICAL RULES:
+- Only processes the text describes; respond with [] if there are none
+- "steps" has 3 to 8 short steps in the CORRECT order
+- Every step is different
+- No trailing commas`
+};
+
+// Map one prompt over every chunk (each asked for its share of the total),
+// then merge, dedupe and interleave so the result covers the whole document
+async function generateAcrossChunks(chunks, promptConfig, kind, context, aiOptions, validation) {
+    const counts = distributeCount(promptConfig.total, chunks.length);
+    const questions = [];
+
+    for (const chunk of chunks) {
+        const count = counts[chunk.index];
+        if (count === 0) continue;
+
+        try {
+            const prompt = promptConfig.build(count, excerptChunk(chunk, promptConfig.textLimit));
+            const response = await callAI(prompt, { ...aiOptions, temperature: promptConfig.temperature, num_predict: 4096 });
+            const { items, report } = await parseAndValidate(response, kind, context, aiOptions, { chunk: chunk.index, requested: count });
+            validation.push(report);
+
+            items.slice(0, count).forEach(question => {
+                questions.push({ ...question, source: sourceFor(chunk, question.question) });
+            });
+        } catch (error) {
+            console.error(`⚠️ ${context} failed for chunk ${chunk.index + 1}/${chunks.length}:`, error.message);
+            validation.push({ step: context, chunk: chunk.index, error: error.message });
+        }
+    }
+
+    return interleaveByChunk(dedupeBy(questions, q => q.question), promptConfig.total);
+}
+
+// ============================================
+// PHASE 2: Generate Quiz Questions (QUEUED)
+// Each quiz type generated sequentially
+// ============================================
+// Validation reports for each step are pushed onto `validation` so the
+// caller can store them with the reviewer's metadata
+async function generateQuizQuestions(text, concepts, aiOptions = {}, validation = []) {
+    console.log('🎮 Phase 2: Generating QUIZ QUESTIONS (QUEUED - one at a time)...');
+
+    const allQuestions = {
+        trueFalse: { easy: [], medium: [], hard: [] },
+        multipleChoice: { easy: [], medium: [], hard: [] },
+        identification: { easy: [], medium: [], hard: [] },
+        matching: { easy: [], medium: [], hard: [] },
+        cloze: { easy: [], medium: [], hard: [] },
+        sequence: { easy: [], medium: [], hard: [] }
+    };
+
+    // Concepts come from the client, so only use well-formed ones
+    concepts = validateItems('concepts', Array.isArray(concepts) ? concepts : []).valid;
+
+    const chunks = chunkDocument(text, { maxChars: QUIZ_CHUNK_CHARS, maxChunks: QUIZ_MAX_CHUNKS });
+    console.log(`📑 Generating questions across ${chunks.length} chunk(s)`);
+
+    // ========================================
+    // STEP 1: TRUE/FALSE Questions (3 difficulties)
+    // ========================================
+    console.log('📝 Step 1/6: Generating True/False questions...');
+    try {
+        for (const difficulty of ['easy', 'medium', 'hard']) {
+            allQuestions.trueFalse[difficulty] = await generateAcrossChunks(
+                chunks, TRUE_FALSE_PROMPTS[difficulty], 'trueFalse', `tf-${difficulty}`, aiOptions, validation
+            );
+        }
+
+        console.log(`✅ T/F Complete: Easy=${allQuestions.trueFalse.easy.length}, Medium=${allQuestions.trueFalse.medium.length}, Hard=${allQuestions.trueFalse.hard.length}`);
+        
+        // Ensure minimum questions with fallback
+        for (const difficulty of ['easy', 'medium', 'hard']) {
+            if (allQuestions.trueFalse[difficulty].length < 5) {
+                allQuestions.trueFalse[difficulty] = [
+                    ...allQuestions.trueFalse[difficulty],
+                    ...generateFallbackTF(concepts)[difficulty]
+                ].slice(0, TRUE_FALSE_PROMPTS[difficulty].total);
+            }
+        }
         
-        const mcHard = await callOllama(mcHardPrompt, { temperature: 0.4, num_predict: 4096 });
-        const parsedMCHard = parseAIResponse(mcHard, 'mc-hard');
-        allQuestions.multipleChoice.hard = Array.isArray(parsedMCHard) ? parsedMCHard.slice(0, 10) : [];
+    } catch (error) {
+        console.error('⚠️ T/F generation failed:', error.message);
+        allQuestions.trueFalse = generateFallbackTF(concepts);
+    }
+
+    // ========================================
+    // STEP 2: MULTIPLE CHOICE Questions (3 difficulties)
+    // ========================================
+    console.log('📝 Step 2/6: Generating Multiple Choice questions...');
+    try {
+        for (const difficulty of ['easy', 'medium', 'hard']) {
+            allQuestions.multipleChoice[difficulty] = await generateAcrossChunks(
+                chunks, MULTIPLE_CHOICE_PROMPTS[difficulty], 'multipleChoice', `mc-${difficulty}`, aiOptions, validation
+            );
+        }
 
         console.log(`✅ MC Complete: Easy=${allQuestions.multipleChoice.easy.length}, Medium=${allQuestions.multipleChoice.medium.length}, Hard=${allQuestions.multipleChoice.hard.length}`);
         
         // Ensure minimum questions
-        if (allQuestions.multipleChoice.easy.length < 5) {
-            allQuestions.multipleChoice.easy = [...allQuestions.multipleChoice.easy, ...generateFallbackMC(concepts).easy].slice(0, 15);
-        }
-        if (allQuestions.multipleChoice.medium.length < 5) {
-            allQuestions.multipleChoice.medium = [...allQuestions.multipleChoice.medium, ...generateFallbackMC(concepts).medium].slice(0, 12);
-        }
-        if (allQuestions.multipleChoice.hard.length < 5) {
-            allQuestions.multipleChoice.hard = [...allQuestions.multipleChoice.hard, ...generateFallbackMC(concepts).hard].slice(0, 10);
+        for (const difficulty of ['easy', 'medium', 'hard']) {
+            if (allQuestions.multipleChoice[difficulty].length < 5) {
+                allQuestions.multipleChoice[difficulty] = [
+                    ...allQuestions.multipleChoice[difficulty],
+                    ...generateFallbackMC(concepts)[difficulty]
+                ].slice(0, MULTIPLE_CHOICE_PROMPTS[difficulty].total);
+            }
         }
         
     } catch (error) {
@@ -480,55 +760,158 @@ CRITICAL RULES:
         allQuestions.multipleChoice = generateFallbackMC(concepts);
     }
 
+    // Reactions and named formulas in the text become questions as well.
+    // They are built from the notation itself, so no formula gets garbled.
+    const formulaQuestions = generateFormulaQuestions(chunks);
+    if (formulaQuestions.multipleChoice.length > 0) {
+        allQuestions.multipleChoice.medium = dedupeBy([
+            ...validateItems('multipleChoice', formulaQuestions.multipleChoice).valid,
+            ...allQuestions.multipleChoice.medium
+        ], q => q.question).slice(0, MULTIPLE_CHOICE_PROMPTS.medium.total);
+        console.log(`🧪 Added ${formulaQuestions.multipleChoice.length} formula-based MC questions`);
+    }
+
     // ========================================
     // STEP 3: IDENTIFICATION (from concepts)
     // ========================================
-    console.log('📝 Step 3/4: Generating Identification questions...');
-    allQuestions.identification.easy = concepts.slice(0, 15).map(c => ({
-        question: c.definition,
-        answer: c.term,
-        hint: `Starts with "${c.term.charAt(0)}"`
-    }));
+    // Concepts are spread across chunks round-robin so the capped lists
+    // cover the whole document, not just its opening concepts
+    console.log('📝 Step 3/6: Generating Identification questions...');
+    allQuestions.identification.easy = [
+        ...formulaQuestions.identification,
+        ...interleaveByChunk(concepts, 15).map(c => ({
+            question: c.definition,
+            answer: c.term,
+            hint: `Starts with "${c.term.charAt(0)}"`,
+            source: c.source
+        }))
+    ].slice(0, 15);
     
-    allQuestions.identification.medium = concepts.slice(0, 12).map(c => ({
+    allQuestions.identification.medium = interleaveByChunk(concepts, 12).map(c => ({
         question: `${c.definition.substring(0, 80)}...`,
         answer: c.term,
-        hint: `${c.term.length} letters`
+        hint: `${c.term.length} letters`,
+        source: c.source
     }));
     
-    allQuestions.identification.hard = concepts.slice(0, 10).map(c => ({
+    allQuestions.identification.hard = interleaveByChunk(concepts, 10).map(c => ({
         question: c.definition.split(' ').slice(0, 10).join(' ') + '...',
         answer: c.term,
-        hint: 'No hint'
+        hint: 'No hint',
+        source: c.source
     }));
+
+    // Derived items are not re-prompted; invalid ones are dropped and reported
+    for (const difficulty of ['easy', 'medium', 'hard']) {
+        const { valid, invalid } = validateItems('identification', allQuestions.identification[difficulty]);
+        allQuestions.identification[difficulty] = valid;
+        if (invalid.length > 0) {
+            validation.push({
+                step: `id-${difficulty}`,
+                received: valid.length + invalid.length,
+                valid: valid.length,
+                invalid: invalid.length,
+                repaired: 0,
+                dropped: invalid.length,
+                truncated: false,
+                attempts: 0,
+                errors: invalid.slice(0, 10).map(entry => entry.errors.join('; '))
+            });
+        }
+    }
     
     console.log(`✅ ID Complete: Easy=${allQuestions.identification.easy.length}, Medium=${allQuestions.identification.medium.length}, Hard=${allQuestions.identification.hard.length}`);
 
     // ========================================
     // STEP 4: MATCHING (from concepts)
     // ========================================
-    console.log('📝 Step 4/4: Generating Matching questions...');
+    console.log('📝 Step 4/6: Generating Matching questions...');
     allQuestions.matching.easy = {
-        pairs: concepts.slice(0, 10).map(c => ({ left: c.term, right: c.definition })),
+        pairs: interleaveByChunk(concepts, 10).map(c => ({ left: c.term, right: c.definition, source: c.source })),
         instruction: 'Match each term with its definition.'
     };
     
     allQuestions.matching.medium = {
-        pairs: concepts.slice(0, 8).map(c => ({ left: c.term, right: c.definition.substring(0, 80) })),
+        pairs: interleaveByChunk(concepts, 8).map(c => ({ left: c.term, right: c.definition.substring(0, 80), source: c.source })),
         instruction: 'Match terms with partial definitions.'
     };
     
     allQuestions.matching.hard = {
-        pairs: concepts.slice(0, 6).map(c => ({ left: c.term, right: c.definition.split(' ').slice(0, 8).join(' ') })),
+        pairs: interleaveByChunk(concepts, 6).map(c => ({ left: c.term, right: c.definition.split(' ').slice(0, 8).join(' '), source: c.source })),
         instruction: 'Match terms with brief descriptions.'
     };
     
     console.log(`✅ Matching Complete: Easy=${allQuestions.matching.easy.pairs.length} pairs, Medium=${allQuestions.matching.medium.pairs.length} pairs, Hard=${allQuestions.matching.hard.pairs.length} pairs`);
 
+    // ========================================
+    // STEP 5: FILL IN THE BLANK (from the text)
+    // ========================================
+    // Real sentences of the document with a key term blanked out; the
+    // difficulties share sentences and differ only in the hint
+    console.log('📝 Step 5/6: Generating Fill in the Blank questions...');
+    const clozeQuestions = generateClozeQuestions(chunks, concepts);
+    allQuestions.cloze.easy = clozeQuestions.slice(0, 15);
+    allQuestions.cloze.medium = clozeQuestions.slice(0, 12).map(q => ({ ...q, hint: `${q.answer.length} letters` }));
+    allQuestions.cloze.hard = clozeQuestions.slice(0, 10).map(q => ({ ...q, hint: 'No hint' }));
+
+    console.log(`✅ Cloze Complete: Easy=${allQuestions.cloze.easy.length}, Medium=${allQuestions.cloze.medium.length}, Hard=${allQuestions.cloze.hard.length}`);
+
+    // ========================================
+    // STEP 6: ORDER THE STEPS (processes)
+    // ========================================
+    // Sequences the text lists itself come first, then the model's; easy
+    // gives away the first step and medium the last
+    console.log('📝 Step 6/6: Generating Order the Steps questions...');
+    const aiSequences = await generateAcrossChunks(
+        chunks, SEQUENCE_PROMPT, 'sequence', 'sequence', aiOptions, validation
+    );
+    const sequenceQuestions = dedupeBy([...generateSequenceQuestions(chunks), ...aiSequences], q => q.question)
+        .slice(0, SEQUENCE_QUESTION_LIMIT);
+    allQuestions.sequence.easy = sequenceQuestions.map(q => ({ ...q, hint: `Starts with "${q.steps[0]}"` }));
+    allQuestions.sequence.medium = sequenceQuestions.map(q => ({ ...q, hint: `Ends with "${q.steps[q.steps.length - 1]}"` }));
+    allQuestions.sequence.hard = sequenceQuestions.map(q => ({ ...q, hint: 'No hint' }));
+
+    console.log(`✅ Sequence Complete: ${sequenceQuestions.length} per difficulty`);
+
+    assignQuestionIds(allQuestions);
+
     console.log('✅ Phase 2 Complete! All quiz questions generated (QUEUED).');
     return allQuestions;
 }
 
+// ============================================
+// Stable Question IDs
+// Assigned once at generation so attempts, analytics and retries can refer
+// to the same question no matter how the stored array is shuffled or sliced
+// ============================================
+const QUESTION_ID_PREFIXES = {
+    trueFalse: 'tf',
+    multipleChoice: 'mc',
+    identification: 'id',
+    matching: 'mt',
+    cloze: 'cz',
+    sequence: 'sq'
+};
+
+function createQuestionId(quizType) {
+    const prefix = QUESTION_ID_PREFIXES[quizType] || 'q';
+    return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function assignQuestionIds(allQuestions) {
+    for (const [quizType, difficulties] of Object.entries(allQuestions)) {
+        for (const questionData of Object.values(difficulties)) {
+            const items = quizType === 'matching' ? (questionData.pairs || []) : questionData;
+            items.forEach(item => {
+                if (item && !item.id) {
+                    item.id = createQuestionId(quizType);
+                }
+            });
+        }
+    }
+    return allQuestions;
+}
+
 // Fallback functions
 function extractBasicConcepts(text) {
     const concepts = [];
@@ -579,6 +962,51 @@ function generateFallbackTF(concepts) {
     };
 }
 
+// Formula items from the reactions and named formulas of every chunk, so
+// distractors can come from anywhere in the document
+function generateFormulaQuestions(chunks) {
+    const patterns = { equations: [], formulas: [] };
+    chunks.forEach(chunk => {
+        SciencePatternDetector.findEquations(chunk.text).forEach(equation => {
+            patterns.equations.push({ ...equation, source: sourceFor(chunk, equation.fullText) });
+        });
+        SciencePatternDetector.findFormulas(chunk.text).forEach(formula => {
+            patterns.formulas.push({ ...formula, source: sourceFor(chunk, formula.fullText) });
+        });
+    });
+    return QuestionGenerator.formulaQuestions(patterns, FORMULA_QUESTION_LIMIT);
+}
+
+// Cloze items from the sentences of every chunk, spread round-robin so the
+// capped lists cover the whole document
+function generateClozeQuestions(chunks, concepts) {
+    const questions = [];
+    chunks.forEach(chunk => {
+        const analyzer = new ContentAnalyzer(chunk.text);
+        QuestionGenerator.clozeQuestions(analyzer, concepts, CLOZE_QUESTION_LIMIT).forEach(question => {
+            questions.push({ ...question, source: sourceFor(chunk, `${question.question} ${question.answer}`) });
+        });
+    });
+
+    const { valid } = validateItems('cloze', dedupeBy(questions, q => q.question));
+    return interleaveByChunk(valid, CLOZE_QUESTION_LIMIT);
+}
+
+// Sequences the detector finds in each chunk, with the sentence that
+// introduces them as the source
+function generateSequenceQuestions(chunks) {
+    const patterns = { sequences: [] };
+    chunks.forEach(chunk => {
+        SciencePatternDetector.findSequences(chunk.text).forEach(sequence => {
+            patterns.sequences.push({ ...sequence, source: sourceFor(chunk, sequence.fullText) });
+        });
+    });
+
+    const questions = QuestionGenerator.sequenceQuestions(patterns, patterns.sequences.length);
+    const { valid } = validateItems('sequence', dedupeBy(questions, q => q.question));
+    return interleaveByChunk(valid, SEQUENCE_QUESTION_LIMIT);
+}
+
 function generateFallbackMC(concepts) {
     const validConcepts = concepts.slice(0, 20);
     return {
@@ -605,5 +1033,6 @@ function generateFallbackMC(concepts) {
 
 module.exports = {
     generateReviewer,
-    generateQuizQuestions
+    generateQuizQuestions,
+    summarizeValidation
 };
\ No newline at end of file
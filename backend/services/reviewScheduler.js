@@ -0,0 +1,121 @@
+// backend/services/reviewScheduler.js - Spaced Repetition Scheduler (SM-2)
+// Shared by the SQLite service and the Vercel storage layer so both
+// deployments schedule reviews identically.
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const DEFAULT_EASE = 2.5;
+
+// Stable key for a question inside a reviewer. Matching pairs and flashcards
+// are keyed by their term, every other type by its question text.
+function questionKey(quizType, question) {
+    if (question && question.id) return String(question.id);
+
+    const text = quizType === 'matching'
+        ? `${question.left || ''}`
+        : quizType === 'flashcards'
+            ? `${question.term || ''}`
+            : `${question.question || ''}`;
+    const normalized = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const hash = crypto.createHash('sha1').update(`${quizType}|${normalized}`).digest('hex');
+
+    return `q_${hash.substring(0, 16)}`;
+}
+
+// Keys of every question in a saved quiz set, per quiz type. Schedules for a
+// type the set covers but a key it no longer has point at questions that were
+// regenerated away.
+function questionKeysByType(allQuestions) {
+    const keysByType = new Map();
+    for (const [quizType, difficulties] of Object.entries(allQuestions || {})) {
+        const keys = new Set();
+        for (const questionData of Object.values(difficulties || {})) {
+            const items = quizType === 'matching' ? (questionData && questionData.pairs) : questionData;
+            for (const item of Array.isArray(items) ? items : []) {
+                if (item) keys.add(questionKey(quizType, item));
+            }
+        }
+        keysByType.set(quizType, keys);
+    }
+    return keysByType;
+}
+
+function isStaleReview(keysByType, quizType, key) {
+    return keysByType.has(quizType) && !keysByType.get(quizType).has(key);
+}
+
+// Map a right/wrong outcome onto the SM-2 0-5 quality scale
+function outcomeToQuality(correct) {
+    return correct ? 4 : 1;
+}
+
+// Initial state for a question that has never been reviewed
+function createReviewState() {
+    return {
+        easeFactor: DEFAULT_EASE,
+        intervalDays: 0,
+        repetitions: 0,
+        lapses: 0,
+        dueAt: new Date().toISOString(),
+        lastReviewedAt: null,
+        lastResult: null
+    };
+}
+
+// Apply one review to a state and return the next state (SM-2)
+function scheduleReview(state, correct, now = new Date()) {
+    const current = state || createReviewState();
+    const quality = outcomeToQuality(correct);
+
+    let { easeFactor, intervalDays, repetitions, lapses } = current;
+
+    if (quality >= 3) {
+        if (repetitions === 0) {
+            intervalDays = 1;
+        } else if (repetitions === 1) {
+            intervalDays = 6;
+        } else {
+            intervalDays = Math.round(intervalDays * easeFactor);
+        }
+        repetitions += 1;
+    } else {
+        repetitions = 0;
+        intervalDays = 1;
+        lapses += 1;
+    }
+
+    easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    easeFactor = Math.max(MIN_EASE, Math.round(easeFactor * 100) / 100);
+
+    return {
+        easeFactor,
+        intervalDays,
+        repetitions,
+        lapses,
+        dueAt: new Date(now.getTime() + intervalDays * DAY_MS).toISOString(),
+        lastReviewedAt: now.toISOString(),
+        lastResult: correct ? 'correct' : 'incorrect'
+    };
+}
+
+// End of the current day; anything due before it belongs in today's deck
+function endOfToday(now = new Date()) {
+    const end = new Date(now);
+    end.setHours(23, 59, 59, 999);
+    return end;
+}
+
+function isDueToday(state, now = new Date()) {
+    return new Date(state.dueAt).getTime() <= endOfToday(now).getTime();
+}
+
+module.exports = {
+    questionKey,
+    questionKeysByType,
+    isStaleReview,
+    createReviewState,
+    scheduleReview,
+    endOfToday,
+    isDueToday
+};
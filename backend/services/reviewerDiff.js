@@ -0,0 +1,164 @@
+// backend/services/reviewerDiff.js - Differences Between Reviewer Versions
+// Compares two versions of a reviewer (title, sections, concepts) for the
+// ReviewerPage version history. Sections are paired by title where possible,
+// then by position, and their content lines are diffed line by line.
+
+function normalizeKey(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function sectionLines(section) {
+    if (Array.isArray(section.content)) return section.content;
+    return section.summary ? [section.summary] : [];
+}
+
+// Line diff from the longest common subsequence of the two line lists
+function diffLines(before, after) {
+    const rows = before.length + 1;
+    const cols = after.length + 1;
+    const lengths = Array.from({ length: rows }, () => new Array(cols).fill(0));
+
+    for (let i = before.length - 1; i >= 0; i--) {
+        for (let j = after.length - 1; j >= 0; j--) {
+            lengths[i][j] = before[i] === after[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < before.length && j < after.length) {
+        if (before[i] === after[j]) {
+            lines.push({ type: 'same', text: before[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            lines.push({ type: 'removed', text: before[i] });
+            i++;
+        } else {
+            lines.push({ type: 'added', text: after[j] });
+            j++;
+        }
+    }
+    while (i < before.length) lines.push({ type: 'removed', text: before[i++] });
+    while (j < after.length) lines.push({ type: 'added', text: after[j++] });
+
+    return lines;
+}
+
+// Pair sections of the two versions: same title first, then leftovers by position
+function pairSections(beforeSections, afterSections) {
+    const pairs = new Map();
+    const usedAfter = new Set();
+
+    beforeSections.forEach((section, index) => {
+        const match = afterSections.findIndex((candidate, candidateIndex) =>
+            !usedAfter.has(candidateIndex) && normalizeKey(candidate.title) === normalizeKey(section.title));
+        if (match !== -1) {
+            pairs.set(index, match);
+            usedAfter.add(match);
+        }
+    });
+
+    beforeSections.forEach((section, index) => {
+        if (pairs.has(index)) return;
+        if (index < afterSections.length && !usedAfter.has(index)) {
+            pairs.set(index, index);
+            usedAfter.add(index);
+        }
+    });
+
+    return { pairs, usedAfter };
+}
+
+function diffSections(beforeSections = [], afterSections = []) {
+    const { pairs, usedAfter } = pairSections(beforeSections, afterSections);
+    const removed = [];
+    const matched = new Map();
+
+    beforeSections.forEach((section, index) => {
+        if (!pairs.has(index)) {
+            removed.push({
+                status: 'removed',
+                title: section.title,
+                lines: sectionLines(section).map(text => ({ type: 'removed', text }))
+            });
+            return;
+        }
+
+        const after = afterSections[pairs.get(index)];
+        const lines = diffLines(sectionLines(section), sectionLines(after));
+        const titleChanged = section.title !== after.title;
+        const changed = titleChanged || lines.some(line => line.type !== 'same');
+
+        matched.set(pairs.get(index), {
+            status: changed ? 'changed' : 'unchanged',
+            title: after.title,
+            previousTitle: titleChanged ? section.title : undefined,
+            lines
+        });
+    });
+
+    // Report in the order of the newer version, removed sections last
+    const result = afterSections.map((section, index) => {
+        if (usedAfter.has(index)) return matched.get(index);
+        return {
+            status: 'added',
+            title: section.title,
+            lines: sectionLines(section).map(text => ({ type: 'added', text }))
+        };
+    });
+
+    return result.concat(removed);
+}
+
+function diffConcepts(beforeConcepts = [], afterConcepts = []) {
+    const beforeByTerm = new Map(beforeConcepts.map(concept => [normalizeKey(concept.term), concept]));
+    const afterByTerm = new Map(afterConcepts.map(concept => [normalizeKey(concept.term), concept]));
+    const changes = [];
+
+    afterConcepts.forEach(concept => {
+        const previous = beforeByTerm.get(normalizeKey(concept.term));
+        if (!previous) {
+            changes.push({ status: 'added', term: concept.term, to: concept.definition });
+        } else if (previous.definition !== concept.definition || previous.term !== concept.term) {
+            changes.push({ status: 'changed', term: concept.term, from: previous.definition, to: concept.definition });
+        }
+    });
+
+    beforeConcepts.forEach(concept => {
+        if (!afterByTerm.has(normalizeKey(concept.term))) {
+            changes.push({ status: 'removed', term: concept.term, from: concept.definition });
+        }
+    });
+
+    return changes;
+}
+
+// Changes needed to go from `before` to `after`
+function diffReviewers(before, after) {
+    const sections = diffSections(before.sections, after.sections);
+    const concepts = diffConcepts(before.concepts, after.concepts);
+    const count = (list, status) => list.filter(item => item.status === status).length;
+
+    return {
+        title: before.title !== after.title ? { from: before.title, to: after.title } : null,
+        sections,
+        concepts,
+        summary: {
+            sectionsAdded: count(sections, 'added'),
+            sectionsRemoved: count(sections, 'removed'),
+            sectionsChanged: count(sections, 'changed'),
+            conceptsAdded: count(concepts, 'added'),
+            conceptsRemoved: count(concepts, 'removed'),
+            conceptsChanged: count(concepts, 'changed')
+        }
+    };
+}
+
+module.exports = {
+    diffReviewers,
+    diffLines
+};
@@ -0,0 +1,492 @@
+// FlashcardsGame/script.js - Flip Cards with Self-Assessment (Mobile Swipe)
+
+// ==================== //
+// Load Quiz Configuration & Cards
+// ==================== //
+let quizConfig = null;
+let cards = [];
+let currentCardIndex = 0;
+let knownCount = 0;
+let isFlipped = false;
+let cardLeaving = false;
+let termFirst = localStorage.getItem('flashcardsTermFirst') !== 'false';
+let timeRemaining = 0;
+let timerInterval = null;
+let startTime = null;
+let userAnswers = []; // true = knew it, false = didn't
+
+// How far (px) a card has to be dragged before a swipe counts
+const SWIPE_THRESHOLD = 90;
+
+function loadQuizData() {
+    console.log('📊 Loading Flashcards data...');
+    
+    const configStr = sessionStorage.getItem('currentQuizConfig');
+    const cardsStr = sessionStorage.getItem('currentQuizQuestions');
+    
+    if (!configStr || !cardsStr) {
+        console.error('❌ Missing flashcard data!');
+        alert('Flashcard configuration not found. Returning to Games Hub...');
+        window.location.href = '../GamesHub/index.html';
+        return false;
+    }
+    
+    try {
+        quizConfig = JSON.parse(configStr);
+        
+        // Cards need both sides to be worth flipping
+        cards = JSON.parse(cardsStr).filter(card =>
+            card.term &&
+            card.definition &&
+            typeof card.term === 'string' &&
+            typeof card.definition === 'string'
+        );
+        
+        if (cards.length === 0) {
+            console.error('❌ No valid cards found!');
+            alert('Invalid flashcard data. Returning to Games Hub...');
+            window.location.href = '../GamesHub/index.html';
+            return false;
+        }
+        
+        console.log('✅ Flashcards loaded:', {
+            type: quizConfig.quizType,
+            cards: cards.length,
+            termFirst: termFirst,
+            timer: quizConfig.timerEnabled ? `${quizConfig.timerSeconds}s` : 'disabled'
+        });
+        
+        cards = shuffleArray(cards);
+        userAnswers = new Array(cards.length).fill(null);
+        
+        return true;
+    } catch (error) {
+        console.error('❌ Error loading flashcards:', error);
+        alert('Error loading flashcards. Returning to Games Hub...');
+        window.location.href = '../GamesHub/index.html';
+        return false;
+    }
+}
+
+function shuffleArray(array) {
+    const arr = [...array];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+// ==================== //
+// Initialize Quiz UI
+// ==================== //
+function initQuizUI() {
+    const cardCount = document.getElementById('cardCount');
+    if (cardCount) {
+        cardCount.textContent = `${cards.length} Cards`;
+    }
+    
+    // Initialize timer if enabled
+    if (quizConfig.timerEnabled) {
+        timeRemaining = quizConfig.timerSeconds;
+        initTimer();
+        startTimer();
+    } else {
+        const timerElement = document.getElementById('timer');
+        if (timerElement) {
+            timerElement.style.display = 'none';
+        }
+    }
+    
+    // Record start time
+    startTime = Date.now();
+    
+    updateDirectionButton();
+    updateKnownBadge();
+    displayCard();
+}
+
+// ==================== //
+// Timer Functions
+// ==================== //
+function initTimer() {
+    const timerElement = document.getElementById('timer');
+    if (!timerElement) return;
+    
+    timerElement.style.display = 'flex';
+    updateTimerDisplay();
+}
+
+function startTimer() {
+    timerInterval = setInterval(() => {
+        timeRemaining--;
+        updateTimerDisplay();
+        
+        if (timeRemaining <= 0) {
+            clearInterval(timerInterval);
+            endQuiz('timeout');
+        }
+    }, 1000);
+}
+
+function updateTimerDisplay() {
+    const minutes = Math.floor(timeRemaining / 60);
+    const seconds = timeRemaining % 60;
+    const timerText = document.getElementById('timerText');
+    
+    if (timerText) {
+        timerText.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    // Change color when time is running out
+    const timerElement = document.getElementById('timer');
+    if (timeRemaining <= 60 && timerElement) {
+        timerElement.style.background = '#FFE5E5';
+        timerElement.style.borderColor = '#E74C3C';
+        timerText.style.color = '#E74C3C';
+    }
+}
+
+// ==================== //
+// Display Card
+// ==================== //
+function displayCard() {
+    if (currentCardIndex >= cards.length) {
+        endQuiz('completed');
+        return;
+    }
+    
+    const card = cards[currentCardIndex];
+    
+    // Update progress
+    const progressBar = document.getElementById('progressBar');
+    if (progressBar) {
+        const progress = (currentCardIndex / cards.length) * 100;
+        progressBar.style.width = `${progress}%`;
+    }
+    
+    const cardNumber = document.getElementById('cardNumber');
+    if (cardNumber) {
+        cardNumber.textContent = `Card ${currentCardIndex + 1}/${cards.length}`;
+    }
+    
+    // Fill both faces according to the current direction
+    document.getElementById('frontLabel').textContent = termFirst ? 'Term' : 'Definition';
+    document.getElementById('backLabel').textContent = termFirst ? 'Definition' : 'Term';
+    document.getElementById('frontText').textContent = termFirst ? card.term : card.definition;
+    document.getElementById('backText').textContent = termFirst ? card.definition : card.term;
+    
+    // Swap cards without animating, so the new answer never shows mid-flip
+    const flashcard = document.getElementById('flashcard');
+    flashcard.classList.add('no-transition');
+    flashcard.classList.remove('leaving');
+    setFlipped(false);
+    resetCardPosition();
+    void flashcard.offsetWidth;
+    flashcard.classList.remove('no-transition');
+    
+    // Nothing left to shuffle on the last card
+    const shuffleBtn = document.getElementById('shuffleBtn');
+    if (shuffleBtn) {
+        shuffleBtn.disabled = cards.length - currentCardIndex < 2;
+    }
+}
+
+// ==================== //
+// Flip Card
+// ==================== //
+function setFlipped(flipped) {
+    isFlipped = flipped;
+    
+    const flashcard = document.getElementById('flashcard');
+    if (flashcard) {
+        flashcard.classList.toggle('flipped', flipped);
+    }
+    
+    // Self-assessment only makes sense once the other side has been seen
+    const knownBtn = document.getElementById('knownBtn');
+    const missedBtn = document.getElementById('missedBtn');
+    if (knownBtn) knownBtn.disabled = !flipped;
+    if (missedBtn) missedBtn.disabled = !flipped;
+}
+
+function flipCard() {
+    setFlipped(!isFlipped);
+    
+    if (navigator.vibrate) {
+        navigator.vibrate(10);
+    }
+}
+
+// ==================== //
+// Record Self-Assessment
+// ==================== //
+function markCard(knewIt) {
+    if (!isFlipped || cardLeaving || currentCardIndex >= cards.length) return;
+    
+    cardLeaving = true;
+    userAnswers[currentCardIndex] = knewIt;
+    
+    if (knewIt) {
+        knownCount++;
+        updateKnownBadge();
+    }
+    
+    // Let the card fly off in the swipe direction before showing the next one
+    const flashcard = document.getElementById('flashcard');
+    flashcard.classList.add('leaving');
+    flashcard.style.transform = `translateX(${knewIt ? 120 : -120}%) rotate(${knewIt ? 15 : -15}deg)`;
+    
+    setTimeout(() => {
+        cardLeaving = false;
+        currentCardIndex++;
+        displayCard();
+    }, 250);
+}
+
+function updateKnownBadge() {
+    const knownBadge = document.getElementById('knownBadge');
+    if (knownBadge) {
+        knownBadge.textContent = `${knownCount} Known`;
+    }
+}
+
+// ==================== //
+// Shuffle & Direction
+// ==================== //
+function shuffleRemaining() {
+    // Cards already marked keep their place so answers stay lined up
+    const remaining = cards.slice(currentCardIndex);
+    if (remaining.length < 2) return;
+    
+    cards = [...cards.slice(0, currentCardIndex), ...shuffleArray(remaining)];
+    displayCard();
+    
+    if (navigator.vibrate) {
+        navigator.vibrate(10);
+    }
+}
+
+function toggleDirection() {
+    termFirst = !termFirst;
+    localStorage.setItem('flashcardsTermFirst', termFirst.toString());
+    
+    updateDirectionButton();
+    displayCard();
+}
+
+function updateDirectionButton() {
+    const directionText = document.getElementById('directionText');
+    if (directionText) {
+        directionText.textContent = termFirst ? 'Term first' : 'Definition first';
+    }
+}
+
+// ==================== //
+// Touch Swipe Handlers for Mobile
+// ==================== //
+let swipeStartX = 0;
+let swipeStartY = 0;
+let swipeDeltaX = 0;
+let swiping = false;
+let scrolling = false;
+
+function handleTouchStart(e) {
+    const touch = e.touches[0];
+    swipeStartX = touch.clientX;
+    swipeStartY = touch.clientY;
+    swipeDeltaX = 0;
+    swiping = false;
+    scrolling = false;
+    
+    const flashcard = document.getElementById('flashcard');
+    flashcard.classList.add('dragging');
+}
+
+function handleTouchMove(e) {
+    const touch = e.touches[0];
+    const deltaX = touch.clientX - swipeStartX;
+    const deltaY = touch.clientY - swipeStartY;
+    
+    if (scrolling) return;
+    
+    if (!swiping) {
+        // Small jitters are still a tap; mostly vertical movement is the page scrolling
+        if (Math.abs(deltaX) < 10 && Math.abs(deltaY) < 10) return;
+        if (Math.abs(deltaX) < Math.abs(deltaY)) {
+            scrolling = true;
+            return;
+        }
+    }
+    
+    swiping = true;
+    swipeDeltaX = deltaX;
+    
+    const flashcard = document.getElementById('flashcard');
+    flashcard.style.transform = `translateX(${deltaX}px) rotate(${deltaX / 20}deg)`;
+    
+    // Only a flipped card can be marked, so only then show what the swipe will do
+    const leftLabel = document.getElementById('swipeLeftLabel');
+    const rightLabel = document.getElementById('swipeRightLabel');
+    leftLabel.classList.toggle('active', isFlipped && deltaX < -SWIPE_THRESHOLD);
+    rightLabel.classList.toggle('active', isFlipped && deltaX > SWIPE_THRESHOLD);
+    
+    e.preventDefault();
+}
+
+function handleTouchEnd(e) {
+    const flashcard = document.getElementById('flashcard');
+    flashcard.classList.remove('dragging');
+    
+    if (scrolling) return;
+    
+    if (!swiping) {
+        // A tap flips the card; preventDefault stops the click that would flip it back
+        flipCard();
+        e.preventDefault();
+        return;
+    }
+    
+    if (isFlipped && Math.abs(swipeDeltaX) > SWIPE_THRESHOLD) {
+        markCard(swipeDeltaX > 0);
+    } else {
+        resetCardPosition();
+    }
+    
+    swiping = false;
+    e.preventDefault();
+}
+
+function resetCardPosition() {
+    const flashcard = document.getElementById('flashcard');
+    if (flashcard) {
+        flashcard.style.transform = '';
+    }
+    
+    document.getElementById('swipeLeftLabel').classList.remove('active');
+    document.getElementById('swipeRightLabel').classList.remove('active');
+}
+
+// ==================== //
+// End Quiz
+// ==================== //
+function endQuiz(reason) {
+    if (timerInterval) {
+        clearInterval(timerInterval);
+    }
+    
+    const timeTaken = Math.floor((Date.now() - startTime) / 1000);
+    
+    // Only cards that were actually reviewed count towards the score
+    const reviewedCards = cards.filter((card, index) => userAnswers[index] !== null);
+    const reviewedAnswers = userAnswers.filter(answer => answer !== null);
+    
+    if (reviewedCards.length === 0) {
+        alert('Time is up before any cards were reviewed. Returning to Games Hub...');
+        window.location.href = '../GamesHub/index.html';
+        return;
+    }
+    
+    const results = {
+        quizType: 'Flashcards',
+        difficulty: quizConfig.difficulty,
+        totalQuestions: reviewedCards.length,
+        correctAnswers: knownCount,
+        wrongAnswers: reviewedCards.length - knownCount,
+        percentage: Math.round((knownCount / reviewedCards.length) * 100),
+        timeTaken: timeTaken,
+        reason: reason
+    };
+    
+    console.log('🃏 Flashcards completed:', results);
+    
+    sessionStorage.setItem('quizResults', JSON.stringify(results));
+    sessionStorage.setItem('userAnswers', JSON.stringify(reviewedAnswers));
+    
+    // Store the cards in the order they were seen so answers line up on the results page
+    sessionStorage.setItem('currentQuizQuestions', JSON.stringify(reviewedCards));
+    
+    window.location.href = '../GameResults/index.html';
+}
+
+// ==================== //
+// Exit Modal Functions
+// ==================== //
+function showExitModal() {
+    const modal = document.getElementById('exitModal');
+    if (modal) {
+        modal.classList.add('active');
+    }
+}
+
+function closeExitModal() {
+    const modal = document.getElementById('exitModal');
+    if (modal) {
+        modal.classList.remove('active');
+    }
+}
+
+function confirmExit() {
+    window.location.href = '../GamesHub/index.html';
+}
+
+// ==================== //
+// Initialize Everything
+// ==================== //
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('🃏 Flashcards Loaded (with Swipe Support)');
+    
+    const loaded = loadQuizData();
+    
+    if (loaded) {
+        initQuizUI();
+        
+        // Setup exit button
+        const exitBtn = document.getElementById('exitBtn');
+        if (exitBtn) {
+            exitBtn.addEventListener('click', showExitModal);
+        }
+        
+        // Setup card (click for mouse, swipe for touch)
+        const flashcard = document.getElementById('flashcard');
+        if (flashcard) {
+            flashcard.addEventListener('click', flipCard);
+            flashcard.addEventListener('touchstart', handleTouchStart, { passive: true });
+            flashcard.addEventListener('touchmove', handleTouchMove, { passive: false });
+            flashcard.addEventListener('touchend', handleTouchEnd, { passive: false });
+        }
+        
+        // Setup action buttons
+        document.getElementById('flipBtn').addEventListener('click', flipCard);
+        document.getElementById('knownBtn').addEventListener('click', () => markCard(true));
+        document.getElementById('missedBtn').addEventListener('click', () => markCard(false));
+        document.getElementById('shuffleBtn').addEventListener('click', shuffleRemaining);
+        document.getElementById('directionBtn').addEventListener('click', toggleDirection);
+        
+        // Close modal on overlay click
+        const exitModal = document.getElementById('exitModal');
+        if (exitModal) {
+            exitModal.addEventListener('click', (e) => {
+                if (e.target.id === 'exitModal') {
+                    closeExitModal();
+                }
+            });
+        }
+        
+        // Keyboard shortcuts: space flips, arrows mark the card
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                showExitModal();
+            } else if (e.key === ' ' && e.target.tagName !== 'BUTTON') {
+                e.preventDefault();
+                flipCard();
+            } else if (e.key === 'ArrowRight') {
+                markCard(true);
+            } else if (e.key === 'ArrowLeft') {
+                markCard(false);
+            }
+        });
+        
+        console.log('✅ Flashcards initialized successfully (Desktop + Mobile)');
+    }
+});
\ No newline at end of file
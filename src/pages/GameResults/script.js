@@ -141,7 +141,8 @@ async function saveQuizAttemptToDatabase() {
             percentage: quizResults.percentage,
             timeTaken: quizResults.timeTaken || 0,
             userAnswers: userAnswers,
-            questionsUsed: allQuestions
+            questionsUsed: allQuestions,
+            questionOutcomes: buildQuestionOutcomes()
         };
         
         console.log('📤 Sending attempt data:', attemptData);
@@ -174,6 +175,32 @@ async function saveQuizAttemptToDatabase() {
     }
 }
 
+// ==================== //
+// Build Per-Question Outcomes (answer history + review scheduler)
+// ==================== //
+function buildQuestionOutcomes() {
+    const configStr = sessionStorage.getItem('currentQuizConfig');
+    const quizConfig = configStr ? JSON.parse(configStr) : null;
+    
+    if (!quizConfig || !quizConfig.quizType) {
+        return [];
+    }
+    
+    return Object.values(buildAnswerResults()).map(result => {
+        // Review decks mix difficulties, so each due item carries its own
+        const { reviewDifficulty, ...originalQuestion } = result.pair || result.question;
+        
+        return {
+            questionId: originalQuestion.id || null,
+            quizType: quizConfig.quizType,
+            difficulty: reviewDifficulty || quizConfig.difficulty,
+            question: originalQuestion,
+            userAnswer: result.userAnswer === undefined ? null : result.userAnswer,
+            correct: result.isCorrect
+        };
+    });
+}
+
 // ==================== //
 // Display Results Summary
 // ==================== //
@@ -296,64 +323,60 @@ function displayReviewQuestions() {
 }
 
 // ==================== //
-// Get Incorrect Questions (Handles all quiz types)
+// Evaluate Answers (Keyed by stable question ID)
 // ==================== //
-function getIncorrectQuestions() {
-    const incorrect = [];
+function buildAnswerResults() {
+    const results = {};
     
-    if (quizType === 'Match & Connect') {
-        // For matching, check each pair
-        allQuestions.forEach((pair, index) => {
-            const userMatchId = userAnswers[index];
-            
-            if (!userMatchId) {
-                // Not answered
-                incorrect.push({
-                    pair: pair,
-                    userMatchId: null,
-                    index: index,
-                    isCorrect: false
-                });
-                return;
-            }
+    allQuestions.forEach((question, index) => {
+        // Questions generated before stable IDs existed fall back to their position
+        const questionId = question.id || `index-${index}`;
+        
+        if (quizType === 'Match & Connect') {
+            const userMatchId = userAnswers[index] || null;
             
             // Extract the original index from the match ID (format: "def-N")
-            const originalIndex = parseInt(userMatchId.split('-')[1]);
-            const isCorrect = index === originalIndex;
+            const originalIndex = userMatchId ? parseInt(userMatchId.split('-')[1]) : -1;
+            const selectedDefinition = originalIndex >= 0 && originalIndex < allQuestions.length
+                ? allQuestions[originalIndex].right
+                : 'Unknown';
             
-            if (!isCorrect) {
-                // Find which definition was selected
-                let selectedDefinition = 'Unknown';
-                if (originalIndex >= 0 && originalIndex < allQuestions.length) {
-                    selectedDefinition = allQuestions[originalIndex].right;
-                }
-                
-                incorrect.push({
-                    pair: pair,
-                    userMatchId: userMatchId,
-                    selectedDefinition: selectedDefinition,
-                    index: index,
-                    isCorrect: false
-                });
-            }
-        });
-    } else {
-        // For other quiz types (True/False, Multiple Choice, Identification)
-        allQuestions.forEach((question, index) => {
+            results[questionId] = {
+                pair: question,
+                userMatchId: userMatchId,
+                userAnswer: userMatchId,
+                selectedDefinition: userMatchId ? selectedDefinition : null,
+                index: index,
+                isCorrect: originalIndex === index
+            };
+        } else if (quizType === 'Flashcards') {
+            // Flashcards are self-assessed: true means "knew it"
+            results[questionId] = {
+                question: question,
+                userAnswer: userAnswers[index],
+                index: index,
+                isCorrect: userAnswers[index] === true
+            };
+        } else {
             const userAnswer = userAnswers[index];
-            const isCorrect = checkAnswer(question, userAnswer);
             
-            if (!isCorrect) {
-                incorrect.push({
-                    question: question,
-                    userAnswer: userAnswer,
-                    index: index
-                });
-            }
-        });
-    }
+            results[questionId] = {
+                question: question,
+                userAnswer: userAnswer,
+                index: index,
+                isCorrect: checkAnswer(question, userAnswer)
+            };
+        }
+    });
     
-    return incorrect;
+    return results;
+}
+
+// ==================== //
+// Get Incorrect Questions (Handles all quiz types)
+// ==================== //
+function getIncorrectQuestions() {
+    return Object.values(buildAnswerResults()).filter(result => !result.isCorrect);
 }
 
 // ==================== //
@@ -370,9 +393,17 @@ function checkAnswer(question, userAnswer) {
         return question.correctIndex === userAnswer;
     }
     
-    // For Identification (case-insensitive string comparison)
+    // For Order the Steps - only a perfect order counts (the percentage
+    // already includes partial credit)
+    if (Array.isArray(question.steps)) {
+        return Array.isArray(userAnswer) &&
+               userAnswer.length === question.steps.length &&
+               userAnswer.every((step, i) => step === question.steps[i]);
+    }
+    
+    // For Identification and Fill in the Blank (same forgiving match as the games)
     if (question.hasOwnProperty('answer') && typeof question.answer === 'string') {
-        return question.answer.toLowerCase().trim() === (userAnswer || '').toLowerCase().trim();
+        return matchesAnswer(question.answer, userAnswer || '');
     }
     
     return false;
@@ -414,6 +445,35 @@ function createQuestionReviewElement(item, number) {
         questionDiv.appendChild(headerDiv);
         questionDiv.appendChild(contentDiv);
         
+    } else if (quizType === 'Flashcards') {
+        // Flashcard review - show the card the student didn't know
+        const { question } = item;
+        
+        const headerDiv = document.createElement('div');
+        headerDiv.className = 'question-header';
+        headerDiv.innerHTML = `
+            <div class="question-number">${number}</div>
+            <div class="question-text">${escapeHtml(question.term)}</div>
+        `;
+        
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'question-content';
+        contentDiv.innerHTML = `
+            <div class="answer-row your-answer">
+                <div class="answer-icon">✗</div>
+                <div class="answer-label">You marked:</div>
+                <div class="answer-value">Didn't know</div>
+            </div>
+            <div class="answer-row correct-answer">
+                <div class="answer-icon">✓</div>
+                <div class="answer-label">Definition:</div>
+                <div class="answer-value">${escapeHtml(question.definition)}</div>
+            </div>
+        `;
+        
+        questionDiv.appendChild(headerDiv);
+        questionDiv.appendChild(contentDiv);
+        
     } else {
         // Other quiz types (True/False, Multiple Choice, Identification)
         const { question, userAnswer, index } = item;
@@ -470,6 +530,22 @@ function createQuestionReviewElement(item, number) {
                     </div>
                 ` : ''}
             `;
+        } else if (Array.isArray(question.steps)) {
+            // Order the Steps question
+            const yourOrder = Array.isArray(userAnswer) ? userAnswer.join(' → ') : 'No answer';
+            
+            contentDiv.innerHTML = `
+                <div class="answer-row your-answer">
+                    <div class="answer-icon">✗</div>
+                    <div class="answer-label">Your order:</div>
+                    <div class="answer-value">${escapeHtml(yourOrder)}</div>
+                </div>
+                <div class="answer-row correct-answer">
+                    <div class="answer-icon">✓</div>
+                    <div class="answer-label">Correct order:</div>
+                    <div class="answer-value">${escapeHtml(question.steps.join(' → '))}</div>
+                </div>
+            `;
         } else {
             // Identification question
             contentDiv.innerHTML = `
@@ -14,6 +14,27 @@ console.log('🔗 Using backend URL:', BACKEND_URL);
 // Global Variables
 // ==================== //
 let quizQuestions = null;
+let reviewQueue = [];
+
+const QUIZ_PAGES = {
+    trueFalse: '../TrueFalseGame/index.html',
+    multipleChoice: '../MultipleChoiceGame/index.html',
+    identification: '../IdentificationGame/index.html',
+    matching: '../MatchConnect/index.html',
+    cloze: '../ClozeGame/index.html',
+    sequence: '../SequenceGame/index.html',
+    flashcards: '../FlashcardsGame/index.html'
+};
+
+const QUIZ_LABELS = {
+    trueFalse: '❓ True or False',
+    multipleChoice: '🎯 Multiple Choice',
+    identification: '💡 Identification',
+    matching: '🧩 Match & Connect',
+    cloze: '✏️ Fill in the Blank',
+    sequence: '🔢 Order the Steps',
+    flashcards: '🃏 Flashcards'
+};
 
 let quizConfig = {
     quizType: 'trueFalse',
@@ -24,6 +45,13 @@ let quizConfig = {
     availableQuestions: { easy: 15, medium: 12, hard: 10 }
 };
 
+// ==================== //
+// Authentication Helper Functions
+// ==================== //
+function getSessionToken() {
+    return sessionStorage.getItem('sessionToken') || localStorage.getItem('sessionToken');
+}
+
 // ==================== //
 // Load and Display Reviewer Title
 // ==================== //
@@ -130,8 +158,10 @@ function countTotalQuestions(questions) {
     const mc = Object.values(questions.multipleChoice || {}).flat().length;
     const id = Object.values(questions.identification || {}).flat().length;
     const match = Object.values(questions.matching || {}).reduce((sum, m) => sum + (m.pairs?.length || 0), 0);
+    const cloze = Object.values(questions.cloze || {}).flat().length;
+    const sequence = Object.values(questions.sequence || {}).flat().length;
     
-    return tf + mc + id + match;
+    return tf + mc + id + match + cloze + sequence;
 }
 
 function logQuestionCounts() {
@@ -155,10 +185,54 @@ function logQuestionCounts() {
             easy: quizQuestions.matching.easy.pairs ? quizQuestions.matching.easy.pairs.length : 0,
             medium: quizQuestions.matching.medium.pairs ? quizQuestions.matching.medium.pairs.length : 0,
             hard: quizQuestions.matching.hard.pairs ? quizQuestions.matching.hard.pairs.length : 0
+        },
+        cloze: {
+            easy: quizQuestions.cloze?.easy.length || 0,
+            medium: quizQuestions.cloze?.medium.length || 0,
+            hard: quizQuestions.cloze?.hard.length || 0
+        },
+        sequence: {
+            easy: quizQuestions.sequence?.easy.length || 0,
+            medium: quizQuestions.sequence?.medium.length || 0,
+            hard: quizQuestions.sequence?.hard.length || 0
         }
     });
 }
 
+// ==================== //
+// Flashcard Deck (concepts + identification questions)
+// ==================== //
+function buildFlashcardDeck() {
+    const deck = [];
+    const seen = new Set();
+    
+    const addCard = (term, definition) => {
+        const key = String(term || '').trim().toLowerCase();
+        if (!key || !definition || seen.has(key)) return;
+        seen.add(key);
+        deck.push({ term: String(term).trim(), definition: String(definition).trim() });
+    };
+    
+    // The reviewer's own concepts come first, they have the cleanest definitions
+    try {
+        const reviewerData = JSON.parse(sessionStorage.getItem('reviewerData') || 'null');
+        (reviewerData?.concepts || []).forEach(concept => addCard(concept.term, concept.definition));
+    } catch (error) {
+        console.warn('⚠️ Failed to parse reviewer concepts for flashcards:', error);
+    }
+    
+    // An identification question is a definition whose answer is the term
+    ['easy', 'medium', 'hard'].forEach(difficulty => {
+        (quizQuestions?.identification?.[difficulty] || []).forEach(question => {
+            if (typeof question.answer === 'string') {
+                addCard(question.answer, question.question);
+            }
+        });
+    });
+    
+    return deck;
+}
+
 // ==================== //
 // Loading Overlay
 // ==================== //
@@ -361,6 +435,81 @@ function initGameCards() {
             );
         });
     }
+    
+    // Fill in the Blank - reviewers generated before it existed have no cloze set
+    const clozeCard = document.querySelector('[data-game="cloze"]');
+    if (clozeCard) {
+        clozeCard.addEventListener('click', () => {
+            if (!quizQuestions) {
+                alert('Quiz questions not loaded yet!');
+                return;
+            }
+            
+            if (Object.values(quizQuestions.cloze || {}).flat().length === 0) {
+                alert('Fill in the Blank questions are not available for this reviewer yet. Regenerate its quiz questions to add them.');
+                return;
+            }
+            
+            openQuizConfig(
+                'cloze',
+                '✏️',
+                'Configure Fill in the Blank',
+                {
+                    easy: quizQuestions.cloze.easy.length,
+                    medium: quizQuestions.cloze.medium.length,
+                    hard: quizQuestions.cloze.hard.length
+                }
+            );
+        });
+    }
+    
+    // Order the Steps - only documents that describe step-wise processes have any
+    const sequenceCard = document.querySelector('[data-game="sequence"]');
+    if (sequenceCard) {
+        sequenceCard.addEventListener('click', () => {
+            if (!quizQuestions) {
+                alert('Quiz questions not loaded yet!');
+                return;
+            }
+            
+            if (Object.values(quizQuestions.sequence || {}).flat().length === 0) {
+                alert('No step-by-step processes were found for this reviewer. Regenerate its quiz questions if it was created before Order the Steps existed.');
+                return;
+            }
+            
+            openQuizConfig(
+                'sequence',
+                '🔢',
+                'Configure Order the Steps',
+                {
+                    easy: quizQuestions.sequence.easy.length,
+                    medium: quizQuestions.sequence.medium.length,
+                    hard: quizQuestions.sequence.hard.length
+                }
+            );
+        });
+    }
+    
+    // Flashcards
+    const flashcardsCard = document.querySelector('[data-game="flashcards"]');
+    if (flashcardsCard) {
+        flashcardsCard.addEventListener('click', () => {
+            const deckSize = buildFlashcardDeck().length;
+            
+            if (deckSize === 0) {
+                alert('No concepts found for this reviewer yet!');
+                return;
+            }
+            
+            // Cards have no difficulty, so every level offers the whole deck
+            openQuizConfig(
+                'flashcards',
+                '🃏',
+                'Configure Flashcards',
+                { easy: deckSize, medium: deckSize, hard: deckSize }
+            );
+        });
+    }
 }
 
 // ==================== //
@@ -374,6 +523,11 @@ function openQuizConfig(quizType, icon, title, availableQuestions) {
     document.getElementById('modalIcon').textContent = icon;
     document.getElementById('modalTitle').textContent = title;
     
+    const difficultyGroup = document.getElementById('difficultyGroup');
+    if (difficultyGroup) {
+        difficultyGroup.style.display = quizType === 'flashcards' ? 'none' : '';
+    }
+    
     // Reset to defaults based on available questions
     const maxEasy = availableQuestions.easy;
     quizConfig.numberOfQuestions = Math.min(10, maxEasy);
@@ -442,6 +596,8 @@ function updateNumberHint() {
     const hintElement = document.getElementById('numberHint');
     if (quizConfig.quizType === 'matching') {
         hintElement.textContent = `Choose between ${min} and ${max} pairs`;
+    } else if (quizConfig.quizType === 'flashcards') {
+        hintElement.textContent = `Choose between ${min} and ${max} cards`;
     } else {
         hintElement.textContent = `Choose between ${min} and ${max} questions`;
     }
@@ -516,8 +672,17 @@ function startQuiz() {
         sessionStorage.setItem('currentQuizQuestions', JSON.stringify(limitedMatchingData));
         
         console.log('Matching data stored:', limitedMatchingData);
+    } else if (quizConfig.quizType === 'flashcards') {
+        const deck = buildFlashcardDeck();
+        const shuffledDeck = [...deck].sort(() => Math.random() - 0.5);
+        const selectedCards = shuffledDeck.slice(0, quizConfig.numberOfQuestions);
+        
+        console.log(`🃏 Flashcards: Selected ${selectedCards.length} cards from ${deck.length} available`);
+        
+        sessionStorage.setItem('currentQuizConfig', JSON.stringify(quizConfig));
+        sessionStorage.setItem('currentQuizQuestions', JSON.stringify(selectedCards));
     } else {
-        // For other quiz types (trueFalse, multipleChoice, identification)
+        // For other quiz types (trueFalse, multipleChoice, identification, cloze, sequence)
         const allQuestionsForDifficulty = quizQuestions[quizConfig.quizType][quizConfig.difficulty];
         
         // Shuffle and take exactly the requested number
@@ -532,19 +697,141 @@ function startQuiz() {
     }
     
     // Navigate to quiz page
-    const quizPages = {
-        trueFalse: '../TrueFalseGame/index.html',
-        multipleChoice: '../MultipleChoiceGame/index.html',
-        identification: '../IdentificationGame/index.html',
-        matching: '../MatchConnect/index.html'
-    };
-    
-    const targetPage = quizPages[quizConfig.quizType];
+    const targetPage = QUIZ_PAGES[quizConfig.quizType];
     console.log(`🎯 Navigating to: ${targetPage}`);
     
     window.location.href = targetPage;
 }
 
+// ==================== //
+// Review Due Items (Spaced Repetition)
+// ==================== //
+async function loadReviewQueue() {
+    const reviewerId = sessionStorage.getItem('reviewerId') || window.currentReviewerId;
+    const sessionToken = getSessionToken();
+    
+    if (!reviewerId || !sessionToken) {
+        reviewQueue = [];
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/review-queue/${reviewerId}`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to fetch: ${response.status} ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        reviewQueue = data.due || [];
+        console.log(`📅 Review queue loaded: ${reviewQueue.length} items due today`);
+    } catch (error) {
+        console.warn('⚠️ Failed to load review queue:', error);
+        reviewQueue = [];
+    }
+}
+
+function getDueCountsByType() {
+    const counts = {};
+    reviewQueue.forEach(item => {
+        counts[item.quizType] = (counts[item.quizType] || 0) + 1;
+    });
+    return counts;
+}
+
+function initReviewCard() {
+    const reviewCard = document.querySelector('[data-game="review-due"]');
+    if (!reviewCard) return;
+    
+    const dueCount = document.getElementById('dueCount');
+    const dueDescription = document.getElementById('dueDescription');
+    
+    if (dueCount) {
+        dueCount.textContent = reviewQueue.length;
+    }
+    
+    if (reviewQueue.length === 0) {
+        reviewCard.classList.add('empty');
+        if (dueDescription) {
+            dueDescription.textContent = 'Nothing is due today. Play a game and missed questions will come back here tomorrow.';
+        }
+    } else if (dueDescription) {
+        dueDescription.textContent = `${reviewQueue.length} question${reviewQueue.length === 1 ? '' : 's'} due for review today`;
+    }
+    
+    reviewCard.addEventListener('click', () => {
+        if (reviewQueue.length === 0) {
+            alert('No questions are due for review today. Great job keeping up!');
+            return;
+        }
+        openReviewDue();
+    });
+}
+
+function openReviewDue() {
+    const list = document.getElementById('reviewTypeList');
+    if (!list) return;
+    
+    const counts = getDueCountsByType();
+    list.innerHTML = '';
+    
+    Object.keys(QUIZ_PAGES).forEach(quizType => {
+        if (!counts[quizType]) return;
+        
+        const button = document.createElement('button');
+        button.className = 'btn-review-type';
+        button.innerHTML = `
+            <span>${QUIZ_LABELS[quizType]}</span>
+            <span class="review-type-count">${counts[quizType]} due</span>
+        `;
+        button.addEventListener('click', () => startReviewQuiz(quizType));
+        list.appendChild(button);
+    });
+    
+    document.getElementById('reviewDueModal').classList.add('active');
+}
+
+function closeReviewDue() {
+    const modal = document.getElementById('reviewDueModal');
+    if (modal) modal.classList.remove('active');
+}
+
+function startReviewQuiz(quizType) {
+    // The queue is already ordered by due date, most overdue first
+    const dueItems = reviewQueue.filter(item => item.quizType === quizType);
+    if (dueItems.length === 0) return;
+    
+    const dueQuestions = dueItems.map(item => ({
+        ...item.question,
+        reviewDifficulty: item.difficulty
+    }));
+    
+    const reviewConfig = {
+        ...quizConfig,
+        quizType: quizType,
+        numberOfQuestions: dueQuestions.length,
+        difficulty: dueItems[0].difficulty,
+        reviewMode: true
+    };
+    
+    console.log(`📅 Starting review of ${dueQuestions.length} due ${quizType} items`);
+    
+    sessionStorage.setItem('currentQuizConfig', JSON.stringify(reviewConfig));
+    
+    if (quizType === 'matching') {
+        sessionStorage.setItem('currentQuizQuestions', JSON.stringify({
+            pairs: dueQuestions,
+            instruction: 'Match each term with its definition.'
+        }));
+    } else {
+        sessionStorage.setItem('currentQuizQuestions', JSON.stringify(dueQuestions));
+    }
+    
+    window.location.href = QUIZ_PAGES[quizType];
+}
+
 // ==================== //
 // Navigation Functions
 // ==================== //
@@ -583,6 +870,10 @@ document.addEventListener('DOMContentLoaded', async () => {
         initGameCards();
     }
     
+    // Review queue comes from past attempts, so it works even without fresh questions
+    await loadReviewQueue();
+    initReviewCard();
+    
     // Initialize navigation buttons
     initBackButton();
     initDashboardButton();
@@ -591,6 +882,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             closeQuizConfig();
+            closeReviewDue();
         }
     });
     
@@ -604,5 +896,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
     
+    const reviewModal = document.getElementById('reviewDueModal');
+    if (reviewModal) {
+        reviewModal.addEventListener('click', (e) => {
+            if (e.target.id === 'reviewDueModal') {
+                closeReviewDue();
+            }
+        });
+    }
+    
     console.log('✅ Games Hub fully initialized');
 });
\ No newline at end of file
@@ -0,0 +1,68 @@
+// IdentificationGame/answerMatching.js - Forgiving Answer Checking
+// Shared by the typed-answer games (Identification, Fill in the Blank) and
+// GameResults, so a typo accepted while playing is also correct in the review
+
+// ==================== //
+// Check Answer (Case-Insensitive)
+// ==================== //
+function matchesAnswer(correctAnswer, userAnswer) {
+    const correct = correctAnswer.toLowerCase().trim();
+    const user = userAnswer.toLowerCase().trim();
+    
+    // Exact match
+    if (correct === user) return true;
+    
+    // Allow for minor variations (plurals, articles)
+    // Remove common articles and check again
+    const cleanCorrect = correct.replace(/^(the|a|an)\s+/i, '');
+    const cleanUser = user.replace(/^(the|a|an)\s+/i, '');
+    
+    if (cleanCorrect === cleanUser) return true;
+    
+    // Check if answers are similar enough (allow for typos)
+    // Simple similarity: if 80% of characters match
+    if (calculateSimilarity(correct, user) >= 0.8) return true;
+    
+    return false;
+}
+
+// ==================== //
+// Calculate String Similarity
+// ==================== //
+function calculateSimilarity(str1, str2) {
+    const longer = str1.length > str2.length ? str1 : str2;
+    const shorter = str1.length > str2.length ? str2 : str1;
+    
+    if (longer.length === 0) return 1.0;
+    
+    const editDistance = getEditDistance(longer, shorter);
+    return (longer.length - editDistance) / longer.length;
+}
+
+function getEditDistance(str1, str2) {
+    const matrix = [];
+    
+    for (let i = 0; i <= str2.length; i++) {
+        matrix[i] = [i];
+    }
+    
+    for (let j = 0; j <= str1.length; j++) {
+        matrix[0][j] = j;
+    }
+    
+    for (let i = 1; i <= str2.length; i++) {
+        for (let j = 1; j <= str1.length; j++) {
+            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
+                matrix[i][j] = matrix[i - 1][j - 1];
+            } else {
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j - 1] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j] + 1
+                );
+            }
+        }
+    }
+    
+    return matrix[str2.length][str1.length];
+}
\ No newline at end of file
@@ -308,6 +308,9 @@ function endQuiz(reason) {
     sessionStorage.setItem('quizResults', JSON.stringify(results));
     sessionStorage.setItem('userAnswers', JSON.stringify(userAnswers));
     
+    // Store the shuffled questions so answers line up on the results page
+    sessionStorage.setItem('currentQuizQuestions', JSON.stringify(questions));
+    
     // Navigate to results page
     window.location.href = '../GameResults/index.html';
 }
@@ -0,0 +1,186 @@
+// conceptGraph.js - Glossary and Concept Graph for ReviewerPage
+// Both are derived from the reviewer itself. A term "appears in" every section
+// whose text mentions it, and two terms are related when a sentence mentions
+// both. Sentences SciencePatternDetector (UploadPage/contentprocessor.js)
+// recognizes as a classification or a process give the relation its kind.
+
+const CONCEPT_GRAPH_MAX_NODES = 40;
+const CONCEPT_GRAPH_ITERATIONS = 300;
+
+// Strongest first - an edge keeps the strongest kind among its sentences
+const CONCEPT_RELATION_KINDS = ['classification', 'process', 'co-occurrence'];
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole words, any case, plural allowed ("enzyme" also finds "Enzymes")
+function conceptPattern(term) {
+    return new RegExp(`(?:^|[^\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?:s|es)?(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+// A section's content as plain sentences; list markers are dropped and each
+// line ends a sentence, so bullet points don't run together
+function sectionSentences(section) {
+    const lines = Array.isArray(section.content) ? section.content : [section.content || section.summary || ''];
+    const text = lines
+        .filter(line => typeof line === 'string' && line.trim())
+        .map(line => line.trim().replace(/^(?:[•\-*>]|\d+[.)])\s*/, ''))
+        .join('. ');
+
+    return {
+        text,
+        sentences: text.split(/[.!?]+/).map(sentence => sentence.trim()).filter(Boolean)
+    };
+}
+
+// The reviewer's concepts in their original (importance) order, one per term
+function reviewerConcepts(reviewerData, limit = Infinity) {
+    const seen = new Set();
+    return (reviewerData.concepts || [])
+        .filter(concept => {
+            const key = String(concept.term || '').trim().toLowerCase();
+            if (!key || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        })
+        .slice(0, limit);
+}
+
+// Sections that mention each concept. A concept no section mentions falls
+// back to the section it was extracted from, when that is known.
+function locateConcepts(reviewerData, concepts) {
+    const sections = reviewerData.sections || [];
+    const texts = sections.map(section => `${section.title}. ${sectionSentences(section).text}`);
+
+    return concepts.map(concept => {
+        const pattern = conceptPattern(concept.term);
+        let found = texts.flatMap((text, index) => pattern.test(text) ? [index] : []);
+
+        if (found.length === 0 && concept.source && concept.source.section) {
+            const origin = sections.findIndex(section =>
+                section.title === concept.source.section ||
+                (section.source && section.source.section === concept.source.section)
+            );
+            if (origin !== -1) found = [origin];
+        }
+
+        return {
+            term: concept.term.trim(),
+            definition: concept.definition || '',
+            sections: found.map(index => ({ index, title: sections[index].title }))
+        };
+    });
+}
+
+// Every term, alphabetically, with the sections it appears in
+function buildGlossary(reviewerData) {
+    return locateConcepts(reviewerData, reviewerConcepts(reviewerData))
+        .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+}
+
+function filterGlossary(entries, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return entries;
+    return entries.filter(entry =>
+        entry.term.toLowerCase().includes(needle) || entry.definition.toLowerCase().includes(needle)
+    );
+}
+
+// Nodes are the most important concepts; edges join concepts mentioned in
+// the same sentence, weighted by how many sentences do so
+function buildConceptGraph(reviewerData, maxNodes = CONCEPT_GRAPH_MAX_NODES) {
+    const nodes = locateConcepts(reviewerData, reviewerConcepts(reviewerData, maxNodes))
+        .map((entry, id) => ({ id, ...entry, mentions: 0 }));
+    const patterns = nodes.map(node => conceptPattern(node.term));
+    const edges = new Map();
+
+    const relate = (sentence, kind) => {
+        const present = nodes.filter((node, i) => patterns[i].test(sentence));
+        present.forEach(node => node.mentions++);
+
+        for (let i = 0; i < present.length; i++) {
+            for (let j = i + 1; j < present.length; j++) {
+                const key = `${present[i].id}-${present[j].id}`;
+                const edge = edges.get(key) || { source: present[i].id, target: present[j].id, weight: 0, kind };
+                edge.weight++;
+                if (CONCEPT_RELATION_KINDS.indexOf(kind) < CONCEPT_RELATION_KINDS.indexOf(edge.kind)) edge.kind = kind;
+                edges.set(key, edge);
+            }
+        }
+    };
+
+    (reviewerData.sections || []).forEach(section => {
+        const { text, sentences } = sectionSentences(section);
+        const classifications = new Set(SciencePatternDetector.findClassifications(text).map(found => found.fullText));
+        const processes = new Set(SciencePatternDetector.findProcesses(text).map(found => found.fullText));
+
+        sentences.forEach(sentence => relate(
+            sentence,
+            classifications.has(sentence) ? 'classification' : processes.has(sentence) ? 'process' : 'co-occurrence'
+        ));
+    });
+
+    // A definition that uses another term relates the two as well
+    nodes.forEach(node => relate(`${node.term} - ${node.definition}`, 'co-occurrence'));
+
+    return { nodes, edges: [...edges.values()] };
+}
+
+// Force-directed positions (Fruchterman-Reingold) inside width x height.
+// Nodes start evenly on a circle, so the same graph always lays out the same.
+function layoutConceptGraph(graph, width, height, iterations = CONCEPT_GRAPH_ITERATIONS) {
+    const count = graph.nodes.length;
+    const margin = 40;
+    const ideal = Math.sqrt((width * height) / Math.max(count, 1)) * 0.6;
+    const positions = graph.nodes.map((node, i) => {
+        const angle = (2 * Math.PI * i) / Math.max(count, 1);
+        return { x: width / 2 + Math.cos(angle) * width / 3, y: height / 2 + Math.sin(angle) * height / 3 };
+    });
+
+    let temperature = width / 10;
+    for (let step = 0; step < iterations; step++) {
+        const moves = positions.map(() => ({ x: 0, y: 0 }));
+
+        for (let i = 0; i < count; i++) {
+            for (let j = i + 1; j < count; j++) {
+                const dx = positions[i].x - positions[j].x;
+                const dy = positions[i].y - positions[j].y;
+                const distance = Math.max(Math.hypot(dx, dy), 0.01);
+                const force = (ideal * ideal) / distance;
+                moves[i].x += (dx / distance) * force;
+                moves[i].y += (dy / distance) * force;
+                moves[j].x -= (dx / distance) * force;
+                moves[j].y -= (dy / distance) * force;
+            }
+        }
+
+        graph.edges.forEach(edge => {
+            const a = positions[edge.source];
+            const b = positions[edge.target];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const distance = Math.max(Math.hypot(dx, dy), 0.01);
+            const force = ((distance * distance) / ideal) * Math.min(1 + Math.log(edge.weight), 3);
+            moves[edge.source].x -= (dx / distance) * force;
+            moves[edge.source].y -= (dy / distance) * force;
+            moves[edge.target].x += (dx / distance) * force;
+            moves[edge.target].y += (dy / distance) * force;
+        });
+
+        positions.forEach((position, i) => {
+            // A little gravity keeps unrelated terms from drifting to the edges
+            moves[i].x -= (position.x - width / 2) * 0.05;
+            moves[i].y -= (position.y - height / 2) * 0.05;
+
+            const length = Math.max(Math.hypot(moves[i].x, moves[i].y), 0.01);
+            const distance = Math.min(length, temperature);
+            position.x = Math.min(width - margin, Math.max(margin, position.x + (moves[i].x / length) * distance));
+            position.y = Math.min(height - margin, Math.max(margin, position.y + (moves[i].y / length) * distance));
+        });
+
+        temperature = Math.max(temperature * 0.97, 1);
+    }
+
+    return positions;
+}
\ No newline at end of file
@@ -22,6 +22,12 @@ let annotations = {
 let activeAnnotationTool = null;
 let highlightColor = '#FFEB3B'; // Default yellow
 
+// Highlights whose text can no longer be found in the reviewer (see textAnchors.js)
+const orphanedHighlightIds = new Set();
+
+// True while the reviewer content is replaced by the editor
+let reviewerEditMode = false;
+
 // Get session token from localStorage
 function getSessionToken() {
     return localStorage.getItem('sessionToken');
@@ -176,6 +182,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Store IDs globally for later use (quiz generation, saving results, etc.)
         window.currentReviewerId = reviewerData.reviewerId || (reviewerId ? parseInt(reviewerId) : null);
         window.currentDocumentId = reviewerData.documentId || (documentId ? parseInt(documentId) : null);
+        window.currentReviewerData = reviewerData;
         window.reviewerConcepts = reviewerData.concepts || [];
         window.reviewerQuestions = null; // Will be populated after generation
         
@@ -213,7 +220,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 const quizQuestions = JSON.parse(quizQuestionsStr);
                 window.reviewerQuestions = quizQuestions;
                 console.log('✅ Quiz questions loaded from sessionStorage');
-                showQuizGenerationNotification('success');
+                showQuizGenerationNotification(reviewerData.quizStale ? 'stale' : 'success');
             } catch (error) {
                 console.warn('⚠️ Failed to parse quiz questions:', error);
                 if (reviewerData.originalText && reviewerData.concepts) {
@@ -293,6 +300,15 @@ function handleMenuAction(action) {
         case 'share':
             handleShare();
             break;
+        case 'edit-reviewer':
+            enterEditMode();
+            break;
+        case 'show-history':
+            openVersionHistory();
+            break;
+        case 'show-glossary':
+            openConceptExplorer();
+            break;
         case 'play-games':
             if (!window.reviewerQuestions) {
                 alert('Quiz questions are still being generated. Please wait...');
@@ -423,7 +439,129 @@ function loadReviewerContent() {
 }
 
 // ==================== //
-// Background Quiz Generation - FIXED: Include reviewerId
+// Background Generation Jobs
+// ==================== //
+const JOB_POLL_INTERVAL_MS = 2000;
+let activeQuizJobSubscription = null;
+
+// Poll a server-side job until it completes or fails. Returns a function
+// that stops polling.
+function subscribeToJob(jobId, { onUpdate, onComplete, onError } = {}) {
+    let stopped = false;
+    let timer = null;
+    
+    const poll = async () => {
+        if (stopped) return;
+        
+        try {
+            const response = await authenticatedFetch(`${BACKEND_URL}/api/jobs/${jobId}`);
+            if (!response.ok) {
+                throw new Error(`Could not load job ${jobId}: ${response.status}`);
+            }
+            
+            const job = await response.json();
+            if (stopped) return;
+            
+            if (job.status === 'completed') {
+                stopped = true;
+                if (onComplete) onComplete(job);
+                return;
+            }
+            if (job.status === 'failed') {
+                stopped = true;
+                if (onError) onError(new Error(job.error || 'Job failed'), job);
+                return;
+            }
+            
+            if (onUpdate) onUpdate(job);
+        } catch (error) {
+            stopped = true;
+            if (onError) onError(error, null);
+            return;
+        }
+        
+        timer = setTimeout(poll, JOB_POLL_INTERVAL_MS);
+    };
+    
+    poll();
+    
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+function quizJobStorageKey(reviewerId) {
+    return `quizJob_${reviewerId}`;
+}
+
+// Find the quiz job for this reviewer, queueing one if none is usable.
+// Throws with fallback=true when the server has no job queue.
+async function getOrCreateQuizJob(text, concepts, reviewerId) {
+    const storageKey = quizJobStorageKey(reviewerId);
+    const knownJobId = localStorage.getItem(storageKey);
+    
+    if (knownJobId) {
+        try {
+            const response = await authenticatedFetch(`${BACKEND_URL}/api/jobs/${knownJobId}`);
+            if (response.ok) {
+                const job = await response.json();
+                if (job.status !== 'failed') return job;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not check previous quiz job:', error.message);
+        }
+        localStorage.removeItem(storageKey);
+    }
+    
+    let response;
+    try {
+        response = await authenticatedFetch(`${BACKEND_URL}/api/jobs`, {
+            method: 'POST',
+            body: JSON.stringify({ type: 'quiz', reviewerId: reviewerId, text: text, concepts: concepts })
+        });
+    } catch (networkError) {
+        throw Object.assign(new Error(networkError.message), { fallback: true });
+    }
+    
+    if (response.status === 404 || response.status === 503) {
+        throw Object.assign(new Error(`Jobs unavailable: ${response.status}`), { fallback: true });
+    }
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`Server error: ${response.status} - ${errorData.error || response.statusText}`);
+    }
+    
+    const job = await response.json();
+    localStorage.setItem(storageKey, job.id.toString());
+    console.log('📋 Quiz job queued:', job.id);
+    return job;
+}
+
+// Store generated questions where GamesHub and the quiz pages read them
+function storeQuizQuestions(questions, reviewerId) {
+    sessionStorage.setItem('quizQuestions', JSON.stringify(questions));
+    sessionStorage.setItem('quizQuestions_reviewerId', reviewerId.toString());
+    window.reviewerQuestions = questions;
+    
+    if (window.currentReviewerData?.quizStale) {
+        window.currentReviewerData.quizStale = false;
+        sessionStorage.setItem('reviewerData', JSON.stringify(window.currentReviewerData));
+    }
+    
+    console.log('✅ Quiz questions generated successfully!');
+    console.log('📊 Questions breakdown:');
+    console.log('   - True/False:', Object.values(questions.trueFalse || {}).flat().length);
+    console.log('   - Multiple Choice:', Object.values(questions.multipleChoice || {}).flat().length);
+    console.log('   - Identification:', Object.values(questions.identification || {}).flat().length);
+    console.log('   - Matching:', Object.values(questions.matching || {}).reduce((sum, m) => sum + (m.pairs?.length || 0), 0));
+    console.log('   - Fill in the Blank:', Object.values(questions.cloze || {}).flat().length);
+    console.log('   - Order the Steps:', Object.values(questions.sequence || {}).flat().length);
+}
+
+// ==================== //
+// Background Quiz Generation - runs as a server-side job so it keeps going
+// if the user leaves the page; the direct request is the fallback
 // ==================== //
 async function startBackgroundQuizGeneration(text, concepts, reviewerId) {
     console.log('🎮 Starting background quiz generation...');
@@ -445,6 +583,32 @@ async function startBackgroundQuizGeneration(text, concepts, reviewerId) {
         return;
     }
     
+    if (reviewerId && !isNaN(reviewerId)) {
+        try {
+            const job = await getOrCreateQuizJob(text, concepts, reviewerId);
+            if (job.status === 'completed') {
+                localStorage.removeItem(quizJobStorageKey(reviewerId));
+                storeQuizQuestions(job.result.questions, reviewerId);
+                showQuizGenerationNotification('success');
+            } else {
+                showQuizGenerationNotification('generating', job);
+            }
+            return;
+        } catch (error) {
+            if (!error.fallback) {
+                console.error('❌ Quiz job failed:', error);
+                showQuizGenerationNotification('error');
+                return;
+            }
+            console.warn('⚠️ Background jobs unavailable, generating directly:', error.message);
+        }
+    }
+    
+    await generateQuizQuestionsDirect(text, concepts, reviewerId);
+}
+
+// Generate quiz questions within a single request (servers without a job queue)
+async function generateQuizQuestionsDirect(text, concepts, reviewerId) {
     showQuizGenerationNotification('generating');
     
     try {
@@ -476,16 +640,7 @@ async function startBackgroundQuizGeneration(text, concepts, reviewerId) {
         const questions = await response.json();
         
         // Store questions in sessionStorage and global variable
-        sessionStorage.setItem('quizQuestions', JSON.stringify(questions));
-        sessionStorage.setItem('quizQuestions_reviewerId', reviewerId.toString());
-        window.reviewerQuestions = questions;
-
-        console.log('✅ Quiz questions generated successfully!');
-        console.log('📊 Questions breakdown:');
-        console.log('   - True/False:', Object.values(questions.trueFalse || {}).flat().length);
-        console.log('   - Multiple Choice:', Object.values(questions.multipleChoice || {}).flat().length);
-        console.log('   - Identification:', Object.values(questions.identification || {}).flat().length);
-        console.log('   - Matching:', Object.values(questions.matching || {}).reduce((sum, m) => sum + (m.pairs?.length || 0), 0));
+        storeQuizQuestions(questions, reviewerId);
         
         showQuizGenerationNotification('success');
         
@@ -500,7 +655,7 @@ async function startBackgroundQuizGeneration(text, concepts, reviewerId) {
         setTimeout(async () => {
             try {
                 console.log('🔄 Retrying quiz generation...');
-                await startBackgroundQuizGeneration(text, concepts, reviewerId);
+                await generateQuizQuestionsDirect(text, concepts, reviewerId);
             } catch (retryError) {
                 console.error('❌ Retry failed:', retryError);
                 showQuizGenerationNotification('error');
@@ -512,10 +667,17 @@ async function startBackgroundQuizGeneration(text, concepts, reviewerId) {
     }
 }
 
-function showQuizGenerationNotification(status) {
+// Show quiz generation status. Given a job, the notification follows it
+// and updates itself until the job finishes.
+function showQuizGenerationNotification(status, job = null) {
     const existing = document.getElementById('quiz-notification');
     if (existing) existing.remove();
     
+    if (activeQuizJobSubscription) {
+        activeQuizJobSubscription();
+        activeQuizJobSubscription = null;
+    }
+    
     const notification = document.createElement('div');
     notification.id = 'quiz-notification';
     notification.style.cssText = `
@@ -539,9 +701,36 @@ function showQuizGenerationNotification(status) {
             <div style="width: 32px; height: 32px; border: 3px solid #2ECC71; border-top-color: transparent; border-radius: 50%; animation: spin 1s linear infinite;"></div>
             <div>
                 <div style="font-weight: 600; color: #2C3E50; font-size: 14px;">Generating Quiz Questions</div>
-                <div style="color: #7F8C8D; font-size: 12px; margin-top: 2px;">This won't interrupt your reading...</div>
+                <div class="quiz-notification-status" style="color: #7F8C8D; font-size: 12px; margin-top: 2px;">This won't interrupt your reading...</div>
             </div>
         `;
+        
+        if (job) {
+            const statusText = notification.querySelector('.quiz-notification-status');
+            const reviewerId = job.reviewerId;
+            
+            activeQuizJobSubscription = subscribeToJob(job.id, {
+                onUpdate: (update) => {
+                    if (update.status === 'queued') {
+                        statusText.textContent = 'Waiting to start...';
+                    } else if (update.message) {
+                        statusText.textContent = `${update.message} (${update.progress || 0}%)`;
+                    }
+                },
+                onComplete: (completed) => {
+                    activeQuizJobSubscription = null;
+                    localStorage.removeItem(quizJobStorageKey(reviewerId));
+                    storeQuizQuestions(completed.result.questions, reviewerId);
+                    showQuizGenerationNotification('success');
+                },
+                onError: (error) => {
+                    activeQuizJobSubscription = null;
+                    console.error('❌ Quiz job failed:', error.message);
+                    localStorage.removeItem(quizJobStorageKey(reviewerId));
+                    showQuizGenerationNotification('error');
+                }
+            });
+        }
     } else if (status === 'success') {
         notification.innerHTML = `
             <div style="width: 32px; height: 32px; background: #2ECC71; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 18px;">✓</div>
@@ -554,6 +743,20 @@ function showQuizGenerationNotification(status) {
             notification.style.animation = 'slideOut 0.3s ease';
             setTimeout(() => notification.remove(), 300);
         }, 5000);
+    } else if (status === 'stale') {
+        notification.innerHTML = `
+            <div style="width: 32px; height: 32px; background: #F39C12; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 18px;">!</div>
+            <div>
+                <div style="font-weight: 600; color: #2C3E50; font-size: 14px;">Quiz Is Out of Date</div>
+                <div style="color: #7F8C8D; font-size: 12px; margin-top: 2px;">The questions were made before your latest edits</div>
+                <div style="display: flex; gap: 8px; margin-top: 8px;">
+                    <button class="quiz-notification-regenerate" style="background: #2ECC71; color: white; border: none; border-radius: 6px; padding: 4px 10px; font-size: 12px; font-weight: 600; cursor: pointer;">Regenerate</button>
+                    <button class="quiz-notification-dismiss" style="background: none; color: #7F8C8D; border: 1px solid #E0E0E0; border-radius: 6px; padding: 4px 10px; font-size: 12px; cursor: pointer;">Keep Old Quiz</button>
+                </div>
+            </div>
+        `;
+        notification.querySelector('.quiz-notification-regenerate').addEventListener('click', () => regenerateQuizQuestions());
+        notification.querySelector('.quiz-notification-dismiss').addEventListener('click', () => notification.remove());
     } else if (status === 'error') {
         notification.innerHTML = `
             <div style="width: 32px; height: 32px; background: #E74C3C; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 18px;">!</div>
@@ -623,9 +826,13 @@ function loadAnnotations() {
         };
         updateAnnotationsSidebar(); // Show empty state
     }
+    
+    // Pick up changes made on other devices
+    syncAnnotations();
 }
 
 // Save annotations to localStorage - NOW REVIEWER-SPECIFIC
+// localStorage is the offline copy; the server is updated shortly after
 function saveAnnotations() {
     const reviewerId = window.currentReviewerId;
     
@@ -638,13 +845,18 @@ function saveAnnotations() {
     localStorage.setItem(storageKey, JSON.stringify(annotations));
     updateAnnotationsSidebar();
     console.log(`💾 Annotations saved for reviewer ${reviewerId}`);
+    
+    scheduleAnnotationSync();
 }
 
 // Apply all saved annotations to the document
 function applyAllAnnotations() {
     console.log('🎨 Applying all annotations...');
     
-    // Apply highlights
+    // Apply highlights. Ones saved before text anchors existed get an
+    // anchor once placed, so they are saved again afterwards.
+    orphanedHighlightIds.clear();
+    const hadLegacyHighlights = annotations.highlights.some(highlight => !highlight.anchor);
     annotations.highlights.forEach((highlight, index) => {
         console.log(`Applying highlight ${index + 1}:`, highlight.text.substring(0, 50));
         applyHighlight(highlight);
@@ -659,8 +871,333 @@ function applyAllAnnotations() {
     annotations.notes.forEach(note => {
         applyNoteIndicator(note);
     });
+    
+    if (orphanedHighlightIds.size > 0) {
+        console.warn(`⚠️ ${orphanedHighlightIds.size} highlight(s) could not be placed`);
+    }
+    if (hadLegacyHighlights) {
+        saveAnnotations();
+    }
+}
+
+// ==================== //
+// Annotation Sync - keeps the server copy in step with localStorage
+// ==================== //
+// For each annotation the sync state remembers the server ID, the server
+// version it last saw, and a fingerprint of its content at that point.
+// Anything whose fingerprint changed since is pushed; anything missing
+// locally is deleted on the server. Because the state lives in localStorage,
+// edits made offline are simply pushed on the next successful sync.
+const ANNOTATION_SYNC_DELAY_MS = 1500;
+const ANNOTATION_TYPES = {
+    highlights: 'highlight',
+    notes: 'note',
+    bookmarks: 'bookmark'
+};
+
+const annotationSync = {
+    timer: null,
+    running: false,
+    rerun: false
+};
+
+function annotationSyncStateKey(reviewerId) {
+    return `reviewer_annotations_sync_${reviewerId}`;
+}
+
+function loadAnnotationSyncState(reviewerId) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(annotationSyncStateKey(reviewerId)));
+        if (saved && saved.records) return saved;
+    } catch (error) {
+        console.warn('⚠️ Resetting annotation sync state:', error.message);
+    }
+    return { records: {} };
+}
+
+function saveAnnotationSyncState(reviewerId, state) {
+    localStorage.setItem(annotationSyncStateKey(reviewerId), JSON.stringify(state));
+}
+
+function annotationFingerprint(data) {
+    return JSON.stringify(data);
+}
+
+// Text stored alongside the annotation so it is readable server-side
+function annotationText(type, item) {
+    if (type === 'highlight') return item.text || '';
+    if (type === 'note') return item.content || '';
+    return item.sectionTitle || '';
+}
+
+function listLocalAnnotations() {
+    return Object.entries(ANNOTATION_TYPES).flatMap(([key, type]) =>
+        annotations[key].map(item => ({ key, type, item, clientId: String(item.id) }))
+    );
+}
+
+function findLocalAnnotation(clientId) {
+    return listLocalAnnotations().find(local => local.clientId === clientId) || null;
+}
+
+function collectionFor(type) {
+    return Object.keys(ANNOTATION_TYPES).find(key => ANNOTATION_TYPES[key] === type);
+}
+
+function recordFor(remote) {
+    return { serverId: remote.id, version: remote.version, fingerprint: annotationFingerprint(remote.data) };
+}
+
+function scheduleAnnotationSync() {
+    clearTimeout(annotationSync.timer);
+    annotationSync.timer = setTimeout(syncAnnotations, ANNOTATION_SYNC_DELAY_MS);
+}
+
+async function syncAnnotations() {
+    clearTimeout(annotationSync.timer);
+    annotationSync.timer = null;
+    
+    const reviewerId = window.currentReviewerId;
+    if (!reviewerId || !getSessionToken() || !navigator.onLine) return;
+    
+    if (annotationSync.running) {
+        annotationSync.rerun = true;
+        return;
+    }
+    annotationSync.running = true;
+    
+    try {
+        const state = loadAnnotationSyncState(reviewerId);
+        const outcome = { changed: false, conflicts: 0 };
+        
+        const response = await authenticatedFetch(`${BACKEND_URL}/api/annotations/${reviewerId}`);
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}`);
+        }
+        const { annotations: remoteAnnotations } = await response.json();
+        
+        mergeRemoteAnnotations(remoteAnnotations, state, outcome);
+        saveAnnotationSyncState(reviewerId, state);
+        
+        await pushLocalAnnotations(reviewerId, state, outcome);
+        
+        if (outcome.changed) {
+            localStorage.setItem(`reviewer_annotations_${reviewerId}`, JSON.stringify(annotations));
+            rerenderAnnotations();
+        }
+        if (outcome.conflicts > 0) {
+            showAnnotationSyncNotice(outcome.conflicts);
+        }
+        console.log(`🔄 Annotations synced for reviewer ${reviewerId}`);
+    } catch (error) {
+        // Local changes stay in localStorage and go out on the next sync
+        console.warn('⚠️ Annotation sync failed, will retry later:', error.message);
+    } finally {
+        annotationSync.running = false;
+        if (annotationSync.rerun) {
+            annotationSync.rerun = false;
+            scheduleAnnotationSync();
+        }
+    }
+}
+
+// Apply changes made on other devices to the local annotations
+function mergeRemoteAnnotations(remoteAnnotations, state, outcome) {
+    const remoteClientIds = new Set();
+    
+    remoteAnnotations.forEach(remote => {
+        if (!remote.clientId || !remote.data) return;
+        remoteClientIds.add(remote.clientId);
+        
+        const record = state.records[remote.clientId];
+        const local = findLocalAnnotation(remote.clientId);
+        
+        if (remote.deleted) {
+            if (!record) return;
+            if (local && annotationFingerprint(local.item) !== record.fingerprint) {
+                resolveAnnotationConflict(local, remote, state, outcome);
+            } else if (local) {
+                removeLocalAnnotation(local);
+                outcome.changed = true;
+            }
+            delete state.records[remote.clientId];
+            return;
+        }
+        
+        if (record && record.version === remote.version) {
+            return;
+        }
+        
+        if (record && local && annotationFingerprint(local.item) !== record.fingerprint) {
+            // Changed here and on another device
+            resolveAnnotationConflict(local, remote, state, outcome);
+            return;
+        }
+        
+        // New or changed elsewhere, untouched here. Also restores an annotation
+        // deleted here but edited elsewhere - the edit is kept.
+        replaceLocalAnnotation(local, remote);
+        state.records[remote.clientId] = recordFor(remote);
+        outcome.changed = true;
+    });
+    
+    // The server no longer knows these at all, so create them again
+    Object.keys(state.records).forEach(clientId => {
+        if (!remoteClientIds.has(clientId)) delete state.records[clientId];
+    });
 }
 
+// Send local creates, edits and deletes
+async function pushLocalAnnotations(reviewerId, state, outcome) {
+    const baseUrl = `${BACKEND_URL}/api/annotations/${reviewerId}`;
+    const localClientIds = new Set();
+    
+    for (const local of listLocalAnnotations()) {
+        localClientIds.add(local.clientId);
+        
+        const record = state.records[local.clientId];
+        const fingerprint = annotationFingerprint(local.item);
+        if (record && record.fingerprint === fingerprint) continue;
+        
+        const body = {
+            type: local.type,
+            text: annotationText(local.type, local.item),
+            data: local.item
+        };
+        
+        if (!record) {
+            const response = await authenticatedFetch(baseUrl, {
+                method: 'POST',
+                body: JSON.stringify({ ...body, clientId: local.clientId })
+            });
+            if (!response.ok) throw new Error(`Create failed: ${response.status}`);
+            state.records[local.clientId] = recordFor(await response.json());
+        } else {
+            const response = await authenticatedFetch(`${baseUrl}/${record.serverId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ ...body, baseVersion: record.version })
+            });
+            
+            if (response.status === 409) {
+                const { annotation: remote } = await response.json();
+                resolveAnnotationConflict(local, remote, state, outcome);
+            } else if (response.status === 404) {
+                delete state.records[local.clientId];
+            } else if (!response.ok) {
+                throw new Error(`Update failed: ${response.status}`);
+            } else {
+                state.records[local.clientId] = recordFor(await response.json());
+            }
+        }
+        saveAnnotationSyncState(reviewerId, state);
+    }
+    
+    for (const [clientId, record] of Object.entries(state.records)) {
+        if (localClientIds.has(clientId)) continue;
+        
+        const response = await authenticatedFetch(`${baseUrl}/${record.serverId}`, { method: 'DELETE' });
+        if (!response.ok && response.status !== 404) {
+            throw new Error(`Delete failed: ${response.status}`);
+        }
+        delete state.records[clientId];
+        saveAnnotationSyncState(reviewerId, state);
+    }
+}
+
+// The other device's version wins in place. A note edited here keeps its
+// text as a separate copy next to it, so neither edit is lost.
+function resolveAnnotationConflict(local, remote, state, outcome) {
+    console.warn(`⚠️ Annotation ${local.clientId} was changed on another device`);
+    
+    if (local.type === 'note' && local.item.content && local.item.content !== remote.data?.content) {
+        const copy = {
+            ...local.item,
+            id: Date.now() + annotations.notes.length,
+            position: {
+                top: local.item.position.top + 28,
+                left: local.item.position.left + 28
+            },
+            timestamp: new Date().toISOString()
+        };
+        annotations.notes.push(copy);
+        outcome.conflicts += 1;
+    }
+    
+    if (remote.deleted) {
+        removeLocalAnnotation(local);
+        delete state.records[local.clientId];
+    } else {
+        replaceLocalAnnotation(local, remote);
+        state.records[local.clientId] = recordFor(remote);
+    }
+    outcome.changed = true;
+}
+
+function replaceLocalAnnotation(local, remote) {
+    const collection = annotations[collectionFor(remote.type)];
+    if (!collection) return;
+    
+    if (local) {
+        const index = collection.findIndex(item => String(item.id) === local.clientId);
+        collection[index] = remote.data;
+    } else {
+        collection.push(remote.data);
+    }
+}
+
+function removeLocalAnnotation(local) {
+    annotations[local.key] = annotations[local.key].filter(item => String(item.id) !== local.clientId);
+}
+
+// Redraw every annotation after a sync changed them
+function rerenderAnnotations() {
+    // The editor has no sections to anchor to; annotations return when it closes
+    if (reviewerEditMode) return;
+    
+    document.querySelectorAll('.highlight-mark').forEach(span => {
+        const parent = span.parentNode;
+        while (span.firstChild) {
+            parent.insertBefore(span.firstChild, span);
+        }
+        parent.removeChild(span);
+        parent.normalize();
+    });
+    document.querySelectorAll('.note-indicator, .bookmark-icon').forEach(element => element.remove());
+    
+    applyAllAnnotations();
+    updateAnnotationsSidebar();
+}
+
+function showAnnotationSyncNotice(conflictCount) {
+    const notice = document.createElement('div');
+    notice.style.cssText = `
+        position: fixed;
+        bottom: 100px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(255, 152, 0, 0.95);
+        color: white;
+        padding: 12px 24px;
+        border-radius: 25px;
+        font-size: 14px;
+        font-weight: 600;
+        box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        z-index: 10001;
+        font-family: 'Inter', sans-serif;
+    `;
+    notice.textContent = conflictCount === 1
+        ? 'A note was also edited on another device - your version was kept as a copy'
+        : `${conflictCount} notes were also edited on another device - your versions were kept as copies`;
+    
+    document.body.appendChild(notice);
+    setTimeout(() => notice.remove(), 5000);
+}
+
+window.addEventListener('online', () => syncAnnotations());
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') syncAnnotations();
+});
+
 // ==================== //
 // Highlight Feature
 // ==================== //
@@ -781,54 +1318,24 @@ function handleTextSelection(e) {
     
     try {
         const range = selection.getRangeAt(0);
+        const anchorer = new TextAnchorer(contentArea);
+        const anchor = anchorer.describe(range);
+        
+        if (!anchor.exact) return;
         
         const highlight = {
             id: Date.now(),
-            text: selectedText,
+            text: anchor.exact,
             color: highlightColor,
-            rangeData: {
-                startOffset: range.startOffset,
-                endOffset: range.endOffset,
-                startText: range.startContainer.textContent,
-                endText: range.endContainer.textContent,
-                containerText: range.commonAncestorContainer.textContent
-            },
+            anchor: anchor,
             timestamp: new Date().toISOString()
         };
         
-        const span = document.createElement('span');
-        span.className = 'highlight-mark';
-        span.dataset.highlightId = highlight.id;
-        span.style.backgroundColor = highlightColor;
-        span.style.cursor = 'pointer';
-        span.title = 'Right-click to remove';
-        
-        // Desktop: right-click context menu
-        span.addEventListener('contextmenu', (e) => {
-            e.preventDefault();
-            showHighlightContextMenu(e, highlight.id);
-        });
-        
-        // Mobile: long-press to remove
-        let pressTimer;
-        span.addEventListener('touchstart', (e) => {
-            pressTimer = setTimeout(() => {
-                // Show mobile-friendly removal dialog
-                if (confirm('Remove this highlight?')) {
-                    removeHighlight(highlight.id);
-                }
-            }, 500); // 500ms long press
-        });
-        
-        span.addEventListener('touchend', () => {
-            clearTimeout(pressTimer);
-        });
-        
-        span.addEventListener('touchmove', () => {
-            clearTimeout(pressTimer);
-        });
-        
-        range.surroundContents(span);
+        const location = anchorer.locate(anchor);
+        if (!location) {
+            throw new Error('Selected text could not be anchored');
+        }
+        anchorer.wrap(location, () => createHighlightSpan(highlight));
         
         annotations.highlights.push(highlight);
         saveAnnotations();
@@ -842,7 +1349,7 @@ function handleTextSelection(e) {
         
     } catch (error) {
         console.error('❌ Error creating highlight:', error);
-        alert('Could not highlight this selection. Try selecting within a single paragraph.');
+        alert('Could not highlight this selection. Try selecting within a single section.');
     }
     
     selection.removeAllRanges();
@@ -879,64 +1386,75 @@ function showMobileHighlightFeedback() {
     }, 2000);
 }
 
+// Span marking (part of) a highlight; a highlight crossing elements has several
+function createHighlightSpan(highlight) {
+    const span = document.createElement('span');
+    span.className = 'highlight-mark';
+    span.dataset.highlightId = highlight.id;
+    span.style.backgroundColor = highlight.color;
+    span.style.cursor = 'pointer';
+    span.title = 'Right-click to remove';
+    
+    // Desktop: right-click context menu
+    span.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        showHighlightContextMenu(e, highlight.id);
+    });
+    
+    // Mobile: long-press to remove
+    let pressTimer;
+    span.addEventListener('touchstart', (e) => {
+        pressTimer = setTimeout(() => {
+            // Show mobile-friendly removal dialog
+            if (confirm('Remove this highlight?')) {
+                removeHighlight(highlight.id);
+            }
+        }, 500); // 500ms long press
+    });
+    
+    span.addEventListener('touchend', () => {
+        clearTimeout(pressTimer);
+    });
+    
+    span.addEventListener('touchmove', () => {
+        clearTimeout(pressTimer);
+    });
+    
+    return span;
+}
+
+// Place a saved highlight by its text anchor. Highlights whose text is gone
+// are marked orphaned and listed as such in the annotations sidebar.
 function applyHighlight(highlight) {
     try {
-        const walker = document.createTreeWalker(
-            document.querySelector('.content-document'),
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-        
-        let node;
-        while (node = walker.nextNode()) {
-            const text = node.textContent;
-            
-            if (text.includes(highlight.text)) {
-                const startIndex = text.indexOf(highlight.text);
-                
-                if (startIndex !== -1) {
-                    const range = document.createRange();
-                    range.setStart(node, startIndex);
-                    range.setEnd(node, startIndex + highlight.text.length);
-                    
-                    const span = document.createElement('span');
-                    span.className = 'highlight-mark';
-                    span.dataset.highlightId = highlight.id;
-                    span.style.backgroundColor = highlight.color;
-                    span.style.cursor = 'pointer';
-                    span.title = 'Right-click to remove';
-                    
-                    span.addEventListener('contextmenu', (e) => {
-                        e.preventDefault();
-                        showHighlightContextMenu(e, highlight.id);
-                    });
-
-                    // Mobile: long-press to remove
-                    let pressTimer;
-                    span.addEventListener('touchstart', (e) => {
-                        pressTimer = setTimeout(() => {
-                            if (confirm('Remove this highlight?')) {
-                                removeHighlight(highlight.id);
-                            }
-                        }, 500);
-                    });
-
-                    span.addEventListener('touchend', () => {
-                        clearTimeout(pressTimer);
-                    });
-
-                    span.addEventListener('touchmove', () => {
-                        clearTimeout(pressTimer);
-                    });
-                    
-                    range.surroundContents(span);
-                    console.log('✅ Reapplied highlight:', highlight.text.substring(0, 30));
-                    break;
-                }
-            }
+        const anchorer = new TextAnchorer(document.querySelector('.content-document'));
+        
+        // Highlights saved before anchors existed only have their text
+        const anchor = highlight.anchor || {
+            sectionId: null,
+            sectionIndex: null,
+            exact: highlight.text,
+            prefix: '',
+            suffix: ''
+        };
+        
+        const location = anchorer.locate(anchor);
+        if (!location) {
+            orphanedHighlightIds.add(highlight.id);
+            console.warn('⚠️ Could not place highlight:', highlight.text.substring(0, 30));
+            return;
         }
+        
+        anchorer.wrap(location, () => createHighlightSpan(highlight));
+        
+        if (!highlight.anchor) {
+            highlight.anchor = anchorer.anchorAt(location.container, location.start, location.end);
+            delete highlight.rangeData;
+        }
+        
+        console.log(`✅ Reapplied highlight${location.exact ? '' : ' (closest match)'}:`, highlight.text.substring(0, 30));
     } catch (error) {
+        orphanedHighlightIds.add(highlight.id);
         console.error('Error reapplying highlight:', error);
     }
 }
@@ -1004,16 +1522,16 @@ function showHighlightContextMenu(e, highlightId) {
 
 function removeHighlight(highlightId) {
     annotations.highlights = annotations.highlights.filter(h => h.id !== highlightId);
+    orphanedHighlightIds.delete(highlightId);
     
-    const span = document.querySelector(`[data-highlight-id="${highlightId}"]`);
-    if (span) {
+    document.querySelectorAll(`[data-highlight-id="${highlightId}"]`).forEach(span => {
         const parent = span.parentNode;
         while (span.firstChild) {
             parent.insertBefore(span.firstChild, span);
         }
         parent.removeChild(span);
         parent.normalize();
-    }
+    });
     
     saveAnnotations();
 }
@@ -1022,17 +1540,17 @@ function removeAllHighlights() {
     if (!confirm('Remove all highlights? This cannot be undone.')) return;
     
     annotations.highlights.forEach(h => {
-        const span = document.querySelector(`[data-highlight-id="${h.id}"]`);
-        if (span) {
+        document.querySelectorAll(`[data-highlight-id="${h.id}"]`).forEach(span => {
             const parent = span.parentNode;
             while (span.firstChild) {
                 parent.insertBefore(span.firstChild, span);
             }
             parent.removeChild(span);
-        }
+        });
     });
     
     annotations.highlights = [];
+    orphanedHighlightIds.clear();
     saveAnnotations();
 }
 
@@ -1561,6 +2079,9 @@ function createAnnotationListItem(annotation) {
     item.className = `annotation-item annotation-${annotation.type}`;
     
     if (annotation.type === 'highlight') {
+        const orphaned = orphanedHighlightIds.has(annotation.data.id);
+        if (orphaned) item.classList.add('annotation-orphaned');
+        
         item.innerHTML = `
             <div class="annotation-icon" style="background: ${annotation.data.color};">
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="white" stroke="white" stroke-width="2">
@@ -1570,9 +2091,23 @@ function createAnnotationListItem(annotation) {
             </div>
             <div class="annotation-content">
                 <div class="annotation-text">"${annotation.data.text.substring(0, 100)}${annotation.data.text.length > 100 ? '...' : ''}"</div>
+                ${orphaned ? '<div class="annotation-orphaned-label">Text not found in this version of the reviewer</div>' : ''}
                 <div class="annotation-meta">${formatDate(annotation.timestamp)}</div>
             </div>
         `;
+        
+        item.addEventListener('click', () => {
+            if (orphaned) {
+                if (confirm('This highlighted text is no longer in the reviewer. Remove the highlight?')) {
+                    removeHighlight(annotation.data.id);
+                }
+                return;
+            }
+            const span = document.querySelector(`[data-highlight-id="${annotation.data.id}"]`);
+            if (span) {
+                span.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        });
     } else if (annotation.type === 'note') {
         item.innerHTML = `
             <div class="annotation-icon" style="background: #FF9800;">
@@ -1629,6 +2164,703 @@ function formatDate(date) {
     return date.toLocaleDateString();
 }
 
+// ==================== //
+// Reviewer Editing & Version History
+// Saving sends the whole reviewer with the version it was loaded at; the
+// server keeps the replaced version so it can be compared and restored
+// ==================== //
+function enterEditMode() {
+    if (reviewerEditMode) return;
+
+    if (!window.currentReviewerId) {
+        alert('This reviewer has not been saved to your account yet, so it cannot be edited.');
+        return;
+    }
+
+    if (activeAnnotationTool) toggleAnnotationTool(activeAnnotationTool);
+
+    reviewerEditMode = true;
+    document.body.classList.add('reviewer-editing');
+    renderReviewerEditor(window.currentReviewerData);
+}
+
+function exitEditMode() {
+    reviewerEditMode = false;
+    document.body.classList.remove('reviewer-editing');
+    renderReviewerContent(window.currentReviewerData);
+}
+
+function renderReviewerContent(reviewerData) {
+    document.querySelector('.topic-title').textContent = reviewerData.title;
+    displayAdvancedReviewer(reviewerData);
+    initTableOfContents();
+    initScrollSpy();
+    rerenderAnnotations();
+}
+
+function renderReviewerEditor(reviewerData) {
+    const contentDocument = document.querySelector('.content-document');
+    contentDocument.innerHTML = '';
+
+    const page = createNewPage();
+    page.classList.add('reviewer-editor');
+    page.innerHTML = `
+        <div class="editor-header">
+            <label class="editor-label" for="editorTitle">Title</label>
+            <input type="text" class="editor-title-input" id="editorTitle" maxlength="200">
+        </div>
+        <h2 class="editor-heading">Sections</h2>
+        <p class="editor-hint">One line per paragraph. Start a line with "- " for a bullet, "1. " for a numbered item or "> " for an arrow point.</p>
+        <div class="editor-sections"></div>
+        <button type="button" class="editor-add-btn" id="editorAddSection">+ Add Section</button>
+        <h2 class="editor-heading">Key Terms</h2>
+        <div class="editor-concepts"></div>
+        <button type="button" class="editor-add-btn" id="editorAddConcept">+ Add Term</button>
+        <div class="editor-problems" hidden></div>
+        <div class="editor-actions">
+            <button type="button" class="editor-btn-secondary" id="editorCancel">Cancel</button>
+            <button type="button" class="editor-btn-primary" id="editorSave">Save Changes</button>
+        </div>
+    `;
+
+    page.querySelector('#editorTitle').value = reviewerData.title || '';
+
+    const sectionList = page.querySelector('.editor-sections');
+    reviewerData.sections.forEach((section, index) => {
+        sectionList.appendChild(createSectionEditor(section, index));
+    });
+
+    const conceptList = page.querySelector('.editor-concepts');
+    (reviewerData.concepts || []).forEach((concept, index) => {
+        conceptList.appendChild(createConceptEditor(concept, index));
+    });
+
+    page.querySelector('#editorAddSection').addEventListener('click', () => {
+        const editor = createSectionEditor({ title: '', content: [] }, null);
+        sectionList.appendChild(editor);
+        editor.querySelector('.editor-section-title').focus();
+    });
+    page.querySelector('#editorAddConcept').addEventListener('click', () => {
+        const editor = createConceptEditor({ term: '', definition: '' }, null);
+        conceptList.appendChild(editor);
+        editor.querySelector('.editor-concept-term').focus();
+    });
+    page.querySelector('#editorCancel').addEventListener('click', () => exitEditMode());
+    page.querySelector('#editorSave').addEventListener('click', () => saveReviewerEdits());
+
+    contentDocument.appendChild(page);
+    contentDocument.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// `index` points back at the section being edited so fields the editor
+// doesn't show (level, sources) are kept; null for a new section
+function createSectionEditor(section, index) {
+    const editor = document.createElement('div');
+    editor.className = 'editor-section';
+    if (index !== null) editor.dataset.index = index;
+
+    editor.innerHTML = `
+        <div class="editor-row">
+            <input type="text" class="editor-section-title" placeholder="Section title" maxlength="150">
+            <button type="button" class="editor-remove-btn" title="Remove section">✕</button>
+        </div>
+        <textarea class="editor-section-content" rows="6" placeholder="Section content"></textarea>
+    `;
+
+    const lines = Array.isArray(section.content) ? section.content : (section.summary ? [section.summary] : []);
+    editor.querySelector('.editor-section-title').value = section.title || '';
+    editor.querySelector('.editor-section-content').value = lines.join('\n');
+    editor.querySelector('.editor-remove-btn').addEventListener('click', () => editor.remove());
+
+    return editor;
+}
+
+function createConceptEditor(concept, index) {
+    const editor = document.createElement('div');
+    editor.className = 'editor-concept';
+    if (index !== null) editor.dataset.index = index;
+
+    editor.innerHTML = `
+        <div class="editor-row">
+            <input type="text" class="editor-concept-term" placeholder="Term" maxlength="100">
+            <button type="button" class="editor-remove-btn" title="Remove term">✕</button>
+        </div>
+        <textarea class="editor-concept-definition" rows="2" placeholder="Definition"></textarea>
+    `;
+
+    editor.querySelector('.editor-concept-term').value = concept.term || '';
+    editor.querySelector('.editor-concept-definition').value = concept.definition || '';
+    editor.querySelector('.editor-remove-btn').addEventListener('click', () => editor.remove());
+
+    return editor;
+}
+
+function collectEditorContent() {
+    const reviewerData = window.currentReviewerData;
+    const editor = document.querySelector('.reviewer-editor');
+
+    const sections = Array.from(editor.querySelectorAll('.editor-section')).map(item => {
+        const original = item.dataset.index !== undefined ? reviewerData.sections[item.dataset.index] : {};
+        const lines = item.querySelector('.editor-section-content').value
+            .split('\n')
+            .map(line => line.trimEnd());
+
+        // Blank lines inside the content end a list; at either end they mean nothing
+        while (lines.length && !lines[0]) lines.shift();
+        while (lines.length && !lines[lines.length - 1]) lines.pop();
+
+        const section = { ...original, title: item.querySelector('.editor-section-title').value.trim(), content: lines };
+        delete section.summary;
+        return section;
+    });
+
+    const concepts = Array.from(editor.querySelectorAll('.editor-concept')).map(item => {
+        const original = item.dataset.index !== undefined ? reviewerData.concepts[item.dataset.index] : {};
+        return {
+            ...original,
+            term: item.querySelector('.editor-concept-term').value.trim(),
+            definition: item.querySelector('.editor-concept-definition').value.trim()
+        };
+    });
+
+    return {
+        title: editor.querySelector('#editorTitle').value.trim(),
+        sections,
+        concepts
+    };
+}
+
+function showEditorProblems(problems) {
+    const box = document.querySelector('.editor-problems');
+    if (!box) return;
+
+    box.innerHTML = '';
+    if (problems.length === 0) {
+        box.hidden = true;
+        return;
+    }
+
+    const heading = document.createElement('strong');
+    heading.textContent = 'Please fix the following before saving:';
+    const list = document.createElement('ul');
+    problems.forEach(problem => {
+        const item = document.createElement('li');
+        item.textContent = describeEditorProblem(problem);
+        list.appendChild(item);
+    });
+    box.appendChild(heading);
+    box.appendChild(list);
+    box.hidden = false;
+    box.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+// "sections[2].content: ..." -> "Section 3 content: ..."
+function describeEditorProblem(problem) {
+    return problem
+        .replace(/^sections\[(\d+)\]\.?/, (match, index) => `Section ${parseInt(index) + 1} `)
+        .replace(/^concepts\[(\d+)\]\.?/, (match, index) => `Term ${parseInt(index) + 1} `)
+        .replace(/^(\w+):/, (match, field) => `${field.charAt(0).toUpperCase()}${field.slice(1)}:`);
+}
+
+async function saveReviewerEdits() {
+    const saveBtn = document.getElementById('editorSave');
+    const content = collectEditorContent();
+
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    showEditorProblems([]);
+
+    try {
+        const response = await authenticatedFetch(`${BACKEND_URL}/api/reviewer/${window.currentReviewerId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ ...content, baseVersion: window.currentReviewerData.version || 1 })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        if (response.status === 400) {
+            showEditorProblems(result.problems || [result.error || 'The reviewer could not be saved.']);
+            return;
+        }
+        if (response.status === 409) {
+            handleReviewerConflict(result.reviewer);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+
+        console.log(`✅ Reviewer saved as version ${result.version}`);
+        reviewerEditMode = false;
+        document.body.classList.remove('reviewer-editing');
+        applyReviewerUpdate(result);
+    } catch (error) {
+        console.error('❌ Failed to save reviewer:', error);
+        alert(`Could not save your changes:\n\n${error.message}`);
+    } finally {
+        if (document.body.contains(saveBtn)) {
+            saveBtn.disabled = false;
+            saveBtn.textContent = 'Save Changes';
+        }
+    }
+}
+
+// The reviewer was saved elsewhere since this page loaded it
+function handleReviewerConflict(latest) {
+    const loadLatest = confirm('This reviewer was changed on another device or tab since you opened it.\n\nLoad the latest version? Your unsaved edits will be lost.');
+    if (!loadLatest || !latest) return;
+
+    reviewerEditMode = false;
+    document.body.classList.remove('reviewer-editing');
+    applyReviewerUpdate(latest);
+}
+
+// Show a reviewer returned by the server and flag quizzes made from an older version
+function applyReviewerUpdate(updated) {
+    const reviewerData = { ...window.currentReviewerData, ...updated };
+
+    window.currentReviewerData = reviewerData;
+    window.reviewerConcepts = reviewerData.concepts || [];
+    sessionStorage.setItem('reviewerData', JSON.stringify(reviewerData));
+    sessionStorage.setItem('reviewerTitle', reviewerData.title);
+
+    renderReviewerContent(reviewerData);
+
+    if (reviewerData.quizStale || window.reviewerQuestions) {
+        reviewerData.quizStale = true;
+        sessionStorage.setItem('reviewerData', JSON.stringify(reviewerData));
+        showQuizGenerationNotification('stale');
+    }
+}
+
+// Quiz source text from the current sections, so edits reach the questions
+function reviewerQuizText(reviewerData) {
+    const text = reviewerData.sections.map(section => {
+        const lines = Array.isArray(section.content) ? section.content : [section.summary];
+        return [section.title, ...lines].filter(Boolean).join('\n');
+    }).join('\n\n');
+
+    return text.length >= 100 ? text : reviewerData.originalText;
+}
+
+function regenerateQuizQuestions() {
+    const reviewerData = window.currentReviewerData;
+    const reviewerId = window.currentReviewerId;
+
+    localStorage.removeItem(quizJobStorageKey(reviewerId));
+    sessionStorage.removeItem('quizQuestions');
+    sessionStorage.removeItem('quizQuestions_reviewerId');
+    window.reviewerQuestions = null;
+
+    startBackgroundQuizGeneration(reviewerQuizText(reviewerData), reviewerData.concepts, reviewerId);
+}
+
+async function openVersionHistory() {
+    if (!window.currentReviewerId) {
+        alert('This reviewer has not been saved to your account yet, so it has no history.');
+        return;
+    }
+
+    document.getElementById('versionHistoryOverlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'version-history-overlay';
+    overlay.id = 'versionHistoryOverlay';
+    overlay.innerHTML = `
+        <div class="version-history-modal">
+            <div class="version-history-header">
+                <h3>Version History</h3>
+                <button type="button" class="btn-close-version-history" title="Close">✕</button>
+            </div>
+            <div class="version-history-body">
+                <div class="version-list"><p class="version-empty">Loading...</p></div>
+                <div class="version-diff" hidden></div>
+            </div>
+        </div>
+    `;
+
+    overlay.querySelector('.btn-close-version-history').addEventListener('click', () => overlay.remove());
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) overlay.remove();
+    });
+    document.body.appendChild(overlay);
+
+    const list = overlay.querySelector('.version-list');
+
+    try {
+        const response = await authenticatedFetch(`${BACKEND_URL}/api/reviewer/${window.currentReviewerId}/versions`);
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const history = await response.json();
+
+        list.innerHTML = '';
+        list.appendChild(createVersionItem({
+            version: history.currentVersion,
+            title: window.currentReviewerData.title,
+            sectionCount: window.currentReviewerData.sections.length,
+            conceptCount: (window.currentReviewerData.concepts || []).length,
+            replacedAt: null
+        }, true));
+
+        if (history.versions.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'version-empty';
+            empty.textContent = 'No earlier versions yet. Each time you save an edit, the previous version is kept here.';
+            list.appendChild(empty);
+        }
+        history.versions.forEach(version => list.appendChild(createVersionItem(version, false)));
+    } catch (error) {
+        console.error('❌ Failed to load version history:', error);
+        list.innerHTML = '<p class="version-empty">Could not load the version history.</p>';
+    }
+}
+
+function createVersionItem(version, isCurrent) {
+    const item = document.createElement('div');
+    item.className = 'version-item';
+    if (isCurrent) item.classList.add('version-current');
+
+    const info = document.createElement('div');
+    info.className = 'version-info';
+
+    const name = document.createElement('div');
+    name.className = 'version-name';
+    name.textContent = isCurrent ? `Version ${version.version} (current)` : `Version ${version.version}`;
+
+    const meta = document.createElement('div');
+    meta.className = 'version-meta';
+    const counts = `${version.sectionCount} sections • ${version.conceptCount} terms`;
+    meta.textContent = version.replacedAt
+        ? `${version.title} • ${counts} • replaced ${formatDate(new Date(version.replacedAt))}`
+        : `${version.title} • ${counts}`;
+
+    info.appendChild(name);
+    info.appendChild(meta);
+    item.appendChild(info);
+
+    if (!isCurrent) {
+        const actions = document.createElement('div');
+        actions.className = 'version-actions';
+
+        const compareBtn = document.createElement('button');
+        compareBtn.type = 'button';
+        compareBtn.textContent = 'Compare';
+        compareBtn.addEventListener('click', () => showVersionDiff(version.version));
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.type = 'button';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', () => restoreReviewerVersion(version.version));
+
+        actions.appendChild(compareBtn);
+        actions.appendChild(restoreBtn);
+        item.appendChild(actions);
+    }
+
+    return item;
+}
+
+async function showVersionDiff(version) {
+    const panel = document.querySelector('#versionHistoryOverlay .version-diff');
+    if (!panel) return;
+
+    panel.hidden = false;
+    panel.innerHTML = '<p class="version-empty">Loading changes...</p>';
+
+    try {
+        const response = await authenticatedFetch(`${BACKEND_URL}/api/reviewer/${window.currentReviewerId}/versions/${version}`);
+        if (!response.ok) throw new Error(`Server error: ${response.status}`);
+        const snapshot = await response.json();
+        renderVersionDiff(panel, version, snapshot.currentVersion, snapshot.diff);
+    } catch (error) {
+        console.error('❌ Failed to load version:', error);
+        panel.innerHTML = '<p class="version-empty">Could not load this version.</p>';
+    }
+}
+
+// Lines removed since the older version show in red, lines added in green
+function renderVersionDiff(panel, version, currentVersion, diff) {
+    panel.innerHTML = '';
+
+    const heading = document.createElement('h4');
+    heading.textContent = `Changes from version ${version} to version ${currentVersion}`;
+    panel.appendChild(heading);
+
+    const { summary } = diff;
+    const summaryLine = document.createElement('p');
+    summaryLine.className = 'diff-summary';
+    summaryLine.textContent = `Sections: ${summary.sectionsAdded} added, ${summary.sectionsRemoved} removed, ${summary.sectionsChanged} changed • `
+        + `Terms: ${summary.conceptsAdded} added, ${summary.conceptsRemoved} removed, ${summary.conceptsChanged} changed`;
+    panel.appendChild(summaryLine);
+
+    if (diff.title) {
+        panel.appendChild(createDiffLine('removed', `Title: ${diff.title.from}`));
+        panel.appendChild(createDiffLine('added', `Title: ${diff.title.to}`));
+    }
+
+    diff.sections.filter(section => section.status !== 'unchanged').forEach(section => {
+        const block = document.createElement('div');
+        block.className = `diff-section diff-${section.status}`;
+
+        const title = document.createElement('div');
+        title.className = 'diff-section-title';
+        title.textContent = section.previousTitle
+            ? `${section.previousTitle} → ${section.title} (${section.status})`
+            : `${section.title} (${section.status})`;
+        block.appendChild(title);
+
+        section.lines.forEach(line => block.appendChild(createDiffLine(line.type, line.text)));
+        panel.appendChild(block);
+    });
+
+    if (diff.concepts.length > 0) {
+        const block = document.createElement('div');
+        block.className = 'diff-section';
+        const title = document.createElement('div');
+        title.className = 'diff-section-title';
+        title.textContent = 'Key Terms';
+        block.appendChild(title);
+
+        diff.concepts.forEach(change => {
+            if (change.status !== 'added') block.appendChild(createDiffLine('removed', `${change.term}: ${change.from}`));
+            if (change.status !== 'removed') block.appendChild(createDiffLine('added', `${change.term}: ${change.to}`));
+        });
+        panel.appendChild(block);
+    }
+
+    if (!diff.title && diff.concepts.length === 0 && diff.sections.every(section => section.status === 'unchanged')) {
+        const same = document.createElement('p');
+        same.className = 'version-empty';
+        same.textContent = 'This version has the same content as the current one.';
+        panel.appendChild(same);
+    }
+}
+
+function createDiffLine(type, text) {
+    const line = document.createElement('div');
+    line.className = `diff-line diff-line-${type}`;
+    line.textContent = `${type === 'added' ? '+' : type === 'removed' ? '−' : ' '} ${text}`;
+    return line;
+}
+
+async function restoreReviewerVersion(version) {
+    if (!confirm(`Restore version ${version}?\n\nThe current version will be kept in the history.`)) return;
+
+    try {
+        const response = await authenticatedFetch(`${BACKEND_URL}/api/reviewer/${window.currentReviewerId}/versions/${version}/restore`, {
+            method: 'POST',
+            body: JSON.stringify({ baseVersion: window.currentReviewerData.version || 1 })
+        });
+        const result = await response.json().catch(() => ({}));
+
+        document.getElementById('versionHistoryOverlay')?.remove();
+
+        if (response.status === 409) {
+            handleReviewerConflict(result.reviewer);
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+
+        console.log(`✅ Restored version ${version} as version ${result.version}`);
+        if (reviewerEditMode) {
+            reviewerEditMode = false;
+            document.body.classList.remove('reviewer-editing');
+        }
+        applyReviewerUpdate(result);
+    } catch (error) {
+        console.error('❌ Failed to restore version:', error);
+        alert(`Could not restore version ${version}:\n\n${error.message}`);
+    }
+}
+
+// ==================== //
+// Glossary & Concept Map
+// ==================== //
+const CONCEPT_GRAPH_WIDTH = 720;
+const CONCEPT_GRAPH_HEIGHT = 480;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function openConceptExplorer(view = 'glossary') {
+    document.getElementById('conceptExplorerOverlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'concept-explorer-overlay';
+    overlay.id = 'conceptExplorerOverlay';
+    overlay.innerHTML = `
+        <div class="concept-explorer-modal">
+            <div class="concept-explorer-header">
+                <div class="concept-explorer-tabs">
+                    <button type="button" class="concept-explorer-tab" data-view="glossary">Glossary</button>
+                    <button type="button" class="concept-explorer-tab" data-view="graph">Concept Map</button>
+                </div>
+                <button type="button" class="btn-close-concept-explorer" title="Close">✕</button>
+            </div>
+            <div class="concept-explorer-body">
+                <div class="glossary-view" data-view="glossary">
+                    <input type="search" class="glossary-search" placeholder="Search terms and definitions...">
+                    <div class="glossary-list"></div>
+                </div>
+                <div class="concept-graph-view" data-view="graph">
+                    <div class="concept-graph-legend">
+                        <span class="legend-classification">Classification</span>
+                        <span class="legend-process">Process</span>
+                        <span class="legend-co-occurrence">Mentioned together</span>
+                    </div>
+                    <div class="concept-graph-canvas"></div>
+                    <p class="concept-graph-hint">Click a term to jump to the section that discusses it.</p>
+                </div>
+            </div>
+        </div>
+    `;
+
+    overlay.querySelector('.btn-close-concept-explorer').addEventListener('click', () => overlay.remove());
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) overlay.remove();
+    });
+    overlay.querySelectorAll('.concept-explorer-tab').forEach(tab => {
+        tab.addEventListener('click', () => showConceptExplorerView(overlay, tab.dataset.view));
+    });
+
+    // Built from the current content, so edits show up the next time it opens
+    const glossary = buildGlossary(window.currentReviewerData);
+    const list = overlay.querySelector('.glossary-list');
+    const search = overlay.querySelector('.glossary-search');
+    renderGlossaryList(list, glossary);
+    search.addEventListener('input', () => renderGlossaryList(list, filterGlossary(glossary, search.value)));
+
+    document.body.appendChild(overlay);
+    showConceptExplorerView(overlay, view);
+}
+
+// The graph is laid out the first time its tab is shown
+function showConceptExplorerView(overlay, view) {
+    overlay.querySelectorAll('.concept-explorer-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.view === view);
+    });
+    overlay.querySelectorAll('.concept-explorer-body > [data-view]').forEach(panel => {
+        panel.hidden = panel.dataset.view !== view;
+    });
+
+    const canvas = overlay.querySelector('.concept-graph-canvas');
+    if (view === 'graph' && !canvas.hasChildNodes()) {
+        renderConceptGraph(canvas, buildConceptGraph(window.currentReviewerData));
+    }
+}
+
+function renderGlossaryList(list, entries) {
+    list.innerHTML = '';
+
+    if (entries.length === 0) {
+        list.innerHTML = '<p class="version-empty">No matching terms.</p>';
+        return;
+    }
+
+    let currentLetter = null;
+    entries.forEach(entry => {
+        const letter = entry.term.charAt(0).toUpperCase();
+        if (letter !== currentLetter) {
+            currentLetter = letter;
+            const heading = document.createElement('h4');
+            heading.className = 'glossary-letter';
+            heading.textContent = letter;
+            list.appendChild(heading);
+        }
+
+        const item = document.createElement('div');
+        item.className = 'glossary-entry';
+
+        const term = document.createElement('div');
+        term.className = 'glossary-term';
+        term.textContent = entry.term;
+
+        const definition = document.createElement('div');
+        definition.className = 'glossary-definition';
+        definition.textContent = entry.definition;
+
+        const links = document.createElement('div');
+        links.className = 'glossary-sections';
+        if (entry.sections.length === 0) {
+            links.textContent = 'Not mentioned in the sections';
+        }
+        entry.sections.forEach(section => {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'glossary-section-link';
+            link.textContent = section.title;
+            link.addEventListener('click', () => jumpToSection(section.index));
+            links.appendChild(link);
+        });
+
+        item.appendChild(term);
+        item.appendChild(definition);
+        item.appendChild(links);
+        list.appendChild(item);
+    });
+}
+
+function renderConceptGraph(canvas, graph) {
+    if (graph.nodes.length === 0) {
+        canvas.innerHTML = '<p class="version-empty">This reviewer has no key terms to map yet.</p>';
+        return;
+    }
+
+    const positions = layoutConceptGraph(graph, CONCEPT_GRAPH_WIDTH, CONCEPT_GRAPH_HEIGHT);
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${CONCEPT_GRAPH_WIDTH} ${CONCEPT_GRAPH_HEIGHT}`);
+    svg.setAttribute('class', 'concept-graph');
+
+    graph.edges.forEach(edge => {
+        const line = document.createElementNS(SVG_NS, 'line');
+        line.setAttribute('x1', positions[edge.source].x);
+        line.setAttribute('y1', positions[edge.source].y);
+        line.setAttribute('x2', positions[edge.target].x);
+        line.setAttribute('y2', positions[edge.target].y);
+        line.setAttribute('stroke-width', Math.min(1 + edge.weight, 5));
+        line.setAttribute('class', `concept-edge concept-edge-${edge.kind}`);
+        svg.appendChild(line);
+    });
+
+    graph.nodes.forEach(node => {
+        const group = document.createElementNS(SVG_NS, 'g');
+        group.setAttribute('class', node.sections.length > 0 ? 'concept-node' : 'concept-node concept-node-unplaced');
+        group.setAttribute('transform', `translate(${positions[node.id].x}, ${positions[node.id].y})`);
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = node.definition ? `${node.term}: ${node.definition}` : node.term;
+
+        const circle = document.createElementNS(SVG_NS, 'circle');
+        circle.setAttribute('r', 6 + Math.min(node.mentions, 8));
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('y', -12 - Math.min(node.mentions, 8));
+        label.setAttribute('text-anchor', 'middle');
+        label.textContent = node.term.length > 24 ? `${node.term.substring(0, 23)}…` : node.term;
+
+        group.appendChild(title);
+        group.appendChild(circle);
+        group.appendChild(label);
+        if (node.sections.length > 0) {
+            group.addEventListener('click', () => jumpToSection(node.sections[0].index));
+        }
+        svg.appendChild(group);
+    });
+
+    canvas.appendChild(svg);
+}
+
+function jumpToSection(index) {
+    document.getElementById('conceptExplorerOverlay')?.remove();
+
+    const section = document.getElementById(`section-${index}`);
+    if (!section) return;
+
+    section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    section.classList.remove('section-jump-target');
+    void section.offsetWidth; // restart the animation when jumping to the same section again
+    section.classList.add('section-jump-target');
+    setTimeout(() => section.classList.remove('section-jump-target'), 2000);
+}
+
 // ==================== //
 // Display Reviewer
 // ==================== //
@@ -1783,7 +3015,19 @@ function formatInlineText(text) {
     text = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
     text = text.replace(/__(.+?)__/g, '<strong>$1</strong>');
     text = text.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    return text;
+    return formatScienceNotation(text);
+}
+
+// Formulas arrive as Unicode (H₂O, Fe³⁺, →) from the content pipeline.
+// Scripts Unicode has no characters for stay as x_{max} / e^{kt} and become
+// <sub>/<sup>; formulas and the equations joining them don't wrap mid-way.
+const FORMULA_TERM = '\\d*[A-Z(][A-Za-z()₀-₉¹²³⁰-⁹]*[₀-₉⁺⁻][A-Za-z()₀-₉¹²³⁰-⁹⁺⁻]*';
+const FORMULA_RUN = new RegExp(`${FORMULA_TERM}(?:\\s*[+→⇌←]\\s*${FORMULA_TERM})*`, 'g');
+
+function formatScienceNotation(text) {
+    text = text.replace(/_\{([^{}<>]+)\}/g, '<sub>$1</sub>');
+    text = text.replace(/\^\{([^{}<>]+)\}/g, '<sup>$1</sup>');
+    return text.replace(FORMULA_RUN, match => `<span class="formula">${match}</span>`);
 }
 
 // ==================== //
@@ -1827,6 +3071,21 @@ function initTopNavButtons() {
         handleShare();
     });
     
+    document.getElementById('editReviewerBtn')?.addEventListener('click', () => {
+        if (navigator.vibrate) navigator.vibrate(10);
+        enterEditMode();
+    });
+    
+    document.getElementById('versionHistoryBtn')?.addEventListener('click', () => {
+        if (navigator.vibrate) navigator.vibrate(10);
+        openVersionHistory();
+    });
+    
+    document.getElementById('glossaryBtn')?.addEventListener('click', () => {
+        if (navigator.vibrate) navigator.vibrate(10);
+        openConceptExplorer();
+    });
+    
     // Toggle annotations button
     document.getElementById('toggleAnnotationsBtn')?.addEventListener('click', () => {
         if (navigator.vibrate) navigator.vibrate(10);
@@ -0,0 +1,261 @@
+// textAnchors.js - Text Anchors for ReviewerPage Highlights
+// A highlight is stored as what it covers rather than as a DOM range: its
+// section, the quoted text with some context on either side, and character
+// offsets within the section's text. When the reviewer renders differently
+// (or its content changes) the quote is found again - exactly if possible,
+// otherwise by closest match - so highlights don't depend on identical markup.
+
+const ANCHOR_CONTEXT_CHARS = 32;
+const FUZZY_MATCH_THRESHOLD = 0.75;
+const FUZZY_MAX_TEXT_CHARS = 60000;
+
+// Elements ReviewerPage adds on top of the content; their text is not part of it
+const ANCHOR_IGNORE_SELECTOR = '.bookmark-icon, .note-indicator, .note-editor';
+
+function normalizeForMatch(value) {
+    return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function characterBigrams(value) {
+    const normalized = normalizeForMatch(value);
+    const counts = new Map();
+    for (let i = 0; i < normalized.length - 1; i++) {
+        const bigram = normalized.substr(i, 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+    }
+    return { counts, size: Math.max(normalized.length - 1, 0), normalized };
+}
+
+// Dice coefficient over character bigrams: 1 for identical text, 0 for nothing in common
+function textSimilarity(a, b) {
+    const first = characterBigrams(a);
+    const second = characterBigrams(b);
+
+    if (!first.size || !second.size) {
+        return first.normalized === second.normalized ? 1 : 0;
+    }
+
+    let overlap = 0;
+    first.counts.forEach((count, bigram) => {
+        overlap += Math.min(count, second.counts.get(bigram) || 0);
+    });
+    return (2 * overlap) / (first.size + second.size);
+}
+
+class TextAnchorer {
+    constructor(root) {
+        this.root = root;
+    }
+
+    // Text nodes of an element in document order, each with its offset in the element's text
+    collectText(container) {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => (node.parentElement && node.parentElement.closest(ANCHOR_IGNORE_SELECTOR)
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT)
+        });
+
+        const nodes = [];
+        let text = '';
+        let node;
+        while ((node = walker.nextNode())) {
+            nodes.push({ node, start: text.length });
+            text += node.textContent;
+        }
+        return { nodes, text };
+    }
+
+    sections() {
+        return Array.from(this.root.querySelectorAll('.content-section'));
+    }
+
+    containerFor(node) {
+        const element = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+        return (element && element.closest('.content-section')) || this.root;
+    }
+
+    // Character offset of a DOM boundary point within the collected text
+    offsetOf(collected, node, offset) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            const entry = collected.nodes.find(item => item.node === node);
+            if (entry) return entry.start + offset;
+        }
+
+        const boundary = document.createRange();
+        boundary.setStart(node, offset);
+        const next = collected.nodes.find(item => boundary.comparePoint(item.node, 0) >= 0);
+        return next ? next.start : collected.text.length;
+    }
+
+    // Anchor for the text between two offsets of a container
+    anchorAt(container, start, end) {
+        const { text } = this.collectText(container);
+        const isSection = container !== this.root;
+
+        return {
+            sectionId: isSection ? container.id : null,
+            sectionIndex: isSection ? this.sections().indexOf(container) : null,
+            exact: text.slice(start, end),
+            prefix: text.slice(Math.max(0, start - ANCHOR_CONTEXT_CHARS), start),
+            suffix: text.slice(end, end + ANCHOR_CONTEXT_CHARS),
+            start,
+            end
+        };
+    }
+
+    // Anchor for a selection range. A selection running past the end of its
+    // section is cut at the section end; surrounding whitespace is dropped.
+    describe(range) {
+        const container = this.containerFor(range.startContainer);
+        const collected = this.collectText(container);
+
+        let start = this.offsetOf(collected, range.startContainer, range.startOffset);
+        let end = container.contains(range.endContainer)
+            ? this.offsetOf(collected, range.endContainer, range.endOffset)
+            : collected.text.length;
+
+        while (start < end && /\s/.test(collected.text[start])) start++;
+        while (end > start && /\s/.test(collected.text[end - 1])) end--;
+
+        return this.anchorAt(container, start, end);
+    }
+
+    // Where the anchor's text is now: { container, start, end, exact } or null.
+    // exact is false when only a close match was found.
+    locate(anchor) {
+        if (!anchor || !anchor.exact || !anchor.exact.trim()) return null;
+
+        const containers = [];
+        if (anchor.sectionId) {
+            const section = document.getElementById(anchor.sectionId);
+            if (section && this.root.contains(section)) containers.push(section);
+        }
+        if (anchor.sectionIndex !== null && anchor.sectionIndex !== undefined) {
+            const section = this.sections()[anchor.sectionIndex];
+            if (section && !containers.includes(section)) containers.push(section);
+        }
+        containers.push(this.root);
+
+        // Exact matches anywhere beat a close match in the original section.
+        // Stored offsets are relative to the section, so they mean nothing
+        // when searching the whole document for a sectioned anchor.
+        for (const container of containers) {
+            const { text } = this.collectText(container);
+            const ignoreOffsets = container === this.root && Boolean(anchor.sectionId);
+            const match = this.findExact(text, anchor, ignoreOffsets);
+            if (match) return { container, ...match };
+        }
+        for (const container of containers) {
+            const { text } = this.collectText(container);
+            const match = this.findFuzzy(text, anchor);
+            if (match) return { container, ...match };
+        }
+        return null;
+    }
+
+    findExact(text, anchor, ignoreOffsets) {
+        const { exact } = anchor;
+
+        if (!ignoreOffsets && Number.isInteger(anchor.start) && text.slice(anchor.start, anchor.end) === exact) {
+            return { start: anchor.start, end: anchor.end, exact: true };
+        }
+
+        const occurrences = [];
+        let index = text.indexOf(exact);
+        while (index !== -1) {
+            occurrences.push(index);
+            index = text.indexOf(exact, index + 1);
+        }
+        if (occurrences.length === 0) return null;
+
+        // Several occurrences: the one whose surroundings match the stored context
+        let best = occurrences[0];
+        let bestScore = -Infinity;
+        occurrences.forEach(start => {
+            const score = this.contextScore(text, start, start + exact.length, anchor, ignoreOffsets);
+            if (score > bestScore) {
+                best = start;
+                bestScore = score;
+            }
+        });
+        return { start: best, end: best + exact.length, exact: true };
+    }
+
+    contextScore(text, start, end, anchor, ignoreOffsets) {
+        const prefix = anchor.prefix || '';
+        const suffix = anchor.suffix || '';
+        let score = textSimilarity(text.slice(Math.max(0, start - prefix.length), start), prefix)
+            + textSimilarity(text.slice(end, end + suffix.length), suffix);
+
+        if (!ignoreOffsets && Number.isInteger(anchor.start) && text.length > 0) {
+            score -= Math.min(1, Math.abs(start - anchor.start) / text.length);
+        }
+        return score;
+    }
+
+    // Closest stretch of text to the quote, starting and ending on word
+    // boundaries, if it is similar enough
+    findFuzzy(text, anchor) {
+        const { exact } = anchor;
+        if (text.length > FUZZY_MAX_TEXT_CHARS) return null;
+
+        const wordStarts = [];
+        const wordEnds = [];
+        for (let i = 0; i < text.length; i++) {
+            if (/\S/.test(text[i]) && (i === 0 || /\s/.test(text[i - 1]))) wordStarts.push(i);
+            if (/\S/.test(text[i]) && (i === text.length - 1 || /\s/.test(text[i + 1]))) wordEnds.push(i + 1);
+        }
+
+        let best = null;
+        wordStarts.forEach(start => {
+            const score = textSimilarity(text.slice(start, start + exact.length), exact);
+            if (!best || score > best.score) best = { start, score };
+        });
+        if (!best) return null;
+
+        // Let the match grow or shrink to the word end that fits best
+        const minEnd = best.start + Math.floor(exact.length * 0.7);
+        const maxEnd = best.start + Math.ceil(exact.length * 1.3);
+        let bestEnd = Math.min(best.start + exact.length, text.length);
+        let bestScore = textSimilarity(text.slice(best.start, bestEnd), exact);
+        wordEnds.forEach(end => {
+            if (end < minEnd || end > maxEnd) return;
+            const score = textSimilarity(text.slice(best.start, end), exact);
+            if (score > bestScore) {
+                bestEnd = end;
+                bestScore = score;
+            }
+        });
+
+        if (bestScore < FUZZY_MATCH_THRESHOLD) return null;
+        return { start: best.start, end: bestEnd, exact: false };
+    }
+
+    // Wrap the located text in spans - one per text node, so a highlight may
+    // cross paragraph and list item boundaries
+    wrap(location, createSpan) {
+        const { nodes } = this.collectText(location.container);
+        const spans = [];
+
+        nodes.forEach(({ node, start }) => {
+            const nodeEnd = start + node.textContent.length;
+            if (nodeEnd <= location.start || start >= location.end) return;
+
+            let target = node;
+            const to = Math.min(location.end, nodeEnd) - start;
+            const from = Math.max(location.start - start, 0);
+            if (to < target.textContent.length) target.splitText(to);
+            if (from > 0) target = target.splitText(from);
+
+            // Whitespace between block elements can't take a span
+            if (!target.textContent.trim()) return;
+
+            const span = createSpan();
+            target.parentNode.insertBefore(span, target);
+            span.appendChild(target);
+            spans.push(span);
+        });
+
+        return spans;
+    }
+}
\ No newline at end of file
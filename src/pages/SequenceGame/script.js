@@ -0,0 +1,725 @@
+// SequenceGame/script.js - Order the Steps
+
+// ==================== //
+// Load Quiz Configuration & Questions
+// ==================== //
+let quizConfig = null;
+let questions = [];
+let currentQuestionIndex = 0;
+let score = 0;
+let perfectCount = 0;
+let timeRemaining = 0;
+let timerInterval = null;
+let startTime = null;
+let userAnswers = [];
+let hintUsed = false;
+let answered = false;
+
+// Indices into the current question's steps, in the order they are shown
+let currentOrder = [];
+
+function loadQuizData() {
+    console.log('📊 Loading Order the Steps quiz data...');
+    
+    const configStr = sessionStorage.getItem('currentQuizConfig');
+    const questionsStr = sessionStorage.getItem('currentQuizQuestions');
+    
+    if (!configStr || !questionsStr) {
+        console.error('❌ Missing quiz data!');
+        alert('Quiz configuration not found. Returning to Games Hub...');
+        window.location.href = '../GamesHub/index.html';
+        return false;
+    }
+    
+    try {
+        quizConfig = JSON.parse(configStr);
+        questions = JSON.parse(questionsStr);
+        
+        console.log('✅ Quiz loaded:', {
+            type: quizConfig.quizType,
+            questions: questions.length,
+            difficulty: quizConfig.difficulty,
+            timer: quizConfig.timerEnabled ? `${quizConfig.timerSeconds}s` : 'disabled'
+        });
+        
+        // Validate questions have at least three steps to order
+        questions = questions.filter(q =>
+            q.question &&
+            Array.isArray(q.steps) &&
+            q.steps.length >= 3
+        );
+        
+        if (questions.length === 0) {
+            console.error('❌ No valid questions found!');
+            alert('Invalid quiz data. Returning to Games Hub...');
+            window.location.href = '../GamesHub/index.html';
+            return false;
+        }
+        
+        // Shuffle questions
+        questions = shuffleArray(questions);
+        
+        // Initialize user answers array
+        userAnswers = new Array(questions.length).fill(null);
+        
+        return true;
+    } catch (error) {
+        console.error('❌ Error loading quiz data:', error);
+        alert('Error loading quiz. Returning to Games Hub...');
+        window.location.href = '../GamesHub/index.html';
+        return false;
+    }
+}
+
+function shuffleArray(array) {
+    const arr = [...array];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
+
+// ==================== //
+// Initialize Quiz UI
+// ==================== //
+function initQuizUI() {
+    // Update header info
+    const difficultyBadge = document.getElementById('difficultyBadge');
+    if (difficultyBadge) {
+        difficultyBadge.textContent = quizConfig.difficulty.charAt(0).toUpperCase() +
+                                      quizConfig.difficulty.slice(1);
+        difficultyBadge.className = `difficulty-badge difficulty-${quizConfig.difficulty}`;
+    }
+    
+    const questionCount = document.getElementById('questionCount');
+    if (questionCount) {
+        questionCount.textContent = `${questions.length} Questions`;
+    }
+    
+    // Initialize timer if enabled
+    if (quizConfig.timerEnabled) {
+        timeRemaining = quizConfig.timerSeconds;
+        initTimer();
+        startTimer();
+    } else {
+        const timerElement = document.getElementById('timer');
+        if (timerElement) {
+            timerElement.style.display = 'none';
+        }
+    }
+    
+    // Record start time
+    startTime = Date.now();
+    
+    // Display first question
+    displayQuestion();
+}
+
+// ==================== //
+// Timer Functions
+// ==================== //
+function initTimer() {
+    const timerElement = document.getElementById('timer');
+    if (!timerElement) return;
+    
+    timerElement.style.display = 'flex';
+    updateTimerDisplay();
+}
+
+function startTimer() {
+    timerInterval = setInterval(() => {
+        timeRemaining--;
+        updateTimerDisplay();
+        
+        if (timeRemaining <= 0) {
+            clearInterval(timerInterval);
+            endQuiz('timeout');
+        }
+    }, 1000);
+}
+
+function updateTimerDisplay() {
+    const minutes = Math.floor(timeRemaining / 60);
+    const seconds = timeRemaining % 60;
+    const timerText = document.getElementById('timerText');
+    
+    if (timerText) {
+        timerText.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    }
+    
+    // Change color when time is running out
+    const timerElement = document.getElementById('timer');
+    if (timeRemaining <= 60 && timerElement) {
+        timerElement.style.background = '#FFE5E5';
+        timerElement.style.borderColor = '#E74C3C';
+        timerText.style.color = '#E74C3C';
+    }
+}
+
+// ==================== //
+// Display Question
+// ==================== //
+function displayQuestion() {
+    if (currentQuestionIndex >= questions.length) {
+        endQuiz('completed');
+        return;
+    }
+    
+    const question = questions[currentQuestionIndex];
+    hintUsed = false;
+    answered = false;
+    
+    // Shuffle the steps, never handing out the answer as the starting order
+    const steps = question.steps.map((step, index) => index);
+    do {
+        currentOrder = shuffleArray(steps);
+    } while (currentOrder.every((step, position) => step === position));
+    
+    // Update progress
+    const progressBar = document.getElementById('progressBar');
+    if (progressBar) {
+        const progress = ((currentQuestionIndex + 1) / questions.length) * 100;
+        progressBar.style.width = `${progress}%`;
+    }
+    
+    const questionNumber = document.getElementById('questionNumber');
+    if (questionNumber) {
+        questionNumber.textContent = `Question ${currentQuestionIndex + 1}/${questions.length}`;
+    }
+    
+    const questionText = document.getElementById('questionText');
+    if (questionText) {
+        questionText.textContent = question.question;
+    }
+    
+    renderSteps();
+    
+    // Hide hint and explanation
+    const hintContainer = document.getElementById('hintContainer');
+    if (hintContainer) {
+        hintContainer.style.display = 'none';
+    }
+    
+    const explanation = document.getElementById('explanation');
+    if (explanation) {
+        explanation.style.display = 'none';
+    }
+    
+    // Reset buttons
+    const submitBtn = document.getElementById('submitBtn');
+    const nextBtn = document.getElementById('nextBtn');
+    const hintBtn = document.getElementById('hintBtn');
+    
+    if (submitBtn) {
+        submitBtn.style.display = 'flex';
+        submitBtn.disabled = false;
+    }
+    
+    if (nextBtn) {
+        nextBtn.style.display = 'none';
+    }
+    
+    if (hintBtn) {
+        hintBtn.disabled = !question.hint || question.hint === 'No hint';
+    }
+}
+
+// ==================== //
+// Render Steps
+// ==================== //
+// `inOrder` (after checking) is the set of positions whose steps are in the
+// right order relative to each other
+function renderSteps(inOrder = null) {
+    const stepList = document.getElementById('stepList');
+    if (!stepList) return;
+    
+    const question = questions[currentQuestionIndex];
+    stepList.innerHTML = '';
+    
+    currentOrder.forEach((stepIndex, position) => {
+        const item = document.createElement('li');
+        item.className = 'step-item';
+        item.dataset.step = stepIndex;
+        
+        item.innerHTML = `
+            <span class="step-handle" aria-hidden="true">⋮⋮</span>
+            <span class="step-number">${position + 1}</span>
+            <span class="step-text">${escapeHtml(question.steps[stepIndex])}</span>
+            <div class="step-moves">
+                <button class="btn-move" data-direction="-1" title="Move up" aria-label="Move up">▲</button>
+                <button class="btn-move" data-direction="1" title="Move down" aria-label="Move down">▼</button>
+            </div>
+        `;
+        
+        stepList.appendChild(item);
+        
+        if (inOrder) {
+            item.classList.add(inOrder.has(position) ? 'in-order' : 'out-of-order');
+            item.querySelector('.step-moves').style.display = 'none';
+            item.querySelector('.step-handle').style.display = 'none';
+            return;
+        }
+        
+        item.draggable = true;
+        
+        // Add drag event listeners (mouse)
+        item.addEventListener('dragstart', handleDragStart);
+        item.addEventListener('dragover', handleDragOver);
+        item.addEventListener('drop', handleDrop);
+        item.addEventListener('dragend', handleDragEnd);
+        
+        // Add touch event listeners (mobile) - only on the handle, so the
+        // rest of the step still scrolls the page
+        const handle = item.querySelector('.step-handle');
+        handle.addEventListener('touchstart', handleTouchStart, { passive: false });
+        handle.addEventListener('touchmove', handleTouchMove, { passive: false });
+        handle.addEventListener('touchend', handleTouchEnd, { passive: false });
+        
+        // Move buttons (keyboard and small screens)
+        item.querySelectorAll('.btn-move').forEach(button => {
+            const direction = parseInt(button.dataset.direction);
+            const target = position + direction;
+            button.disabled = target < 0 || target >= currentOrder.length;
+            button.addEventListener('click', () => moveStep(position, direction));
+        });
+    });
+}
+
+function moveStep(position, direction) {
+    const target = position + direction;
+    if (answered || target < 0 || target >= currentOrder.length) return;
+    
+    [currentOrder[position], currentOrder[target]] = [currentOrder[target], currentOrder[position]];
+    renderSteps();
+    
+    // Keep focus on the moved step so it can be moved again
+    const stepList = document.getElementById('stepList');
+    const button = stepList?.children[target]?.querySelector(`.btn-move[data-direction="${direction}"]`);
+    if (button && !button.disabled) {
+        button.focus();
+    }
+}
+
+// Reads the order back from the list after a drag, which moves the
+// elements themselves
+function syncOrderFromList() {
+    const stepList = document.getElementById('stepList');
+    if (!stepList) return;
+    
+    currentOrder = Array.from(stepList.children, item => parseInt(item.dataset.step));
+    renderSteps();
+}
+
+// Moves the dragged step above or below `target`, whichever half of it
+// the pointer is over
+function placeDraggedStep(dragged, target, clientY) {
+    if (!dragged || !target || dragged === target) return;
+    
+    const rect = target.getBoundingClientRect();
+    const after = clientY > rect.top + rect.height / 2;
+    target.parentNode.insertBefore(dragged, after ? target.nextSibling : target);
+}
+
+// ==================== //
+// Mouse Drag and Drop Handlers
+// ==================== //
+let draggedElement = null;
+
+function handleDragStart(e) {
+    draggedElement = e.currentTarget;
+    e.currentTarget.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', e.currentTarget.dataset.step);
+}
+
+function handleDragOver(e) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    placeDraggedStep(draggedElement, e.currentTarget, e.clientY);
+}
+
+function handleDrop(e) {
+    e.preventDefault();
+}
+
+function handleDragEnd(e) {
+    e.currentTarget.classList.remove('dragging');
+    draggedElement = null;
+    syncOrderFromList();
+}
+
+// ==================== //
+// Touch Event Handlers for Mobile
+// ==================== //
+let touchElement = null;
+let touchClone = null;
+let touchOffsetY = 0;
+let autoScrollInterval = null;
+
+function handleTouchStart(e) {
+    if (answered) return;
+    
+    touchElement = e.currentTarget.closest('.step-item');
+    touchElement.classList.add('dragging');
+    
+    const touch = e.touches[0];
+    const rect = touchElement.getBoundingClientRect();
+    touchOffsetY = touch.clientY - rect.top;
+    
+    // Create a clone for visual feedback
+    touchClone = touchElement.cloneNode(true);
+    touchClone.classList.remove('dragging');
+    touchClone.classList.add('touch-clone');
+    touchClone.style.position = 'fixed';
+    touchClone.style.left = rect.left + 'px';
+    touchClone.style.top = rect.top + 'px';
+    touchClone.style.width = rect.width + 'px';
+    touchClone.style.pointerEvents = 'none';
+    touchClone.style.zIndex = '9999';
+    
+    document.body.appendChild(touchClone);
+    
+    e.preventDefault();
+}
+
+function handleTouchMove(e) {
+    if (!touchElement || !touchClone) return;
+    
+    const touch = e.touches[0];
+    
+    // Move the clone (vertically only - it's a list)
+    touchClone.style.top = (touch.clientY - touchOffsetY) + 'px';
+    
+    // Auto-scroll when near screen edges
+    handleAutoScroll(touch.clientY);
+    
+    // Find the step under the touch point
+    const elementBelow = document.elementFromPoint(touch.clientX, touch.clientY);
+    const target = elementBelow?.closest('.step-item');
+    
+    if (target && target.parentNode === touchElement.parentNode) {
+        placeDraggedStep(touchElement, target, touch.clientY);
+    }
+    
+    e.preventDefault();
+}
+
+// Auto-scroll function for mobile dragging
+function handleAutoScroll(touchY) {
+    const scrollThreshold = 80; // Distance from edge to trigger scroll
+    const scrollSpeed = 10; // Pixels to scroll per interval
+    const viewportHeight = window.innerHeight;
+    
+    // Stop any existing auto-scroll
+    if (autoScrollInterval) {
+        clearInterval(autoScrollInterval);
+        autoScrollInterval = null;
+    }
+    
+    if (touchY < scrollThreshold) {
+        const speed = Math.ceil(scrollSpeed * (1 - touchY / scrollThreshold));
+        autoScrollInterval = setInterval(() => window.scrollBy(0, -speed), 20);
+    } else if (touchY > viewportHeight - scrollThreshold) {
+        const speed = Math.ceil(scrollSpeed * (touchY - (viewportHeight - scrollThreshold)) / scrollThreshold);
+        autoScrollInterval = setInterval(() => window.scrollBy(0, speed), 20);
+    }
+}
+
+function handleTouchEnd(e) {
+    if (!touchElement) return;
+    
+    touchElement.classList.remove('dragging');
+    
+    // Stop auto-scrolling
+    if (autoScrollInterval) {
+        clearInterval(autoScrollInterval);
+        autoScrollInterval = null;
+    }
+    
+    // Remove clone
+    if (touchClone) {
+        touchClone.remove();
+        touchClone = null;
+    }
+    
+    touchElement = null;
+    syncOrderFromList();
+    
+    e.preventDefault();
+}
+
+// ==================== //
+// Scoring
+// ==================== //
+// Positions of the longest run of steps placed in the right order relative
+// to each other (not necessarily next to each other). Steps are few, so the
+// quadratic longest-increasing-subsequence is plenty.
+function longestOrderedRun(order) {
+    const lengths = order.map(() => 1);
+    const previous = order.map(() => -1);
+    
+    for (let i = 0; i < order.length; i++) {
+        for (let j = 0; j < i; j++) {
+            if (order[j] < order[i] && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+    }
+    
+    let end = lengths.indexOf(Math.max(...lengths));
+    const positions = new Set();
+    while (end !== -1) {
+        positions.add(end);
+        end = previous[end];
+    }
+    return positions;
+}
+
+// Partial credit: 1 for the right order, 0 when no two steps are in the
+// right order (fully reversed), in between by the longest ordered run
+function orderCredit(order) {
+    return (longestOrderedRun(order).size - 1) / (order.length - 1);
+}
+
+// ==================== //
+// Show Hint
+// ==================== //
+function showHint() {
+    const question = questions[currentQuestionIndex];
+    
+    if (!question.hint) return;
+    
+    const hintContainer = document.getElementById('hintContainer');
+    const hintText = document.getElementById('hintText');
+    const hintBtn = document.getElementById('hintBtn');
+    
+    if (hintContainer && hintText) {
+        hintText.textContent = question.hint;
+        hintContainer.style.display = 'flex';
+    }
+    
+    if (hintBtn) {
+        hintBtn.disabled = true;
+    }
+    
+    hintUsed = true;
+}
+
+// ==================== //
+// Submit Answer
+// ==================== //
+function submitAnswer() {
+    if (answered) return;
+    answered = true;
+    
+    const question = questions[currentQuestionIndex];
+    
+    // Store the order as the steps themselves, so history reads on its own
+    userAnswers[currentQuestionIndex] = currentOrder.map(stepIndex => question.steps[stepIndex]);
+    
+    const credit = orderCredit(currentOrder);
+    const isCorrect = credit === 1;
+    
+    score += credit;
+    if (isCorrect) {
+        perfectCount++;
+    }
+    
+    // Show feedback
+    renderSteps(longestOrderedRun(currentOrder));
+    showFeedback(isCorrect, credit, question);
+    
+    const submitBtn = document.getElementById('submitBtn');
+    if (submitBtn) {
+        submitBtn.style.display = 'none';
+    }
+    
+    const hintBtn = document.getElementById('hintBtn');
+    if (hintBtn) {
+        hintBtn.disabled = true;
+    }
+    
+    // Show next button or finish
+    const nextBtn = document.getElementById('nextBtn');
+    if (nextBtn) {
+        if (currentQuestionIndex < questions.length - 1) {
+            nextBtn.innerHTML = `
+                Next Question
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M5 12h14M12 5l7 7-7 7"/>
+                </svg>
+            `;
+        } else {
+            nextBtn.innerHTML = `
+                Finish Quiz
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="20 6 9 17 4 12"></polyline>
+                </svg>
+            `;
+        }
+        nextBtn.style.display = 'flex';
+    }
+}
+
+// ==================== //
+// Show Feedback
+// ==================== //
+function showFeedback(isCorrect, credit, question) {
+    const explanation = document.getElementById('explanation');
+    const explanationIcon = document.getElementById('explanationIcon');
+    const explanationTitle = document.getElementById('explanationTitle');
+    const explanationText = document.getElementById('explanationText');
+    
+    if (!explanation || !explanationIcon || !explanationTitle || !explanationText) return;
+    
+    if (isCorrect) {
+        explanation.classList.add('correct');
+        explanation.classList.remove('incorrect');
+        explanationIcon.textContent = '✓';
+        explanationTitle.textContent = 'Correct order!';
+    } else {
+        explanation.classList.add('incorrect');
+        explanation.classList.remove('correct');
+        explanationIcon.textContent = '✗';
+        explanationTitle.textContent = `Partly right - ${Math.round(credit * 100)}% credit`;
+    }
+    
+    explanationText.textContent = `Correct order: ${question.steps.join(' → ')}`;
+    explanation.style.display = 'block';
+}
+
+// ==================== //
+// Next Question
+// ==================== //
+function nextQuestion() {
+    if (currentQuestionIndex < questions.length - 1) {
+        currentQuestionIndex++;
+        displayQuestion();
+    } else {
+        endQuiz('completed');
+    }
+}
+
+// ==================== //
+// End Quiz
+// ==================== //
+function endQuiz(reason) {
+    if (timerInterval) {
+        clearInterval(timerInterval);
+    }
+    
+    const timeTaken = Math.floor((Date.now() - startTime) / 1000);
+    
+    // Only a perfect order counts as correct; the percentage includes the
+    // partial credit for the rest
+    const results = {
+        quizType: 'Order the Steps',
+        difficulty: quizConfig.difficulty,
+        totalQuestions: questions.length,
+        correctAnswers: perfectCount,
+        wrongAnswers: questions.length - perfectCount,
+        percentage: Math.round((score / questions.length) * 100),
+        timeTaken: timeTaken,
+        reason: reason
+    };
+    
+    console.log('🎯 Quiz completed:', results);
+    
+    // Store results and user answers
+    sessionStorage.setItem('quizResults', JSON.stringify(results));
+    sessionStorage.setItem('userAnswers', JSON.stringify(userAnswers));
+    
+    // Store the shuffled questions so answers line up on the results page
+    sessionStorage.setItem('currentQuizQuestions', JSON.stringify(questions));
+    
+    // Navigate to results page
+    window.location.href = '../GameResults/index.html';
+}
+
+// ==================== //
+// Exit Modal Functions
+// ==================== //
+function showExitModal() {
+    const modal = document.getElementById('exitModal');
+    if (modal) {
+        modal.classList.add('active');
+    }
+}
+
+function closeExitModal() {
+    const modal = document.getElementById('exitModal');
+    if (modal) {
+        modal.classList.remove('active');
+    }
+}
+
+function confirmExit() {
+    window.location.href = '../GamesHub/index.html';
+}
+
+// ==================== //
+// Helper Functions
+// ==================== //
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ==================== //
+// Initialize Everything
+// ==================== //
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('🔢 Order the Steps Quiz Loaded');
+    
+    const loaded = loadQuizData();
+    
+    if (loaded) {
+        initQuizUI();
+        
+        // Setup exit button
+        const exitBtn = document.getElementById('exitBtn');
+        if (exitBtn) {
+            exitBtn.addEventListener('click', showExitModal);
+        }
+        
+        // Setup hint button
+        const hintBtn = document.getElementById('hintBtn');
+        if (hintBtn) {
+            hintBtn.addEventListener('click', showHint);
+        }
+        
+        // Setup submit button
+        const submitBtn = document.getElementById('submitBtn');
+        if (submitBtn) {
+            submitBtn.addEventListener('click', submitAnswer);
+        }
+        
+        // Setup next button
+        const nextBtn = document.getElementById('nextBtn');
+        if (nextBtn) {
+            nextBtn.addEventListener('click', nextQuestion);
+        }
+        
+        // Close modal on overlay click
+        const exitModal = document.getElementById('exitModal');
+        if (exitModal) {
+            exitModal.addEventListener('click', (e) => {
+                if (e.target.id === 'exitModal') {
+                    closeExitModal();
+                }
+            });
+        }
+        
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                showExitModal();
+            }
+        });
+        
+        console.log('✅ Order the Steps Quiz initialized successfully');
+    }
+});
\ No newline at end of file
@@ -1,8 +1,24 @@
+// ==================== //
+// Backend URL
+// ==================== //
+function getBackendURL() {
+    return window.location.origin;
+}
+
+const BACKEND_URL = getBackendURL();
+
 // ==================== //
 // Global Variables
 // ==================== //
 let currentEditField = null;
 
+// ==================== //
+// Authentication Helper Functions
+// ==================== //
+function getSessionToken() {
+    return sessionStorage.getItem('sessionToken') || localStorage.getItem('sessionToken');
+}
+
 // ==================== //
 // Back Button
 // ==================== //
@@ -101,17 +117,29 @@ function applyFontSize(size) {
 // Edit Buttons
 // ==================== //
 function initEditButtons() {
-    const editButtons = document.querySelectorAll('.btn-edit');
+    const editButtons = document.querySelectorAll('.setting-item[data-field] .btn-edit');
     
     editButtons.forEach(button => {
         button.addEventListener('click', (e) => {
+            if (!getSessionToken()) {
+                alert('Please log in to edit your account.');
+                return;
+            }
+            
             const settingItem = button.closest('.setting-item');
+            
+            if (settingItem.dataset.field === 'password') {
+                openPasswordModal();
+                return;
+            }
+            
             const label = settingItem.querySelector('.setting-label').textContent;
             const currentValue = settingItem.querySelector('.setting-sublabel').textContent;
             
             currentEditField = {
                 element: settingItem,
-                field: label.toLowerCase(),
+                field: settingItem.dataset.field,
+                label: label,
                 currentValue: currentValue
             };
             
@@ -120,6 +148,78 @@ function initEditButtons() {
     });
 }
 
+// ==================== //
+// Account Profile
+// ==================== //
+function renderProfile(profile) {
+    document.getElementById('fullNameValue').textContent = profile.fullName;
+    document.getElementById('emailValue').textContent = profile.email;
+    
+    const preview = document.getElementById('profileImagePreview');
+    const initials = document.getElementById('profileInitials');
+    
+    if (profile.profileImage) {
+        preview.src = profile.profileImage;
+        preview.hidden = false;
+        initials.hidden = true;
+    } else {
+        preview.removeAttribute('src');
+        preview.hidden = true;
+        initials.hidden = false;
+        initials.textContent = (profile.fullName || 'S').trim().charAt(0).toUpperCase();
+    }
+    
+    document.getElementById('removePhotoBtn').hidden = !profile.profileImage;
+    
+    // Other pages greet the user from these
+    sessionStorage.setItem('userName', profile.fullName);
+    sessionStorage.setItem('userEmail', profile.email);
+}
+
+async function loadAccountProfile() {
+    const sessionToken = getSessionToken();
+    
+    if (!sessionToken) {
+        document.getElementById('fullNameValue').textContent = 'Log in to edit';
+        document.getElementById('emailValue').textContent = 'Log in to edit';
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${BACKEND_URL}/api/account`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Failed to load profile: ${response.status}`);
+        }
+        
+        renderProfile(await response.json());
+        console.log('Account profile loaded');
+    } catch (error) {
+        console.error('Could not load account profile:', error);
+    }
+}
+
+// Sends a JSON body to an /api/account endpoint and returns the parsed
+// response, throwing the server's error message on failure
+async function sendAccountRequest(method, path, body) {
+    const response = await fetch(`${BACKEND_URL}/api/account${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${getSessionToken()}`
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const result = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        throw new Error(result.error || `Request failed: ${response.status}`);
+    }
+    return result;
+}
+
 // ==================== //
 // Edit Modal
 // ==================== //
@@ -131,8 +231,10 @@ function openEditModal(field, currentValue) {
     
     modalTitle.textContent = `Edit ${field}`;
     modalLabel.textContent = `New ${field}`;
+    modalInput.type = currentEditField && currentEditField.field === 'email' ? 'email' : 'text';
     modalInput.value = currentValue;
     modalInput.placeholder = `Enter new ${field.toLowerCase()}`;
+    document.getElementById('editError').textContent = '';
     
     modal.classList.add('active');
     modalInput.focus();
@@ -144,26 +246,213 @@ function closeEditModal() {
     currentEditField = null;
 }
 
-function saveChanges() {
+async function saveChanges() {
     const modalInput = document.getElementById('modalInput');
+    const errorText = document.getElementById('editError');
+    const saveBtn = document.getElementById('saveBtn');
     const newValue = modalInput.value.trim();
     
     if (!newValue) {
-        alert('Please enter a valid value');
+        errorText.textContent = 'Please enter a valid value';
+        return;
+    }
+    
+    if (!currentEditField || saveBtn.disabled) return;
+    
+    if (newValue === currentEditField.currentValue) {
+        closeEditModal();
         return;
     }
     
-    if (currentEditField) {
-        const sublabel = currentEditField.element.querySelector('.setting-sublabel');
-        sublabel.textContent = newValue;
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    errorText.textContent = '';
+    
+    try {
+        const profile = await sendAccountRequest('PATCH', '', { [currentEditField.field]: newValue });
+        renderProfile(profile);
         
         console.log(`Updated ${currentEditField.field} to: ${newValue}`);
+        alert(`${currentEditField.label} updated successfully!`);
+        closeEditModal();
+    } catch (error) {
+        console.error('Update failed:', error);
+        errorText.textContent = error.message;
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save Changes';
+    }
+}
+
+// ==================== //
+// Change Password Modal
+// ==================== //
+function openPasswordModal() {
+    ['currentPasswordInput', 'newPasswordInput', 'confirmPasswordInput'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('passwordError').textContent = '';
+    document.getElementById('passwordModal').classList.add('active');
+    
+    setTimeout(() => document.getElementById('currentPasswordInput').focus(), 100);
+}
+
+function closePasswordModal() {
+    document.getElementById('passwordModal').classList.remove('active');
+    ['currentPasswordInput', 'newPasswordInput', 'confirmPasswordInput'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+}
+
+async function savePassword() {
+    const currentPassword = document.getElementById('currentPasswordInput').value;
+    const newPassword = document.getElementById('newPasswordInput').value;
+    const confirmPassword = document.getElementById('confirmPasswordInput').value;
+    const errorText = document.getElementById('passwordError');
+    const saveBtn = document.getElementById('savePasswordBtn');
+    
+    if (!currentPassword || !newPassword) {
+        errorText.textContent = 'Please fill in all fields.';
+        return;
+    }
+    if (newPassword.length < 6) {
+        errorText.textContent = 'Password must be at least 6 characters long';
+        return;
+    }
+    if (newPassword !== confirmPassword) {
+        errorText.textContent = 'New passwords do not match.';
+        return;
+    }
+    
+    saveBtn.disabled = true;
+    saveBtn.textContent = 'Saving...';
+    errorText.textContent = '';
+    
+    try {
+        await sendAccountRequest('PUT', '/password', { currentPassword, newPassword });
         
-        // Future: Send to API to update user information
-        alert(`${currentEditField.field} updated successfully!`);
+        console.log('Password changed');
+        closePasswordModal();
+        alert('Password changed successfully!');
+    } catch (error) {
+        console.error('Password change failed:', error);
+        errorText.textContent = error.message;
+    } finally {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Change Password';
     }
+}
+
+function initPasswordModalControls() {
+    const modal = document.getElementById('passwordModal');
+    
+    document.getElementById('closePasswordModal').addEventListener('click', closePasswordModal);
+    document.getElementById('cancelPasswordBtn').addEventListener('click', closePasswordModal);
+    document.getElementById('savePasswordBtn').addEventListener('click', savePassword);
+    
+    document.getElementById('confirmPasswordInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            savePassword();
+        }
+    });
+    
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closePasswordModal();
+        }
+    });
+    
+    // Close modal with Escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('active')) {
+            closePasswordModal();
+        }
+    });
+}
+
+// ==================== //
+// Profile Photo
+// ==================== //
+const PROFILE_PHOTO_SIZE = 256;
+
+// Scales the photo down to a square JPEG so the upload stays well under the
+// server's size limit
+function resizeProfilePhoto(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        
+        image.onload = () => {
+            const side = Math.min(image.width, image.height);
+            const canvas = document.createElement('canvas');
+            canvas.width = PROFILE_PHOTO_SIZE;
+            canvas.height = PROFILE_PHOTO_SIZE;
+            
+            // Crop to the centre square
+            canvas.getContext('2d').drawImage(
+                image,
+                (image.width - side) / 2, (image.height - side) / 2, side, side,
+                0, 0, PROFILE_PHOTO_SIZE, PROFILE_PHOTO_SIZE
+            );
+            
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/jpeg', 0.85));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('That file could not be read as an image.'));
+        };
+        
+        image.src = url;
+    });
+}
+
+function initProfilePhoto() {
+    const uploadPhotoBtn = document.getElementById('uploadPhotoBtn');
+    const removePhotoBtn = document.getElementById('removePhotoBtn');
+    const photoFileInput = document.getElementById('photoFileInput');
+    
+    uploadPhotoBtn.addEventListener('click', () => {
+        if (!getSessionToken()) {
+            alert('Please log in to add a profile photo.');
+            return;
+        }
+        photoFileInput.click();
+    });
+    
+    photoFileInput.addEventListener('change', async () => {
+        const file = photoFileInput.files[0];
+        photoFileInput.value = '';
+        if (!file) return;
+        
+        uploadPhotoBtn.disabled = true;
+        uploadPhotoBtn.textContent = 'Uploading...';
+        
+        try {
+            const image = await resizeProfilePhoto(file);
+            renderProfile(await sendAccountRequest('PUT', '/profile-image', { image }));
+            console.log('Profile photo updated');
+        } catch (error) {
+            console.error('Profile photo upload failed:', error);
+            alert(`Could not update your photo: ${error.message}`);
+        } finally {
+            uploadPhotoBtn.disabled = false;
+            uploadPhotoBtn.textContent = 'Upload';
+        }
+    });
     
-    closeEditModal();
+    removePhotoBtn.addEventListener('click', async () => {
+        if (!confirm('Remove your profile photo?')) return;
+        
+        try {
+            renderProfile(await sendAccountRequest('DELETE', '/profile-image'));
+            console.log('Profile photo removed');
+        } catch (error) {
+            console.error('Profile photo removal failed:', error);
+            alert(`Could not remove your photo: ${error.message}`);
+        }
+    });
 }
 
 function initModalControls() {
@@ -195,7 +484,7 @@ function initModalControls() {
 // Clear Cache Button
 // ==================== //
 function initClearCacheButton() {
-    const clearCacheBtn = document.querySelector('.btn-action:not(.danger)');
+    const clearCacheBtn = document.getElementById('clearCacheBtn');
     
     clearCacheBtn.addEventListener('click', () => {
         const confirmed = confirm('Are you sure you want to clear the cache? This will remove temporary files.');
@@ -220,16 +509,145 @@ function initClearCacheButton() {
     });
 }
 
+// ==================== //
+// Export Data Button
+// ==================== //
+function initExportDataButton() {
+    const exportDataBtn = document.getElementById('exportDataBtn');
+    
+    exportDataBtn.addEventListener('click', async () => {
+        const sessionToken = getSessionToken();
+        
+        if (!sessionToken) {
+            alert('Please log in to export your data.');
+            return;
+        }
+        
+        exportDataBtn.disabled = true;
+        exportDataBtn.textContent = 'Exporting...';
+        
+        try {
+            const response = await fetch(`${BACKEND_URL}/api/account/export`, {
+                headers: { 'Authorization': `Bearer ${sessionToken}` }
+            });
+            
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || `Export failed: ${response.status}`);
+            }
+            
+            // Keep the dated filename the server suggests
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const filename = match ? match[1] : 'scibrain-export.json';
+            
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            
+            console.log('Data exported:', filename);
+        } catch (error) {
+            console.error('Export failed:', error);
+            alert(`Could not export your data: ${error.message}`);
+        } finally {
+            exportDataBtn.disabled = false;
+            exportDataBtn.textContent = 'Export';
+        }
+    });
+}
+
+// ==================== //
+// Import Data Button
+// ==================== //
+function initImportDataButton() {
+    const importDataBtn = document.getElementById('importDataBtn');
+    const importFileInput = document.getElementById('importFileInput');
+    
+    importDataBtn.addEventListener('click', () => {
+        if (!getSessionToken()) {
+            alert('Please log in to import your data.');
+            return;
+        }
+        importFileInput.click();
+    });
+    
+    importFileInput.addEventListener('change', async () => {
+        const file = importFileInput.files[0];
+        importFileInput.value = '';
+        if (!file) return;
+        
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+        } catch (error) {
+            alert('That file is not a SciBrain export. Please choose the .json file from "Export My Data".');
+            return;
+        }
+        
+        const confirmed = confirm(
+            `Import "${file.name}"?\n\n` +
+            'Its reviewers, quizzes, scores and notes will be added to your account. ' +
+            'Nothing you already have will be changed.'
+        );
+        if (!confirmed) return;
+        
+        importDataBtn.disabled = true;
+        importDataBtn.textContent = 'Importing...';
+        
+        try {
+            const response = await fetch(`${BACKEND_URL}/api/account/import`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${getSessionToken()}`
+                },
+                body: JSON.stringify(archive)
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (!response.ok) {
+                throw new Error(result.error || `Import failed: ${response.status}`);
+            }
+            
+            const { imported } = result;
+            console.log('Data imported:', imported);
+            const repeated = imported.alreadyImported
+                ? `\n\n${imported.alreadyImported} item(s) were already in your account and were not added again.`
+                : '';
+            alert(
+                'Import complete!\n\n' +
+                `• ${imported.reviewers} reviewer(s)\n` +
+                `• ${imported.quizQuestions} quiz set(s)\n` +
+                `• ${imported.quizAttempts} quiz score(s)\n` +
+                `• ${imported.reviewSchedule} scheduled review(s)\n` +
+                `• ${imported.annotations} note(s) and highlight(s)` +
+                repeated
+            );
+        } catch (error) {
+            console.error('Import failed:', error);
+            alert(`Could not import your data: ${error.message}`);
+        } finally {
+            importDataBtn.disabled = false;
+            importDataBtn.textContent = 'Import';
+        }
+    });
+}
+
 // ==================== //
 // Delete All Data Button
 // ==================== //
 function initDeleteDataButton() {
-    const deleteDataBtn = document.querySelector('.btn-action.danger');
+    const deleteDataBtn = document.getElementById('deleteDataBtn');
     
     deleteDataBtn.addEventListener('click', () => {
         const confirmed = confirm(
             'WARNING: This will permanently delete ALL your data including:\n\n' +
-            '• All your reviews and topics\n' +
+            '• Your account and all your reviews and topics\n' +
             '• Your annotations and highlights\n' +
             '• Your game progress and scores\n' +
             '• All settings and preferences\n\n' +
@@ -241,17 +659,12 @@ function initDeleteDataButton() {
             const doubleConfirm = prompt('Type "DELETE" in all caps to confirm:');
             
             if (doubleConfirm === 'DELETE') {
-                console.log('Deleting all user data...');
-                
-                // Future: Send request to API to delete all user data
-                localStorage.clear();
-                sessionStorage.clear();
-                
-                alert('All data has been deleted. You will be redirected to the home page.');
-                console.log('All data deleted');
-                
-                // Future: Redirect to home page or logout
-                // window.location.href = '/';
+                // Guests only have data on this device
+                if (getSessionToken()) {
+                    openDeleteModal();
+                } else {
+                    clearLocalDataAndLeave();
+                }
             } else {
                 alert('Deletion cancelled. Confirmation text did not match.');
             }
@@ -259,6 +672,107 @@ function initDeleteDataButton() {
     });
 }
 
+function openDeleteModal() {
+    const modal = document.getElementById('deleteModal');
+    const passwordInput = document.getElementById('deletePasswordInput');
+    
+    passwordInput.value = '';
+    document.getElementById('deleteError').textContent = '';
+    modal.classList.add('active');
+    
+    setTimeout(() => passwordInput.focus(), 100);
+}
+
+function closeDeleteModal() {
+    document.getElementById('deleteModal').classList.remove('active');
+    document.getElementById('deletePasswordInput').value = '';
+}
+
+// The server checks the password again before deleting anything
+async function confirmAccountDeletion() {
+    const passwordInput = document.getElementById('deletePasswordInput');
+    const errorText = document.getElementById('deleteError');
+    const confirmBtn = document.getElementById('confirmDeleteBtn');
+    const password = passwordInput.value;
+    
+    if (!password) {
+        errorText.textContent = 'Please enter your password.';
+        return;
+    }
+    
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = 'Deleting...';
+    errorText.textContent = '';
+    
+    try {
+        console.log('Deleting account...');
+        
+        const response = await fetch(`${BACKEND_URL}/api/account`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${getSessionToken()}`
+            },
+            body: JSON.stringify({ password })
+        });
+        const result = await response.json().catch(() => ({}));
+        
+        if (!response.ok) {
+            throw new Error(result.error || `Deletion failed: ${response.status}`);
+        }
+        
+        console.log('Account deleted');
+        closeDeleteModal();
+        clearLocalDataAndLeave();
+    } catch (error) {
+        console.error('Account deletion failed:', error);
+        errorText.textContent = error.message;
+        passwordInput.focus();
+    } finally {
+        confirmBtn.disabled = false;
+        confirmBtn.textContent = 'Delete Account';
+    }
+}
+
+function clearLocalDataAndLeave() {
+    localStorage.clear();
+    sessionStorage.clear();
+    
+    alert('All data has been deleted. You will be redirected to the home page.');
+    console.log('All data deleted');
+    
+    window.location.href = '../HomePage/index.html';
+}
+
+function initDeleteModalControls() {
+    const modal = document.getElementById('deleteModal');
+    const passwordInput = document.getElementById('deletePasswordInput');
+    
+    document.getElementById('closeDeleteModal').addEventListener('click', closeDeleteModal);
+    document.getElementById('cancelDeleteBtn').addEventListener('click', closeDeleteModal);
+    document.getElementById('confirmDeleteBtn').addEventListener('click', confirmAccountDeletion);
+    
+    passwordInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            confirmAccountDeletion();
+        }
+    });
+    
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            closeDeleteModal();
+        }
+    });
+    
+    // Close modal with Escape key
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && modal.classList.contains('active')) {
+            closeDeleteModal();
+        }
+    });
+}
+
 // ==================== //
 // Accessibility - Keyboard Navigation
 // ==================== //
@@ -284,8 +798,14 @@ document.addEventListener('DOMContentLoaded', () => {
     initFontSizeSelector();
     initEditButtons();
     initModalControls();
+    initPasswordModalControls();
+    initProfilePhoto();
+    loadAccountProfile();
+    initExportDataButton();
+    initImportDataButton();
     initClearCacheButton();
     initDeleteDataButton();
+    initDeleteModalControls();
     initKeyboardNavigation();
     
     console.log('All settings features initialized successfully');
@@ -1,5 +1,5 @@
 // CameraScanner.js - Google Lens-style Document Scanner with Live Feedback
-// Requires: Tesseract.js (already loaded in HTML)
+// Requires: Tesseract.js (already loaded in HTML), scanProcessing.js, ocrReview.js
 
 class CameraScanner {
     constructor() {
@@ -9,6 +9,11 @@ class CameraScanner {
         this.isScanning = false;
         this.qualityCheckInterval = null;
         
+        // Scan session - captured pages in reading order
+        this.pages = [];
+        this.retakeIndex = null; // page the next capture replaces
+        this.nextPageId = 1;
+        
         // Quality thresholds
         this.BLUR_THRESHOLD = 100; // Lower = more blurry
         this.BRIGHTNESS_MIN = 60;
@@ -91,6 +96,7 @@ class CameraScanner {
         }
         
         this.stopQualityFeedback();
+        this.retakeIndex = null;
         
         document.getElementById('cameraView').style.display = 'none';
         document.getElementById('startCameraContainer').style.display = 'block';
@@ -277,36 +283,23 @@ class CameraScanner {
     }
     
     detectAngle(imageData) {
-        // Simplified edge detection to estimate document angle
-        // For production, you'd use more sophisticated methods like Hough Transform
-        const data = imageData.data;
-        const width = imageData.width;
-        const height = imageData.height;
-        
-        // Detect horizontal edges in center region
-        let horizontalEdges = 0;
-        const centerY = Math.floor(height / 2);
-        const regionHeight = Math.floor(height / 4);
+        // Tilt of the page edges, found by the same page detection that
+        // crops the page before OCR
+        const corners = ScanImageProcessor.detectDocumentCorners(imageData);
         
-        for (let y = centerY - regionHeight; y < centerY + regionHeight; y += 4) {
-            for (let x = 1; x < width - 1; x += 4) {
-                const i = (y * width + x) * 4;
-                const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-                const grayLeft = 0.299 * data[i - 4] + 0.587 * data[i - 3] + 0.114 * data[i - 2];
-                
-                if (Math.abs(gray - grayLeft) > 30) {
-                    horizontalEdges++;
-                }
-            }
+        if (!corners) {
+            return {
+                score: null,
+                isGood: false,
+                level: 'no-page'
+            };
         }
         
-        // Estimate if document is reasonably aligned
-        // This is a simplified check - real implementation would be more sophisticated
-        const edgeDensity = horizontalEdges / (width * regionHeight / 16);
-        const isAligned = edgeDensity > 0.1 && edgeDensity < 2;
+        const angle = ScanImageProcessor.cornersAngle(corners);
+        const isAligned = Math.abs(angle) <= this.ANGLE_THRESHOLD;
         
         return {
-            score: edgeDensity,
+            score: angle,
             isGood: isAligned,
             level: isAligned ? 'aligned' : 'tilted'
         };
@@ -345,7 +338,8 @@ class CameraScanner {
                 if (brightness.level === 'dark') issues.push('More light needed');
                 if (brightness.level === 'bright') issues.push('Too bright');
             }
-            if (!angle.isGood) issues.push('Straighten angle');
+            if (angle.level === 'no-page') issues.push('Fit the whole page in view');
+            if (angle.level === 'tilted') issues.push('Straighten angle');
             
             detailsElement.innerHTML = issues.join(' • ');
         }
@@ -386,72 +380,51 @@ class CameraScanner {
         
         console.log('✅ Image captured');
         
-        // Stop quality feedback during processing
-        this.stopQualityFeedback();
-        
+        // Quality feedback keeps running - the next page may follow right away
         return imageDataUrl;
     }
     
-    async preprocessImage(imageDataUrl) {
-        console.log('🔧 Preprocessing image for OCR...');
-        
-        return new Promise((resolve) => {
+    loadImageData(imageDataUrl) {
+        return new Promise((resolve, reject) => {
             const img = new Image();
             img.onload = () => {
-                // Create temporary canvas for preprocessing
                 const canvas = document.createElement('canvas');
-                const ctx = canvas.getContext('2d');
-                
                 canvas.width = img.width;
                 canvas.height = img.height;
                 
-                // Draw image
+                const ctx = canvas.getContext('2d');
                 ctx.drawImage(img, 0, 0);
-                
-                // Get image data
-                const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                const data = imageData.data;
-                
-                // Apply preprocessing:
-                // 1. Convert to grayscale
-                // 2. Increase contrast
-                // 3. Apply threshold
-                
-                for (let i = 0; i < data.length; i += 4) {
-                    // Grayscale
-                    const gray = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
-                    
-                    // Increase contrast
-                    const contrast = 1.5;
-                    const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
-                    let enhanced = factor * (gray - 128) + 128;
-                    
-                    // Apply threshold for cleaner text
-                    const threshold = 128;
-                    enhanced = enhanced > threshold ? 255 : 0;
-                    
-                    // Apply back to RGB
-                    data[i] = enhanced;
-                    data[i + 1] = enhanced;
-                    data[i + 2] = enhanced;
-                }
-                
-                ctx.putImageData(imageData, 0, 0);
-                
-                console.log('✅ Image preprocessed');
-                resolve(canvas.toDataURL('image/jpeg', 0.95));
+                resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
             };
-            
+            img.onerror = () => reject(new Error('Could not load the captured image'));
             img.src = imageDataUrl;
         });
     }
     
-    async extractText(imageDataUrl, onProgress) {
+    // Crop to the page (detected, or the given corners), correct the
+    // perspective and skew, then binarize with a local threshold
+    async preprocessImage(imageDataUrl, corners = null) {
+        console.log('🔧 Preprocessing image for OCR...');
+        
+        const imageData = await this.loadImageData(imageDataUrl);
+        const page = ScanImageProcessor.prepareForOcr(imageData, corners);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = page.width;
+        canvas.height = page.height;
+        canvas.getContext('2d').putImageData(new ImageData(page.data, page.width, page.height), 0, 0);
+        
+        console.log('✅ Image preprocessed');
+        // PNG keeps the black-and-white edges sharp for OCR
+        return canvas.toDataURL('image/png');
+    }
+    
+    async extractText(imageDataUrl, onProgress, corners = null) {
         console.log('📝 Starting OCR text extraction...');
         
         try {
             // Preprocess image for better OCR
-            const processedImage = await this.preprocessImage(imageDataUrl);
+            const processedImage = await this.preprocessImage(imageDataUrl, corners);
             
             // Run Tesseract OCR
             const result = await Tesseract.recognize(
@@ -480,7 +453,9 @@ class CameraScanner {
             
             return {
                 text: extractedText,
-                confidence: result.data.confidence
+                confidence: result.data.confidence,
+                // Word boxes refer to the processed image OCR actually read
+                review: OcrReview.fromTesseract(result.data, processedImage)
             };
             
         } catch (error) {
@@ -489,6 +464,145 @@ class CameraScanner {
         }
     }
     
+    // ==================== //
+    // Scan Session
+    // ==================== //
+    
+    // Add a captured frame as the next page, or in place of the page being
+    // retaken. Returns the page's index.
+    addPage(imageDataUrl) {
+        const page = {
+            id: this.nextPageId++,
+            image: imageDataUrl,
+            corners: null, // null = detect the page automatically
+            text: null,
+            confidence: null,
+            review: null
+        };
+        
+        if (this.retakeIndex !== null && this.pages[this.retakeIndex]) {
+            const index = this.retakeIndex;
+            this.pages[index] = page;
+            this.retakeIndex = null;
+            return index;
+        }
+        
+        this.pages.push(page);
+        return this.pages.length - 1;
+    }
+    
+    removePage(index) {
+        this.pages.splice(index, 1);
+        this.retakeIndex = null;
+    }
+    
+    // Move a page one place earlier (-1) or later (+1)
+    movePage(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.pages.length) return false;
+        
+        const [page] = this.pages.splice(index, 1);
+        this.pages.splice(target, 0, page);
+        return true;
+    }
+    
+    // Manually adjusted page corners; the page is read again with them
+    setPageCorners(index, corners) {
+        const page = this.pages[index];
+        if (!page) return;
+        
+        page.corners = corners;
+        page.text = null;
+        page.confidence = null;
+        page.review = null;
+    }
+    
+    // Corners detection would use for a page, or the whole photo
+    async detectPageCorners(index) {
+        const page = this.pages[index];
+        if (!page) return null;
+        
+        const imageData = await this.loadImageData(page.image);
+        return ScanImageProcessor.detectDocumentCorners(imageData) || ScanImageProcessor.fullFrameCorners();
+    }
+    
+    startRetake(index) {
+        this.retakeIndex = this.pages[index] ? index : null;
+    }
+    
+    clearSession() {
+        this.pages = [];
+        this.retakeIndex = null;
+    }
+    
+    // OCR every page in order and merge the text into one document. Pages
+    // read on an earlier attempt keep their text, so only new or retaken
+    // pages go through OCR again.
+    async extractSessionText(onProgress) {
+        const total = this.pages.length;
+        
+        for (let i = 0; i < total; i++) {
+            const page = this.pages[i];
+            if (page.text !== null) continue;
+            
+            try {
+                const result = await this.extractText(page.image, (progress) => {
+                    if (onProgress) {
+                        const overall = Math.round(((i + progress / 100) / total) * 100);
+                        onProgress(overall, `Reading page ${i + 1} of ${total}: ${progress}%`);
+                    }
+                }, page.corners);
+                page.text = result.text;
+                page.confidence = result.confidence;
+                page.review = result.review;
+            } catch (error) {
+                console.warn(`⚠️ No text read from page ${i + 1}:`, error.message);
+            }
+        }
+        
+        const readable = this.pages.filter(page => page.text);
+        if (readable.length === 0) {
+            throw new Error('Could not extract enough text from any page. Please try again with better lighting and focus.');
+        }
+        
+        // Overall confidence weighted by how much text each page holds
+        const characters = readable.reduce((sum, page) => sum + page.text.length, 0);
+        const confidence = readable.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / characters;
+        
+        return {
+            text: this.sessionText(),
+            confidence: confidence,
+            reviews: readable.map(page => page.review),
+            failedPages: this.pages
+                .map((page, index) => page.text ? null : index + 1)
+                .filter(number => number !== null)
+        };
+    }
+    
+    // Merged text of the pages read so far, with review corrections applied
+    sessionText() {
+        return CameraScanner.mergePages(this.pages
+            .filter(page => page.text)
+            .map(page => page.review ? OcrReview.toText(page.review) : page.text));
+    }
+    
+    // Join page texts, carrying on a sentence or hyphenated word that runs
+    // over the page break instead of starting a new paragraph
+    static mergePages(texts) {
+        return texts.reduce((merged, text) => {
+            const next = text.trim();
+            if (!merged) return next;
+            
+            if (/[a-z]-$/.test(merged) && /^[a-z]/.test(next)) {
+                return merged.slice(0, -1) + next;
+            }
+            if (!/[.!?:]["')]?$/.test(merged) && /^[a-z]/.test(next)) {
+                return `${merged} ${next}`;
+            }
+            return `${merged}\n\n${next}`;
+        }, '');
+    }
+    
     // ==================== //
     // Cleanup
     // ==================== //
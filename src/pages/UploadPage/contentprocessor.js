@@ -1,11 +1,351 @@
 // Enhanced Content Processor v2.0 - Optimized for Raw Text Processing
 // Pure JavaScript - No AI API Required
 
+// "# Title" / "## Subtitle" lines, as produced by the document extractors
+// (documentExtractors.js) and found in Markdown notes, are real headings
+const EXPLICIT_HEADING = /^#{1,6}\s+\S/;
+
+// ==================== //
+// Document Blocks
+// ==================== //
+// The structured form of an extracted document, shared by the PDF and office
+// extractors (browser) and the reviewer generation (server):
+//   { type: 'heading', level: 1-6, text }
+//   { type: 'paragraph', text }
+//   { type: 'list', text, ordered }
+//   { type: 'table', rows: [['cell', ...], ...] }
+class DocumentBlocks {
+    
+    // Well-formed blocks only - the value may come straight from a request body
+    static sanitize(value, maxBlocks = 20000) {
+        if (!Array.isArray(value)) return null;
+        
+        const clean = (text) => String(text === null || text === undefined ? '' : text).replace(/\s+/g, ' ').trim();
+        const blocks = [];
+        
+        value.slice(0, maxBlocks).forEach(block => {
+            if (!block || typeof block !== 'object') return;
+            
+            if (block.type === 'table') {
+                const rows = (Array.isArray(block.rows) ? block.rows : [])
+                    .filter(Array.isArray)
+                    .map(row => row.map(clean))
+                    .filter(row => row.some(Boolean));
+                if (rows.length > 0) blocks.push({ type: 'table', rows });
+                return;
+            }
+            
+            const text = clean(block.text);
+            if (!text) return;
+            
+            if (block.type === 'heading') {
+                const level = parseInt(block.level) || 1;
+                blocks.push({ type: 'heading', level: Math.min(Math.max(level, 1), 6), text });
+            } else if (block.type === 'list') {
+                blocks.push({ type: 'list', text, ordered: Boolean(block.ordered) });
+            } else if (block.type === 'paragraph') {
+                blocks.push({ type: 'paragraph', text });
+            }
+        });
+        
+        return blocks.length > 0 ? blocks : null;
+    }
+    
+    // Plain-text form: "# Heading" lines, "- item" / "1. item" lists, table
+    // rows with cells separated by "; ", and a blank line between blocks
+    static toText(blocks) {
+        let output = '';
+        let number = 0;
+        
+        blocks.forEach((block, index) => {
+            const previous = blocks[index - 1];
+            const continuesList = previous && previous.type === 'list' && block.type === 'list';
+            if (previous) output += continuesList ? '\n' : '\n\n';
+            
+            if (block.type === 'heading') {
+                output += `${'#'.repeat(block.level)} ${block.text}`;
+            } else if (block.type === 'list') {
+                number = continuesList && previous.ordered ? number + 1 : 1;
+                output += block.ordered ? `${number}. ${block.text}` : `- ${block.text}`;
+            } else if (block.type === 'table') {
+                output += block.rows.map(row => row.filter(Boolean).join('; ')).join('\n');
+            } else {
+                output += block.text;
+            }
+        });
+        
+        return output;
+    }
+    
+    // Blocks from the plain-text form (Markdown notes and the like)
+    static fromText(text) {
+        const blocks = [];
+        let paragraph = [];
+        const flush = () => {
+            if (paragraph.length > 0) blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        };
+        
+        String(text || '').split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            const heading = line.match(/^(#{1,6})\s+(.+)$/);
+            const item = line.match(/^(?:[-•*]|(\d+)[.)])\s+(.+)$/);
+            
+            if (!line) {
+                flush();
+            } else if (heading) {
+                flush();
+                blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+            } else if (item) {
+                flush();
+                blocks.push({ type: 'list', text: item[2].trim(), ordered: Boolean(item[1]) });
+            } else {
+                paragraph.push(line);
+            }
+        });
+        flush();
+        
+        return blocks;
+    }
+}
+
+// ==================== //
+// Science Notation
+// ==================== //
+// Chemical formulas, reaction arrows, units and simple LaTeX/MathML typed as
+// plain text are rewritten with Unicode symbols and sub/superscripts, so
+// "6CO2 + 6H2O -> C6H12O6 + 6O2" reads 6CO₂ + 6H₂O → C₆H₁₂O₆ + 6O₂
+const ELEMENT_SYMBOLS = new Set((
+    'H He Li Be B C N O F Ne Na Mg Al Si P S Cl Ar K Ca Sc Ti V Cr Mn Fe Co Ni Cu Zn ' +
+    'Ga Ge As Se Br Kr Rb Sr Y Zr Nb Mo Tc Ru Rh Pd Ag Cd In Sn Sb Te I Xe Cs Ba La Ce ' +
+    'Pr Nd Pm Sm Eu Gd Tb Dy Ho Er Tm Yb Lu Hf Ta W Re Os Ir Pt Au Hg Tl Pb Bi Po At Rn ' +
+    'Fr Ra Ac Th Pa U Np Pu Am Cm Bk Cf Es Fm Md No Lr'
+).split(' '));
+const NOBLE_GASES = new Set(['He', 'Ne', 'Ar', 'Kr', 'Xe', 'Rn']);
+
+// A lone element only counts as a formula in its usual molecular or ionic
+// form - otherwise "vitamin B12" or "blood type O-" would be rewritten
+const MOLECULAR_ELEMENTS = new Set(['H2', 'N2', 'O2', 'O3', 'F2', 'Cl2', 'Br2', 'I2', 'P4', 'S8']);
+const ION_ELEMENTS = new Set(['H', 'Li', 'Na', 'K', 'Ag', 'Cu', 'Fe', 'Ca', 'Mg', 'Zn', 'Al', 'F', 'Cl', 'Br', 'I']);
+
+// [lead][coefficient][formula][charge], e.g. "2H2O", "Ca(OH)2", "Fe3+", "Cl-"
+const FORMULA_TOKEN = /(^|[^\w^])(\d*)([A-Z][a-z]?\d*(?:[A-Z][a-z]?\d*|\((?:[A-Z][a-z]?\d*)+\)\d*)*)(\d*[+\-−](?![\w(]))?(?![\w(])/gm;
+
+const SUBSCRIPTS = {
+    '0': '₀', '1': '₁', '2': '₂', '3': '₃', '4': '₄', '5': '₅', '6': '₆', '7': '₇', '8': '₈', '9': '₉',
+    '+': '₊', '-': '₋', '−': '₋', '=': '₌', '(': '₍', ')': '₎'
+};
+const SUPERSCRIPTS = {
+    '0': '⁰', '1': '¹', '2': '²', '3': '³', '4': '⁴', '5': '⁵', '6': '⁶', '7': '⁷', '8': '⁸', '9': '⁹',
+    '+': '⁺', '-': '⁻', '−': '⁻', '=': '⁼', '(': '⁽', ')': '⁾', 'n': 'ⁿ', 'i': 'ⁱ'
+};
+const PLAIN_SCRIPTS = {};
+[SUBSCRIPTS, SUPERSCRIPTS].forEach(map => Object.entries(map).forEach(([plain, script]) => {
+    if (!PLAIN_SCRIPTS[script]) PLAIN_SCRIPTS[script] = plain === '−' ? '-' : plain;
+}));
+
+const LATEX_SYMBOLS = {
+    rightarrow: '→', longrightarrow: '→', to: '→', leftarrow: '←', longleftarrow: '←',
+    leftrightarrow: '↔', rightleftharpoons: '⇌', leftrightharpoons: '⇌', rightleftarrows: '⇌',
+    uparrow: '↑', downarrow: '↓', times: '×', cdot: '·', div: '÷', pm: '±', approx: '≈',
+    neq: '≠', ne: '≠', leq: '≤', le: '≤', geq: '≥', ge: '≥', infty: '∞', degree: '°', circ: '°',
+    partial: '∂', sum: '∑', prod: '∏', int: '∫',
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', theta: 'θ',
+    lambda: 'λ', mu: 'μ', nu: 'ν', pi: 'π', rho: 'ρ', sigma: 'σ', tau: 'τ', phi: 'φ', chi: 'χ',
+    psi: 'ψ', omega: 'ω', Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Pi: 'Π', Sigma: 'Σ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+class ScienceNotation {
+    
+    static normalize(text) {
+        text = this.normalizeMarkup(text);
+        text = this.normalizeArrows(text);
+        text = this.normalizeFormulas(text);
+        text = this.normalizeUnits(text);
+        return text;
+    }
+    
+    // LaTeX ($\frac{a}{b}$, \rightarrow, H_{2}O, x^{2}) and MathML become the
+    // plain Unicode they stand for; anything a script can't show stays _{...}
+    static normalizeMarkup(text) {
+        if (/<m(?:ath|row|i|n|o|sub|sup|frac)\b/.test(text)) text = this.fromMathML(text);
+    
+        // Math delimiters, only around something that looks like math
+        text = text.replace(/\$\$?([^$\n]*[\\^_{][^$\n]*?)\$\$?/g, '$1');
+        text = text.replace(/\\[()[\]]/g, '');
+    
+        let previous;
+        do {
+            previous = text;
+            text = text.replace(/\\(?:mathrm|text|textrm|textit|mathbf|mathit|operatorname|ce)\s*\{([^{}]*)\}/g, '$1');
+            text = text.replace(/\\frac\s*\{([^{}]*)\}\s*\{([^{}]*)\}/g, (match, top, bottom) => `${this.wrapTerm(top)}/${this.wrapTerm(bottom)}`);
+            text = text.replace(/\\sqrt\s*\{([^{}]*)\}/g, (match, value) => '√' + this.wrapTerm(value));
+        } while (text !== previous);
+    
+        text = text.replace(/\^\s*\{?\\circ\}?/g, '°');
+        text = text.replace(/\\(?:left|right)\b\s*/g, '');
+        text = text.replace(/\\([A-Za-z]+)/g, (match, name) => LATEX_SYMBOLS[name] || name);
+    
+        // Scientific notation: 3 x 10^8 -> 3 × 10⁸
+        text = text.replace(/(\d)\s*[xX*]\s*10(?=\^)/g, '$1 × 10');
+    
+        text = text.replace(/_\{([^{}]*)\}/g, (match, value) => this.toScript(value, SUBSCRIPTS) || match);
+        text = text.replace(/\^\{([^{}]*)\}/g, (match, value) => this.toScript(value, SUPERSCRIPTS) || match);
+        text = text.replace(/([A-Za-z)\]])_(\d)/g, (match, base, digit) => base + SUBSCRIPTS[digit]);
+        // A trailing sign is a charge (Fe^3+), a sign before digits an exponent (10^-3)
+        text = text.replace(/\^(\d*[+\-−](?![\w(])|[+\-−]?\d+)/g, (match, value) => this.toScript(value, SUPERSCRIPTS));
+    
+        return text;
+    }
+    
+    // Innermost elements are collapsed first; each finished piece is kept
+    // between \u0001 and \u0002 so its parent can tell its children apart
+    static fromMathML(text) {
+        const piece = '\u0001([^\u0001\u0002]*)\u0002';
+        const wrap = value => '\u0001' + value + '\u0002';
+        const pieces = value => value.replace(/\u0002\s*\u0001/g, '').replace(/[\u0001\u0002]/g, '');
+        const element = (tag, count) => new RegExp(`<${tag}\\b[^>]*>\\s*${Array(count).fill(piece).join('\\s*')}\\s*</${tag}>`, 'g');
+    
+        let previous;
+        do {
+            previous = text;
+            text = text.replace(/<(mi|mn|mo|mtext|ms)\b[^>]*>([^<]*)<\/\1>/g, (match, tag, value) => {
+                value = value.trim();
+                return wrap(tag === 'mo' && /^[+=→⇌←↔−-]$/.test(value) ? ` ${value} ` : value);
+            });
+            text = text.replace(new RegExp(`<(mrow|math|mstyle)\\b[^>]*>\\s*((?:${piece}\\s*)*)</\\1>`, 'g'), (match, tag, inner) => wrap(pieces(inner)));
+            text = text.replace(element('msub', 2), (match, base, sub) => wrap(`${base}_{${sub.trim()}}`));
+            text = text.replace(element('msup', 2), (match, base, sup) => wrap(`${base}^{${sup.trim()}}`));
+            text = text.replace(element('msubsup', 3), (match, base, sub, sup) => wrap(`${base}_{${sub.trim()}}^{${sup.trim()}}`));
+            text = text.replace(element('mfrac', 2), (match, top, bottom) => wrap(`${this.wrapTerm(top)}/${this.wrapTerm(bottom)}`));
+            text = text.replace(new RegExp(`<msqrt\\b[^>]*>\\s*((?:${piece}\\s*)*)</msqrt>`, 'g'), (match, inner) => wrap('√' + this.wrapTerm(pieces(inner))));
+        } while (text !== previous);
+    
+        return text
+            .replace(/<\/?m[a-z]*\b[^>]*>/g, '')
+            .replace(/[\u0001\u0002]/g, '');
+    }
+    
+    static normalizeArrows(text) {
+        return text
+            .replace(/[ \t]*<=+>[ \t]*/g, ' ⇌ ')
+            .replace(/[ \t]*<-+>[ \t]*/g, ' ↔ ')
+            .replace(/[ \t]*(?:-+|–|—)>[ \t]*/g, ' → ')
+            .replace(/[ \t]*<(?:-+|–|—)[ \t]+/g, ' ← ');
+    }
+    
+    static normalizeFormulas(text) {
+        return text.replace(FORMULA_TOKEN, (match, lead, coefficient, body, charge) => {
+            const formula = this.parseFormula(body, charge);
+            if (!formula) return match;
+    
+            const subscripted = formula.body.replace(/([A-Za-z)])(\d+)/g, (m, base, digits) => base + this.toScript(digits, SUBSCRIPTS));
+            return lead + coefficient + subscripted + (formula.charge ? this.toScript(formula.charge, SUPERSCRIPTS) : '');
+        });
+    }
+    
+    static normalizeUnits(text) {
+        // "25 deg C", "25 oC" -> 25 °C
+        text = text.replace(/(\d)\s*(?:deg(?:rees?)?\.?\s*|[oº˚]\s?)([CF])\b/g, '$1 °$2');
+        // Areas and volumes after a number or in a denominator: 5 cm3 -> 5 cm³
+        text = text.replace(/(\d\s?|\/)([kcdmµμn]?m)([23])(?!\w)/g, (match, before, unit, power) => before + unit + SUPERSCRIPTS[power]);
+        return text;
+    }
+    
+    // Separates a trailing charge from the formula ("Ca2" + "+" is Ca²⁺ but
+    // "NH4" + "+" is NH₄⁺). null when the token isn't a formula. loose also
+    // accepts formulas without counts such as NaCl.
+    static parseFormula(body, charge = '', loose = false) {
+        const symbols = body.match(/[A-Z][a-z]?/g) || [];
+        if (symbols.length === 0 || !symbols.every(symbol => ELEMENT_SYMBOLS.has(symbol))) return null;
+    
+        const lone = symbols.length === 1;
+        if (charge) {
+            const digits = lone ? body.match(/\d+$/) : null;
+            if (digits) {
+                body = body.slice(0, -digits[0].length);
+                charge = digits[0] + charge;
+            }
+            return !lone || ION_ELEMENTS.has(symbols[0]) ? { body, charge } : null;
+        }
+    
+        if (/\d/.test(body)) {
+            return !lone || MOLECULAR_ELEMENTS.has(body) ? { body, charge: '' } : null;
+        }
+    
+        // Without counts only mixed case (NaCl, HCl) is distinctive enough
+        const plainCompound = loose && !lone && /[a-z]/.test(body) && !symbols.some(symbol => NOBLE_GASES.has(symbol));
+        return plainCompound ? { body, charge: '' } : null;
+    }
+    
+    // Whole-token check, for text that's already been normalized
+    static isFormula(token, loose = true) {
+        const match = this.toPlain(token).match(/^([A-Z][a-z]?\d*(?:[A-Z][a-z]?\d*|\((?:[A-Z][a-z]?\d*)+\)\d*)*)(\d*[+\-])?$/);
+        return Boolean(match && this.parseFormula(match[1], match[2] || '', loose));
+    }
+    
+    // Atom counts of a formula, charge ignored - null if its brackets don't pair up
+    static countAtoms(formula) {
+        const plain = this.toPlain(formula.replace(/[²³¹⁰-ⁿ]/g, '').replace(/[+\-]$/, ''));
+        const tokens = plain.match(/[A-Z][a-z]?|\d+|[()]/g) || [];
+        const stack = [{}];
+    
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const count = /^\d+$/.test(tokens[i + 1] || '') ? Number(tokens[i + 1]) : 1;
+    
+            if (token === '(') {
+                stack.push({});
+                continue;
+            }
+            if (/^\d+$/.test(token)) continue;
+    
+            const top = stack.length > 1 && token === ')' ? stack.pop() : null;
+            if (token === ')' && !top) return null;
+    
+            const target = stack[stack.length - 1];
+            if (top) {
+                Object.entries(top).forEach(([symbol, atoms]) => {
+                    target[symbol] = (target[symbol] || 0) + atoms * count;
+                });
+            } else {
+                target[token] = (target[token] || 0) + count;
+            }
+        }
+    
+        return stack.length === 1 ? stack[0] : null;
+    }
+    
+    static toScript(value, map) {
+        const chars = [...value];
+        return chars.every(char => map[char]) ? chars.map(char => map[char]).join('') : null;
+    }
+    
+    // Sub/superscripts back to plain characters, one for one
+    static toPlain(text) {
+        return [...text].map(char => PLAIN_SCRIPTS[char] || char).join('');
+    }
+    
+    static wrapTerm(value) {
+        value = value.trim();
+        return /^[\w.]+$/.test(value) ? value : `(${value})`;
+    }
+}
+
 // ==================== //
 // Advanced Text Preprocessor
 // ==================== //
 class TextPreprocessor {
     
+    // Structured documents (DocumentBlocks) already know their headings and
+    // paragraphs, so only character clean-up and list formatting apply
+    static fromBlocks(blocks) {
+        let text = this.fixExtractionIssues(DocumentBlocks.toText(blocks));
+        text = this.detectAndFormatLists(text);
+        return this.cleanWhitespace(text);
+    }
+    
     static preprocess(text) {
         console.log('🔧 Starting text preprocessing...');
         console.log('Original length:', text.length);
@@ -37,10 +377,22 @@ class TextPreprocessor {
         text = text.replace(/\bl\b(?=[A-Z])/g, 'I'); // l before capital letter -> I
         text = text.replace(/\b0(?=[A-Z])/g, 'O'); // 0 before capital letter -> O
         
+        // Formulas, arrows, units and LaTeX/MathML become Unicode first -
+        // "->" and "<mi>" would otherwise be stripped as junk below
+        text = ScienceNotation.normalize(text);
+        
         // ENHANCED: Preserve scientific characters but remove junk
         // Keep: letters, numbers, spaces, basic punctuation, and scientific symbols
-        // Scientific symbols to preserve: +, -, =, ^, ², ³, °, %, →, ←, ↔, Δ, Σ, π, μ, α, β, γ, etc.
-        text = text.replace(/[^\w\s.,!?;:()\[\]{}'"\/\\\-–—+=%^°²³*×÷≈≠≤≥→←↔↑↓∞∑∏∫∂√πΔΣαβγδεθλμσφψωΩ\n]/g, ' ');
+        // Scientific symbols to preserve: +, -, =, ^, ², ³, °, %, →, ←, ↔, ⇌, Δ, Σ, π, μ, α, β, γ, etc.
+        // and the sub/superscripts of formulas (H₂O, Fe³⁺, m/s²)
+        // Heading markers ("## ") are kept as well
+        const junk = /[^\w\s.,!?;:()\[\]{}'"\/\\\-–—+=%^°¹²³⁰-ₜ·±*×÷≈≠≤≥→←↔⇌↑↓∞∑∏∫∂√µΑ-ω\n]/g;
+        text = text.split('\n').map(line => {
+            const marker = line.match(/^\s*#{1,6}\s+/);
+            return marker
+                ? marker[0].trim() + ' ' + line.slice(marker[0].length).replace(junk, ' ')
+                : line.replace(junk, ' ');
+        }).join('\n');
         
         return text;
     }
@@ -157,6 +509,8 @@ class TextPreprocessor {
     static isLikelyHeading(line, prevLine, nextLine) {
         if (!line) return false;
         
+        if (EXPLICIT_HEADING.test(line)) return true;
+        
         const words = line.split(/\s+/);
         
         // Too long to be heading
@@ -207,7 +561,7 @@ class TextPreprocessor {
                     inList = true;
                 }
                 // Format as markdown list
-                const cleanedItem = line.replace(/^[•\-*\d+\.)]\s*/, '');
+                const cleanedItem = line.replace(/^([•\-*]|\d+[.)])\s*/, '');
                 processed.push(`• ${cleanedItem}`);
             } else {
                 if (inList) {
@@ -284,6 +638,21 @@ class TextCleaner {
 // ==================== //
 // Science Pattern Detector
 // ==================== //
+// A number and its unit: 25 °C, 9.8 m/s², 2 mol/dm³, 500 mL
+const UNIT_PATTERN = /(?<![\w.])(\d+(?:[.,]\d+)?)\s?((?:°[CF]|K|[kmcµμn]?(?:m|g|L|J|Pa|mol)|kcal|cal|atm|kHz|Hz|kW|W|V|N|min)[²³]?(?:\/(?:[kmcµμd]?(?:m|g|L|mol)|s|min|h)[²³]?)?)(?![\w°])/g;
+
+// Words that can't be a substance's name ("such as (CO₂)") or part of one
+// side of a word equation
+const FORMULA_NAME_STOPWORDS = new Set(['a', 'an', 'the', 'of', 'as', 'such', 'like', 'and', 'or', 'is', 'are',
+    'was', 'were', 'to', 'from', 'with', 'by', 'in', 'into', 'called', 'known', 'its', 'their', 'this', 'that']);
+const REACTION_TERM_STOPWORDS = new Set(['and', 'or', 'is', 'are', 'was', 'were', 'the', 'to', 'of', 'in', 'into',
+    'with', 'by', 'produces', 'forms', 'gives', 'yields']);
+
+// A process sentence that promises ordered steps, and a list item under it
+const SEQUENCE_KEYWORDS = /\b(?:steps?|stages?|phases?|sequence|cycle)\b/i;
+const LIST_ITEM = /^(?:[•\-*]|\d+[.)])\s+/;
+const SEQUENCE_MAX_STEPS = 8;
+
 class SciencePatternDetector {
     
     static detectPatterns(text) {
@@ -292,15 +661,23 @@ class SciencePatternDetector {
         const patterns = {
             definitions: this.findDefinitions(text),
             processes: this.findProcesses(text),
+            sequences: this.findSequences(text),
             classifications: this.findClassifications(text),
-            lists: this.findLists(text)
+            lists: this.findLists(text),
+            formulas: this.findFormulas(text),
+            equations: this.findEquations(text),
+            units: this.findUnits(text)
         };
         
         console.log('✅ Pattern detection complete:', {
             definitions: patterns.definitions.length,
             processes: patterns.processes.length,
+            sequences: patterns.sequences.length,
             classifications: patterns.classifications.length,
-            lists: patterns.lists.length
+            lists: patterns.lists.length,
+            formulas: patterns.formulas.length,
+            equations: patterns.equations.length,
+            units: patterns.units.length
         });
         
         return patterns;
@@ -345,7 +722,7 @@ class SciencePatternDetector {
         const processes = [];
         const sentences = text.split(/[.!?]+/).filter(s => s.trim());
         
-        const processKeywords = ['process', 'procedure', 'method', 'steps', 'stages', 
+        const processKeywords = ['process', 'procedure', 'method', 'steps', 'stages', 'phases',
                                  'involves', 'consists of', 'comprises'];
         
         sentences.forEach(sentence => {
@@ -361,6 +738,77 @@ class SciencePatternDetector {
         return processes;
     }
     
+    // Processes whose steps the text gives in order - listed in the sentence
+    // itself ("The stages of mitosis are prophase, metaphase, anaphase and
+    // telophase") or as the bulleted/numbered list right after it
+    static findSequences(text) {
+        const sequences = [];
+        const seen = new Set();
+        const add = (intro, steps) => {
+            steps = steps
+                .map(step => step
+                    .replace(/^(?:first(?:ly)?|second(?:ly)?|third(?:ly)?|next|then|after that|finally|lastly)\b,?\s*/i, '')
+                    .replace(/[\s.,;:]+$/, '')
+                    .trim())
+                .filter(Boolean);
+            if (steps.length < 3 || steps.length > SEQUENCE_MAX_STEPS) return;
+            
+            const key = steps.map(step => step.toLowerCase()).join('|');
+            if (seen.has(key) || new Set(steps.map(step => step.toLowerCase())).size !== steps.length) return;
+            seen.add(key);
+            
+            const name = this.sequenceName(intro);
+            const kind = ((intro.match(/\b(step|stage|phase)s?\b/i) || [])[1] || 'step').toLowerCase();
+            sequences.push({
+                process: name,
+                question: name ? `Put the ${kind}s of ${name} in order.` : `Put these ${kind}s in order.`,
+                steps,
+                fullText: intro
+            });
+        };
+        
+        // An introducing line followed by a list
+        const lines = text.split('\n').map(line => line.trim());
+        lines.forEach((line, index) => {
+            if (!SEQUENCE_KEYWORDS.test(line) || LIST_ITEM.test(line)) return;
+            
+            const items = [];
+            for (let i = index + 1; i < lines.length && LIST_ITEM.test(lines[i]); i++) {
+                items.push(lines[i].replace(LIST_ITEM, '').substring(0, 100));
+            }
+            add(line.replace(/:$/, ''), items);
+        });
+        
+        // Steps enumerated in the process sentence itself, each a short phrase
+        this.findProcesses(text).forEach(({ fullText }) => {
+            const sentence = fullText.split('\n').pop().trim();
+            const keyword = sentence.match(SEQUENCE_KEYWORDS);
+            if (!keyword) return;
+            
+            const rest = sentence.slice(keyword.index);
+            const enumeration = rest.includes(':')
+                ? rest.slice(rest.lastIndexOf(':') + 1)
+                : (rest.match(/\b(?:are|include|includes|involves?|consists? of|comprises?)\s+(.+)$/i) || [])[1];
+            if (!enumeration) return;
+            
+            const steps = enumeration.split(/\s*[,;]\s*(?:and\s+|then\s+)?|\s+(?:and then|then|and|followed by)\s+/i);
+            if (steps.every(step => step.trim().split(/\s+/).length <= 6)) add(sentence, steps);
+        });
+        
+        return sequences;
+    }
+    
+    // "stages of mitosis" or "The water cycle involves..."
+    static sequenceName(intro) {
+        const of = intro.match(/\b(?:steps|stages|phases)\s+(?:of|in)\s+(.+?)\s*(?:\b(?:are|is|include|includes|involves?|consists?|comprises?)\b|:|$)/i);
+        if (of) return of[1];
+        
+        const subject = intro.match(/^(.+?)\s+(?:consists? of|involves?|comprises?|has|goes through|occurs in|takes place in|is divided into)\b/i);
+        if (subject && subject[1].split(/\s+/).length <= 5) return subject[1].replace(/^[A-Z](?=[a-z])/, letter => letter.toLowerCase());
+        
+        return null;
+    }
+    
     static findClassifications(text) {
         const classifications = [];
         const sentences = text.split(/[.!?]+/).filter(s => s.trim());
@@ -412,6 +860,177 @@ class SciencePatternDetector {
         
         return lists;
     }
+    
+    // Chemical formulas, with the substance's name when the text gives it
+    // next to the formula ("water (H₂O)" or "H₂O (water)")
+    static findFormulas(text) {
+        const formulas = new Map();
+        const plain = ScienceNotation.toPlain(text);
+        
+        for (const match of plain.matchAll(FORMULA_TOKEN)) {
+            const [, lead, coefficient, body, charge] = match;
+            if (!ScienceNotation.parseFormula(body, charge || '', true)) continue;
+            
+            const start = match.index + lead.length + coefficient.length;
+            const end = match.index + match[0].length;
+            const formula = text.slice(start, end);
+            const name = this.formulaName(text.slice(Math.max(0, start - 60), start), text.slice(end, end + 40));
+            
+            const existing = formulas.get(formula);
+            if (existing) {
+                if (!existing.name && name) existing.name = name;
+                continue;
+            }
+            formulas.set(formula, { formula, name, fullText: this.sentenceAround(text, start, end) });
+        }
+        
+        return [...formulas.values()];
+    }
+    
+    static formulaName(before, after) {
+        const following = after.match(/^\s*\(\s*([a-z][a-z\s'-]{2,30}?)\s*\)/i);
+        if (following && !ScienceNotation.isFormula(following[1].trim())) return following[1].trim().toLowerCase();
+        
+        if (!/^\s*\)/.test(after)) return null;
+        const preceding = before.match(/(?:([A-Za-z][A-Za-z'-]*)\s+)?([A-Za-z][A-Za-z'-]*)\s*\(\s*$/);
+        if (!preceding || FORMULA_NAME_STOPWORDS.has(preceding[2].toLowerCase())) return null;
+        
+        // Two-word names end like "carbon dioxide" or "sulfuric acid"
+        const twoWords = preceding[1] && /(?:ide|ate|ite|acid)$/i.test(preceding[2]) &&
+            !FORMULA_NAME_STOPWORDS.has(preceding[1].toLowerCase());
+        return (twoWords ? `${preceding[1]} ${preceding[2]}` : preceding[2]).toLowerCase();
+    }
+    
+    // Reactions written with an arrow: "6CO₂ + 6H₂O → C₆H₁₂O₆ + 6O₂" or a
+    // word equation "carbon dioxide + water → glucose + oxygen". Text before
+    // a colon or comma names the reaction ("Photosynthesis:").
+    static findEquations(text) {
+        const equations = [];
+        const seen = new Set();
+        
+        text.split(/\n|[.!?;](?=\s|$)/).forEach(rawSegment => {
+            const segment = rawSegment.replace(/\((?:aq|s|l|g)\)/g, '');
+            const arrows = segment.match(/[→⇌]/g);
+            if (!arrows || arrows.length !== 1) return;
+            
+            const [before, after] = segment.split(/[→⇌]/);
+            const cut = Math.max(before.lastIndexOf(':'), before.lastIndexOf(','));
+            let prefix = before.slice(0, cut + 1);
+            const reactantTerms = before.slice(cut + 1).split(/\s\+\s/);
+            const productTerms = after.split(/,|\s\(/)[0].split(/\s\+\s/);
+            
+            // A formula can close a longer clause: "The reaction is 2H₂ + O₂ → ..."
+            let reactants = reactantTerms.map(term => this.parseReactionTerm(term));
+            if (!reactants[0]) {
+                const tail = reactantTerms[0].match(/(\S+)\s*$/);
+                const term = tail && this.parseReactionTerm(tail[1]);
+                if (term && term.formula) {
+                    reactants[0] = term;
+                    prefix += reactantTerms[0].slice(0, tail.index);
+                }
+            }
+            let products = productTerms.map(term => this.parseReactionTerm(term));
+            const last = products.length - 1;
+            if (!products[last]) {
+                const head = productTerms[last].match(/^\s*(\S+)/);
+                const term = head && this.parseReactionTerm(head[1]);
+                if (term && term.formula) products[last] = term;
+            }
+            
+            if (reactants.some(term => !term) || products.some(term => !term)) return;
+            const hasFormula = [...reactants, ...products].some(term => term.formula);
+            if (!hasFormula && reactants.length + products.length < 3) return;
+            
+            const arrow = arrows[0];
+            const side = terms => terms.map(term => (term.coefficient > 1 ? term.coefficient : '') + term.species).join(' + ');
+            const equation = `${side(reactants)} ${arrow} ${side(products)}`;
+            if (seen.has(equation)) return;
+            seen.add(equation);
+            
+            equations.push({
+                name: this.reactionName(prefix),
+                reactants: reactants.map(term => term.species),
+                products: products.map(term => term.species),
+                reversible: arrow === '⇌',
+                balanced: hasFormula && [...reactants, ...products].every(term => term.formula)
+                    ? this.isBalanced(reactants, products)
+                    : null,
+                equation,
+                fullText: rawSegment.trim()
+            });
+        });
+        
+        return equations;
+    }
+    
+    // One side of a reaction: "6CO₂", "Ca(OH)₂", or up to three words
+    static parseReactionTerm(term) {
+        term = term.trim();
+        
+        const counted = term.match(/^(\d*)\s*(\S+)$/);
+        if (counted && ScienceNotation.isFormula(counted[2])) {
+            return { coefficient: Number(counted[1] || 1), species: counted[2], formula: true };
+        }
+        
+        const words = term.split(/\s+/);
+        if (/^[A-Za-z][A-Za-z'\- ]*$/.test(term) && words.length <= 3 &&
+            !words.some(word => REACTION_TERM_STOPWORDS.has(word.toLowerCase()))) {
+            return { coefficient: 1, species: term, formula: false };
+        }
+        
+        return null;
+    }
+    
+    static isBalanced(reactants, products) {
+        const total = terms => {
+            const counts = {};
+            for (const term of terms) {
+                const atoms = ScienceNotation.countAtoms(term.species);
+                if (!atoms) return null;
+                Object.entries(atoms).forEach(([symbol, count]) => {
+                    counts[symbol] = (counts[symbol] || 0) + count * term.coefficient;
+                });
+            }
+            return counts;
+        };
+        
+        const left = total(reactants);
+        const right = total(products);
+        if (!left || !right) return null;
+        
+        const symbols = new Set([...Object.keys(left), ...Object.keys(right)]);
+        return [...symbols].every(symbol => left[symbol] === right[symbol]);
+    }
+    
+    static reactionName(prefix) {
+        const clause = prefix.replace(/[:,]\s*$/, '').trim().replace(/\s+(?:is|are|was|were|as follows)$/i, '');
+        const match = clause.match(/(?:\b(?:in|during|for|of)\s+|^)((?:the\s+)?[A-Za-z][A-Za-z-]*(?:\s+[A-Za-z][A-Za-z-]*){0,2})$/i);
+        if (!match) return null;
+        
+        const name = match[1].replace(/^the\s+/i, '');
+        return /^(?:equation|reaction|formula)s?$/i.test(name) ? null : name;
+    }
+    
+    // Measurements: a number followed by a unit ("25 °C", "9.8 m/s²", "2 mol/dm³")
+    static findUnits(text) {
+        const units = new Map();
+        
+        for (const match of text.matchAll(UNIT_PATTERN)) {
+            const measurement = match[0].trim();
+            if (!units.has(measurement)) {
+                units.set(measurement, { value: Number(match[1].replace(',', '.')), unit: match[2], text: measurement });
+            }
+        }
+        
+        return [...units.values()];
+    }
+    
+    static sentenceAround(text, start, end) {
+        const from = Math.max(text.lastIndexOf('\n', start), ...['. ', '! ', '? '].map(mark => text.lastIndexOf(mark, start))) + 1;
+        const stops = ['\n', '. ', '! ', '? '].map(mark => text.indexOf(mark, end)).filter(index => index !== -1);
+        const to = stops.length > 0 ? Math.min(...stops) + 1 : text.length;
+        return text.slice(from, to).trim();
+    }
 }
 
 // ==================== //
@@ -419,16 +1038,23 @@ class SciencePatternDetector {
 // ==================== //
 class ContentAnalyzer {
     
-    constructor(text) {
+    // blocks (DocumentBlocks), when the extractor provided them, replace the
+    // structure guessed from the plain text
+    constructor(text, blocks = null) {
         // Preprocess first
         this.rawText = text;
-        this.text = TextPreprocessor.preprocess(text);
+        this.text = blocks && blocks.length > 0
+            ? TextPreprocessor.fromBlocks(blocks)
+            : TextPreprocessor.preprocess(text);
         this.text = TextCleaner.clean(this.text);
         
         this.lines = this.text.split('\n').filter(line => line.trim());
         this.paragraphs = this.text.split(/\n\n+/).filter(p => p.trim());
         this.sentences = this.extractSentences(this.text);
         this.patterns = SciencePatternDetector.detectPatterns(this.text);
+        
+        // Documents with marked headings don't need them guessed
+        this.hasExplicitHeadings = this.lines.some(line => EXPLICIT_HEADING.test(line.trim()));
     }
     
     extractSentences(text) {
@@ -495,6 +1121,9 @@ class ContentAnalyzer {
     }
     
     isHeading(line) {
+        if (EXPLICIT_HEADING.test(line.trim())) return true;
+        if (this.hasExplicitHeadings) return false;
+        
         if (!line || line.length > 100) return false;
         
         const words = line.split(/\s+/);
@@ -512,6 +1141,8 @@ class ContentAnalyzer {
     }
     
     getHeadingLevel(line) {
+        const marker = line.trim().match(/^(#{1,6})\s/);
+        if (marker) return Math.min(marker[1].length, 3);
         if (/^\d+\.\s/.test(line)) return 1;
         if (line === line.toUpperCase()) return 1;
         return 2;
@@ -714,6 +1345,9 @@ class ContentAnalyzer {
 // ==================== //
 // Question Generator
 // ==================== //
+// What a cloze question shows in place of the blanked term
+const CLOZE_BLANK = '_____';
+
 class QuestionGenerator {
     
     constructor(analyzer, sections, concepts) {
@@ -725,18 +1359,25 @@ class QuestionGenerator {
     generateAllQuestions() {
         console.log('❓ Generating questions...');
         
+        const formula = QuestionGenerator.formulaQuestions(this.analyzer.patterns, 4);
         const questions = {
             trueFalse: this.generateTrueFalse(12),
-            multipleChoice: this.generateMultipleChoice(12),
-            identification: this.generateIdentification(10),
-            matching: this.generateMatching(8)
+            multipleChoice: [...formula.multipleChoice, ...this.generateMultipleChoice(12)].slice(0, 12),
+            identification: [...formula.identification, ...this.generateIdentification(10)].slice(0, 10),
+            matching: this.generateMatching(8),
+            cloze: this.generateCloze(10),
+            sequence: this.generateSequence(8)
         };
         
+        this.assignQuestionIds(questions);
+        
         console.log('✅ Questions generated:', {
             trueFalse: questions.trueFalse.length,
             multipleChoice: questions.multipleChoice.length,
             identification: questions.identification.length,
-            matching: questions.matching.pairs.length
+            matching: questions.matching.pairs.length,
+            cloze: questions.cloze.length,
+            sequence: questions.sequence.length
         });
         
         return questions;
@@ -846,7 +1487,163 @@ class QuestionGenerator {
         };
     }
     
+    generateCloze(count) {
+        return QuestionGenerator.clozeQuestions(this.analyzer, this.concepts, count);
+    }
+    
+    // Real sentences from the text with one key term blanked out. Concept
+    // terms are tried first (longest first, so "Light Reaction" wins over
+    // "Light"); otherwise a key term of the sentence itself is used, along
+    // with the capitalized words that follow it ("Calvin Cycle").
+    static clozeQuestions(analyzer, concepts, count) {
+        const conceptTerms = (concepts || [])
+            .map(concept => String(concept.term || '').trim())
+            .filter(term => term.length >= 3)
+            .sort((a, b) => b.length - a.length);
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const used = new Set();
+        const questions = [];
+        
+        for (const raw of analyzer.sentences) {
+            if (questions.length >= count) break;
+            
+            // A heading or list marker can ride along with the first sentence of a paragraph
+            const sentence = raw.split('\n').pop().replace(/^(?:[•\-*>]|\d+[.)])\s*/, '').trim();
+            const words = sentence.split(/\s+/);
+            if (words.length < 6 || words.length > 35 || sentence.includes('?')) continue;
+            
+            const keyTerms = analyzer.extractKeyTerms(sentence)
+                .map(term => term.replace(/^[^\p{L}]+|[^\p{L}\p{N}]+$/gu, ''))
+                .filter(term => term && term !== words[0].replace(/[^\p{L}\p{N}]+$/u, ''));
+            
+            const candidates = [
+                ...conceptTerms.map(term => ({ term, rest: '(?:s|es)?', flags: 'giu' })),
+                // Case-sensitive, or the capitalized run would swallow the whole sentence
+                ...keyTerms.map(term => ({ term, rest: '(?:\\s+\\p{Lu}\\p{Ll}+)*', flags: 'gu' }))
+            ];
+            
+            for (const { term, rest, flags } of candidates) {
+                if (used.has(term.toLowerCase())) continue;
+                
+                const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escape(term)}${rest}(?![\\p{L}\\p{N}])`, flags);
+                const matches = [...sentence.matchAll(pattern)];
+                
+                // A second mention would give the answer away
+                if (matches.length !== 1) continue;
+                
+                const [match] = matches;
+                const question = sentence.slice(0, match.index) + CLOZE_BLANK + sentence.slice(match.index + match[0].length);
+                
+                // The rest of the sentence has to be enough to work the term out
+                if (question.replace(CLOZE_BLANK, '').trim().split(/\s+/).length < 5) continue;
+                
+                questions.push({
+                    question,
+                    answer: match[0],
+                    hint: `Starts with "${match[0].charAt(0)}"`
+                });
+                used.add(term.toLowerCase());
+                break;
+            }
+        }
+        
+        return questions;
+    }
+    
+    generateSequence(count) {
+        return QuestionGenerator.sequenceQuestions(this.analyzer.patterns, count);
+    }
+    
+    // "Order the steps" items from the processes whose steps the text lists
+    // in order; steps are kept in that order and shuffled by the game
+    static sequenceQuestions(patterns, count) {
+        return ((patterns && patterns.sequences) || [])
+            .slice(0, count)
+            .map(sequence => ({
+                question: sequence.question,
+                steps: sequence.steps,
+                explanation: sequence.steps.join(' → '),
+                ...(sequence.source ? { source: sequence.source } : {})
+            }));
+    }
+    
+    // Reactions and named formulas from the text become their own items -
+    // "Which is a product of photosynthesis?" with the reactants as
+    // distractors, and "Which substance has the chemical formula H₂O?"
+    static formulaQuestions(patterns, count) {
+        const equations = (patterns && patterns.equations) || [];
+        const formulas = (patterns && patterns.formulas) || [];
+        const species = [...new Set([
+            ...equations.flatMap(equation => [...equation.reactants, ...equation.products]),
+            ...formulas.map(formula => formula.formula)
+        ])];
+        const sourceOf = item => item.source ? { source: item.source } : {};
+        const list = items => items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0];
+        
+        const multipleChoice = [];
+        equations.forEach(equation => {
+            const subject = equation.name ? equation.name.replace(/^[A-Z](?=[a-z])/, letter => letter.toLowerCase()) : null;
+            const explanation = subject ? `${subject.charAt(0).toUpperCase()}${subject.slice(1)}: ${equation.equation}` : equation.equation;
+            const ask = (question, correct, sameSide, otherSide) => {
+                const distractors = [...new Set([...otherSide, ...species])]
+                    .filter(option => !sameSide.includes(option))
+                    .slice(0, 3);
+                if (distractors.length < 3) return;
+                
+                const options = QuestionGenerator.shuffle([correct, ...distractors]);
+                multipleChoice.push({ question, options, correctIndex: options.indexOf(correct), explanation, ...sourceOf(equation) });
+            };
+            
+            ask(subject ? `Which is a product of ${subject}?` : `Which is produced when ${list(equation.reactants)} react${equation.reactants.length === 1 ? 's' : ''}?`,
+                equation.products[0], equation.products, equation.reactants);
+            ask(subject ? `Which is a reactant in ${subject}?` : `Which substance reacts to produce ${list(equation.products)}?`,
+                equation.reactants[0], equation.reactants, equation.products);
+        });
+        
+        const named = new Set();
+        const identification = formulas
+            .filter(formula => formula.name && !named.has(formula.name) && named.add(formula.name))
+            .map(formula => ({
+                question: `Which substance has the chemical formula ${formula.formula}?`,
+                answer: formula.name,
+                hint: `Starts with "${formula.name.charAt(0)}"`,
+                ...sourceOf(formula)
+            }));
+        
+        return {
+            multipleChoice: multipleChoice.slice(0, count),
+            identification: identification.slice(0, count)
+        };
+    }
+    
+    // Stable IDs let attempts and analytics refer to the same question later
+    assignQuestionIds(questions) {
+        const prefixes = { trueFalse: 'tf', multipleChoice: 'mc', identification: 'id', matching: 'mt', cloze: 'cz', sequence: 'sq' };
+        
+        Object.entries(questions).forEach(([quizType, items]) => {
+            const list = quizType === 'matching' ? items.pairs : items;
+            list.forEach(item => {
+                if (!item.id) {
+                    item.id = this.createQuestionId(prefixes[quizType] || 'q');
+                }
+            });
+        });
+        
+        return questions;
+    }
+    
+    createQuestionId(prefix) {
+        const random = (typeof crypto !== 'undefined' && crypto.getRandomValues)
+            ? Array.from(crypto.getRandomValues(new Uint8Array(6)), b => b.toString(16).padStart(2, '0')).join('')
+            : Math.random().toString(16).slice(2, 14).padEnd(12, '0');
+        return `${prefix}_${random}`;
+    }
+    
     shuffle(array) {
+        return QuestionGenerator.shuffle(array);
+    }
+    
+    static shuffle(array) {
         const arr = [...array];
         for (let i = arr.length - 1; i > 0; i--) {
             const j = Math.floor(Math.random() * (i + 1));
@@ -903,8 +1700,22 @@ async function processContentAdvanced(text, title) {
         sections: sections.length,
         concepts: concepts.length,
         questions: questions.trueFalse.length + questions.multipleChoice.length + 
-                   questions.identification.length + questions.matching.pairs.length
+                   questions.identification.length + questions.matching.pairs.length +
+                   questions.cloze.length + questions.sequence.length
     });
     
     return reviewerData;
-}
\ No newline at end of file
+}
+
+// Node (backend document chunking) reuses the same section detection
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DocumentBlocks,
+        ScienceNotation,
+        TextPreprocessor,
+        TextCleaner,
+        SciencePatternDetector,
+        ContentAnalyzer,
+        QuestionGenerator
+    };
+}
@@ -0,0 +1,590 @@
+// Document Extractors - DOCX, PPTX, EPUB, Markdown and HTML
+// Pure JavaScript (JSZip for the zipped formats) - runs in the browser
+//
+// Every extractor returns DocumentBlocks (contentprocessor.js): headings with
+// their level, paragraphs, list items and tables. Their plain-text form marks
+// headings as "# Title", which TextPreprocessor and ContentAnalyzer treat as
+// real headings, so sections follow the document's own structure instead of
+// being guessed from line shapes.
+
+// ==================== //
+// Text Blocks
+// ==================== //
+class TextBlocks {
+
+    constructor() {
+        this.blocks = [];
+    }
+
+    static normalize(text) {
+        return String(text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    heading(text, level = 1) {
+        text = TextBlocks.normalize(text);
+        if (text) this.blocks.push({ type: 'heading', text, level: Math.min(Math.max(level, 1), 6) });
+    }
+
+    paragraph(text) {
+        text = TextBlocks.normalize(text);
+        if (text) this.blocks.push({ type: 'paragraph', text });
+    }
+
+    listItem(text, ordered = false) {
+        text = TextBlocks.normalize(text);
+        if (text) this.blocks.push({ type: 'list', text, ordered });
+    }
+
+    table(rows) {
+        rows = rows
+            .map(row => row.map(cell => TextBlocks.normalize(cell)))
+            .filter(row => row.some(Boolean));
+        if (rows.length > 0) this.blocks.push({ type: 'table', rows });
+    }
+}
+
+// ==================== //
+// Markdown
+// ==================== //
+class MarkdownExtractor {
+
+    static extract(markdown) {
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const output = [];
+        let inFence = false;
+        let start = 0;
+
+        // YAML front matter
+        if (lines[0] && lines[0].trim() === '---') {
+            const end = lines.findIndex((line, i) => i > 0 && line.trim() === '---');
+            if (end > 0) start = end + 1;
+        }
+
+        for (let i = start; i < lines.length; i++) {
+            const line = lines[i];
+            const trimmed = line.trim();
+
+            if (/^(```|~~~)/.test(trimmed)) {
+                inFence = !inFence;
+                output.push('');
+                continue;
+            }
+            if (inFence) {
+                output.push(trimmed);
+                continue;
+            }
+
+            // Setext headings: a line underlined with === or ---
+            const next = lines[i + 1] ? lines[i + 1].trim() : '';
+            if (trimmed && !/^[-*+>#|]/.test(trimmed) && /^(=+|-+)$/.test(next)) {
+                output.push('', `${next[0] === '=' ? '#' : '##'} ${this.inline(trimmed)}`, '');
+                i++;
+                continue;
+            }
+
+            const heading = trimmed.match(/^(#{1,6})\s*(.+?)\s*#*$/);
+            if (heading) {
+                output.push('', `${heading[1]} ${this.inline(heading[2])}`, '');
+                continue;
+            }
+
+            // Horizontal rules and table separator rows
+            if (/^([-*_]\s*){3,}$/.test(trimmed) || /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/.test(trimmed)) {
+                output.push('');
+                continue;
+            }
+
+            if (/^\|.*\|$/.test(trimmed)) {
+                const cells = trimmed.slice(1, -1).split('|').map(cell => this.inline(cell.trim())).filter(Boolean);
+                output.push(cells.join('; '));
+                continue;
+            }
+
+            const bullet = trimmed.match(/^[-*+]\s+(?:\[[ xX]\]\s+)?(.*)$/);
+            if (bullet) {
+                output.push(`- ${this.inline(bullet[1])}`);
+                continue;
+            }
+
+            output.push(this.inline(trimmed.replace(/^>\s?/, '')));
+        }
+
+        return output.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // Inline markup down to its text; bold and italics stay for the reviewer
+    static inline(text) {
+        return text
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/~~(.+?)~~/g, '$1');
+    }
+}
+
+// ==================== //
+// HTML (also the chapters of an EPUB)
+// ==================== //
+class HtmlExtractor {
+
+    static get SKIPPED_TAGS() {
+        return new Set(['script', 'style', 'noscript', 'template', 'head', 'nav', 'svg', 'math', 'img', 'iframe', 'button', 'select', 'form']);
+    }
+
+    static get BLOCK_TAGS() {
+        return new Set([
+            'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'div', 'dl', 'dt',
+            'fieldset', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+            'li', 'main', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+            'thead', 'tr', 'ul'
+        ]);
+    }
+
+    static extract(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const blocks = new TextBlocks();
+        this.walk(doc.body || doc.documentElement, blocks);
+        return blocks.blocks;
+    }
+
+    static tagName(node) {
+        return (node.localName || node.nodeName || '').toLowerCase();
+    }
+
+    // Text of an element's inline content; <br> counts as a space
+    static inlineText(node) {
+        if (node.nodeType === Node.TEXT_NODE) return node.textContent;
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+        const tag = this.tagName(node);
+        if (tag === 'br') return ' ';
+        if (this.SKIPPED_TAGS.has(tag)) return '';
+        if (tag === 'ul' || tag === 'ol') return '';
+
+        return Array.from(node.childNodes).map(child => this.inlineText(child)).join('');
+    }
+
+    static walk(element, blocks) {
+        let pending = '';
+        const flush = () => {
+            blocks.paragraph(pending);
+            pending = '';
+        };
+
+        Array.from(element.childNodes).forEach(node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                pending += node.textContent;
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            const tag = this.tagName(node);
+            if (this.SKIPPED_TAGS.has(tag)) return;
+
+            if (!this.BLOCK_TAGS.has(tag)) {
+                pending += this.inlineText(node);
+                return;
+            }
+
+            flush();
+
+            const heading = tag.match(/^h([1-6])$/);
+            if (heading) {
+                blocks.heading(this.inlineText(node), parseInt(heading[1]));
+            } else if (tag === 'li') {
+                blocks.listItem(this.inlineText(node), this.tagName(node.parentNode) === 'ol');
+                // Nested lists follow their parent item
+                Array.from(node.children)
+                    .filter(child => ['ul', 'ol'].includes(this.tagName(child)))
+                    .forEach(list => this.walk(list, blocks));
+            } else if (tag === 'table') {
+                const rows = Array.from(node.querySelectorAll('tr'))
+                    .filter(row => row.closest('table') === node)
+                    .map(row => Array.from(row.children).map(cell => this.inlineText(cell)));
+                blocks.table(rows);
+            } else if (tag === 'pre') {
+                node.textContent.split('\n').forEach(line => blocks.paragraph(line));
+            } else if (tag !== 'hr') {
+                this.walk(node, blocks);
+            }
+        });
+
+        flush();
+    }
+}
+
+// ==================== //
+// Office Open XML & EPUB (zip based)
+// ==================== //
+class ZipDocument {
+
+    constructor(zip) {
+        this.zip = zip;
+    }
+
+    static async open(file) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('Document reader failed to load. Please check your connection and try again.');
+        }
+        return new ZipDocument(await JSZip.loadAsync(await file.arrayBuffer()));
+    }
+
+    async text(path) {
+        const entry = this.zip.file(decodeURIComponent(path)) || this.zip.file(path);
+        return entry ? await entry.async('string') : null;
+    }
+
+    async xml(path) {
+        const text = await this.text(path);
+        if (text === null) return null;
+
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error(`Could not read ${path} - the file may be damaged`);
+        }
+        return doc;
+    }
+
+    // Relationships of a part: Id -> { target (full path), type }
+    async relationships(partPath) {
+        const slash = partPath.lastIndexOf('/');
+        const directory = partPath.slice(0, slash + 1);
+        const doc = await this.xml(`${directory}_rels/${partPath.slice(slash + 1)}.rels`);
+        const relationships = new Map();
+        if (!doc) return relationships;
+
+        byName(doc, 'Relationship').forEach(rel => {
+            relationships.set(rel.getAttribute('Id'), {
+                target: resolvePath(directory, rel.getAttribute('Target')),
+                type: rel.getAttribute('Type') || ''
+            });
+        });
+        return relationships;
+    }
+}
+
+// Elements by local name, whatever namespace prefix the producer used
+function byName(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+function childByName(node, localName) {
+    return Array.from(node.children || []).find(child => child.localName === localName) || null;
+}
+
+function attributeByName(element, localName) {
+    if (!element) return null;
+    const attribute = Array.from(element.attributes).find(attr => attr.localName === localName);
+    return attribute ? attribute.value : null;
+}
+
+// r:id style attribute (relationship namespace), as opposed to a plain id
+function relationshipId(element) {
+    const attribute = Array.from(element.attributes).find(attr =>
+        attr.localName === 'id' && attr.namespaceURI && attr.namespaceURI.includes('relationships'));
+    return attribute ? attribute.value : null;
+}
+
+// Zip path of a target relative to a directory ("ppt/slides/" + "../notesSlides/n1.xml")
+function resolvePath(directory, target) {
+    if (!target) return '';
+    if (target.startsWith('/')) return target.slice(1);
+
+    const parts = (directory + target.split('#')[0]).split('/');
+    const resolved = [];
+    parts.forEach(part => {
+        if (part === '..') resolved.pop();
+        else if (part !== '.' && part !== '') resolved.push(part);
+    });
+    return resolved.join('/');
+}
+
+// ==================== //
+// Word (.docx)
+// ==================== //
+class DocxExtractor {
+
+    static async extract(file, onProgress) {
+        const zip = await ZipDocument.open(file);
+        const documentXml = await zip.xml('word/document.xml');
+        if (!documentXml) throw new Error('This does not look like a Word document');
+
+        onProgress(30, 'Reading headings...');
+        const headingLevels = await this.headingLevels(zip);
+
+        onProgress(60, 'Reading text...');
+        const blocks = new TextBlocks();
+        const body = byName(documentXml, 'body')[0];
+        if (body) this.walk(body, blocks, headingLevels);
+
+        return blocks.blocks;
+    }
+
+    // Style id -> heading level, from the style names ("heading 2") or outline levels
+    static async headingLevels(zip) {
+        const levels = new Map();
+        const styles = await zip.xml('word/styles.xml');
+        if (!styles) return levels;
+
+        byName(styles, 'style').forEach(style => {
+            const id = attributeByName(style, 'styleId');
+            const name = (attributeByName(childByName(style, 'name'), 'val') || '').toLowerCase();
+            const outline = byName(style, 'outlineLvl')[0];
+
+            const heading = name.match(/^heading\s*(\d)$/);
+            if (heading) levels.set(id, parseInt(heading[1]));
+            else if (name === 'title') levels.set(id, 1);
+            else if (outline) {
+                const level = parseInt(attributeByName(outline, 'val')) + 1;
+                if (level >= 1 && level <= 6) levels.set(id, level);
+            }
+        });
+        return levels;
+    }
+
+    static walk(container, blocks, headingLevels) {
+        Array.from(container.children).forEach(element => {
+            if (element.localName === 'p') {
+                this.paragraph(element, blocks, headingLevels);
+            } else if (element.localName === 'tbl') {
+                blocks.table(byName(element, 'tr').map(row => Array.from(row.children)
+                    .filter(cell => cell.localName === 'tc')
+                    .map(cell => byName(cell, 'p').map(p => this.paragraphText(p)).join(' '))));
+            } else if (element.localName === 'sdt') {
+                const content = childByName(element, 'sdtContent');
+                if (content) this.walk(content, blocks, headingLevels);
+            }
+        });
+    }
+
+    static paragraph(paragraph, blocks, headingLevels) {
+        const text = this.paragraphText(paragraph);
+        const properties = childByName(paragraph, 'pPr');
+
+        const styleId = attributeByName(properties && childByName(properties, 'pStyle'), 'val');
+        const outline = properties && childByName(properties, 'outlineLvl');
+        let level = styleId ? headingLevels.get(styleId) : undefined;
+        if (!level && styleId) {
+            const fromId = styleId.match(/^Heading(\d)$/i);
+            if (fromId) level = parseInt(fromId[1]);
+            else if (/^Title$/i.test(styleId)) level = 1;
+        }
+        if (!level && outline) {
+            const outlineLevel = parseInt(attributeByName(outline, 'val')) + 1;
+            if (outlineLevel >= 1 && outlineLevel <= 6) level = outlineLevel;
+        }
+
+        if (level) blocks.heading(text, level);
+        else if (properties && childByName(properties, 'numPr')) blocks.listItem(text);
+        else blocks.paragraph(text);
+    }
+
+    // Run text of a paragraph, leaving out text boxes (their paragraphs are separate)
+    static paragraphText(node) {
+        let text = '';
+        Array.from(node.children).forEach(child => {
+            const name = child.localName;
+            if (name === 't') text += child.textContent;
+            else if (name === 'tab' || name === 'br' || name === 'cr') text += ' ';
+            else if (name !== 'txbxContent' && name !== 'delText' && name !== 'pPr') text += this.paragraphText(child);
+        });
+        return text;
+    }
+}
+
+// ==================== //
+// PowerPoint (.pptx)
+// ==================== //
+class PptxExtractor {
+
+    static async extract(file, onProgress) {
+        const zip = await ZipDocument.open(file);
+        const presentation = await zip.xml('ppt/presentation.xml');
+        if (!presentation) throw new Error('This does not look like a PowerPoint presentation');
+
+        const relationships = await zip.relationships('ppt/presentation.xml');
+        const slidePaths = byName(presentation, 'sldId')
+            .map(slide => relationships.get(relationshipId(slide)))
+            .filter(Boolean)
+            .map(rel => rel.target);
+
+        const blocks = new TextBlocks();
+        for (let i = 0; i < slidePaths.length; i++) {
+            onProgress(10 + (i / slidePaths.length) * 90, `Reading slide ${i + 1}/${slidePaths.length}...`);
+            await this.slide(zip, slidePaths[i], i + 1, blocks);
+        }
+
+        return blocks.blocks;
+    }
+
+    static async slide(zip, path, number, blocks) {
+        const slide = await zip.xml(path);
+        if (!slide) return;
+
+        const shapes = [];
+        const tree = byName(slide, 'spTree')[0];
+        if (tree) this.collectShapes(tree, shapes);
+
+        const titleShape = shapes.find(shape => ['title', 'ctrTitle'].includes(this.placeholderType(shape)));
+        const title = titleShape ? this.shapeParagraphs(titleShape).map(p => p.text).join(' ') : '';
+        blocks.heading(title || `Slide ${number}`, 1);
+
+        shapes.filter(shape => shape !== titleShape).forEach(shape => {
+            if (shape.localName === 'graphicFrame') {
+                blocks.table(byName(shape, 'tr').map(row => byName(row, 'tc')
+                    .map(cell => byName(cell, 'p').map(p => this.paragraphText(p)).join(' '))));
+                return;
+            }
+
+            const type = this.placeholderType(shape);
+            if (['sldNum', 'dt', 'ftr', 'hdr'].includes(type)) return;
+
+            // Body placeholders are bulleted unless a paragraph turns bullets off
+            const isBody = type === 'body' || type === 'obj' || (type === '' && this.isPlaceholder(shape));
+            this.shapeParagraphs(shape).forEach(({ text, properties }) => {
+                const bulleted = properties && (childByName(properties, 'buChar') || childByName(properties, 'buAutoNum'));
+                const noBullet = properties && childByName(properties, 'buNone');
+                if ((isBody && !noBullet) || bulleted) blocks.listItem(text, Boolean(properties && childByName(properties, 'buAutoNum')));
+                else blocks.paragraph(text);
+            });
+        });
+
+        const notes = await this.speakerNotes(zip, path);
+        if (notes) blocks.paragraph(`Speaker notes: ${notes}`);
+    }
+
+    // Shapes in drawing order, looking inside groups
+    static collectShapes(node, shapes) {
+        Array.from(node.children).forEach(child => {
+            if (child.localName === 'sp' || child.localName === 'graphicFrame') shapes.push(child);
+            else if (child.localName === 'grpSp') this.collectShapes(child, shapes);
+        });
+    }
+
+    static placeholder(shape) {
+        const properties = byName(shape, 'nvPr')[0];
+        return properties ? childByName(properties, 'ph') : null;
+    }
+
+    static isPlaceholder(shape) {
+        return this.placeholder(shape) !== null;
+    }
+
+    static placeholderType(shape) {
+        const placeholder = this.placeholder(shape);
+        return placeholder ? (placeholder.getAttribute('type') || '') : '';
+    }
+
+    static shapeParagraphs(shape) {
+        const body = byName(shape, 'txBody')[0];
+        if (!body) return [];
+
+        return Array.from(body.children)
+            .filter(child => child.localName === 'p')
+            .map(paragraph => ({ text: this.paragraphText(paragraph), properties: childByName(paragraph, 'pPr') }))
+            .filter(paragraph => paragraph.text.trim());
+    }
+
+    static paragraphText(paragraph) {
+        let text = '';
+        Array.from(paragraph.children).forEach(child => {
+            if (child.localName === 'r' || child.localName === 'fld') {
+                const run = childByName(child, 't');
+                if (run) text += run.textContent;
+            } else if (child.localName === 'br') {
+                text += ' ';
+            }
+        });
+        return text;
+    }
+
+    static async speakerNotes(zip, slidePath) {
+        const relationships = await zip.relationships(slidePath);
+        const notesRel = Array.from(relationships.values()).find(rel => rel.type.endsWith('/notesSlide'));
+        if (!notesRel) return '';
+
+        const notes = await zip.xml(notesRel.target);
+        if (!notes) return '';
+
+        const shapes = [];
+        const tree = byName(notes, 'spTree')[0];
+        if (tree) this.collectShapes(tree, shapes);
+
+        return shapes
+            .filter(shape => this.placeholderType(shape) === 'body')
+            .flatMap(shape => this.shapeParagraphs(shape).map(p => p.text))
+            .join(' ')
+            .trim();
+    }
+}
+
+// ==================== //
+// EPUB
+// ==================== //
+class EpubExtractor {
+
+    static async extract(file, onProgress) {
+        const zip = await ZipDocument.open(file);
+        const container = await zip.xml('META-INF/container.xml');
+        const rootfile = container && byName(container, 'rootfile')[0];
+        if (!rootfile) throw new Error('This does not look like an EPUB book');
+
+        const packagePath = rootfile.getAttribute('full-path');
+        const packageXml = await zip.xml(packagePath);
+        if (!packageXml) throw new Error('The EPUB book has no table of contents');
+        const directory = packagePath.slice(0, packagePath.lastIndexOf('/') + 1);
+
+        const manifest = new Map();
+        byName(packageXml, 'item').forEach(item => {
+            manifest.set(item.getAttribute('id'), {
+                path: resolvePath(directory, item.getAttribute('href')),
+                mediaType: item.getAttribute('media-type') || '',
+                properties: item.getAttribute('properties') || ''
+            });
+        });
+
+        const chapters = byName(packageXml, 'itemref')
+            .filter(ref => ref.getAttribute('linear') !== 'no')
+            .map(ref => manifest.get(ref.getAttribute('idref')))
+            .filter(item => item && /html/.test(item.mediaType) && !/\bnav\b/.test(item.properties));
+
+        const blocks = [];
+        for (let i = 0; i < chapters.length; i++) {
+            onProgress(10 + (i / chapters.length) * 90, `Reading chapter ${i + 1}/${chapters.length}...`);
+            const html = await zip.text(chapters[i].path);
+            if (html) blocks.push(...HtmlExtractor.extract(html));
+        }
+
+        return blocks;
+    }
+}
+
+// ==================== //
+// Entry Point
+// ==================== //
+class DocumentExtractor {
+
+    static get EXTENSIONS() {
+        return ['.docx', '.pptx', '.epub', '.md', '.markdown', '.html', '.htm'];
+    }
+
+    static supports(fileName) {
+        return this.EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+    }
+
+    // DocumentBlocks for the file. onProgress(percent 0-100, message)
+    // reports progress within the file.
+    static async extract(file, onProgress = () => {}) {
+        const fileName = file.name.toLowerCase();
+
+        if (fileName.endsWith('.docx')) return await DocxExtractor.extract(file, onProgress);
+        if (fileName.endsWith('.pptx')) return await PptxExtractor.extract(file, onProgress);
+        if (fileName.endsWith('.epub')) return await EpubExtractor.extract(file, onProgress);
+        if (/\.(md|markdown)$/.test(fileName)) return DocumentBlocks.fromText(MarkdownExtractor.extract(await file.text()));
+        if (/\.html?$/.test(fileName)) return HtmlExtractor.extract(await file.text());
+
+        throw new Error('Unsupported file type');
+    }
+}
\ No newline at end of file
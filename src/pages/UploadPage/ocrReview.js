@@ -0,0 +1,92 @@
+// OCR Review - keeps Tesseract's words, boxes and confidences so uncertain
+// words can be checked and corrected before the text is used
+// Pure JavaScript - no DOM access, the review screen lives in script.js
+//
+// A review is one OCR'd image:
+//   { image, words: [{ text, original, confidence, bbox, breakAfter }] }
+// breakAfter is null, 'line' or 'paragraph'.
+
+// Words Tesseract is less sure of than this (0-100) are flagged for review
+const OCR_REVIEW_CONFIDENCE = 80;
+
+class OcrReview {
+
+    // image: the picture Tesseract read (the boxes are in its pixels)
+    static fromTesseract(data, image) {
+        const words = [];
+        const paragraphs = data.paragraphs && data.paragraphs.length > 0
+            ? data.paragraphs
+            : [{ lines: data.lines && data.lines.length > 0 ? data.lines : [{ words: data.words || [] }] }];
+
+        paragraphs.forEach(paragraph => {
+            const paragraphStart = words.length;
+
+            (paragraph.lines || []).forEach(line => {
+                const lineStart = words.length;
+
+                (line.words || []).forEach(word => {
+                    const text = String(word.text || '').trim();
+                    if (!text) return;
+
+                    words.push({
+                        text,
+                        original: text,
+                        confidence: Math.round(word.confidence || 0),
+                        bbox: word.bbox || null,
+                        breakAfter: null
+                    });
+                });
+
+                if (words.length > lineStart) words[words.length - 1].breakAfter = 'line';
+            });
+
+            if (words.length > paragraphStart) words[words.length - 1].breakAfter = 'paragraph';
+        });
+
+        return { image, words };
+    }
+
+    static isUncertain(word) {
+        return word.confidence < OCR_REVIEW_CONFIDENCE && /[A-Za-z0-9]/.test(word.original);
+    }
+
+    static uncertainWords(review) {
+        return review.words.filter(word => this.isUncertain(word));
+    }
+
+    // Text with corrections applied; words cleared by the student are dropped
+    static toText(review) {
+        let text = '';
+        review.words.forEach(word => {
+            if (word.text) text += word.text;
+
+            if (word.breakAfter === 'paragraph') text += '\n\n';
+            else if (word.breakAfter === 'line') text += '\n';
+            else if (word.text) text += ' ';
+        });
+        return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    // Correct a word, and every other word OCR read the same way that still
+    // reads like it - a mangled term is usually mangled identically
+    // throughout. Returns the other words that changed.
+    static correctWord(reviews, target, text) {
+        const correction = text.trim();
+        const previous = target.text;
+        const changed = [];
+
+        reviews.forEach(review => review.words.forEach(word => {
+            if (word === target || word.original !== target.original || word.text !== previous) return;
+            word.text = correction;
+            changed.push(word);
+        }));
+
+        target.text = correction;
+        return changed;
+    }
+}
+
+// Export for use outside the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OcrReview;
+}
\ No newline at end of file
@@ -0,0 +1,505 @@
+// PDF Layout Analysis - rebuilds document structure from PDF.js text items
+// Pure JavaScript - runs in the browser next to PDF.js
+//
+// PDF text arrives as positioned runs with no idea of paragraphs or reading
+// order. Runs are grouped into lines by baseline, lines are split into page
+// columns at the empty gutters between them, and each line is classified by
+// font size and shape into headings, list items, paragraphs and tables.
+// The result is DocumentBlocks (contentprocessor.js).
+
+// Runs further apart than this (in ems) on one baseline are separate pieces:
+// table cells, or text in different page columns
+const PDF_SEGMENT_GAP_EMS = 1.2;
+// Lines closer than this (in ems, baseline to baseline) can share a paragraph
+const PDF_PARAGRAPH_GAP_EMS = 1.75;
+// Font size, relative to the body text, from which a short line is a heading
+const PDF_HEADING_SIZE_RATIO = 1.15;
+
+const PDF_BULLET_MARKER = /^[•●▪■◦○◆◇►▸‣⁃∙·*–-]$/;
+const PDF_LIST_ITEM = /^(?:([•●▪■◦○◆◇►▸‣⁃∙·*–-])|\(?(\d{1,3}|[a-z])[.)])\s+(.+)$/;
+const PDF_PAGE_NUMBER = /^(page\s*)?\d{1,4}(\s*(of|\/)\s*\d{1,4})?$/i;
+const PDF_SENTENCE_END = /[.!?:]["'”’)]?$/;
+
+class PdfLayoutAnalyzer {
+
+    // Positioned text of a PDF.js page: { width, height, items: [{ text, x, y, width, fontSize, bold }] }
+    static async readPage(page) {
+        const viewport = page.getViewport({ scale: 1 });
+        const content = await page.getTextContent();
+
+        const items = content.items
+            .filter(item => item.str && item.str.trim() && item.transform)
+            .filter(item => Math.abs(item.transform[1]) <= Math.abs(item.transform[0])) // skip rotated text
+            .map(item => {
+                const [a, b, c, d, x, y] = item.transform;
+                return {
+                    text: item.str,
+                    x,
+                    y,
+                    width: item.width,
+                    fontSize: Math.hypot(c, d) || Math.hypot(a, b) || item.height,
+                    bold: this.isBoldFont(page, item.fontName, content.styles[item.fontName])
+                };
+            })
+            .filter(item => item.fontSize > 0);
+
+        return { width: viewport.width, height: viewport.height, items };
+    }
+
+    // Font names are only known once PDF.js has loaded the font; without
+    // them, headings are recognised by size alone
+    static isBoldFont(page, fontName, style) {
+        let name = style && style.fontFamily ? style.fontFamily : '';
+        try {
+            if (page.commonObjs && page.commonObjs.has(fontName)) {
+                const font = page.commonObjs.get(fontName);
+                name += ` ${font.name || ''}`;
+                if (font.bold) return true;
+            }
+        } catch (error) {
+            // Font not resolved yet
+        }
+        return /bold|black|heavy|semibold|demi/i.test(name);
+    }
+
+    static analyze(pages) {
+        const pageLines = pages.map((page, index) => this.pageLines(page, index));
+        const allLines = pageLines.flat();
+        if (allLines.length === 0) return [];
+
+        const bodySize = this.bodyFontSize(allLines);
+        const repeated = this.repeatedEdgeLines(pageLines);
+
+        const lines = pageLines.flatMap(page => page.filter(line => {
+            if (!line.edge) return true;
+            return !repeated.has(this.edgeKey(line.text)) && !PDF_PAGE_NUMBER.test(line.text);
+        }));
+
+        return this.buildBlocks(lines, bodySize);
+    }
+
+    // ==================== //
+    // Lines and columns
+    // ==================== //
+
+    // Lines of one page in reading order. Each line knows its flow (the page
+    // column, or a full-width stretch) and the right edge of that flow.
+    static pageLines(page, pageIndex) {
+        const rows = this.groupRows(page.items);
+        const segments = rows.flatMap((row, rowIndex) => this.splitRow(row, rowIndex));
+        if (segments.length === 0) return [];
+
+        const gutters = this.findGutters(segments);
+        const ordered = this.readingOrder(segments, gutters);
+
+        // Segments of one row within one flow form a line (several = table row)
+        const lines = [];
+        ordered.forEach(segment => {
+            const last = lines[lines.length - 1];
+            if (last && last.row === segment.row && last.flow === segment.flow) {
+                last.segments.push(segment);
+            } else {
+                lines.push({ row: segment.row, flow: segment.flow, segments: [segment] });
+            }
+        });
+
+        const flowRight = new Map();
+        const flowLeft = new Map();
+        lines.forEach(line => {
+            line.segments.sort((a, b) => a.x0 - b.x0);
+            line.x0 = line.segments[0].x0;
+            line.x1 = line.segments[line.segments.length - 1].x1;
+            line.y = Math.min(...line.segments.map(s => s.y));
+            line.fontSize = Math.max(...line.segments.map(s => s.fontSize));
+            line.bold = line.segments.every(s => s.bold);
+            line.text = line.segments.map(s => s.text).join(' ');
+            line.page = pageIndex;
+            flowRight.set(line.flow, Math.max(flowRight.get(line.flow) || -Infinity, line.x1));
+            flowLeft.set(line.flow, Math.min(flowLeft.has(line.flow) ? flowLeft.get(line.flow) : Infinity, line.x0));
+        });
+
+        // Running headers, footers and page numbers sit in the page margins
+        const byHeight = [...lines].sort((a, b) => b.y - a.y);
+        const margin = page.height ? page.height * 0.12 : Infinity;
+        byHeight.slice(0, 2).filter(line => !page.height || line.y > page.height - margin).forEach(line => { line.edge = true; });
+        byHeight.slice(-2).filter(line => line.y < margin).forEach(line => { line.edge = true; });
+
+        lines.forEach(line => {
+            line.flowRight = flowRight.get(line.flow);
+            line.flowLeft = flowLeft.get(line.flow);
+        });
+        return lines;
+    }
+
+    // Text runs sharing a baseline, top of the page first. Sub- and
+    // superscripts join the row they sit next to.
+    static groupRows(items) {
+        const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+        const rows = [];
+
+        sorted.forEach(item => {
+            let target = null;
+            for (let i = rows.length - 1; i >= 0; i--) {
+                const row = rows[i];
+                const tolerance = 0.5 * Math.max(row.fontSize, item.fontSize);
+                if (row.y - item.y > tolerance * 2) break;
+                if (Math.abs(row.y - item.y) <= tolerance) {
+                    target = row;
+                    break;
+                }
+            }
+
+            if (target) {
+                target.items.push(item);
+                // The baseline is that of the larger text, not a subscript
+                if (item.fontSize > target.fontSize) {
+                    target.fontSize = item.fontSize;
+                    target.y = item.y;
+                }
+            } else {
+                rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+            }
+        });
+
+        return rows;
+    }
+
+    // Split a row into segments at wide gaps. A lone bullet stays with the
+    // text after it however far apart they are.
+    static splitRow(row, rowIndex) {
+        const items = [...row.items].sort((a, b) => a.x - b.x);
+        const segments = [];
+        let current = null;
+
+        items.forEach(item => {
+            const x1 = item.x + (item.width || 0);
+            const gap = current ? item.x - current.x1 : 0;
+            const wide = current && gap > PDF_SEGMENT_GAP_EMS * Math.max(current.fontSize, item.fontSize);
+
+            if (!current || (wide && !this.isBulletMarker(current.text))) {
+                current = {
+                    row: rowIndex,
+                    text: item.text.trim(),
+                    x0: item.x,
+                    x1,
+                    y: row.y,
+                    fontSize: item.fontSize,
+                    bold: item.bold,
+                    chars: item.text.trim().length
+                };
+                segments.push(current);
+                return;
+            }
+
+            const needsSpace = gap > 0.2 * item.fontSize && !/\s$/.test(current.text) && !/^\s/.test(item.text);
+            current.text = (current.text + (needsSpace || wide ? ' ' : '') + item.text).replace(/\s+/g, ' ').trim();
+            current.x1 = Math.max(current.x1, x1);
+            current.bold = current.bold && item.bold;
+            // Size of the text with the most characters (a subscript doesn't count)
+            const chars = item.text.trim().length;
+            if (chars > current.chars) current.fontSize = Math.max(current.fontSize, item.fontSize);
+            current.chars += chars;
+        });
+
+        return segments.filter(segment => segment.text);
+    }
+
+    static isBulletMarker(text) {
+        return PDF_BULLET_MARKER.test(text.trim()) || /^\(?\d{1,3}[.)]$/.test(text.trim());
+    }
+
+    // x positions of empty vertical strips splitting the page into text columns
+    static findGutters(segments) {
+        const left = Math.min(...segments.map(s => s.x0));
+        const right = Math.max(...segments.map(s => s.x1));
+        const width = right - left;
+        if (width <= 0 || segments.length < 8) return [];
+
+        // Full-width lines (titles, figure captions) may cross the gutters
+        const narrow = segments.filter(s => s.x1 - s.x0 < width * 0.6);
+        const bins = new Array(Math.ceil(width) + 1).fill(0);
+        narrow.forEach(s => {
+            for (let x = Math.floor(s.x0 - left); x <= Math.ceil(s.x1 - left); x++) bins[x]++;
+        });
+
+        const minGap = Math.max(6, this.quantile(segments.map(s => s.fontSize), 0.5) * 0.6);
+        const candidates = [];
+        let start = null;
+        bins.forEach((count, x) => {
+            if (count === 0 && start === null) start = x;
+            if ((count !== 0 || x === bins.length - 1) && start !== null) {
+                const end = count === 0 ? x : x - 1;
+                const center = left + (start + end) / 2;
+                if (end - start >= minGap && center > left + width * 0.15 && center < right - width * 0.15) {
+                    candidates.push(center);
+                }
+                start = null;
+            }
+        });
+
+        if (candidates.length === 0) return [];
+        if (this.validColumns(narrow, candidates, left, right)) return candidates;
+
+        // Fall back to the single gutter with the most text on both sides
+        const single = candidates.filter(gutter => this.validColumns(narrow, [gutter], left, right));
+        return single.length > 0 ? [single[0]] : [];
+    }
+
+    // Real text columns hold many lines, most of them filling the column
+    // width; table cells are short and would fail this
+    static validColumns(segments, gutters, left, right) {
+        const edges = [left, ...gutters, right];
+        for (let i = 0; i < edges.length - 1; i++) {
+            const inside = segments.filter(s => s.x0 >= edges[i] - 1 && s.x1 <= edges[i + 1] + 1);
+            if (inside.length < 5) return false;
+            const columnWidth = Math.max(...inside.map(s => s.x1)) - Math.min(...inside.map(s => s.x0));
+            const fill = this.quantile(inside.map(s => s.x1 - s.x0), 0.75) / columnWidth;
+            if (fill < 0.6) return false;
+        }
+        return true;
+    }
+
+    // Top to bottom in bands separated by full-width lines; within a band,
+    // one column after the other
+    static readingOrder(segments, gutters) {
+        const sorted = [...segments].sort((a, b) => b.y - a.y || a.x0 - b.x0);
+        if (gutters.length === 0) {
+            sorted.forEach(segment => { segment.flow = 'page'; });
+            return sorted;
+        }
+
+        const ordered = [];
+        let band = gutters.map(() => []).concat([[]]);
+        let bandIndex = 0;
+        const flushBand = () => {
+            band.forEach((column, index) => column.forEach(segment => {
+                segment.flow = `band${bandIndex}-col${index}`;
+                ordered.push(segment);
+            }));
+            band = gutters.map(() => []).concat([[]]);
+            bandIndex++;
+        };
+
+        sorted.forEach(segment => {
+            const crosses = gutters.some(gutter => segment.x0 < gutter && segment.x1 > gutter);
+            if (crosses) {
+                flushBand();
+                segment.flow = `band${bandIndex}-full`;
+                ordered.push(segment);
+                return;
+            }
+            const column = gutters.filter(gutter => segment.x0 >= gutter).length;
+            band[column].push(segment);
+        });
+        flushBand();
+
+        return ordered;
+    }
+
+    // ==================== //
+    // Classification
+    // ==================== //
+
+    // Most common font size, weighted by the amount of text set in it
+    static bodyFontSize(lines) {
+        const weights = new Map();
+        lines.forEach(line => {
+            const size = Math.round(line.fontSize * 2) / 2;
+            weights.set(size, (weights.get(size) || 0) + line.text.length);
+        });
+        return [...weights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+
+    static edgeKey(text) {
+        return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+    }
+
+    // Edge lines repeated on at least half the pages (and three or more)
+    static repeatedEdgeLines(pageLines) {
+        const counts = new Map();
+        pageLines.forEach(lines => {
+            const keys = new Set(lines.filter(line => line.edge).map(line => this.edgeKey(line.text)));
+            keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+        });
+
+        const threshold = Math.max(3, pageLines.length / 2);
+        return new Set([...counts.entries()].filter(([, count]) => count >= threshold).map(([key]) => key));
+    }
+
+    static isHeadingLine(line, bodySize, allBold) {
+        const words = line.text.split(/\s+/).length;
+        if (!/[A-Za-z]{2}/.test(line.text) || words > 20 || line.text.length > 150) return false;
+        if (line.segments.length > 1) return false;
+
+        if (line.fontSize >= bodySize * PDF_HEADING_SIZE_RATIO) return true;
+        return line.bold && !allBold && words <= 12
+            && line.fontSize >= bodySize * 0.95
+            && !/[.;,]$/.test(line.text)
+            && !PDF_LIST_ITEM.test(line.text);
+    }
+
+    // Heading level by size: the largest heading size is level 1, and
+    // bold headings at body size come after every larger size (max level 3)
+    static headingLevels(lines, bodySize, allBold) {
+        const sizes = [...new Set(lines
+            .filter(line => this.isHeadingLine(line, bodySize, allBold) && line.fontSize >= bodySize * PDF_HEADING_SIZE_RATIO)
+            .map(line => Math.round(line.fontSize * 2) / 2))]
+            .sort((a, b) => b - a);
+
+        return (line) => {
+            const size = Math.round(line.fontSize * 2) / 2;
+            const index = sizes.indexOf(size);
+            return Math.min(index === -1 ? sizes.length + 1 : index + 1, 3);
+        };
+    }
+
+    // Consecutive multi-piece lines with aligned pieces form a table
+    static findTables(lines) {
+        const tableRows = new Set();
+
+        for (let i = 0; i < lines.length; i++) {
+            let end = i;
+            while (end + 1 < lines.length
+                && lines[end].segments.length > 1
+                && lines[end + 1].segments.length > 1
+                && lines[end + 1].page === lines[end].page
+                && lines[end + 1].flow === lines[end].flow
+                && this.alignedPieces(lines[end], lines[end + 1]) >= 2) {
+                end++;
+            }
+            if (end > i) {
+                for (let j = i; j <= end; j++) tableRows.add(lines[j]);
+                i = end;
+            }
+        }
+
+        return tableRows;
+    }
+
+    static alignedPieces(a, b) {
+        const tolerance = Math.max(a.fontSize, b.fontSize);
+        return a.segments.filter(sa => b.segments.some(sb =>
+            Math.abs(sa.x0 - sb.x0) <= tolerance || Math.abs(sa.x1 - sb.x1) <= tolerance)).length;
+    }
+
+    // Cells of table rows lined up under shared column positions
+    static tableRows(lines) {
+        const anchors = [];
+        lines.flatMap(line => line.segments).map(s => s.x0).sort((a, b) => a - b).forEach(x => {
+            const tolerance = lines[0].fontSize;
+            if (anchors.length === 0 || x - anchors[anchors.length - 1] > tolerance) anchors.push(x);
+        });
+
+        return lines.map(line => {
+            const cells = anchors.map(() => '');
+            line.segments.forEach(segment => {
+                let index = 0;
+                anchors.forEach((anchor, i) => {
+                    if (anchor <= segment.x0 + lines[0].fontSize / 2) index = i;
+                });
+                cells[index] = cells[index] ? `${cells[index]} ${segment.text}` : segment.text;
+            });
+            return cells;
+        });
+    }
+
+    static buildBlocks(lines, bodySize) {
+        const blocks = new TextBlocks();
+        const allBold = lines.every(line => line.bold);
+        const levelOf = this.headingLevels(lines, bodySize, allBold);
+        const tableRows = this.findTables(lines);
+
+        let open = null; // paragraph, list item or heading still taking lines
+        const close = () => {
+            if (!open) return;
+            if (open.type === 'heading') blocks.heading(open.text, open.level);
+            else if (open.type === 'list') blocks.listItem(open.text, open.ordered);
+            else blocks.paragraph(open.text);
+            open = null;
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const previous = lines[i - 1];
+
+            if (tableRows.has(line)) {
+                close();
+                const rows = [line];
+                while (i + 1 < lines.length && tableRows.has(lines[i + 1]) && lines[i + 1].flow === line.flow && lines[i + 1].page === line.page) {
+                    rows.push(lines[++i]);
+                }
+                blocks.table(this.tableRows(rows));
+                continue;
+            }
+
+            if (this.isHeadingLine(line, bodySize, allBold)) {
+                const level = levelOf(line);
+                // A heading wrapped onto a second line
+                if (open && open.type === 'heading' && open.level === level && this.sameFlowGap(previous, line) <= PDF_PARAGRAPH_GAP_EMS) {
+                    open.text += ` ${line.text}`;
+                    continue;
+                }
+                close();
+                open = { type: 'heading', text: line.text, level };
+                continue;
+            }
+
+            const item = line.text.match(PDF_LIST_ITEM);
+            if (item) {
+                close();
+                open = { type: 'list', text: item[3], ordered: !item[1], x0: line.x0, fontSize: line.fontSize };
+                continue;
+            }
+
+            if (open && open.type !== 'heading' && this.continues(open, previous, line)) {
+                open.text = this.joinLines(open.text, line.text);
+                continue;
+            }
+
+            close();
+            open = { type: 'paragraph', text: line.text, x0: line.x0, fontSize: line.fontSize };
+        }
+        close();
+
+        return blocks.blocks;
+    }
+
+    // Baseline distance in ems, or Infinity across pages and columns
+    static sameFlowGap(previous, line) {
+        if (!previous || previous.page !== line.page || previous.flow !== line.flow) return Infinity;
+        return (previous.y - line.y) / Math.max(previous.fontSize, line.fontSize);
+    }
+
+    static continues(open, previous, line) {
+        if (Math.abs(line.fontSize - open.fontSize) > open.fontSize * 0.1) return false;
+
+        const gap = this.sameFlowGap(previous, line);
+        if (gap === Infinity) {
+            // Next column or page: carry on only mid-sentence
+            return !PDF_SENTENCE_END.test(open.text) && /^[a-z(]/.test(line.text);
+        }
+        if (gap <= 0 || gap > PDF_PARAGRAPH_GAP_EMS) return false;
+
+        // List items continue on lines indented past their bullet
+        if (open.type === 'list') return line.x0 > open.x0 + line.fontSize * 0.3;
+
+        // A short line ending a sentence ends the paragraph, as does an indented first line
+        const previousShort = previous.x1 < previous.flowRight - Math.max(2 * previous.fontSize, (previous.flowRight - previous.flowLeft) * 0.1);
+        if (previousShort && PDF_SENTENCE_END.test(previous.text)) return false;
+        if (line.x0 > previous.x0 + line.fontSize && PDF_SENTENCE_END.test(previous.text)) return false;
+
+        return true;
+    }
+
+    // Join wrapped lines, undoing end-of-line hyphenation
+    static joinLines(text, next) {
+        if (/[a-z]-$/.test(text) && /^[a-z]/.test(next)) return text.slice(0, -1) + next;
+        return `${text} ${next}`;
+    }
+
+    static quantile(values, q) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+    }
+}
\ No newline at end of file
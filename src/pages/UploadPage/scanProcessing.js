@@ -0,0 +1,428 @@
+// Scan Processing - page detection, perspective correction, deskew and
+// adaptive thresholding for camera captures, ahead of Tesseract OCR
+// Pure JavaScript - works on ImageData-like objects ({ width, height, data })
+//
+// Corners are always fractions of the image size, in the order top-left,
+// top-right, bottom-right, bottom-left: [{ x, y }, ...]
+
+// Long side of the downscaled image used to find the page and its skew
+const SCAN_DETECT_SIZE = 480;
+// Long side of the corrected page handed to OCR
+const SCAN_MAX_OUTPUT = 2400;
+// Deskew searches this many degrees either way
+const SCAN_MAX_SKEW = 8;
+
+class ScanImageProcessor {
+
+    static fullFrameCorners() {
+        return [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+    }
+
+    // Detect the page, straighten it and binarize it. corners overrides
+    // detection (manual adjustment). Returns RGBA ImageData-like output.
+    static prepareForOcr(imageData, corners = null) {
+        let page = this.toGray(imageData);
+
+        const quad = corners || this.detectDocumentCorners(imageData);
+        if (quad) page = this.warpPerspective(page, quad);
+
+        page = this.deskew(page);
+        return this.toRgba(this.adaptiveThreshold(page));
+    }
+
+    // ==================== //
+    // Grayscale Helpers
+    // ==================== //
+
+    // Grayscale copy, scaled down so its long side is at most maxSize
+    static toGray(imageData, maxSize = Infinity) {
+        const scale = Math.min(1, maxSize / Math.max(imageData.width, imageData.height));
+        const width = Math.max(1, Math.round(imageData.width * scale));
+        const height = Math.max(1, Math.round(imageData.height * scale));
+        const source = imageData.data;
+        const data = new Uint8ClampedArray(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const sy = Math.min(imageData.height - 1, Math.floor(y / scale));
+            for (let x = 0; x < width; x++) {
+                const sx = Math.min(imageData.width - 1, Math.floor(x / scale));
+                const i = (sy * imageData.width + sx) * 4;
+                data[y * width + x] = 0.299 * source[i] + 0.587 * source[i + 1] + 0.114 * source[i + 2];
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    static toRgba(gray) {
+        const data = new Uint8ClampedArray(gray.width * gray.height * 4);
+        for (let i = 0; i < gray.data.length; i++) {
+            data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = gray.data[i];
+            data[i * 4 + 3] = 255;
+        }
+        return { width: gray.width, height: gray.height, data };
+    }
+
+    // Summed-area table (and of squares) for constant-time window sums
+    static integral(gray, squared = false) {
+        const { width, height, data } = gray;
+        const stride = width + 1;
+        const sums = new Float64Array(stride * (height + 1));
+        const squares = squared ? new Float64Array(stride * (height + 1)) : null;
+
+        for (let y = 0; y < height; y++) {
+            let row = 0;
+            let rowSquares = 0;
+            for (let x = 0; x < width; x++) {
+                const value = data[y * width + x];
+                row += value;
+                sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + row;
+                if (squares) {
+                    rowSquares += value * value;
+                    squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+                }
+            }
+        }
+
+        return { sums, squares, stride };
+    }
+
+    static windowSum(table, x0, y0, x1, y1) {
+        const { stride } = table;
+        return table[y1 * stride + x1] - table[y0 * stride + x1] - table[y1 * stride + x0] + table[y0 * stride + x0];
+    }
+
+    static boxBlur(gray, radius) {
+        const { width, height } = gray;
+        const { sums, stride } = this.integral(gray);
+        const table = Object.assign(sums, { stride });
+        const data = new Uint8ClampedArray(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                data[y * width + x] = this.windowSum(table, x0, y0, x1, y1) / ((x1 - x0) * (y1 - y0));
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    // Threshold that best separates the two brightness groups
+    static otsuThreshold(data) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+        let total = 0;
+        for (let t = 0; t < 256; t++) total += t * histogram[t];
+
+        let sumBelow = 0;
+        let countBelow = 0;
+        let best = -1;
+        let threshold = 128;
+        for (let t = 0; t < 256; t++) {
+            countBelow += histogram[t];
+            if (countBelow === 0) continue;
+            const countAbove = data.length - countBelow;
+            if (countAbove === 0) break;
+
+            sumBelow += t * histogram[t];
+            const meanBelow = sumBelow / countBelow;
+            const meanAbove = (total - sumBelow) / countAbove;
+            const between = countBelow * countAbove * (meanBelow - meanAbove) ** 2;
+            if (between > best) {
+                best = between;
+                threshold = t;
+            }
+        }
+
+        return threshold;
+    }
+
+    // ==================== //
+    // Page Detection
+    // ==================== //
+
+    // Corners of the page, taken as the largest bright region of the photo
+    // (paper against a darker desk or background). Null when nothing page
+    // sized stands out.
+    static detectDocumentCorners(imageData) {
+        const gray = this.boxBlur(this.toGray(imageData, SCAN_DETECT_SIZE), 2);
+        const { width, height, data } = gray;
+        const threshold = this.otsuThreshold(data);
+
+        const visited = new Uint8Array(width * height);
+        const stack = new Int32Array(width * height);
+        let best = null;
+
+        for (let start = 0; start < data.length; start++) {
+            if (visited[start] || data[start] <= threshold) continue;
+
+            // Flood fill, tracking the points furthest along each diagonal
+            const region = { count: 0, tl: null, tr: null, br: null, bl: null };
+            let minSum = Infinity;
+            let maxSum = -Infinity;
+            let minDiff = Infinity;
+            let maxDiff = -Infinity;
+            let top = 0;
+            stack[top++] = start;
+            visited[start] = 1;
+
+            while (top > 0) {
+                const index = stack[--top];
+                const x = index % width;
+                const y = (index - x) / width;
+                region.count++;
+
+                if (x + y < minSum) { minSum = x + y; region.tl = { x, y }; }
+                if (x + y > maxSum) { maxSum = x + y; region.br = { x, y }; }
+                if (x - y > maxDiff) { maxDiff = x - y; region.tr = { x, y }; }
+                if (x - y < minDiff) { minDiff = x - y; region.bl = { x, y }; }
+
+                const neighbours = [
+                    x > 0 ? index - 1 : -1,
+                    x < width - 1 ? index + 1 : -1,
+                    y > 0 ? index - width : -1,
+                    y < height - 1 ? index + width : -1
+                ];
+                neighbours.forEach(next => {
+                    if (next >= 0 && !visited[next] && data[next] > threshold) {
+                        visited[next] = 1;
+                        stack[top++] = next;
+                    }
+                });
+            }
+
+            if (!best || region.count > best.count) best = region;
+        }
+
+        if (!best || best.count < width * height * 0.15) return null;
+
+        // Pixel centres, as fractions of the image
+        const corners = [best.tl, best.tr, best.br, best.bl].map(point => ({
+            x: Math.min(1, (point.x + 0.5) / width),
+            y: Math.min(1, (point.y + 0.5) / height)
+        }));
+
+        if (!this.isConvex(corners) || this.quadArea(corners) < 0.2) return null;
+        return corners;
+    }
+
+    static quadArea(corners) {
+        let area = 0;
+        corners.forEach((point, i) => {
+            const next = corners[(i + 1) % corners.length];
+            area += point.x * next.y - next.x * point.y;
+        });
+        return Math.abs(area) / 2;
+    }
+
+    static isConvex(corners) {
+        let sign = 0;
+        for (let i = 0; i < corners.length; i++) {
+            const a = corners[i];
+            const b = corners[(i + 1) % corners.length];
+            const c = corners[(i + 2) % corners.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (cross === 0) continue;
+            if (sign === 0) sign = Math.sign(cross);
+            else if (Math.sign(cross) !== sign) return false;
+        }
+        return sign !== 0;
+    }
+
+    // Tilt of the page's top and bottom edges, in degrees
+    static cornersAngle(corners) {
+        const [tl, tr, br, bl] = corners;
+        const top = Math.atan2(tr.y - tl.y, tr.x - tl.x);
+        const bottom = Math.atan2(br.y - bl.y, br.x - bl.x);
+        return ((top + bottom) / 2) * 180 / Math.PI;
+    }
+
+    // ==================== //
+    // Perspective Correction
+    // ==================== //
+
+    // Projective map from the unit square onto the quad: (0,0) -> top-left,
+    // (1,0) -> top-right, (1,1) -> bottom-right, (0,1) -> bottom-left
+    static squareToQuad(quad) {
+        const [p0, p1, p2, p3] = quad;
+        const dx1 = p1.x - p2.x;
+        const dx2 = p3.x - p2.x;
+        const dx3 = p0.x - p1.x + p2.x - p3.x;
+        const dy1 = p1.y - p2.y;
+        const dy2 = p3.y - p2.y;
+        const dy3 = p0.y - p1.y + p2.y - p3.y;
+
+        const det = dx1 * dy2 - dx2 * dy1;
+        if (det === 0) return null;
+
+        const g = (dx3 * dy2 - dx2 * dy3) / det;
+        const h = (dx1 * dy3 - dx3 * dy1) / det;
+        const a = p1.x - p0.x + g * p1.x;
+        const b = p3.x - p0.x + h * p3.x;
+        const d = p1.y - p0.y + g * p1.y;
+        const e = p3.y - p0.y + h * p3.y;
+
+        return (u, v) => {
+            const w = g * u + h * v + 1;
+            return { x: (a * u + b * v + p0.x) / w, y: (d * u + e * v + p0.y) / w };
+        };
+    }
+
+    // Pixel value between pixel centres; white outside the image
+    static sample(gray, x, y) {
+        const { width, height, data } = gray;
+        if (x < 0 || y < 0 || x > width - 1 || y > height - 1) return 255;
+
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const x1 = Math.min(width - 1, x0 + 1);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const top = data[y0 * width + x0] * (1 - fx) + data[y0 * width + x1] * fx;
+        const bottom = data[y1 * width + x0] * (1 - fx) + data[y1 * width + x1] * fx;
+        return top * (1 - fy) + bottom * fy;
+    }
+
+    // Map the page quad onto an upright rectangle sized like the page
+    static warpPerspective(gray, corners) {
+        const quad = corners.map(point => ({ x: point.x * gray.width, y: point.y * gray.height }));
+        const map = this.squareToQuad(quad);
+        if (!map) return gray;
+
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        let width = (distance(quad[0], quad[1]) + distance(quad[3], quad[2])) / 2;
+        let height = (distance(quad[0], quad[3]) + distance(quad[1], quad[2])) / 2;
+        const scale = Math.min(1, SCAN_MAX_OUTPUT / Math.max(width, height));
+        width = Math.max(1, Math.round(width * scale));
+        height = Math.max(1, Math.round(height * scale));
+
+        const data = new Uint8ClampedArray(width * height);
+        for (let y = 0; y < height; y++) {
+            const v = (y + 0.5) / height;
+            for (let x = 0; x < width; x++) {
+                const point = map((x + 0.5) / width, v);
+                data[y * width + x] = this.sample(gray, point.x - 0.5, point.y - 0.5);
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    // ==================== //
+    // Deskew
+    // ==================== //
+
+    // Angle (degrees) at which text lines run level: the rotation whose
+    // row profile of ink pixels has the sharpest peaks and gaps
+    static estimateSkew(gray) {
+        const small = this.toGray(this.toRgba(gray), SCAN_DETECT_SIZE * 1.5);
+        const threshold = this.otsuThreshold(small.data);
+        const ink = [];
+        for (let y = 0; y < small.height; y++) {
+            for (let x = 0; x < small.width; x++) {
+                if (small.data[y * small.width + x] < threshold) ink.push(x, y);
+            }
+        }
+        if (ink.length < 200) return 0;
+
+        const centerX = small.width / 2;
+        const score = (degrees) => {
+            const slope = Math.tan(degrees * Math.PI / 180);
+            const rows = new Map();
+            for (let i = 0; i < ink.length; i += 2) {
+                const row = Math.round(ink[i + 1] - (ink[i] - centerX) * slope);
+                rows.set(row, (rows.get(row) || 0) + 1);
+            }
+            let total = 0;
+            rows.forEach(count => { total += count * count; });
+            return total;
+        };
+
+        const search = (from, to, step) => {
+            let bestAngle = 0;
+            let bestScore = -1;
+            for (let angle = from; angle <= to + 1e-9; angle += step) {
+                const value = score(angle);
+                if (value > bestScore) {
+                    bestScore = value;
+                    bestAngle = angle;
+                }
+            }
+            return bestAngle;
+        };
+
+        const coarse = search(-SCAN_MAX_SKEW, SCAN_MAX_SKEW, 0.5);
+        return search(coarse - 0.5, coarse + 0.5, 0.1);
+    }
+
+    static deskew(gray) {
+        const angle = this.estimateSkew(gray);
+        if (Math.abs(angle) < 0.2) return gray;
+        return this.rotate(gray, angle);
+    }
+
+    // Rotate so lines tilted by `degrees` become level, keeping the size
+    static rotate(gray, degrees) {
+        const { width, height } = gray;
+        const radians = degrees * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const cx = (width - 1) / 2;
+        const cy = (height - 1) / 2;
+        const data = new Uint8ClampedArray(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dx = x - cx;
+                const dy = y - cy;
+                data[y * width + x] = this.sample(gray, cx + dx * cos - dy * sin, cy + dx * sin + dy * cos);
+            }
+        }
+
+        return { width, height, data };
+    }
+
+    // ==================== //
+    // Adaptive Threshold
+    // ==================== //
+
+    // Sauvola thresholding: each pixel is compared with the mean and
+    // contrast of its own neighbourhood, so shadows and uneven phone
+    // lighting don't swallow text the way one global threshold does
+    static adaptiveThreshold(gray, k = 0.2) {
+        const { width, height, data } = gray;
+        const radius = Math.max(7, Math.round(Math.min(width, height) / 60));
+        const { sums, squares, stride } = this.integral(gray, true);
+        const sumTable = Object.assign(sums, { stride });
+        const squareTable = Object.assign(squares, { stride });
+        const output = new Uint8ClampedArray(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                const count = (x1 - x0) * (y1 - y0);
+                const mean = this.windowSum(sumTable, x0, y0, x1, y1) / count;
+                const variance = Math.max(0, this.windowSum(squareTable, x0, y0, x1, y1) / count - mean * mean);
+                const threshold = mean * (1 + k * (Math.sqrt(variance) / 128 - 1));
+                output[y * width + x] = data[y * width + x] > threshold ? 255 : 0;
+            }
+        }
+
+        return { width, height, data: output };
+    }
+}
+
+// Export for use outside the browser
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScanImageProcessor;
+}
\ No newline at end of file
@@ -91,6 +91,22 @@ function updateLoadingProgress(percent, message) {
 function hideLoading() {
     const modal = document.getElementById('loadingModal');
     if (modal) modal.classList.remove('active');
+    clearLoadingSections();
+}
+
+function addLoadingSection(title) {
+    const list = document.getElementById('loadingSections');
+    if (!list || !title) return;
+    
+    const item = document.createElement('li');
+    item.textContent = title;
+    list.appendChild(item);
+    list.scrollTop = list.scrollHeight;
+}
+
+function clearLoadingSections() {
+    const list = document.getElementById('loadingSections');
+    if (list) list.innerHTML = '';
 }
 
 // ==================== //
@@ -295,7 +311,8 @@ function showSuccessDialog(reviewerData) {
 // ==================== //
 // Main Generation Function - WITH AUTH
 // ==================== //
-async function generateReviewer(text, title) {
+// blocks: the document's structure (DocumentBlocks) when the file had one
+async function generateReviewer(text, title, blocks = null) {
     try {
         console.log('🚀 Starting reviewer generation...');
         
@@ -306,100 +323,298 @@ async function generateReviewer(text, title) {
             throw new Error('Not authenticated');
         }
         
-        // STEP 1: Generate reviewer via backend
+        // STEP 1: Generate reviewer via backend - as a background job when
+        // the server supports it, otherwise streamed, otherwise a plain request
         showLoading('Generating reviewer...');
-        updateLoadingProgress(20, 'Analyzing content...');
+        updateLoadingProgress(2, 'Analyzing content...');
         
-        const response = await fetch(`${BACKEND_URL}/api/generate-reviewer`, {
+        let reviewerData;
+        try {
+            reviewerData = await generateReviewerJob(text, title, sessionToken, blocks);
+        } catch (jobError) {
+            if (!jobError.fallback) throw jobError;
+            
+            console.warn('⚠️ Background jobs unavailable, streaming instead:', jobError.message);
+            try {
+                reviewerData = await generateReviewerStream(text, title, userId, sessionToken, blocks);
+            } catch (streamError) {
+                if (!streamError.fallback) throw streamError;
+                
+                console.warn('⚠️ Streaming unavailable, using standard request:', streamError.message);
+                reviewerData = await generateReviewerStandard(text, title, userId, sessionToken, blocks);
+            }
+        }
+        
+        await finishReviewerGeneration(reviewerData, title);
+        
+    } catch (error) {
+        console.error('❌ Error:', error);
+        hideLoading();
+        alert(`Error generating reviewer:\n\n${error.message}\n\nPlease try again.`);
+    }
+}
+
+// Store the finished reviewer for ReviewerPage and show the success dialog
+async function finishReviewerGeneration(reviewerData, title) {
+    console.log('✅ Reviewer generated');
+    console.log('📊 Reviewer ID:', reviewerData.reviewerId);
+    console.log('📊 Document ID:', reviewerData.documentId);
+    
+    // STEP 2: Store to sessionStorage
+    updateLoadingProgress(98, 'Preparing data...');
+    
+    const completeData = {
+        ...reviewerData,
+        title: title,
+        timestamp: Date.now()
+    };
+    
+    sessionStorage.setItem('reviewerData', JSON.stringify(completeData));
+    sessionStorage.setItem('reviewerTitle', title);
+    
+    if (reviewerData.reviewerId) {
+        sessionStorage.setItem('reviewerId', reviewerData.reviewerId.toString());
+    }
+    if (reviewerData.documentId) {
+        sessionStorage.setItem('documentId', reviewerData.documentId.toString());
+    }
+    
+    console.log('✅ Data stored to sessionStorage');
+    
+    // STEP 3: Complete
+    updateLoadingProgress(100, 'Complete!');
+    
+    await new Promise(resolve => setTimeout(resolve, 500));
+    hideLoading();
+    await new Promise(resolve => setTimeout(resolve, 200));
+    
+    // STEP 4: Show dialog
+    showSuccessDialog(reviewerData);
+}
+
+// ==================== //
+// Background Generation Jobs
+// ==================== //
+const PENDING_REVIEWER_JOB_KEY = 'pendingReviewerJob';
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// Queue the reviewer as a server-side job and follow it. The job ID is kept
+// in localStorage so leaving the page does not lose the work - coming back
+// resumes following the same job.
+async function generateReviewerJob(text, title, sessionToken, blocks = null) {
+    let response;
+    try {
+        response = await fetch(`${BACKEND_URL}/api/jobs`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${sessionToken}`
             },
-            body: JSON.stringify({
-                userId: userId,
-                text: text,
-                title: title
-            })
+            body: JSON.stringify({ type: 'reviewer', text: text, title: title, blocks: blocks || undefined })
         });
-        
-        if (!response.ok) {
+    } catch (networkError) {
+        throw Object.assign(new Error(networkError.message), { fallback: true });
+    }
+    
+    if (!response.ok) {
+        if (response.status === 401) {
             throw new Error(`Backend error: ${response.status} ${response.statusText}`);
         }
+        throw Object.assign(new Error(`Jobs unavailable: ${response.status}`), { fallback: true });
+    }
+    
+    const job = await response.json();
+    localStorage.setItem(PENDING_REVIEWER_JOB_KEY, JSON.stringify({ jobId: job.id, title: title }));
+    console.log('📋 Reviewer job queued:', job.id);
+    
+    return await followReviewerJob(job.id, sessionToken);
+}
+
+// Poll a reviewer job until it finishes, mirroring its progress in the
+// loading modal. Resolves with the saved reviewer.
+async function followReviewerJob(jobId, sessionToken) {
+    const shownSections = new Set();
+    
+    while (true) {
+        const response = await fetch(`${BACKEND_URL}/api/jobs/${jobId}`, {
+            headers: { 'Authorization': `Bearer ${sessionToken}` }
+        });
         
-        updateLoadingProgress(50, 'AI processing...');
-        const reviewerData = await response.json();
-        
-        console.log('✅ Reviewer generated');
-        console.log('📊 Reviewer ID:', reviewerData.reviewerId);
-        console.log('📊 Document ID:', reviewerData.documentId);
-        
-        // STEP 2: Store to sessionStorage
-        updateLoadingProgress(85, 'Preparing data...');
+        if (!response.ok) {
+            localStorage.removeItem(PENDING_REVIEWER_JOB_KEY);
+            throw new Error(`Could not check generation progress (${response.status})`);
+        }
         
-        const completeData = {
-            ...reviewerData,
-            title: title,
-            timestamp: Date.now()
-        };
+        const job = await response.json();
+        updateLoadingProgress(Math.max(2, job.progress || 0), job.message);
         
-        sessionStorage.setItem('reviewerData', JSON.stringify(completeData));
-        sessionStorage.setItem('reviewerTitle', title);
+        (job.partial?.sections || []).forEach((sectionTitle, index) => {
+            if (shownSections.has(index)) return;
+            shownSections.add(index);
+            addLoadingSection(sectionTitle);
+        });
         
-        if (reviewerData.reviewerId) {
-            sessionStorage.setItem('reviewerId', reviewerData.reviewerId.toString());
+        if (job.status === 'completed') {
+            localStorage.removeItem(PENDING_REVIEWER_JOB_KEY);
+            return job.result.reviewer;
         }
-        if (reviewerData.documentId) {
-            sessionStorage.setItem('documentId', reviewerData.documentId.toString());
+        if (job.status === 'failed') {
+            localStorage.removeItem(PENDING_REVIEWER_JOB_KEY);
+            throw new Error(job.error || 'Reviewer generation failed');
         }
         
-        console.log('✅ Data stored to sessionStorage');
-        
-        // STEP 3: Complete
-        updateLoadingProgress(100, 'Complete!');
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    }
+}
+
+// Pick up a reviewer job started before the page was left or reloaded
+async function resumePendingReviewerJob() {
+    const pendingStr = localStorage.getItem(PENDING_REVIEWER_JOB_KEY);
+    if (!pendingStr) return;
+    
+    try {
+        const pending = JSON.parse(pendingStr);
+        console.log('🔄 Resuming reviewer job:', pending.jobId);
         
-        await new Promise(resolve => setTimeout(resolve, 500));
+        showLoading('Resuming reviewer generation...');
+        const reviewerData = await followReviewerJob(pending.jobId, getSessionToken());
+        await finishReviewerGeneration(reviewerData, pending.title || reviewerData.title);
+    } catch (error) {
+        console.error('❌ Could not resume reviewer job:', error);
+        localStorage.removeItem(PENDING_REVIEWER_JOB_KEY);
         hideLoading();
-        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+}
+
+// Stream progress events from the backend. Each line is a JSON event:
+// phase/progress updates, each section as soon as it is complete, and a
+// final "complete" event carrying the saved reviewer.
+async function generateReviewerStream(text, title, userId, sessionToken, blocks = null) {
+    let response;
+    try {
+        response = await fetch(`${BACKEND_URL}/api/generate-reviewer/stream`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${sessionToken}`
+            },
+            body: JSON.stringify({
+                userId: userId,
+                text: text,
+                title: title,
+                blocks: blocks || undefined
+            })
+        });
+    } catch (networkError) {
+        throw Object.assign(new Error(networkError.message), { fallback: true });
+    }
+    
+    if (!response.ok || !response.body) {
+        if (response.status === 401) {
+            throw new Error(`Backend error: ${response.status} ${response.statusText}`);
+        }
+        throw Object.assign(new Error(`Stream error: ${response.status}`), { fallback: true });
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+    
+    const handleEvent = (line) => {
+        if (!line.trim()) return;
+        const event = JSON.parse(line);
         
-        // STEP 4: Show dialog
-        showSuccessDialog(reviewerData);
+        switch (event.type) {
+            case 'phase':
+                updateLoadingProgress(event.progress, event.message);
+                break;
+            case 'progress':
+                updateLoadingProgress(event.progress);
+                break;
+            case 'section':
+                addLoadingSection(event.section?.title);
+                break;
+            case 'complete':
+                result = event.reviewer;
+                break;
+            case 'error':
+                throw new Error(event.error || 'Reviewer generation failed');
+        }
+    };
+    
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
         
-    } catch (error) {
-        console.error('❌ Error:', error);
-        hideLoading();
-        alert(`Error generating reviewer:\n\n${error.message}\n\nPlease try again.`);
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(handleEvent);
+    }
+    handleEvent(buffer);
+    
+    if (!result) {
+        throw new Error('Reviewer generation ended unexpectedly');
     }
+    return result;
+}
+
+async function generateReviewerStandard(text, title, userId, sessionToken, blocks = null) {
+    updateLoadingProgress(20, 'AI processing...');
+    
+    const response = await fetch(`${BACKEND_URL}/api/generate-reviewer`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${sessionToken}`
+        },
+        body: JSON.stringify({
+            userId: userId,
+            text: text,
+            title: title,
+            blocks: blocks || undefined
+        })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Backend error: ${response.status} ${response.statusText}`);
+    }
+    
+    updateLoadingProgress(85, 'Preparing data...');
+    return await response.json();
 }
 
 // ==================== //
 // Text Extraction
 // ==================== //
-async function extractPDFText(file) {
+// Headings, columns, lists and tables are rebuilt from text positions and font sizes
+async function extractPDFDocument(file) {
     showLoading('Reading PDF...');
     updateLoadingProgress(10);
     
     const arrayBuffer = await file.arrayBuffer();
     const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
     
-    let fullText = '';
+    const pages = [];
     for (let i = 1; i <= pdf.numPages; i++) {
         const page = await pdf.getPage(i);
-        const textContent = await page.getTextContent();
-        const pageText = textContent.items.map(item => item.str).join(' ');
-        fullText += pageText + '\n\n';
+        pages.push(await PdfLayoutAnalyzer.readPage(page));
         
-        updateLoadingProgress(10 + (i / pdf.numPages) * 40, `Processing page ${i}/${pdf.numPages}...`);
+        updateLoadingProgress(10 + (i / pdf.numPages) * 35, `Processing page ${i}/${pdf.numPages}...`);
     }
     
-    return fullText.trim();
+    updateLoadingProgress(46, 'Detecting headings and columns...');
+    const blocks = PdfLayoutAnalyzer.analyze(pages);
+    
+    return { text: DocumentBlocks.toText(blocks), blocks: blocks };
 }
 
 async function extractImageText(file) {
     showLoading('Extracting text from image...');
     updateLoadingProgress(10);
     
-    const { data: { text } } = await Tesseract.recognize(file, 'eng', {
+    const { data } = await Tesseract.recognize(file, 'eng', {
         logger: (m) => {
             if (m.status === 'recognizing text') {
                 updateLoadingProgress(10 + m.progress * 60, `OCR: ${Math.round(m.progress * 100)}%`);
@@ -407,7 +622,11 @@ async function extractImageText(file) {
         }
     });
     
-    return text.trim();
+    // Words, boxes and confidences for the review screen
+    return {
+        text: data.text.trim(),
+        review: OcrReview.fromTesseract(data, URL.createObjectURL(file))
+    };
 }
 
 async function extractTextFile(file) {
@@ -416,15 +635,32 @@ async function extractTextFile(file) {
     return await file.text();
 }
 
-async function extractText(file) {
+// Word, PowerPoint, EPUB, Markdown and HTML - headings come through as "# Title"
+async function extractStructuredDocument(file) {
+    showLoading('Reading document...');
+    updateLoadingProgress(10);
+    
+    const blocks = await DocumentExtractor.extract(file, (percent, message) => {
+        updateLoadingProgress(10 + percent * 0.4, message);
+    });
+    
+    return { text: DocumentBlocks.toText(blocks), blocks: blocks };
+}
+
+// Text of the file, plus its structure (DocumentBlocks) when the format has
+// one, or the OCR words (OcrReview) for images
+async function extractDocument(file) {
     const fileName = file.name.toLowerCase();
     
     if (fileName.endsWith('.pdf')) {
-        return await extractPDFText(file);
+        return await extractPDFDocument(file);
     } else if (fileName.match(/\.(jpg|jpeg|png)$/)) {
-        return await extractImageText(file);
+        const { text, review } = await extractImageText(file);
+        return { text: text, blocks: null, ocrReviews: [review] };
     } else if (fileName.endsWith('.txt')) {
-        return await extractTextFile(file);
+        return { text: await extractTextFile(file), blocks: null };
+    } else if (DocumentExtractor.supports(fileName)) {
+        return await extractStructuredDocument(file);
     } else {
         throw new Error('Unsupported file type');
     }
@@ -434,12 +670,17 @@ async function extractText(file) {
 // UI Functions
 // ==================== //
 function handleFile(file) {
-    const validTypes = ['application/pdf', 'image/jpeg', 'image/jpg', 'image/png', 'text/plain'];
-    const validExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.txt'];
+    const validTypes = [
+        'application/pdf', 'image/jpeg', 'image/jpg', 'image/png', 'text/plain',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/epub+zip', 'text/markdown', 'text/html'
+    ];
+    const validExtensions = ['.pdf', '.jpg', '.jpeg', '.png', '.txt', ...DocumentExtractor.EXTENSIONS];
     const fileExtension = '.' + file.name.split('.').pop().toLowerCase();
     
     if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
-        alert('Please upload PDF, Image (JPG/PNG), or Text file only');
+        alert('Please upload a PDF, Word (DOCX), PowerPoint (PPTX), EPUB, Image (JPG/PNG), Text, Markdown or HTML file');
         return;
     }
     
@@ -492,12 +733,396 @@ function updateGenerateButton() {
     } else if (currentTab === 'scan') {
         const titleInput = document.getElementById('scanTopicTitle');
         isValid = titleInput && titleInput.value.trim().length > 0 && 
-                  cameraScanner && cameraScanner.capturedImage !== null;
+                  cameraScanner && cameraScanner.pages.length > 0;
     }
     
     generateBtn.disabled = !isValid;
 }
 
+// ==================== //
+// Scan Session
+// ==================== //
+function renderScanSession() {
+    const session = document.getElementById('scanSession');
+    const thumbnails = document.getElementById('scanThumbnails');
+    const sessionTitle = document.getElementById('scanSessionTitle');
+    const pageCount = document.getElementById('scanPageCount');
+    const startCameraBtn = document.getElementById('startCameraBtn');
+    if (!session || !thumbnails || !cameraScanner) return;
+    
+    const pages = cameraScanner.pages;
+    const pagesLabel = `${pages.length} page${pages.length === 1 ? '' : 's'}`;
+    
+    session.style.display = pages.length > 0 ? 'block' : 'none';
+    if (sessionTitle) sessionTitle.textContent = `Scanned pages (${pages.length})`;
+    if (startCameraBtn) startCameraBtn.textContent = pages.length > 0 ? 'Add Pages' : 'Start Camera';
+    if (pageCount) {
+        pageCount.textContent = cameraScanner.retakeIndex !== null
+            ? `Retaking page ${cameraScanner.retakeIndex + 1}`
+            : (pages.length > 0 ? pagesLabel : '');
+    }
+    
+    thumbnails.innerHTML = '';
+    pages.forEach((page, index) => {
+        thumbnails.appendChild(createScanThumbnail(page, index, pages.length));
+    });
+    
+    updateGenerateButton();
+}
+
+function createScanThumbnail(page, index, total) {
+    const item = document.createElement('div');
+    item.className = 'scan-thumbnail';
+    
+    const image = document.createElement('img');
+    image.src = page.image;
+    image.alt = `Scanned page ${index + 1}`;
+    
+    const label = document.createElement('span');
+    label.className = 'scan-thumbnail-label';
+    label.textContent = index + 1;
+    
+    const actions = document.createElement('div');
+    actions.className = 'scan-thumbnail-actions';
+    [
+        { icon: '←', label: 'Move earlier', disabled: index === 0, onClick: () => moveScanPage(index, -1) },
+        { icon: '→', label: 'Move later', disabled: index === total - 1, onClick: () => moveScanPage(index, 1) },
+        { icon: '✂', label: 'Adjust corners', disabled: false, onClick: () => openCornerEditor(index) },
+        { icon: '↻', label: 'Retake', disabled: false, onClick: () => retakeScanPage(index) },
+        { icon: '✕', label: 'Delete', disabled: false, onClick: () => deleteScanPage(index), className: 'btn-delete-page' }
+    ].forEach(action => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn-thumbnail-action ${action.className || ''}`.trim();
+        button.textContent = action.icon;
+        button.title = `${action.label} (page ${index + 1})`;
+        button.setAttribute('aria-label', button.title);
+        button.disabled = action.disabled;
+        button.addEventListener('click', action.onClick);
+        actions.appendChild(button);
+    });
+    
+    item.appendChild(image);
+    item.appendChild(label);
+    item.appendChild(actions);
+    return item;
+}
+
+function moveScanPage(index, offset) {
+    if (cameraScanner.movePage(index, offset)) {
+        renderScanSession();
+    }
+}
+
+function deleteScanPage(index) {
+    cameraScanner.removePage(index);
+    renderScanSession();
+}
+
+async function retakeScanPage(index) {
+    cameraScanner.stopCamera();
+    cameraScanner.startRetake(index);
+    renderScanSession();
+    
+    const started = await cameraScanner.startCamera();
+    if (!started) {
+        cameraScanner.startRetake(null);
+        renderScanSession();
+    }
+}
+
+function captureScanPage() {
+    const imageDataUrl = cameraScanner.captureImage();
+    if (!imageDataUrl) return;
+    
+    const retaking = cameraScanner.retakeIndex !== null;
+    cameraScanner.addPage(imageDataUrl);
+    
+    // Brief flash so each capture is noticed while the camera keeps running
+    const cameraView = document.getElementById('cameraView');
+    if (cameraView) {
+        cameraView.classList.remove('capture-flash');
+        void cameraView.offsetWidth;
+        cameraView.classList.add('capture-flash');
+    }
+    
+    // A retake replaces one page - back to the page list afterwards
+    if (retaking) {
+        cameraScanner.stopCamera();
+    }
+    
+    renderScanSession();
+}
+
+// ==================== //
+// Page Corner Adjustment
+// ==================== //
+const CORNER_NAMES = ['Top-left', 'Top-right', 'Bottom-right', 'Bottom-left'];
+let cornerEditorState = null; // { index, corners }
+
+async function openCornerEditor(index) {
+    const page = cameraScanner.pages[index];
+    const editor = document.getElementById('cornerEditor');
+    const image = document.getElementById('cornerEditorImage');
+    if (!page || !editor || !image) return;
+    
+    const corners = page.corners || await cameraScanner.detectPageCorners(index);
+    cornerEditorState = { index, corners: corners.map(corner => ({ ...corner })) };
+    
+    image.src = page.image;
+    editor.classList.add('active');
+    renderCornerHandles();
+}
+
+function closeCornerEditor() {
+    const editor = document.getElementById('cornerEditor');
+    if (editor) editor.classList.remove('active');
+    cornerEditorState = null;
+}
+
+function renderCornerHandles() {
+    const stage = document.getElementById('cornerEditorStage');
+    if (!stage || !cornerEditorState) return;
+    
+    stage.querySelectorAll('.corner-handle').forEach(handle => handle.remove());
+    
+    cornerEditorState.corners.forEach((corner, cornerIndex) => {
+        const handle = document.createElement('div');
+        handle.className = 'corner-handle';
+        handle.tabIndex = 0;
+        handle.setAttribute('role', 'slider');
+        handle.setAttribute('aria-label', `${CORNER_NAMES[cornerIndex]} corner (arrow keys move it)`);
+        handle.addEventListener('pointerdown', (e) => startCornerDrag(e, cornerIndex, handle));
+        handle.addEventListener('keydown', (e) => nudgeCorner(e, cornerIndex));
+        stage.appendChild(handle);
+    });
+    
+    updateCornerOutline();
+}
+
+function updateCornerOutline() {
+    const stage = document.getElementById('cornerEditorStage');
+    const polygon = document.getElementById('cornerEditorPolygon');
+    if (!stage || !cornerEditorState) return;
+    
+    const corners = cornerEditorState.corners;
+    stage.querySelectorAll('.corner-handle').forEach((handle, cornerIndex) => {
+        handle.style.left = `${corners[cornerIndex].x * 100}%`;
+        handle.style.top = `${corners[cornerIndex].y * 100}%`;
+    });
+    
+    if (polygon) {
+        polygon.setAttribute('points', corners.map(corner => `${corner.x * 100},${corner.y * 100}`).join(' '));
+    }
+}
+
+function startCornerDrag(e, cornerIndex, handle) {
+    e.preventDefault();
+    const image = document.getElementById('cornerEditorImage');
+    handle.setPointerCapture(e.pointerId);
+    handle.classList.add('dragging');
+    
+    const move = (event) => {
+        const rect = image.getBoundingClientRect();
+        cornerEditorState.corners[cornerIndex] = {
+            x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+            y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height))
+        };
+        updateCornerOutline();
+    };
+    const end = () => {
+        handle.classList.remove('dragging');
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', end);
+        handle.removeEventListener('pointercancel', end);
+    };
+    
+    handle.addEventListener('pointermove', move);
+    handle.addEventListener('pointerup', end);
+    handle.addEventListener('pointercancel', end);
+}
+
+function nudgeCorner(e, cornerIndex) {
+    const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    const step = steps[e.key];
+    if (!step) return;
+    
+    e.preventDefault();
+    const corner = cornerEditorState.corners[cornerIndex];
+    const amount = e.shiftKey ? 0.05 : 0.01;
+    corner.x = Math.min(1, Math.max(0, corner.x + step[0] * amount));
+    corner.y = Math.min(1, Math.max(0, corner.y + step[1] * amount));
+    updateCornerOutline();
+}
+
+async function autoDetectCorners() {
+    if (!cornerEditorState) return;
+    cornerEditorState.corners = await cameraScanner.detectPageCorners(cornerEditorState.index);
+    updateCornerOutline();
+}
+
+function applyCornerEdits() {
+    if (!cornerEditorState) return;
+    
+    const corners = cornerEditorState.corners;
+    if (!ScanImageProcessor.isConvex(corners) || ScanImageProcessor.quadArea(corners) < 0.02) {
+        alert('The corners cross over or enclose almost nothing. Drag each one onto its corner of the page.');
+        return;
+    }
+    
+    cameraScanner.setPageCorners(cornerEditorState.index, corners);
+    closeCornerEditor();
+    renderScanSession();
+}
+
+// ==================== //
+// OCR Review
+// ==================== //
+
+// Show the OCR'd images with uncertain words highlighted and editable.
+// Resolves true to continue with the corrected text, false to go back.
+// When every word was read confidently there is nothing to review.
+function reviewOcrPages(reviews) {
+    const modal = document.getElementById('ocrReview');
+    const pagesContainer = document.getElementById('ocrReviewPages');
+    const summary = document.getElementById('ocrReviewSummary');
+    const backBtn = document.getElementById('ocrReviewBackBtn');
+    const continueBtn = document.getElementById('ocrReviewContinueBtn');
+    
+    const flagged = reviews.reduce((sum, review) => sum + OcrReview.uncertainWords(review).length, 0);
+    if (flagged === 0 || !modal || !pagesContainer) return Promise.resolve(true);
+    
+    hideLoading();
+    
+    if (summary) {
+        summary.textContent = `${flagged} word${flagged === 1 ? '' : 's'} may have been misread. ` +
+            'Check the highlighted words against the image and fix any mistakes - fixing a word also fixes it wherever else it was read the same way.';
+    }
+    
+    pagesContainer.innerHTML = '';
+    const inputs = new Map(); // word -> input
+    reviews.forEach((review, index) => {
+        if (OcrReview.uncertainWords(review).length === 0) return;
+        pagesContainer.appendChild(createOcrReviewPage(reviews, review, index, reviews.length, inputs));
+    });
+    
+    modal.classList.add('active');
+    const firstInput = pagesContainer.querySelector('.ocr-word-input');
+    if (firstInput) firstInput.focus();
+    
+    return new Promise((resolve) => {
+        const finish = (proceed) => {
+            modal.classList.remove('active');
+            backBtn.onclick = null;
+            continueBtn.onclick = null;
+            resolve(proceed);
+        };
+        backBtn.onclick = () => finish(false);
+        continueBtn.onclick = () => finish(true);
+    });
+}
+
+function createOcrReviewPage(reviews, review, index, total, inputs) {
+    const page = document.createElement('section');
+    page.className = 'ocr-review-page';
+    
+    if (total > 1) {
+        const heading = document.createElement('h4');
+        heading.className = 'ocr-review-page-title';
+        heading.textContent = `Page ${index + 1}`;
+        page.appendChild(heading);
+    }
+    
+    // Image with a box over each uncertain word
+    const figure = document.createElement('div');
+    figure.className = 'ocr-review-image';
+    const image = document.createElement('img');
+    image.src = review.image;
+    image.alt = total > 1 ? `Scanned page ${index + 1}` : 'Scanned image';
+    figure.appendChild(image);
+    
+    const boxes = new Map(); // word -> box
+    image.addEventListener('load', () => {
+        OcrReview.uncertainWords(review).forEach(word => {
+            if (!word.bbox) return;
+            const box = document.createElement('button');
+            box.type = 'button';
+            box.className = `ocr-word-box ${ocrConfidenceClass(word)}`;
+            box.style.left = `${(word.bbox.x0 / image.naturalWidth) * 100}%`;
+            box.style.top = `${(word.bbox.y0 / image.naturalHeight) * 100}%`;
+            box.style.width = `${((word.bbox.x1 - word.bbox.x0) / image.naturalWidth) * 100}%`;
+            box.style.height = `${((word.bbox.y1 - word.bbox.y0) / image.naturalHeight) * 100}%`;
+            box.setAttribute('aria-label', `Edit "${word.original}"`);
+            box.addEventListener('click', () => {
+                const input = inputs.get(word);
+                if (input) input.focus();
+            });
+            boxes.set(word, box);
+            figure.appendChild(box);
+        });
+    }, { once: true });
+    
+    // Text with the uncertain words as inputs
+    const text = document.createElement('div');
+    text.className = 'ocr-review-text';
+    let paragraph = document.createElement('p');
+    
+    review.words.forEach(word => {
+        if (OcrReview.isUncertain(word)) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = `ocr-word-input ${ocrConfidenceClass(word)}`;
+            input.value = word.text;
+            input.size = Math.max(3, word.text.length + 1);
+            input.spellcheck = true;
+            input.title = `Read as "${word.original}" (${word.confidence}% confidence)`;
+            input.setAttribute('aria-label', input.title);
+            
+            input.addEventListener('input', () => {
+                OcrReview.correctWord(reviews, word, input.value).forEach(other => {
+                    const otherInput = inputs.get(other);
+                    if (otherInput) otherInput.value = other.text;
+                });
+                input.size = Math.max(3, input.value.length + 1);
+            });
+            input.addEventListener('focus', () => {
+                const box = boxes.get(word);
+                if (box) {
+                    box.classList.add('active');
+                    box.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+                }
+            });
+            input.addEventListener('blur', () => {
+                const box = boxes.get(word);
+                if (box) box.classList.remove('active');
+            });
+            
+            inputs.set(word, input);
+            paragraph.appendChild(input);
+        } else {
+            paragraph.appendChild(document.createTextNode(word.text));
+        }
+        
+        if (word.breakAfter === 'paragraph') {
+            text.appendChild(paragraph);
+            paragraph = document.createElement('p');
+        } else if (word.breakAfter === 'line') {
+            paragraph.appendChild(document.createElement('br'));
+        } else {
+            paragraph.appendChild(document.createTextNode(' '));
+        }
+    });
+    if (paragraph.childNodes.length > 0) text.appendChild(paragraph);
+    
+    page.appendChild(figure);
+    page.appendChild(text);
+    return page;
+}
+
+function ocrConfidenceClass(word) {
+    return word.confidence < 50 ? 'confidence-low' : 'confidence-medium';
+}
+
 // ==================== //
 // Event Handlers
 // ==================== //
@@ -510,7 +1135,15 @@ async function handleUploadGeneration() {
     }
     
     try {
-        const text = await extractText(uploadedFile);
+        const extracted = await extractDocument(uploadedFile);
+        let text = extracted.text;
+        
+        // Let the student fix words OCR was unsure of
+        if (extracted.ocrReviews) {
+            const proceed = await reviewOcrPages(extracted.ocrReviews);
+            if (!proceed) return;
+            text = extracted.ocrReviews.map(review => OcrReview.toText(review)).join('\n\n');
+        }
         
         if (!text || text.length < 50) {
             hideLoading();
@@ -518,7 +1151,7 @@ async function handleUploadGeneration() {
             return;
         }
         
-        await generateReviewer(text, title);
+        await generateReviewer(text, title, extracted.blocks);
         
     } catch (error) {
         console.error('❌ Error:', error);
@@ -552,31 +1185,45 @@ async function handleScanGeneration() {
         return;
     }
     
-    if (!cameraScanner || !cameraScanner.capturedImage) {
-        alert('Please capture an image first');
+    if (!cameraScanner || cameraScanner.pages.length === 0) {
+        alert('Please capture at least one page first');
         return;
     }
     
     try {
-        // Extract text from captured image
-        showLoading('Extracting text from image...');
+        // Stop the camera so OCR gets the whole device
+        cameraScanner.stopCamera();
+        renderScanSession();
         
-        const result = await cameraScanner.extractText(
-            cameraScanner.capturedImage,
-            (progress, message) => {
-                updateLoadingProgress(progress, message);
+        // Extract text from every captured page, in order
+        const pageCount = cameraScanner.pages.length;
+        showLoading(`Extracting text from ${pageCount} page${pageCount === 1 ? '' : 's'}...`);
+        
+        const result = await cameraScanner.extractSessionText((progress, message) => {
+            updateLoadingProgress(progress, message);
+        });
+        
+        if (result.failedPages.length > 0) {
+            const proceed = confirm(`No text could be read from page ${result.failedPages.join(', ')}.\n\nContinue without ${result.failedPages.length === 1 ? 'it' : 'them'}? Choose Cancel to retake.`);
+            if (!proceed) {
+                hideLoading();
+                return;
             }
-        );
+        }
+        
+        // Let the student fix words OCR was unsure of
+        const proceed = await reviewOcrPages(result.reviews);
+        if (!proceed) return;
         
-        const text = result.text;
+        const text = cameraScanner.sessionText();
         
         if (!text || text.length < 50) {
             hideLoading();
-            alert('Could not extract enough text from the image. Please try:\n• Better lighting\n• Clearer focus\n• Darker text on lighter background');
+            alert('Could not extract enough text from the pages. Please try:\n• Better lighting\n• Clearer focus\n• Darker text on lighter background');
             return;
         }
         
-        console.log('✅ Text extracted:', text.length, 'characters');
+        console.log('✅ Text extracted:', text.length, 'characters from', pageCount, 'pages');
         console.log('📊 OCR Confidence:', Math.round(result.confidence), '%');
         
         // Generate reviewer
@@ -585,7 +1232,7 @@ async function handleScanGeneration() {
     } catch (error) {
         console.error('❌ Error:', error);
         hideLoading();
-        alert(`Error processing scanned image:\n\n${error.message}`);
+        alert(`Error processing scanned pages:\n\n${error.message}`);
     }
 }
 
@@ -703,68 +1350,50 @@ document.addEventListener('DOMContentLoaded', async () => {
     const startCameraBtn = document.getElementById('startCameraBtn');
     const stopCameraBtn = document.getElementById('stopCameraBtn');
     const captureBtn = document.getElementById('captureBtn');
-    const retakeBtn = document.getElementById('retakeBtn');
-    const processImageBtn = document.getElementById('processImageBtn');
+    const clearScanSessionBtn = document.getElementById('clearScanSessionBtn');
     
     if (startCameraBtn) {
         startCameraBtn.addEventListener('click', async () => {
             await cameraScanner.startCamera();
+            renderScanSession();
         });
     }
     
     if (stopCameraBtn) {
         stopCameraBtn.addEventListener('click', () => {
             cameraScanner.stopCamera();
+            renderScanSession();
         });
     }
     
     if (captureBtn) {
-        captureBtn.addEventListener('click', () => {
-            const imageDataUrl = cameraScanner.captureImage();
-            
-            if (imageDataUrl) {
-                // Show preview
-                document.getElementById('cameraView').style.display = 'none';
-                document.getElementById('capturedPreview').style.display = 'block';
-                document.getElementById('capturedImage').src = imageDataUrl;
-                
-                // Store captured image
-                cameraScanner.capturedImage = imageDataUrl;
-                
-                // Stop camera
-                cameraScanner.stopCamera();
-                
-                // Update button state
-                updateGenerateButton();
-            }
-        });
+        captureBtn.addEventListener('click', captureScanPage);
     }
     
-    if (retakeBtn) {
-        retakeBtn.addEventListener('click', () => {
-            // Hide preview
-            document.getElementById('capturedPreview').style.display = 'none';
-            
-            // Clear captured image
-            cameraScanner.capturedImage = null;
-            
-            // Restart camera
-            cameraScanner.startCamera();
-            
-            // Update button state
-            updateGenerateButton();
+    // Page corner adjustment
+    const cornerAutoBtn = document.getElementById('cornerAutoBtn');
+    const cornerFullBtn = document.getElementById('cornerFullBtn');
+    const cornerCancelBtn = document.getElementById('cornerCancelBtn');
+    const cornerApplyBtn = document.getElementById('cornerApplyBtn');
+    
+    if (cornerAutoBtn) cornerAutoBtn.addEventListener('click', autoDetectCorners);
+    if (cornerFullBtn) {
+        cornerFullBtn.addEventListener('click', () => {
+            if (!cornerEditorState) return;
+            cornerEditorState.corners = ScanImageProcessor.fullFrameCorners();
+            updateCornerOutline();
         });
     }
+    if (cornerCancelBtn) cornerCancelBtn.addEventListener('click', closeCornerEditor);
+    if (cornerApplyBtn) cornerApplyBtn.addEventListener('click', applyCornerEdits);
     
-    if (processImageBtn) {
-        processImageBtn.addEventListener('click', async () => {
-            // This button is kept for clarity, but actual processing happens in handleScanGeneration
-            const generateBtn = document.getElementById('generateBtn');
-            if (generateBtn && !generateBtn.disabled) {
-                generateBtn.click();
-            } else {
-                alert('Please enter a title first');
-            }
+    if (clearScanSessionBtn) {
+        clearScanSessionBtn.addEventListener('click', () => {
+            const count = cameraScanner.pages.length;
+            if (!confirm(`Remove all ${count} scanned page${count === 1 ? '' : 's'}?`)) return;
+            
+            cameraScanner.clearSession();
+            renderScanSession();
         });
     }
     
@@ -837,6 +1466,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     console.log('✅ UploadPage initialized with authentication and camera scanner');
+    
+    resumePendingReviewerJob();
 });
 
 // Cleanup on page unload